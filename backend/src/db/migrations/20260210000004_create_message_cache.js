@@ -0,0 +1,59 @@
+/**
+ * Create message_cache and mailbox_state tables
+ * Local copy of message envelopes and flags per user, kept in step with the
+ * IMAP server using UIDVALIDITY and HIGHESTMODSEQ
+ */
+export async function up(knex) {
+  await knex.schema.createTable('mailbox_state', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('folder').notNullable();
+    table.string('uid_validity').notNullable();
+    table.string('highest_modseq'); // null when the server lacks CONDSTORE
+    table.integer('uid_next').notNullable();
+    table.integer('total').defaultTo(0);
+    table.timestamp('synced_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'folder']);
+  });
+
+  await knex.schema.createTable('message_cache', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('folder').notNullable();
+    table.integer('uid').notNullable();
+    table.string('uid_validity').notNullable();
+    table.string('modseq');
+    table.string('message_id');
+    table.string('in_reply_to');
+    table.text('subject');
+    table.string('from_name');
+    table.string('from_address');
+    table.text('to_addresses'); // JSON array of { name, email }
+    table.text('cc_addresses');
+    table.text('bcc_addresses');
+    table.timestamp('date');
+    table.text('flags'); // JSON array of IMAP flags and keywords
+    table.boolean('is_read').defaultTo(false);
+    table.boolean('is_starred').defaultTo(false);
+    table.boolean('is_important').defaultTo(false);
+    table.boolean('is_answered').defaultTo(false);
+    table.integer('size').defaultTo(0);
+    table.boolean('has_attachments').defaultTo(false);
+    table.text('snippet');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'folder', 'uid']);
+    // Folder listings (newest first) and virtual folders
+    table.index(['user_id', 'folder', 'date']);
+    table.index(['user_id', 'is_starred', 'date']);
+    table.index(['user_id', 'is_important', 'date']);
+    table.index(['user_id', 'date']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('message_cache');
+  await knex.schema.dropTableIfExists('mailbox_state');
+}
@@ -0,0 +1,27 @@
+/**
+ * Add preference columns to user_settings
+ * Columns written by the settings service that the original table lacked
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.string('display_density').defaultTo('default');
+    table.string('theme').defaultTo('system');
+    table.boolean('conversation_view').defaultTo(true);
+    table.boolean('auto_advance').defaultTo(true);
+    table.boolean('desktop_notifications').defaultTo(false);
+    table.boolean('use_signature').defaultTo(false);
+    table.integer('send_cancellation_seconds').defaultTo(5);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.dropColumn('display_density');
+    table.dropColumn('theme');
+    table.dropColumn('conversation_view');
+    table.dropColumn('auto_advance');
+    table.dropColumn('desktop_notifications');
+    table.dropColumn('use_signature');
+    table.dropColumn('send_cancellation_seconds');
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * Add references and thread_id to message_cache
+ * thread_id groups cached messages into conversations (JWZ threading)
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('message_cache', (table) => {
+    table.text('reference_ids'); // JSON array of References message ids
+    table.string('thread_id');
+
+    table.index(['user_id', 'thread_id']);
+  });
+
+  // Existing rows were cached without References; reload every folder on next sync
+  await knex('mailbox_state').del();
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('message_cache', (table) => {
+    table.dropIndex(['user_id', 'thread_id']);
+    table.dropColumn('reference_ids');
+    table.dropColumn('thread_id');
+  });
+}
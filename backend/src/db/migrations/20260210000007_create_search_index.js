@@ -0,0 +1,31 @@
+/**
+ * Create search_documents and the search_index FTS5 table
+ * Full-text index of cached messages (subject, addresses, body text and
+ * attachment filenames); search_index rowids are search_documents ids
+ */
+export async function up(knex) {
+  await knex.schema.createTable('search_documents', (table) => {
+    table.increments('id');
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('folder').notNullable();
+    table.integer('uid').notNullable();
+    table.timestamp('indexed_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'folder', 'uid']);
+  });
+
+  await knex.raw(`
+    CREATE VIRTUAL TABLE search_index USING fts5(
+      subject,
+      addresses,
+      body,
+      attachments,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+}
+
+export async function down(knex) {
+  await knex.raw('DROP TABLE IF EXISTS search_index');
+  await knex.schema.dropTableIfExists('search_documents');
+}
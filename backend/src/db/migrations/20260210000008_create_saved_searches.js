@@ -0,0 +1,22 @@
+/**
+ * Create saved_searches table
+ * Stores search queries shown as smart folders in the sidebar
+ */
+export async function up(knex) {
+  return knex.schema.createTable('saved_searches', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name').notNullable();
+    table.text('query').notNullable(); // search operator syntax, see services/searchQuery.js
+    table.string('color');
+    table.integer('position').defaultTo(0);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'position']);
+  });
+}
+
+export async function down(knex) {
+  return knex.schema.dropTableIfExists('saved_searches');
+}
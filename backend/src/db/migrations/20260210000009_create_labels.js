@@ -0,0 +1,23 @@
+/**
+ * Create labels table
+ * User labels and the IMAP keyword that marks a message with each of them
+ */
+export async function up(knex) {
+  return knex.schema.createTable('labels', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name').notNullable();
+    table.string('color').notNullable();
+    table.string('keyword').notNullable(); // IMAP keyword set on labelled messages
+    table.integer('position').defaultTo(0);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'keyword']);
+    table.index(['user_id', 'position']);
+  });
+}
+
+export async function down(knex) {
+  return knex.schema.dropTableIfExists('labels');
+}
@@ -0,0 +1,25 @@
+/**
+ * Create filters table
+ * Mail rules run against new INBOX mail: conditions and actions are stored as JSON
+ */
+export async function up(knex) {
+  return knex.schema.createTable('filters', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name').notNullable();
+    table.boolean('enabled').defaultTo(true);
+    table.string('match').notNullable().defaultTo('all'); // 'all' or 'any' condition must match
+    table.text('conditions').notNullable(); // JSON array of { field, operator, value, header? }
+    table.text('actions').notNullable(); // JSON array of { type, folder?, labelId?, to? }
+    table.boolean('stop_processing').defaultTo(false); // Skip later filters after a match
+    table.integer('position').defaultTo(0);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'position']);
+  });
+}
+
+export async function down(knex) {
+  return knex.schema.dropTableIfExists('filters');
+}
@@ -0,0 +1,15 @@
+/**
+ * Add server_filters to user_settings
+ * Set while the user's filters run as a Sieve script on the mail server
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.boolean('server_filters').defaultTo(false);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.dropColumn('server_filters');
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * Create vacation and vacation_replies tables
+ * One out-of-office reply per user, and the senders the backend's own
+ * responder has answered (to reply once per sender per interval)
+ */
+export async function up(knex) {
+  await knex.schema.createTable('vacation', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().unique().references('id').inTable('users').onDelete('CASCADE');
+    table.boolean('enabled').notNullable().defaultTo(false);
+    table.string('subject');
+    table.text('body_text').notNullable().defaultTo('');
+    table.text('body_html');
+    table.string('start_date', 10); // YYYY-MM-DD, inclusive
+    table.string('end_date', 10);
+    table.integer('interval_days').notNullable().defaultTo(7);
+    table.text('excluded_addresses').notNullable().defaultTo('[]'); // JSON array of addresses or @domains
+    table.string('mode', 10).notNullable().defaultTo('local'); // 'sieve' or 'local' responder
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('vacation_replies', (table) => {
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('address').notNullable();
+    table.timestamp('replied_at').notNullable();
+    table.primary(['user_id', 'address']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('vacation_replies');
+  await knex.schema.dropTableIfExists('vacation');
+}
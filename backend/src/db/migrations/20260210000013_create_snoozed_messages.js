@@ -0,0 +1,26 @@
+/**
+ * Create snoozed_messages table
+ * Messages moved to the Snoozed folder and when they return to the inbox
+ */
+export async function up(knex) {
+  await knex.schema.createTable('snoozed_messages', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('folder').notNullable(); // Snoozed folder path
+    table.integer('uid').notNullable(); // UID in the Snoozed folder when it was moved
+    table.string('message_id'); // Finds the message again if its UID changed
+    table.string('original_folder').notNullable();
+    table.string('subject');
+    table.string('from_name');
+    table.string('from_address');
+    table.timestamp('wake_at').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('wake_at');
+    table.index(['user_id', 'wake_at']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('snoozed_messages');
+}
@@ -0,0 +1,29 @@
+/**
+ * Create outbox table
+ * Messages waiting to be sent, stored as built MIME plus the fields they were
+ * built from so they can still be edited
+ */
+export async function up(knex) {
+  await knex.schema.createTable('outbox', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('status', 20).notNullable().defaultTo('scheduled'); // scheduled, sending, failed
+    table.timestamp('send_at').notNullable();
+    table.binary('raw').notNullable(); // RFC 5322 message without Bcc
+    table.text('envelope').notNullable(); // JSON { from, to } for SMTP, Bcc included
+    table.text('message').notNullable(); // JSON of the composed fields (recipients, subject, body, attachments)
+    table.string('message_id');
+    table.string('subject');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.text('last_error');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.index(['status', 'send_at']);
+    table.index(['user_id', 'send_at']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('outbox');
+}
@@ -0,0 +1,18 @@
+/**
+ * Add retry columns to outbox
+ * A message the server turns away for now waits in 'retrying' until send_at;
+ * the last SMTP reply code tells a temporary failure from a permanent one
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('outbox', (table) => {
+    table.timestamp('last_attempt_at');
+    table.integer('last_response_code');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('outbox', (table) => {
+    table.dropColumn('last_attempt_at');
+    table.dropColumn('last_response_code');
+  });
+}
@@ -0,0 +1,16 @@
+/**
+ * Add save_sent_copy to user_settings
+ * Off for mail servers that file sent mail themselves (Gmail, Outlook.com),
+ * which would otherwise show every message twice
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.boolean('save_sent_copy').defaultTo(true);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.dropColumn('save_sent_copy');
+  });
+}
@@ -0,0 +1,17 @@
+/**
+ * Add reply_position and reply_attribution to user_settings
+ * A null attribution uses the default "On {date}, {sender} wrote:"
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.string('reply_position').defaultTo('top');
+    table.string('reply_attribution');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('user_settings', (table) => {
+    table.dropColumn('reply_position');
+    table.dropColumn('reply_attribution');
+  });
+}
@@ -0,0 +1,27 @@
+/**
+ * Create identities table
+ * Addresses a user sends from (the account itself, aliases, plus-addresses),
+ * each with its own display name, Reply-To, signature and Bcc
+ */
+export async function up(knex) {
+  await knex.schema.createTable('identities', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('email').notNullable(); // Lower-cased
+    table.string('name');
+    table.string('reply_to');
+    table.text('signature'); // HTML
+    table.text('bcc').notNullable().defaultTo('[]'); // JSON array of addresses
+    table.boolean('is_default').notNullable().defaultTo(false);
+    table.integer('position').defaultTo(0);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'email']);
+    table.index(['user_id', 'position']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('identities');
+}
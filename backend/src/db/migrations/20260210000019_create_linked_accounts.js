@@ -0,0 +1,23 @@
+/**
+ * Create linked_accounts table
+ * Further mail accounts a NovaMail login can switch to; each one is a users
+ * row of its own with its own credentials, cache and settings
+ */
+export async function up(knex) {
+  await knex.schema.createTable('linked_accounts', (table) => {
+    table.string('id', 36).primary().defaultTo(knex.raw("(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || substr(lower(hex(randomblob(2))),2) || '-' || substr('89ab',abs(random()) % 4 + 1, 1) || substr(lower(hex(randomblob(2))),2) || '-' || lower(hex(randomblob(6))))"));
+    table.string('user_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE'); // The login
+    table.string('account_id', 36).notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('color').notNullable();
+    table.integer('position').defaultTo(0);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'account_id']);
+    table.index('account_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('linked_accounts');
+}
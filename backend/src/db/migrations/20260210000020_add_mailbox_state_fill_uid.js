@@ -0,0 +1,16 @@
+/**
+ * Add fill_uid to mailbox_state
+ * A folder's cache is filled from the newest messages down; UIDs below
+ * fill_uid are not cached yet. Null once the whole folder is cached.
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('mailbox_state', (table) => {
+    table.integer('fill_uid');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('mailbox_state', (table) => {
+    table.dropColumn('fill_uid');
+  });
+}
@@ -8,10 +8,13 @@ import authRoutes from './routes/auth.js';
 import emailRoutes from './routes/emails.js';
 import folderRoutes from './routes/folders.js';
 import settingsRoutes from './routes/settings.js';
+import eventRoutes from './routes/events.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { rateLimiter } from './middleware/rateLimiter.js';
 import db from './db/index.js';
 import { cleanupExpiredSessions } from './services/sessionService.js';
+import { startSnoozeScheduler } from './services/snoozeService.js';
+import { startOutboxScheduler } from './services/outboxService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -62,6 +65,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/events', eventRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -86,6 +90,12 @@ async function start() {
     process.exit(1);
   }
   
+  // Return snoozed messages to the inbox when they are due
+  startSnoozeScheduler();
+  
+  // Send scheduled mail from the outbox
+  await startOutboxScheduler();
+  
   app.listen(PORT, () => {
     console.log(`✨ NovaMail Backend running on port ${PORT}`);
     console.log(`📧 Environment: ${process.env.NODE_ENV || 'development'}`);
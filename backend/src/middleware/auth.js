@@ -1,5 +1,6 @@
 import { validateSession } from '../services/sessionService.js';
-import { getUserPassword } from '../services/userService.js';
+import { getMailCredentials, getUserById } from '../services/userService.js';
+import { isLinkedAccount } from '../services/accountService.js';
 
 /**
  * Authentication middleware - verifies JWT token and validates session
@@ -29,31 +30,34 @@ export async function authenticate(req, res, next) {
     
     const { user, session } = validation;
     
-    // Get decrypted password
-    const password = await getUserPassword(user.id);
+    // A linked account is named in X-Account-Id; mail operations then act as it
+    let account = user;
+    const accountId = req.headers['x-account-id'];
+    if (accountId && accountId !== user.id) {
+      if (!(await isLinkedAccount(user.id, accountId))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This account is not linked to your login',
+        });
+      }
+      account = await getUserById(accountId);
+    }
+    
+    // Decrypted IMAP/SMTP credentials
+    const { imap, smtp } = await getMailCredentials(account.id);
     
     // Attach user credentials to request
     req.user = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
+      id: account.id,
+      email: account.email,
+      name: account.name,
       passwordVersion: user.passwordVersion,
       sessionJti: session.jti,
+      // The user signed in, who owns the session and the linked accounts
+      login: { id: user.id, email: user.email, name: user.name },
       // IMAP/SMTP credentials for mail operations
-      imap: {
-        host: user.imapHost,
-        port: user.imapPort,
-        security: user.imapSecurity,
-        user: user.email,
-        pass: password,
-      },
-      smtp: {
-        host: user.smtpHost,
-        port: user.smtpPort,
-        security: user.smtpSecurity,
-        user: user.email,
-        pass: password,
-      },
+      imap,
+      smtp,
     };
     
     next();
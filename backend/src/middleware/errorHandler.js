@@ -42,6 +42,15 @@ export function errorHandler(err, req, res, next) {
     });
   }
 
+  // ManageSieve errors carry the status the server's answer maps to
+  if (err.source === 'sieve') {
+    const labels = { 400: 'Sieve Error', 404: 'Not Found', 409: 'Conflict' };
+    return res.status(err.statusCode || 502).json({
+      error: labels[err.statusCode] || 'Mail Server Error',
+      message: err.message || 'Error communicating with the ManageSieve server',
+    });
+  }
+
   // Default error response
   const statusCode = err.statusCode || err.status || 500;
   res.status(statusCode).json({
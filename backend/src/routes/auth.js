@@ -4,6 +4,13 @@ import { createImapService } from '../services/imap.js';
 import { createSmtpService } from '../services/smtp.js';
 import { upsertUser, getUserByEmail } from '../services/userService.js';
 import { createSession, revokeSession, getUserSessions } from '../services/sessionService.js';
+import {
+  getAccounts,
+  linkAccount,
+  updateAccount,
+  unlinkAccount,
+  ACCOUNT_COLORS,
+} from '../services/accountService.js';
 import { z } from 'zod';
 
 const router = Router();
@@ -20,6 +27,15 @@ const loginSchema = z.object({
   smtpSecurity: z.enum(['SSL/TLS', 'STARTTLS', 'None']).optional(),
 });
 
+const linkAccountSchema = loginSchema.extend({
+  name: z.string().trim().max(200).optional(),
+});
+
+const updateAccountSchema = z.object({
+  color: z.enum(ACCOUNT_COLORS, 'Unknown account color').optional(),
+  position: z.number().int().min(1).optional(),
+});
+
 /**
  * Fetch autoconfig/autodiscover for a domain
  * Tries multiple standard endpoints used by docker-mailserver and other mail servers
@@ -189,6 +205,70 @@ function parseAutodiscover(xml) {
   return { imap, smtp };
 }
 
+/**
+ * IMAP/SMTP settings for an account, auto-discovered where not provided
+ * @returns {Promise<{imap: Object, smtp: Object}|null>} null when they cannot be determined
+ */
+async function resolveServerSettings({ email, password, imapServer, imapPort, imapSecurity, smtpServer, smtpPort, smtpSecurity }) {
+  // Auto-discover server settings if not provided
+  if (!imapServer || !smtpServer) {
+    console.log(`Auto-discovering mail config for ${email}...`);
+    const discovery = await discoverMailConfig(email);
+    
+    if (!imapServer) {
+      imapServer = discovery.config.imap.host;
+      imapPort = imapPort || discovery.config.imap.port;
+      // Determine security from discovery if not provided
+      if (!imapSecurity) {
+        if (discovery.config.imap.secure) {
+          imapSecurity = 'SSL/TLS';
+        } else if (discovery.config.imap.starttls) {
+          imapSecurity = 'STARTTLS';
+        } else {
+          imapSecurity = 'None';
+        }
+      }
+    }
+    if (!smtpServer) {
+      smtpServer = discovery.config.smtp.host;
+      smtpPort = smtpPort || discovery.config.smtp.port;
+      // Determine security from discovery if not provided
+      if (!smtpSecurity) {
+        if (discovery.config.smtp.secure) {
+          smtpSecurity = 'SSL/TLS';
+        } else if (discovery.config.smtp.starttls) {
+          smtpSecurity = 'STARTTLS';
+        } else {
+          smtpSecurity = 'None';
+        }
+      }
+    }
+    
+    console.log(`Using discovered config - IMAP: ${imapServer}:${imapPort} (${imapSecurity}), SMTP: ${smtpServer}:${smtpPort} (${smtpSecurity})`);
+  }
+  
+  if (!imapServer || !smtpServer) {
+    return null;
+  }
+  
+  return {
+    imap: {
+      host: imapServer,
+      port: imapPort || 993,
+      security: imapSecurity || 'SSL/TLS',
+      user: email,
+      pass: password,
+    },
+    smtp: {
+      host: smtpServer,
+      port: smtpPort || 465,
+      security: smtpSecurity || 'SSL/TLS',
+      user: email,
+      pass: password,
+    },
+  };
+}
+
 /**
  * POST /api/auth/login
  * Authenticate user with IMAP/SMTP credentials
@@ -206,68 +286,18 @@ router.post('/login', async (req, res, next) => {
       });
     }
     
-    let { email, password, imapServer, imapPort, imapSecurity, smtpServer, smtpPort, smtpSecurity } = validation.data;
-    
-    // Auto-discover server settings if not provided
-    if (!imapServer || !smtpServer) {
-      console.log(`Auto-discovering mail config for ${email}...`);
-      const discovery = await discoverMailConfig(email);
-      
-      if (!imapServer) {
-        imapServer = discovery.config.imap.host;
-        imapPort = imapPort || discovery.config.imap.port;
-        // Determine security from discovery if not provided
-        if (!imapSecurity) {
-          if (discovery.config.imap.secure) {
-            imapSecurity = 'SSL/TLS';
-          } else if (discovery.config.imap.starttls) {
-            imapSecurity = 'STARTTLS';
-          } else {
-            imapSecurity = 'None';
-          }
-        }
-      }
-      if (!smtpServer) {
-        smtpServer = discovery.config.smtp.host;
-        smtpPort = smtpPort || discovery.config.smtp.port;
-        // Determine security from discovery if not provided
-        if (!smtpSecurity) {
-          if (discovery.config.smtp.secure) {
-            smtpSecurity = 'SSL/TLS';
-          } else if (discovery.config.smtp.starttls) {
-            smtpSecurity = 'STARTTLS';
-          } else {
-            smtpSecurity = 'None';
-          }
-        }
-      }
-      
-      console.log(`Using discovered config - IMAP: ${imapServer}:${imapPort} (${imapSecurity}), SMTP: ${smtpServer}:${smtpPort} (${smtpSecurity})`);
-    }
+    const settings = await resolveServerSettings(validation.data);
     
     // Validate we have server settings now
-    if (!imapServer || !smtpServer) {
+    if (!settings) {
       return res.status(400).json({
         error: 'Configuration Error',
         message: 'Could not determine mail server settings. Please provide IMAP and SMTP server addresses.',
       });
     }
     
-    const imap = {
-      host: imapServer,
-      port: imapPort || 993,
-      security: imapSecurity || 'SSL/TLS',
-      user: email,
-      pass: password,
-    };
-    
-    const smtp = {
-      host: smtpServer,
-      port: smtpPort || 465,
-      security: smtpSecurity || 'SSL/TLS',
-      user: email,
-      pass: password,
-    };
+    const { email, password } = validation.data;
+    const { imap, smtp } = settings;
     
     // Test IMAP connection
     const imapService = createImapService(imap);
@@ -345,6 +375,9 @@ router.post('/logout', authenticate, async (req, res, next) => {
     if (req.user.sessionJti) {
       await revokeSession(req.user.sessionJti);
     }
+
+    // Drop idle pooled IMAP connections for this account
+    createImapService(req.user.imap).closeConnections();
     
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
@@ -361,7 +394,7 @@ router.post('/verify', authenticate, async (req, res) => {
   res.json({
     valid: true,
     user: {
-      email: req.user.email,
+      email: req.user.login.email,
     },
   });
 });
@@ -372,7 +405,7 @@ router.post('/verify', authenticate, async (req, res) => {
  */
 router.get('/sessions', authenticate, async (req, res, next) => {
   try {
-    const sessions = await getUserSessions(req.user.id);
+    const sessions = await getUserSessions(req.user.login.id);
     res.json({ sessions });
   } catch (error) {
     next(error);
@@ -392,6 +425,117 @@ router.delete('/sessions/:jti', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/auth/accounts
+ * Get the mail accounts of the login: the one signed in with, then the linked ones
+ */
+router.get('/accounts', authenticate, async (req, res, next) => {
+  try {
+    const accounts = await getAccounts(req.user.login.id);
+    res.json({ accounts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/accounts
+ * Link another mail account to the login after checking its credentials;
+ * linking it again updates its password and server settings. An address
+ * someone else uses is refused (409) unless its servers stay the same.
+ */
+router.post('/accounts', authenticate, async (req, res, next) => {
+  try {
+    const validation = linkAccountSchema.safeParse(req.body);
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const settings = await resolveServerSettings(validation.data);
+    
+    if (!settings) {
+      return res.status(400).json({
+        error: 'Configuration Error',
+        message: 'Could not determine mail server settings. Please provide IMAP and SMTP server addresses.',
+      });
+    }
+    
+    const { email, password, name } = validation.data;
+    const { imap, smtp } = settings;
+    
+    try {
+      await createImapService(imap).testConnection();
+    } catch (error) {
+      console.error('IMAP connection failed:', error.message);
+      return res.status(400).json({
+        error: 'Connection Failed',
+        message: 'Unable to connect to mail server. Please check the password and server settings.',
+        details: error.message,
+      });
+    }
+    
+    try {
+      await createSmtpService(smtp).verify();
+    } catch (error) {
+      console.warn('SMTP verification failed:', error.message);
+    }
+    
+    const account = await linkAccount(req.user.login.id, {
+      email,
+      password,
+      name: name || email.split('@')[0],
+      imapHost: imap.host,
+      imapPort: imap.port,
+      imapSecurity: imap.security,
+      smtpHost: smtp.host,
+      smtpPort: smtp.port,
+      smtpSecurity: smtp.security,
+    });
+    res.status(201).json({ account });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/auth/accounts/:id
+ * Change a linked account's color or position
+ */
+router.patch('/accounts/:id', authenticate, async (req, res, next) => {
+  try {
+    const validation = updateAccountSchema.safeParse(req.body);
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const account = await updateAccount(req.user.login.id, req.params.id, validation.data);
+    res.json({ account });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/accounts/:id
+ * Unlink an account
+ */
+router.delete('/accounts/:id', authenticate, async (req, res, next) => {
+  try {
+    await unlinkAccount(req.user.login.id, req.params.id);
+    res.json({ success: true, message: 'Account unlinked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/autoconfig
  * Get server configuration for an email domain
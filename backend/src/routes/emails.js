@@ -1,7 +1,41 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.js';
-import { createImapService } from '../services/imap.js';
+import { createImapService, SORT_FIELDS } from '../services/imap.js';
 import { createSmtpService } from '../services/smtp.js';
+import { replyRecipients, REPLY_MODES } from '../services/replyRecipients.js';
+import { replyDraft } from '../services/replyQuote.js';
+import {
+  listEmails,
+  syncFolder,
+  runsOnNewMail,
+  applyConversationAction,
+  scheduleIndexing,
+  CONVERSATION_ACTIONS,
+} from '../services/syncService.js';
+import { countIndexed, searchMessages } from '../services/searchIndex.js';
+import { parseSearchQuery, resolveSearchFolders, toImapSearch } from '../services/searchQuery.js';
+import { getLabel, withLabels } from '../services/labelService.js';
+import { setSnippet } from '../services/messageCache.js';
+import { getUserSettings } from '../services/settingsService.js';
+import {
+  getIdentities,
+  getSendingIdentity,
+  ownAddresses,
+  replyIdentity,
+  senderIdentity,
+} from '../services/identityService.js';
+import { snoozeMessage, getSnoozed, cancelSnooze } from '../services/snoozeService.js';
+import { getAccounts, listUnified, UNIFIED_VIEWS } from '../services/accountService.js';
+import {
+  getOutbox,
+  getOutboxMessage,
+  queueMessage,
+  updateOutboxMessage,
+  withReplyHeaders,
+  rescheduleMessage,
+  retryMessage,
+  cancelMessage,
+} from '../services/outboxService.js';
 import { z } from 'zod';
 import multer from 'multer';
 
@@ -24,7 +58,7 @@ const sendEmailSchema = z.object({
   to: z.array(z.object({
     email: z.string().email(),
     name: z.string().optional().default(''),
-  })).min(1, 'At least one recipient is required'),
+  }), { error: 'At least one recipient is required' }).min(1, 'At least one recipient is required'),
   cc: z.array(z.object({
     email: z.string().email(),
     name: z.string().optional().default(''),
@@ -37,11 +71,41 @@ const sendEmailSchema = z.object({
   body: z.string().optional().default(''),
   textBody: z.string().optional(),
   attachments: z.array(z.object({
-    filename: z.string(),
-    content: z.string(), // Base64 encoded
+    filename: z.string().optional(),
+    content: z.string().optional(), // Base64 encoded
     contentType: z.string().optional(),
+    // Taken from an email on the server instead (see attachOriginals)
+    original: z.object({
+      folder: z.string().min(1),
+      uid: z.number().int().positive(),
+      id: z.string().optional(),
+    }).optional(),
+  }).refine(att => att.original || (att.filename && att.content !== undefined), {
+    error: 'Attachments need a filename and content',
   })).optional().default([]),
   scheduledAt: z.string().datetime().optional(),
+  // Identity to send as (the default one otherwise)
+  identityId: z.string().optional(),
+  // Message this one replies to or forwards; flagged \Answered or $Forwarded once
+  // sent. A reply's In-Reply-To and References are built from it.
+  source: z.object({
+    folder: z.string().min(1),
+    uid: z.number().int().positive(),
+    messageId: z.string().optional(),
+    type: z.enum(['reply', 'forward']),
+  }).optional(),
+});
+
+// A forward's subject and content come from the original
+const forwardSchema = sendEmailSchema.pick({
+  to: true,
+  cc: true,
+  bcc: true,
+  body: true,
+  attachments: true,
+  identityId: true,
+}).extend({
+  asAttachment: z.boolean().optional().default(false),
 });
 
 const draftSchema = z.object({
@@ -61,21 +125,152 @@ const draftSchema = z.object({
   body: z.string().optional().default(''),
 });
 
+const rescheduleSchema = z.object({
+  scheduledAt: z.iso.datetime({ offset: true, error: 'scheduledAt must be an ISO 8601 date and time' }),
+});
+
+const snoozeSchema = z.object({
+  until: z.iso.datetime({ offset: true, error: 'until must be an ISO 8601 date and time' })
+    .refine(value => new Date(value) > new Date(), { error: 'until must be in the future' }),
+});
+
+// Helpers shared by the routes below
+/**
+ * IMAP keyword of a user's label
+ * @throws {Error} 404 when the label does not exist
+ */
+async function getLabelKeyword(userId, labelId) {
+  const label = await getLabel(userId, labelId);
+  if (!label) {
+    const error = new Error('Label not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return label.keyword;
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * File name of an email forwarded as an attachment
+ */
+function emlFilename(subject) {
+  const name = (subject || '').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim().slice(0, 100);
+  return `${name || 'message'}.eml`;
+}
+
+/**
+ * Fill in attachments taken from emails on the server
+ * An attachment with `original: { folder, uid, id }` is that email's
+ * attachment; without `id` it is the whole email as message/rfc822 (forward
+ * as attachment). Each email is fetched once.
+ * @throws {Error} 404 when an email or attachment no longer exists
+ */
+async function attachOriginals(imapService, attachments) {
+  const emails = new Map();
+  const resolved = [];
+  
+  for (const att of attachments) {
+    if (!att.original) {
+      resolved.push(att);
+      continue;
+    }
+    
+    const { folder, uid, id } = att.original;
+    if (!id) {
+      const message = await imapService.getRawMessage(folder, uid);
+      if (!message) throw notFound('Forwarded email not found');
+      resolved.push({
+        ...att,
+        filename: att.filename || emlFilename(message.subject),
+        content: message.source.toString('base64'),
+        contentType: 'message/rfc822',
+        original: { folder: message.folder, uid: message.uid },
+      });
+      continue;
+    }
+    
+    const key = `${folder}\n${uid}`;
+    if (!emails.has(key)) {
+      emails.set(key, await imapService.getEmail(folder, uid, { attachmentContent: true }));
+    }
+    const found = emails.get(key).attachments.find(a => a.id === id);
+    if (!found) throw notFound('Forwarded attachment not found');
+    resolved.push({ ...att, content: found.content, contentType: found.contentType });
+  }
+  return resolved;
+}
+
+/**
+ * Queue an outgoing message in the outbox
+ * It leaves once the user's undo-send delay is over (right away when the
+ * delay is off); failed sends are retried from there.
+ * @returns {Promise<Object>} Response body
+ */
+async function queueOutgoing(userId, smtpService, message) {
+  const { sendCancellation } = await getUserSettings(userId);
+  const delay = sendCancellation > 0 ? sendCancellation * 1000 : 0;
+  
+  const queued = await queueMessage(userId, smtpService, message, new Date(Date.now() + delay));
+  return {
+    success: true,
+    queued: true,
+    outbox: queued,
+    messageId: queued.messageId,
+    undoUntil: delay > 0 ? queued.sendAt : null,
+  };
+}
+
 /**
  * GET /api/emails
- * Get emails from a folder
+ * Get emails from a folder, or conversations with view=conversations
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { folder = 'INBOX', limit = 50, offset = 0, search } = req.query;
+    const {
+      folder = 'INBOX',
+      limit = 50,
+      offset = 0,
+      search,
+      sort = 'date',
+      order = 'desc',
+      view = 'messages',
+    } = req.query;
+    
+    if (!SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `sort must be one of ${SORT_FIELDS.join(', ')} and order must be asc or desc`,
+      });
+    }
+    
+    if (!['messages', 'conversations'].includes(view)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'view must be messages or conversations',
+      });
+    }
     
     const imapService = createImapService(req.user.imap);
-    const result = await imapService.getEmails(folder, {
+    const options = {
       limit: parseInt(limit),
       offset: parseInt(offset),
-      search,
-    });
-    
+      sort,
+      order,
+      view,
+    };
+    
+    // Lists are served from the local message cache after a delta sync;
+    // ad-hoc searches still go to the IMAP server
+    const result = search
+      ? await imapService.getEmails(folder, { ...options, search })
+      : await listEmails(req.user.id, imapService, folder, options);
+    
+    await withLabels(req.user.id, result.emails);
     res.json(result);
   } catch (error) {
     next(error);
@@ -84,11 +279,16 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/emails/search
- * Search emails across folders
+ * Search with Gmail-style operators (from:, to:, cc:, subject:, has:attachment,
+ * is:unread/read/starred, in:folder, before:/after:/older_than:/newer_than:,
+ * larger:/smaller:, "phrases", -negation, OR). Ranked and highlighted across
+ * all folders (or one `folder`) using the local index, or newest first with
+ * `sort=date`; falls back to an IMAP SEARCH of a single folder while the
+ * index is still empty.
  */
 router.get('/search', async (req, res, next) => {
   try {
-    const { q, folder = 'INBOX', limit = 50 } = req.query;
+    const { q, folder, limit = 50, offset = 0, sort = 'relevance' } = req.query;
     
     if (!q) {
       return res.status(400).json({
@@ -97,18 +297,200 @@ router.get('/search', async (req, res, next) => {
       });
     }
     
+    if (!['relevance', 'date'].includes(sort)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'sort must be relevance or date',
+      });
+    }
+    
+    const tree = parseSearchQuery(q);
     const imapService = createImapService(req.user.imap);
-    const result = await imapService.searchEmails(q, {
-      folder,
+    
+    if (await countIndexed(req.user.id) === 0) {
+      // First search: build the index in the background and ask the server meanwhile
+      scheduleIndexing(req.user.id, imapService);
+      const { folder: inFolder, criteria } = toImapSearch(tree);
+      const result = await imapService.searchEmails(criteria, {
+        folder: folder || inFolder || 'INBOX',
+        limit: parseInt(limit),
+      });
+      await withLabels(req.user.id, result.emails);
+      return res.json({ ...result, query: q, indexed: false });
+    }
+    
+    await resolveSearchFolders(tree, name => imapService.resolveFolderPath(name));
+    const result = await searchMessages(req.user.id, tree, {
+      folders: folder ? [await imapService.resolveFolderPath(folder)] : null,
       limit: parseInt(limit),
+      offset: parseInt(offset),
+      sort,
     });
     
+    await withLabels(req.user.id, result.emails);
+    res.json({ ...result, query: q, indexed: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/emails/unified
+ * Inbox, unread or starred mail of every account of the login, newest first;
+ * each email carries its accountId and accountColor
+ */
+router.get('/unified', async (req, res, next) => {
+  try {
+    const { view = 'inbox', limit = 50, offset = 0 } = req.query;
+    
+    if (!Object.hasOwn(UNIFIED_VIEWS, view)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `view must be one of ${Object.keys(UNIFIED_VIEWS).join(', ')}`,
+      });
+    }
+    
+    const accounts = await getAccounts(req.user.login.id);
+    const result = await listUnified(accounts, view, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
     res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/emails/outbox
+ * List messages waiting to be sent, the next to go first
+ */
+router.get('/outbox', async (req, res, next) => {
+  try {
+    const messages = await getOutbox(req.user.id);
+    res.json({ messages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/emails/outbox/:id
+ * Get a queued message with its body and attachments
+ */
+router.get('/outbox/:id', async (req, res, next) => {
+  try {
+    const message = await getOutboxMessage(req.user.id, req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found in the outbox',
+      });
+    }
+    
+    res.json({ message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/emails/outbox/:id
+ * Replace a queued message's content (same body as /send; scheduledAt optional)
+ */
+router.put('/outbox/:id', async (req, res, next) => {
+  try {
+    const validation = sendEmailSchema.safeParse(req.body || {});
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const smtpService = createSmtpService({
+      ...req.user.smtp,
+      name: req.user.name,
+    });
+    const imapService = createImapService(req.user.imap);
+    const { scheduledAt, identityId, ...data } = validation.data;
+    const message = await withReplyHeaders(imapService, data);
+    message.identity = senderIdentity(await getSendingIdentity(req.user, identityId));
+    message.attachments = await attachOriginals(imapService, message.attachments);
+    const updated = await updateOutboxMessage(
+      req.user.id,
+      smtpService,
+      req.params.id,
+      message,
+      scheduledAt ? new Date(scheduledAt) : null,
+    );
+    
+    res.json({ success: true, message: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/emails/outbox/:id
+ * Reschedule a queued message; a failed message is tried again at the new time
+ */
+router.patch('/outbox/:id', async (req, res, next) => {
+  try {
+    const validation = rescheduleSchema.safeParse(req.body || {});
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const smtpService = createSmtpService({
+      ...req.user.smtp,
+      name: req.user.name,
+    });
+    const message = await rescheduleMessage(req.user.id, smtpService, req.params.id, new Date(validation.data.scheduledAt));
+    
+    res.json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/emails/outbox/:id/retry
+ * Send a failed or retrying message now
+ */
+router.post('/outbox/:id/retry', async (req, res, next) => {
+  try {
+    const smtpService = createSmtpService({
+      ...req.user.smtp,
+      name: req.user.name,
+    });
+    const message = await retryMessage(req.user.id, smtpService, req.params.id);
+    
+    res.json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/emails/outbox/:id
+ * Discard a queued message (or undo a send within its delay); returns its
+ * content so it can be reopened as a draft
+ */
+router.delete('/outbox/:id', async (req, res, next) => {
+  try {
+    const message = await cancelMessage(req.user.id, req.params.id);
+    res.json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/emails/:folder/:uid
  * Get a single email with full content
@@ -121,12 +503,24 @@ router.get('/:folder/:uid', async (req, res, next) => {
     const imapService = createImapService(req.user.imap);
     const email = await imapService.getEmail(folder, parseInt(uid));
     
+    // Remember the body snippet for cached list responses
+    await setSnippet(req.user.id, email.folder, email.uid, email.snippet);
+    
     // Mark as read if requested
     if (markAsRead === 'true' && !email.read) {
       await imapService.setReadStatus(folder, parseInt(uid), true);
       email.read = true;
     }
     
+    // Recipients of a reply in each mode, the identity to answer from and
+    // the quoted draft, for the compose window
+    const identities = await getIdentities(req.user);
+    const { replyPosition, replyAttribution } = await getUserSettings(req.user.id);
+    email.replyRecipients = replyRecipients(email, ownAddresses(req.user, identities));
+    email.replyIdentityId = replyIdentity(identities, email).id;
+    email.replyDraft = replyDraft(email, { position: replyPosition, attribution: replyAttribution });
+    
+    await withLabels(req.user.id, [email]);
     res.json(email);
   } catch (error) {
     next(error);
@@ -159,7 +553,7 @@ router.get('/:folder/:uid/attachment/:attachmentId', async (req, res, next) => {
 
 /**
  * POST /api/emails/send
- * Send a new email
+ * Send a new email through the outbox
  */
 router.post('/send', upload.array('files'), async (req, res, next) => {
   try {
@@ -186,8 +580,8 @@ router.post('/send', upload.array('files'), async (req, res, next) => {
     if (!validation.success) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: validation.error.errors[0].message,
-        details: validation.error.errors,
+        message: validation.error.issues[0].message,
+        details: validation.error.issues,
       });
     }
     
@@ -196,29 +590,22 @@ router.post('/send', upload.array('files'), async (req, res, next) => {
       name: req.user.name,
     });
     
-    const result = await smtpService.sendEmail(validation.data);
-    
-    // Save to Sent folder
-    try {
-      const imapService = createImapService(req.user.imap);
-      const mailboxes = await imapService.getMailboxes();
-      const sentFolder = mailboxes.find(
-        box => box.specialUse === '\\Sent' || 
-        ['Sent', 'Sent Items', 'Sent Messages'].includes(box.name)
-      );
-      
-      if (sentFolder) {
-        const rawMessage = smtpService.buildDraftMessage(validation.data);
-        await imapService.appendMessage(sentFolder.path, rawMessage, ['\\Seen']);
-      }
-    } catch (error) {
-      console.warn('Failed to save to Sent folder:', error.message);
+    // Scheduled mail waits in the outbox; the scheduler sends it
+    const imapService = createImapService(req.user.imap);
+    const { scheduledAt, identityId, ...data } = validation.data;
+    const message = await withReplyHeaders(imapService, data);
+    message.identity = senderIdentity(await getSendingIdentity(req.user, identityId));
+    message.attachments = await attachOriginals(imapService, message.attachments);
+    if (scheduledAt && new Date(scheduledAt) > new Date()) {
+      const queued = await queueMessage(req.user.id, smtpService, message, new Date(scheduledAt));
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        outbox: queued,
+      });
     }
     
-    res.json({
-      success: true,
-      messageId: result.messageId,
-    });
+    res.status(202).json(await queueOutgoing(req.user.id, smtpService, message));
   } catch (error) {
     next(error);
   }
@@ -226,12 +613,27 @@ router.post('/send', upload.array('files'), async (req, res, next) => {
 
 /**
  * POST /api/emails/:folder/:uid/reply
- * Reply to an email
+ * Reply to the sender, everyone or the mailing list (mode), quoting the original as set in the user's settings
+ * unless includeQuote is false
  */
 router.post('/:folder/:uid/reply', async (req, res, next) => {
   try {
     const { folder, uid } = req.params;
-    const { body, replyAll = false, attachments = [] } = req.body;
+    const {
+      body,
+      replyAll = false,
+      mode = replyAll ? 'all' : 'sender',
+      includeQuote = true,
+      identityId,
+      attachments = [],
+    } = req.body;
+    
+    if (!REPLY_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Reply mode must be one of ${REPLY_MODES.join(', ')}`,
+      });
+    }
     
     const imapService = createImapService(req.user.imap);
     const smtpService = createSmtpService({
@@ -241,18 +643,32 @@ router.post('/:folder/:uid/reply', async (req, res, next) => {
     
     // Get original email
     const originalEmail = await imapService.getEmail(folder, parseInt(uid));
-    
-    // Send reply
-    const result = await smtpService.sendReply(originalEmail, {
+    if (!originalEmail) {
+      throw notFound('Email not found');
+    }
+    const identities = await getIdentities(req.user);
+    const recipients = replyRecipients(originalEmail, ownAddresses(req.user, identities));
+    if (!recipients[mode]) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'This email did not come from a mailing list',
+      });
+    }
+    const { replyPosition, replyAttribution } = await getUserSettings(req.user.id);
+    const reply = smtpService.buildReply(originalEmail, {
       body,
-      replyAll,
+      mode,
+      ownAddresses: ownAddresses(req.user, identities),
       attachments,
+      quote: includeQuote ? { position: replyPosition, attribution: replyAttribution } : null,
     });
+    reply.source = { folder: originalEmail.folder, uid: originalEmail.uid, messageId: originalEmail.messageId, type: 'reply' };
+    // From the address the original was sent to, unless one is picked
+    reply.identity = senderIdentity(identityId
+      ? await getSendingIdentity(req.user, identityId)
+      : replyIdentity(identities, originalEmail));
     
-    res.json({
-      success: true,
-      messageId: result.messageId,
-    });
+    res.status(202).json(await queueOutgoing(req.user.id, smtpService, reply));
   } catch (error) {
     next(error);
   }
@@ -260,42 +676,47 @@ router.post('/:folder/:uid/reply', async (req, res, next) => {
 
 /**
  * POST /api/emails/:folder/:uid/forward
- * Forward an email
+ * Forward an email with its attachments, or with asAttachment as a
+ * message/rfc822 attachment below the note
  */
 router.post('/:folder/:uid/forward', async (req, res, next) => {
   try {
     const { folder, uid } = req.params;
-    const { to, cc, bcc, body, attachments = [] } = req.body;
+    const validation = forwardSchema.safeParse(req.body || {});
     
-    if (!to || to.length === 0) {
+    if (!validation.success) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'At least one recipient is required',
+        message: validation.error.issues[0].message,
+        details: validation.error.issues,
       });
     }
     
+    const { to, cc, bcc, body, attachments, asAttachment, identityId } = validation.data;
+    
     const imapService = createImapService(req.user.imap);
     const smtpService = createSmtpService({
       ...req.user.smtp,
       name: req.user.name,
     });
     
-    // Get original email
-    const originalEmail = await imapService.getEmail(folder, parseInt(uid));
+    // Get original email, with its attachments' content to send them along
+    const originalEmail = await imapService.getEmail(folder, parseInt(uid), { attachmentContent: !asAttachment });
     
-    // Forward email
-    const result = await smtpService.forwardEmail(originalEmail, {
+    const forward = smtpService.buildForward(originalEmail, {
       to,
       cc,
       bcc,
       body,
-      attachments,
+      attachments: await attachOriginals(imapService, attachments),
+      ...(asAttachment && {
+        asAttachment: (await attachOriginals(imapService, [{ original: { folder, uid: parseInt(uid) } }]))[0],
+      }),
     });
+    forward.source = { folder: originalEmail.folder, uid: originalEmail.uid, messageId: originalEmail.messageId, type: 'forward' };
+    forward.identity = senderIdentity(await getSendingIdentity(req.user, identityId));
     
-    res.json({
-      success: true,
-      messageId: result.messageId,
-    });
+    res.status(202).json(await queueOutgoing(req.user.id, smtpService, forward));
   } catch (error) {
     next(error);
   }
@@ -455,6 +876,60 @@ router.post('/:folder/:uid/copy', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/emails/snoozed
+ * List snoozed messages, the next to return first
+ */
+router.get('/snoozed', async (req, res, next) => {
+  try {
+    const snoozed = await getSnoozed(req.user.id);
+    res.json({ snoozed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/emails/snoozed/:id
+ * Cancel a snooze; the message goes back to the inbox now
+ */
+router.delete('/snoozed/:id', async (req, res, next) => {
+  try {
+    const imapService = createImapService(req.user.imap);
+    const snooze = await cancelSnooze(req.user.id, imapService, req.params.id);
+    
+    res.json({ success: true, snooze });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/emails/:folder/:uid/snooze
+ * Move an email to the Snoozed folder until the given time
+ * Body: { until } (ISO 8601); re-snoozing a snoozed email changes its time
+ */
+router.post('/:folder/:uid/snooze', async (req, res, next) => {
+  try {
+    const { folder, uid } = req.params;
+    const validation = snoozeSchema.safeParse(req.body || {});
+    
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const imapService = createImapService(req.user.imap);
+    const snooze = await snoozeMessage(req.user.id, imapService, folder, parseInt(uid), new Date(validation.data.until));
+    
+    res.json({ success: true, snooze });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/emails/:folder/:uid
  * Delete an email (move to trash or permanent)
@@ -762,6 +1237,48 @@ router.post('/batch/spam', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/emails/conversations/:action
+ * Archive, delete, mark read/unread, star/unstar or label/unlabel a whole conversation
+ */
+router.post('/conversations/:action', async (req, res, next) => {
+  try {
+    const { action } = req.params;
+    const { threadId, folder = 'INBOX', label } = req.body;
+    
+    if (!CONVERSATION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `action must be one of ${CONVERSATION_ACTIONS.join(', ')}`,
+      });
+    }
+    
+    if (!threadId) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'threadId is required',
+      });
+    }
+    
+    if ((action === 'label' || action === 'unlabel') && !label) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'label (a label id) is required',
+      });
+    }
+    
+    const imapService = createImapService(req.user.imap);
+    const result = await applyConversationAction(req.user.id, imapService, threadId, action, {
+      folder,
+      label: label && await getLabelKeyword(req.user.id, label),
+    });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/emails/starred
  * Get all starred emails across folders
@@ -786,7 +1303,8 @@ router.get('/starred', async (req, res, next) => {
 
 /**
  * GET /api/emails/:folder/:uid/thread
- * Get conversation thread for an email
+ * Get the conversation an email belongs to (INBOX, Sent and Archive)
+ * Returns envelopes in date order plus the reply tree; bodies are fetched per message
  */
 router.get('/:folder/:uid/thread', async (req, res, next) => {
   try {
@@ -857,21 +1375,35 @@ router.delete('/draft/:folder/:uid', async (req, res, next) => {
 
 /**
  * GET /api/emails/sync
- * Check for new emails (polling endpoint)
+ * Check for changes since the client's last sync state (polling endpoint)
+ *
+ * With `state` (token from a previous response) returns new messages, changed
+ * flags and vanished UIDs using CONDSTORE/QRESYNC; `fullResync: true` means the
+ * folder must be reloaded. The legacy `uidNext` parameter only reports new mail.
  */
 router.get('/sync', async (req, res, next) => {
   try {
-    const { folder = 'INBOX', uidNext } = req.query;
+    const { folder = 'INBOX', uidNext, state } = req.query;
     
     const imapService = createImapService(req.user.imap);
     
-    if (uidNext) {
+    // Let filters handle new mail first, so the client never sees what they move away
+    if (await runsOnNewMail(req.user.id)) {
+      await syncFolder(req.user.id, imapService, folder);
+    }
+    
+    if (state || !uidNext) {
+      const result = await imapService.syncMailbox(folder, state);
+      await withLabels(req.user.id, result.newEmails);
+      res.json(result);
+    } else {
       // Check if there are new messages since uidNext
       const status = await imapService.checkNewMessages(folder, parseInt(uidNext));
       
       if (status.hasNew) {
         // Fetch the new messages
         const newEmails = await imapService.getNewMessages(folder, parseInt(uidNext));
+        await withLabels(req.user.id, newEmails.emails);
         res.json({
           ...status,
           newEmails: newEmails.emails,
@@ -879,10 +1411,6 @@ router.get('/sync', async (req, res, next) => {
       } else {
         res.json(status);
       }
-    } else {
-      // Just return current status
-      const status = await imapService.getMailboxStatus(folder);
-      res.json(status);
     }
   } catch (error) {
     next(error);
@@ -911,7 +1439,7 @@ router.get('/unread-counts', async (req, res, next) => {
 
 /**
  * POST /api/emails/:folder/:uid/label
- * Add a label/keyword to an email
+ * Label an email (sets the label's IMAP keyword); body: { label: labelId }
  */
 router.post('/:folder/:uid/label', async (req, res, next) => {
   try {
@@ -925,8 +1453,9 @@ router.post('/:folder/:uid/label', async (req, res, next) => {
       });
     }
     
+    const keyword = await getLabelKeyword(req.user.id, label);
     const imapService = createImapService(req.user.imap);
-    await imapService.addLabel(folder, parseInt(uid), label);
+    await imapService.addLabel(folder, parseInt(uid), keyword);
     
     res.json({ success: true, label });
   } catch (error) {
@@ -936,14 +1465,15 @@ router.post('/:folder/:uid/label', async (req, res, next) => {
 
 /**
  * DELETE /api/emails/:folder/:uid/label/:label
- * Remove a label/keyword from an email
+ * Remove a label (by id) from an email
  */
 router.delete('/:folder/:uid/label/:label', async (req, res, next) => {
   try {
     const { folder, uid, label } = req.params;
     
+    const keyword = await getLabelKeyword(req.user.id, label);
     const imapService = createImapService(req.user.imap);
-    await imapService.removeLabel(folder, parseInt(uid), label);
+    await imapService.removeLabel(folder, parseInt(uid), keyword);
     
     res.json({ success: true });
   } catch (error) {
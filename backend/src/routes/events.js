@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { subscribe } from '../services/mailWatcher.js';
+
+const router = Router();
+
+// All event routes require authentication
+router.use(authenticate);
+
+// Comment line sent periodically so proxies do not close the idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of mailbox changes (new mail, flag changes, expunges)
+ * pushed from an IMAP IDLE watcher on the user's INBOX
+ */
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (event, data) => {
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Ask the browser to wait before reconnecting after a dropped stream
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(req.user.id, req.user.imap, send);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -4,11 +4,211 @@ import {
   getUserSettings, 
   updateUserSettings, 
   getSignature, 
-  updateSignature 
+  updateSignature,
+  setServerFilters,
 } from '../services/settingsService.js';
+import {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from '../services/savedSearchService.js';
+import {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} from '../services/labelService.js';
+import {
+  getFilters,
+  getFilter,
+  createFilter,
+  updateFilter,
+  deleteFilter,
+  TEXT_OPERATORS,
+  SIZE_OPERATORS,
+} from '../services/filterService.js';
+import {
+  getIdentities,
+  ownAddresses,
+  createIdentity,
+  updateIdentity,
+  deleteIdentity,
+} from '../services/identityService.js';
+import { createImapService } from '../services/imap.js';
+import { createSieveService } from '../services/sieve.js';
+import { supportsVacation } from '../services/sieveScript.js';
+import { updateSieveScript } from '../services/sieveSync.js';
+import { getVacation, saveVacation } from '../services/vacationService.js';
+import { runFilterOnFolder } from '../services/syncService.js';
+import { countIndexed, countMessages } from '../services/searchIndex.js';
+import { parseSearchQuery, resolveSearchFolders } from '../services/searchQuery.js';
+import { z } from 'zod';
 
 const router = Router();
 
+const savedSearchSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  query: z.string().trim().min(1, 'Query is required').max(1000),
+  color: z.string().regex(/^#[0-9a-f]{6}$/i, 'Color must be a hex color').nullable().optional(),
+  position: z.number().int().min(0).optional(),
+});
+
+const labelSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(50),
+  color: z.string().regex(/^#[0-9a-f]{6}$/i, 'Color must be a hex color'),
+  position: z.number().int().min(0).optional(),
+});
+
+const identitySchema = z.object({
+  email: z.string().trim().toLowerCase().pipe(z.email('Address must be an email address')),
+  name: z.string().trim().max(100, 'Name is too long').optional(),
+  replyTo: z.email('Reply-To must be an email address').nullable().optional(),
+  signature: z.string().max(20000, 'Signature is too long').optional(),
+  bcc: z.array(z.email('Bcc addresses must be email addresses')).max(10, 'Add at most 10 Bcc addresses').optional(),
+  isDefault: z.boolean().optional(),
+  position: z.number().int().min(0).optional(),
+});
+
+const filterConditionSchema = z.discriminatedUnion('field', [
+  z.object({
+    field: z.enum(['from', 'to', 'subject', 'listId']),
+    operator: z.enum(TEXT_OPERATORS),
+    value: z.string().trim().min(1, 'Condition value is required').max(500),
+  }),
+  z.object({
+    field: z.literal('header'),
+    header: z.string().trim().regex(/^[!-9;-~]+$/, 'Invalid header name'),
+    operator: z.enum(TEXT_OPERATORS),
+    value: z.string().trim().min(1, 'Condition value is required').max(500),
+  }),
+  z.object({
+    field: z.literal('size'),
+    operator: z.enum(SIZE_OPERATORS),
+    value: z.number().int().min(0),
+  }),
+  z.object({
+    field: z.literal('hasAttachment'),
+    value: z.boolean(),
+  }),
+], { error: 'Unknown condition field' });
+
+const filterActionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('move'), folder: z.string().trim().min(1, 'Folder is required') }),
+  z.object({ type: z.literal('label'), labelId: z.string().min(1, 'Label is required') }),
+  z.object({ type: z.literal('forward'), to: z.email('Forward address must be an email address') }),
+  z.object({ type: z.enum(['star', 'read', 'delete', 'spam']) }),
+], { error: 'Unknown action type' });
+
+const filterSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  enabled: z.boolean().optional(),
+  match: z.enum(['all', 'any']).optional(),
+  conditions: z.array(filterConditionSchema).min(1, 'Add at least one condition').max(20),
+  actions: z.array(filterActionSchema).min(1, 'Add at least one action').max(10),
+  stopProcessing: z.boolean().optional(),
+  position: z.number().int().min(0).optional(),
+});
+
+/**
+ * Validate a filter body
+ * Forwarding to one of the user's own addresses would loop back through the filter.
+ * @param {Array<string>} addresses - The user's own addresses (see ownAddresses)
+ * @returns {Object} { data } or { message } on failure
+ */
+function validateFilter(body, addresses, { partial = false } = {}) {
+  const schema = partial ? filterSchema.partial() : filterSchema;
+  const validation = schema.safeParse(body || {});
+  if (!validation.success) {
+    return { message: validation.error.issues[0].message };
+  }
+
+  const own = addresses.filter(Boolean).map(address => address.toLowerCase());
+  const forwardsToSelf = (validation.data.actions || [])
+    .some(action => action.type === 'forward' && own.includes(action.to.toLowerCase()));
+  if (forwardsToSelf) {
+    return { message: 'A filter cannot forward to your own address' };
+  }
+  return { data: validation.data };
+}
+
+const vacationSchema = z.object({
+  enabled: z.boolean(),
+  subject: z.string().trim().max(200, 'Subject is too long').optional(),
+  bodyText: z.string().max(20000, 'Message is too long').optional(),
+  bodyHtml: z.string().max(200000, 'Message is too long').nullable().optional(),
+  startDate: z.iso.date('Start date must be a date').nullable().optional(),
+  endDate: z.iso.date('End date must be a date').nullable().optional(),
+  intervalDays: z.number().int().min(1, 'Reply at most once a day').max(30, 'Reply at least once every 30 days').optional(),
+  excludedAddresses: z.array(
+    z.string().trim().toLowerCase().refine(
+      value => z.email().safeParse(value).success || /^@[^\s@]+\.[^\s@]+$/.test(value),
+      'Excluded entries must be email addresses or @domains',
+    ),
+  ).max(100).optional(),
+})
+  .refine(data => !data.enabled || data.bodyText?.trim(), { error: 'Message is required' })
+  .refine(data => !data.startDate || !data.endDate || data.startDate <= data.endDate, {
+    error: 'End date must not be before the start date',
+  });
+
+const sieveScriptNameSchema = z.string()
+  .min(1, 'Script name is required')
+  .max(128, 'Script name is too long')
+  .regex(/^\P{Cc}+$/u, 'Script name cannot contain control characters');
+
+const sieveScriptSchema = z.object({
+  script: z.string().max(1024 * 1024, 'Script is too large'),
+});
+
+/**
+ * Run work against the user's ManageSieve server, closing the connection after
+ */
+async function withSieve(user, work) {
+  const sieveService = createSieveService(user.imap);
+  try {
+    return await work(sieveService);
+  } finally {
+    await sieveService.close();
+  }
+}
+
+/**
+ * Recompile the Sieve script after filters or labels change, when the user's
+ * filters run on the mail server. The change itself is already saved, so a
+ * failure is reported with the response instead of failing the request.
+ * @returns {Promise<Object|undefined>} { synced, script } or { synced: false, message }
+ */
+async function refreshSieveFilters(user) {
+  if (!(await getUserSettings(user.id)).serverFilters) return undefined;
+
+  try {
+    const imapService = createImapService(user.imap);
+    const { script } = await withSieve(user, sieveService => updateSieveScript(user.id, imapService, sieveService));
+    return { synced: true, script };
+  } catch (error) {
+    console.warn('Failed to update Sieve filters:', error.message);
+    return { synced: false, message: error.message };
+  }
+}
+
+/**
+ * Validate a saved search body; the query must parse and search for something
+ * @returns {Object} { data } or { message } on failure
+ */
+function validateSavedSearch(body, { partial = false } = {}) {
+  const schema = partial ? savedSearchSchema.partial() : savedSearchSchema;
+  const validation = schema.safeParse(body || {});
+  if (!validation.success) {
+    return { message: validation.error.issues[0].message };
+  }
+
+  if (validation.data.query !== undefined && !parseSearchQuery(validation.data.query)) {
+    return { message: 'Query has nothing to search for' };
+  }
+  return { data: validation.data };
+}
+
 // All settings routes require authentication
 router.use(authenticate);
 
@@ -66,94 +266,563 @@ router.put('/signature', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/settings/searches
+ * Get saved searches with their unread counts (null until the search index is built)
+ */
+router.get('/searches', async (req, res, next) => {
+  try {
+    const searches = await getSavedSearches(req.user.id);
+    
+    if (searches.length === 0 || await countIndexed(req.user.id) === 0) {
+      return res.json({ searches: searches.map(search => ({ ...search, unreadCount: null })) });
+    }
+    
+    const imapService = createImapService(req.user.imap);
+    const resolve = name => imapService.resolveFolderPath(name);
+    
+    for (const search of searches) {
+      try {
+        const tree = await resolveSearchFolders(parseSearchQuery(search.query), resolve);
+        search.unreadCount = await countMessages(req.user.id, tree, { unread: true });
+      } catch {
+        // A query that no longer validates still opens, just without a count
+        search.unreadCount = null;
+      }
+    }
+    
+    res.json({ searches });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/searches
+ * Save a search
+ */
+router.post('/searches', async (req, res, next) => {
+  try {
+    const { data, message } = validateSavedSearch(req.body);
+    if (!data) {
+      return res.status(400).json({ error: 'Validation Error', message });
+    }
+    
+    const search = await createSavedSearch(req.user.id, data);
+    res.status(201).json({ success: true, search });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/settings/searches/:id
+ * Update a saved search
+ */
+router.patch('/searches/:id', async (req, res, next) => {
+  try {
+    const { data, message } = validateSavedSearch(req.body, { partial: true });
+    if (!data) {
+      return res.status(400).json({ error: 'Validation Error', message });
+    }
+    
+    const search = await updateSavedSearch(req.user.id, req.params.id, data);
+    if (!search) {
+      return res.status(404).json({ error: 'Not Found', message: 'Saved search not found' });
+    }
+    
+    res.json({ success: true, search });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/searches/:id
+ * Delete a saved search
+ */
+router.delete('/searches/:id', async (req, res, next) => {
+  try {
+    const deleted = await deleteSavedSearch(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Not Found', message: 'Saved search not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/settings/filters
- * Get email filters/rules
+ * Get mail filters in the order they run
  */
-router.get('/filters', async (req, res) => {
-  // Email filters would be stored in a database
-  res.json({
-    filters: [],
-  });
+router.get('/filters', async (req, res, next) => {
+  try {
+    const filters = await getFilters(req.user.id);
+    res.json({ filters });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * POST /api/settings/filters
- * Create a new email filter
- */
-router.post('/filters', async (req, res) => {
-  const { filter } = req.body;
-  
-  res.json({
-    success: true,
-    filter: {
-      id: Date.now().toString(),
-      ...filter,
-    },
-  });
+ * Create a filter; it runs on new INBOX mail after the existing ones
+ */
+router.post('/filters', async (req, res, next) => {
+  try {
+    const addresses = ownAddresses(req.user, await getIdentities(req.user));
+    const { data, message } = validateFilter(req.body, addresses);
+    if (!data) {
+      return res.status(400).json({ error: 'Validation Error', message });
+    }
+    
+    const filter = await createFilter(req.user.id, data);
+    const sieve = await refreshSieveFilters(req.user);
+    res.status(201).json({ success: true, filter, sieve });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/settings/filters/:id
+ * Update a filter (conditions and actions are replaced as a whole)
+ */
+router.patch('/filters/:id', async (req, res, next) => {
+  try {
+    const addresses = ownAddresses(req.user, await getIdentities(req.user));
+    const { data, message } = validateFilter(req.body, addresses, { partial: true });
+    if (!data) {
+      return res.status(400).json({ error: 'Validation Error', message });
+    }
+    
+    const filter = await updateFilter(req.user.id, req.params.id, data);
+    if (!filter) {
+      return res.status(404).json({ error: 'Not Found', message: 'Filter not found' });
+    }
+    
+    const sieve = await refreshSieveFilters(req.user);
+    res.json({ success: true, filter, sieve });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * DELETE /api/settings/filters/:id
- * Delete an email filter
+ * Delete a filter
  */
-router.delete('/filters/:id', async (req, res) => {
-  res.json({ success: true });
+router.delete('/filters/:id', async (req, res, next) => {
+  try {
+    const deleted = await deleteFilter(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Not Found', message: 'Filter not found' });
+    }
+    
+    const sieve = await refreshSieveFilters(req.user);
+    res.json({ success: true, sieve });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/filters/:id/run
+ * Run a filter over the messages already in a folder; body: { folder }
+ */
+router.post('/filters/:id/run', async (req, res, next) => {
+  try {
+    const folder = req.body?.folder;
+    if (typeof folder !== 'string' || !folder.trim()) {
+      return res.status(400).json({ error: 'Validation Error', message: 'folder is required' });
+    }
+    
+    const filter = await getFilter(req.user.id, req.params.id);
+    if (!filter) {
+      return res.status(404).json({ error: 'Not Found', message: 'Filter not found' });
+    }
+    
+    const imapService = createImapService(req.user.imap);
+    const result = await runFilterOnFolder(req.user.id, imapService, filter, folder.trim());
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * GET /api/settings/labels
- * Get custom labels
- */
-router.get('/labels', async (req, res) => {
-  res.json({
-    labels: [
-      { id: 'work', name: 'Work', color: '#1a73e8' },
-      { id: 'personal', name: 'Personal', color: '#34a853' },
-      { id: 'important-label', name: 'Important', color: '#ea4335' },
-      { id: 'finance', name: 'Finance', color: '#9334e9' },
-      { id: 'travel', name: 'Travel', color: '#ff6d01' },
-    ],
-  });
+ * Get labels with their IMAP keywords
+ */
+router.get('/labels', async (req, res, next) => {
+  try {
+    const labels = await getLabels(req.user.id);
+    res.json({ labels });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * POST /api/settings/labels
  * Create a new label
  */
-router.post('/labels', async (req, res) => {
-  const { name, color } = req.body;
-  
-  res.json({
-    success: true,
-    label: {
-      id: Date.now().toString(),
-      name,
-      color,
-    },
-  });
+router.post('/labels', async (req, res, next) => {
+  try {
+    const validation = labelSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const label = await createLabel(req.user.id, validation.data);
+    res.status(201).json({ success: true, label });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * PATCH /api/settings/labels/:id
- * Update a label
- */
-router.patch('/labels/:id', async (req, res) => {
-  const { id } = req.params;
-  const { name, color } = req.body;
-  
-  res.json({
-    success: true,
-    label: { id, name, color },
-  });
+ * Update a label; renaming rewrites its keyword on every tagged message
+ */
+router.patch('/labels/:id', async (req, res, next) => {
+  try {
+    const validation = labelSchema.partial().safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const imapService = createImapService(req.user.imap);
+    const label = await updateLabel(req.user.id, imapService, req.params.id, validation.data);
+    if (!label) {
+      return res.status(404).json({ error: 'Not Found', message: 'Label not found' });
+    }
+    
+    // A rename changes the keyword the Sieve rules set
+    const sieve = validation.data.name !== undefined ? await refreshSieveFilters(req.user) : undefined;
+    res.json({ success: true, label, sieve });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * DELETE /api/settings/labels/:id
- * Delete a label
+ * Delete a label and remove it from every message
  */
-router.delete('/labels/:id', async (req, res) => {
-  res.json({ success: true });
+router.delete('/labels/:id', async (req, res, next) => {
+  try {
+    const imapService = createImapService(req.user.imap);
+    const deleted = await deleteLabel(req.user.id, imapService, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Not Found', message: 'Label not found' });
+    }
+    
+    const sieve = await refreshSieveFilters(req.user);
+    res.json({ success: true, sieve });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/identities
+ * Get the addresses the user sends from; the account's own is created on first use
+ */
+router.get('/identities', async (req, res, next) => {
+  try {
+    const identities = await getIdentities(req.user);
+    res.json({ identities });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/identities
+ * Add an address to send from
+ */
+router.post('/identities', async (req, res, next) => {
+  try {
+    const validation = identitySchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const identity = await createIdentity(req.user, validation.data);
+    res.status(201).json({ success: true, identity });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/settings/identities/:id
+ * Update an identity; isDefault: true makes it the default for new mail
+ */
+router.patch('/identities/:id', async (req, res, next) => {
+  try {
+    const validation = identitySchema.partial().safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.error.issues[0].message,
+      });
+    }
+    
+    const identity = await updateIdentity(req.user.id, req.params.id, validation.data);
+    if (!identity) {
+      return res.status(404).json({ error: 'Not Found', message: 'Identity not found' });
+    }
+    res.json({ success: true, identity });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/identities/:id
+ * Delete an identity; the last one cannot be deleted
+ */
+router.delete('/identities/:id', async (req, res, next) => {
+  try {
+    const deleted = await deleteIdentity(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Not Found', message: 'Identity not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/vacation
+ * Get the vacation (out-of-office) reply and whether the server or NovaMail sends it
+ */
+router.get('/vacation', async (req, res, next) => {
+  try {
+    const vacation = await getVacation(req.user.id);
+    res.json({ vacation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/vacation
+ * Save the vacation reply. It goes into the Sieve script when the mail server
+ * supports the vacation extension (and date tests for a date range); otherwise
+ * NovaMail answers new mail itself. Fails with 502, keeping the old settings,
+ * when a Sieve vacation rule can be neither updated nor removed.
+ */
+router.put('/vacation', async (req, res, next) => {
+  try {
+    const validation = vacationSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({ error: 'Validation Error', message: validation.error.issues[0].message });
+    }
+    
+    const data = validation.data;
+    const imapService = createImapService(req.user.imap);
+    const previous = await getVacation(req.user.id);
+    let vacation;
+    try {
+      vacation = await withSieve(req.user, async (sieveService) => {
+        const { extensions } = await sieveService.getCapabilities();
+        const saved = await saveVacation(req.user.id, data, supportsVacation(data, extensions) ? 'sieve' : 'local');
+        await updateSieveScript(req.user.id, imapService, sieveService);
+        return saved;
+      });
+    } catch (error) {
+      // No ManageSieve, or the server refused the script
+      console.warn('Vacation reply falls back to the local responder:', error.message);
+      vacation = await saveVacation(req.user.id, data, 'local');
+
+      // A vacation rule left in the script would answer alongside the local
+      // responder, so the script is rewritten without it
+      if (previous.enabled && previous.mode === 'sieve') {
+        try {
+          await withSieve(req.user, sieveService => updateSieveScript(req.user.id, imapService, sieveService));
+        } catch (cleanupError) {
+          await saveVacation(req.user.id, previous, 'sieve');
+          return res.status(502).json({
+            error: 'Mail Server Error',
+            message: `The vacation reply on the mail server could not be changed: ${cleanupError.message}`,
+          });
+        }
+      }
+    }
+
+    res.json({ success: true, vacation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/sieve
+ * ManageSieve server capabilities, scripts and whether filters run on the server
+ */
+router.get('/sieve', async (req, res, next) => {
+  try {
+    const { serverFilters } = await getUserSettings(req.user.id);
+    const result = await withSieve(req.user, async (sieveService) => ({
+      ...(await sieveService.getCapabilities()),
+      scripts: await sieveService.listScripts(),
+    }));
+    res.json({ serverFilters, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Switch where filters run and rewrite the Sieve script to match
+ * The setting is put back when the mail server refuses the change, so filters
+ * never run in both places (or in neither).
+ */
+async function switchServerFilters(user, enabled) {
+  await setServerFilters(user.id, enabled);
+  try {
+    const imapService = createImapService(user.imap);
+    return await withSieve(user, sieveService => updateSieveScript(user.id, imapService, sieveService));
+  } catch (error) {
+    await setServerFilters(user.id, !enabled);
+    throw error;
+  }
+}
+
+/**
+ * PUT /api/settings/sieve/filters
+ * Run filters on the mail server: compile them into the active Sieve script
+ */
+router.put('/sieve/filters', async (req, res, next) => {
+  try {
+    const result = await switchServerFilters(req.user, true);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/sieve/filters
+ * Run filters in NovaMail again; the user's own Sieve rules stay in place
+ */
+router.delete('/sieve/filters', async (req, res, next) => {
+  try {
+    await switchServerFilters(req.user, false);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/sieve/check
+ * Check a script without storing it; body: { script }
+ */
+router.post('/sieve/check', async (req, res, next) => {
+  try {
+    const validation = sieveScriptSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({ error: 'Validation Error', message: validation.error.issues[0].message });
+    }
+    
+    const result = await withSieve(req.user, sieveService => sieveService.checkScript(validation.data.script));
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/sieve/deactivate
+ * Deactivate the active script
+ */
+router.post('/sieve/deactivate', async (req, res, next) => {
+  try {
+    await withSieve(req.user, sieveService => sieveService.setActive(''));
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/sieve/scripts/:name
+ * Get a script's source
+ */
+router.get('/sieve/scripts/:name', async (req, res, next) => {
+  try {
+    const name = req.params.name;
+    const script = await withSieve(req.user, sieveService => sieveService.getScript(name));
+    res.json({ name, script });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings/sieve/scripts/:name
+ * Upload a script, replacing one with the same name; body: { script }
+ * The server refuses scripts that do not compile (400 with its errors).
+ */
+router.put('/sieve/scripts/:name', async (req, res, next) => {
+  try {
+    const nameValidation = sieveScriptNameSchema.safeParse(req.params.name);
+    const validation = sieveScriptSchema.safeParse(req.body || {});
+    const failed = [nameValidation, validation].find(result => !result.success);
+    if (failed) {
+      return res.status(400).json({ error: 'Validation Error', message: failed.error.issues[0].message });
+    }
+    
+    const warnings = await withSieve(req.user, sieveService => (
+      sieveService.putScript(nameValidation.data, validation.data.script)
+    ));
+    res.json({ success: true, warnings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/settings/sieve/scripts/:name/activate
+ * Make a script the active one
+ */
+router.post('/sieve/scripts/:name/activate', async (req, res, next) => {
+  try {
+    await withSieve(req.user, sieveService => sieveService.setActive(req.params.name));
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/settings/sieve/scripts/:name
+ * Delete a script (409 for the active one)
+ */
+router.delete('/sieve/scripts/:name', async (req, res, next) => {
+  try {
+    await withSieve(req.user, sieveService => sieveService.deleteScript(req.params.name));
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
 });
 
 export default router;
@@ -0,0 +1,266 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { createImapService } from './imap.js';
+import { listEmails } from './syncService.js';
+import { withLabels } from './labelService.js';
+import { removeFromIndex } from './searchIndex.js';
+import { getUserById, upsertUser, getMailCredentials, deleteUser } from './userService.js';
+
+/**
+ * Account Service - Further mail accounts linked to a NovaMail login
+ *
+ * A linked account is a users row of its own, so its encrypted credentials,
+ * server settings, message cache, outbox and settings stay apart from the
+ * login's. The link only lets the login act as that account: requests name
+ * it in the X-Account-Id header and the auth middleware swaps in its
+ * credentials. The unified views merge lists from every account of a login.
+ */
+
+export const ACCOUNT_COLORS = ['#1a73e8', '#34a853', '#ea4335', '#9334e9', '#ff6d01', '#00897b', '#f9ab00', '#e91e63'];
+
+// The account signed in with always has the first color
+const LOGIN_COLOR = ACCOUNT_COLORS[0];
+
+const MAX_LINKED_ACCOUNTS = 10;
+
+/**
+ * What each unified view lists from every account
+ */
+export const UNIFIED_VIEWS = {
+  inbox: { folder: 'INBOX' },
+  unread: { folder: 'INBOX', where: { is_read: false } },
+  starred: { folder: 'starred' },
+};
+
+function formatAccount(row, isLogin = false) {
+  return {
+    id: row.account_id,
+    email: row.email,
+    name: row.name || '',
+    color: row.color,
+    position: row.position,
+    isLogin,
+    imapHost: row.imap_host,
+    smtpHost: row.smtp_host,
+  };
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function linkedRows(loginId) {
+  return db('linked_accounts')
+    .join('users', 'users.id', 'linked_accounts.account_id')
+    .where('linked_accounts.user_id', loginId)
+    .select('linked_accounts.*', 'users.email', 'users.name', 'users.imap_host', 'users.smtp_host');
+}
+
+/**
+ * Get the accounts of a login: the one signed in with, then the linked ones
+ */
+export async function getAccounts(loginId) {
+  const login = await db('users').where('id', loginId).first();
+  if (!login) return [];
+
+  const rows = await linkedRows(loginId)
+    .orderBy([{ column: 'linked_accounts.position' }, { column: 'linked_accounts.created_at' }]);
+
+  return [
+    formatAccount({ ...login, account_id: login.id, color: LOGIN_COLOR, position: 0 }, true),
+    ...rows.map(row => formatAccount(row)),
+  ];
+}
+
+/**
+ * Get one linked account
+ * @throws {Error} 404 when it is not linked to the login
+ */
+export async function getLinkedAccount(loginId, accountId) {
+  const row = await linkedRows(loginId).where('linked_accounts.account_id', accountId).first();
+  if (!row) {
+    throw httpError('Account not found', 404);
+  }
+  return formatAccount(row);
+}
+
+/**
+ * Whether a login may act as an account
+ */
+export async function isLinkedAccount(loginId, accountId) {
+  const row = await db('linked_accounts')
+    .where({ user_id: loginId, account_id: accountId })
+    .first('id');
+  return !!row;
+}
+
+/**
+ * Whether anyone but the login uses an account: another login links it, or
+ * it is signed in with directly
+ */
+async function usedElsewhere(loginId, accountId, trx = db) {
+  const otherLink = await trx('linked_accounts')
+    .where('account_id', accountId)
+    .whereNot('user_id', loginId)
+    .first('id');
+  const session = await trx('sessions').where('user_id', accountId).first('jti');
+  return !!(otherLink || session);
+}
+
+/**
+ * Whether a users row has the same mail servers as new account data
+ */
+function sameServers(row, userData) {
+  return row.imap_host.toLowerCase() === userData.imapHost.toLowerCase()
+    && Number(row.imap_port) === Number(userData.imapPort || 993)
+    && row.imap_security === (userData.imapSecurity || 'SSL/TLS')
+    && row.smtp_host.toLowerCase() === userData.smtpHost.toLowerCase()
+    && Number(row.smtp_port) === Number(userData.smtpPort || 465)
+    && row.smtp_security === (userData.smtpSecurity || 'SSL/TLS');
+}
+
+/**
+ * Link an account whose credentials have been checked against its server
+ * Linking an account again updates its password and server settings.
+ * An address that already has a users row of someone else's (signed in with,
+ * or linked to another login) is only linked with the servers that row uses:
+ * the credentials were checked against the given servers, which vouch for
+ * that mailbox only when they are the same.
+ * @param {Object} userData - Same fields as createUser
+ * @throws {Error} 409 for the account signed in with or one set up with other
+ *   servers, 400 past the account limit
+ */
+export async function linkAccount(loginId, userData) {
+  const login = await getUserById(loginId);
+  if (login.email === userData.email.toLowerCase()) {
+    throw httpError('You are signed in with this account', 409);
+  }
+
+  const rows = await db('linked_accounts').where('user_id', loginId).select('account_id', 'color', 'position');
+  const existing = await db('users').where('email', userData.email.toLowerCase()).first();
+  const isLinked = !!existing && rows.some(row => row.account_id === existing.id);
+  if (!isLinked && rows.length >= MAX_LINKED_ACCOUNTS) {
+    throw httpError(`You can link up to ${MAX_LINKED_ACCOUNTS} accounts`, 400);
+  }
+  const isOwn = isLinked && !(await usedElsewhere(loginId, existing.id));
+  if (existing && !isOwn && !sameServers(existing, userData)) {
+    throw httpError('This address is already set up in NovaMail with other mail servers', 409);
+  }
+
+  const account = await upsertUser(userData);
+  if (isLinked) {
+    return getLinkedAccount(loginId, account.id);
+  }
+
+  const used = new Set([LOGIN_COLOR, ...rows.map(row => row.color)]);
+  await db('linked_accounts').insert({
+    id: crypto.randomUUID(),
+    user_id: loginId,
+    account_id: account.id,
+    color: ACCOUNT_COLORS.find(color => !used.has(color)) || ACCOUNT_COLORS[(rows.length + 1) % ACCOUNT_COLORS.length],
+    // After the account signed in with, which is listed at 0
+    position: rows.reduce((max, row) => Math.max(max, row.position + 1), 1),
+  });
+
+  return getLinkedAccount(loginId, account.id);
+}
+
+/**
+ * Change a linked account's color or position
+ * @throws {Error} 404 when it is not linked to the login
+ */
+export async function updateAccount(loginId, accountId, updates) {
+  await getLinkedAccount(loginId, accountId);
+
+  const updateData = { updated_at: new Date().toISOString() };
+  if (updates.color !== undefined) updateData.color = updates.color;
+  if (updates.position !== undefined) updateData.position = updates.position;
+
+  await db('linked_accounts').where({ user_id: loginId, account_id: accountId }).update(updateData);
+  return getLinkedAccount(loginId, accountId);
+}
+
+/**
+ * Unlink an account
+ * Its stored credentials and cached mail are deleted as well, unless it is
+ * signed in with directly or linked to another login.
+ * @throws {Error} 404 when it is not linked to the login
+ */
+export async function unlinkAccount(loginId, accountId) {
+  await getLinkedAccount(loginId, accountId);
+  const credentials = await getMailCredentials(accountId);
+
+  const deleted = await db.transaction(async (trx) => {
+    await trx('linked_accounts').where({ user_id: loginId, account_id: accountId }).del();
+
+    if (await usedElsewhere(loginId, accountId, trx)) return false;
+
+    // Deleting the user cascades to its tables, but not to the FTS5 index
+    await removeFromIndex(accountId, {}, trx);
+    await deleteUser(accountId, trx);
+    return true;
+  });
+
+  if (deleted && credentials) {
+    // Drop its idle pooled IMAP connections
+    createImapService(credentials.imap).closeConnections();
+  }
+  return true;
+}
+
+/**
+ * List a unified view, newest first
+ * Each account's list is synced and read from its own cache; an account
+ * whose server cannot be reached is reported in `accounts` and left out.
+ * @param {Array<Object>} accounts - From getAccounts
+ * @param {string} view - Key of UNIFIED_VIEWS
+ * @returns {Promise<{emails: Array, total: number, accounts: Array}>} Emails
+ *   carry accountId and accountColor; their ids are prefixed with the account id
+ */
+export async function listUnified(accounts, view, { limit = 50, offset = 0 } = {}) {
+  const { folder, where } = UNIFIED_VIEWS[view];
+
+  const lists = await Promise.all(accounts.map(async (account) => {
+    try {
+      const { imap } = await getMailCredentials(account.id);
+      // Enough of every account to fill the requested page after merging
+      const result = await listEmails(account.id, createImapService(imap), folder, {
+        limit: offset + limit,
+        where,
+      });
+      await withLabels(account.id, result.emails);
+      return { account, emails: result.emails, total: result.total };
+    } catch (error) {
+      console.warn(`Failed to list ${view} of ${account.email}:`, error.message);
+      return { account, emails: [], total: 0, error: error.message };
+    }
+  }));
+
+  const emails = lists
+    .flatMap(({ account, emails: list }) => list.map(email => ({
+      ...email,
+      id: `${account.id}:${email.id}`,
+      accountId: account.id,
+      accountEmail: account.email,
+      accountColor: account.color,
+    })))
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(offset, offset + limit);
+
+  return {
+    emails,
+    total: lists.reduce((sum, list) => sum + list.total, 0),
+    view,
+    limit,
+    offset,
+    accounts: lists.map(({ account, total, error }) => ({
+      id: account.id,
+      email: account.email,
+      color: account.color,
+      total,
+      ...(error && { error }),
+    })),
+  };
+}
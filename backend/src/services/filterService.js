@@ -0,0 +1,346 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { getLabels } from './labelService.js';
+import { updateFlags, removeMessages } from './messageCache.js';
+import { queueMessage } from './outboxService.js';
+import { createSmtpService } from './smtp.js';
+import { getMailCredentials } from './userService.js';
+
+/**
+ * Filter Service - Per-user mail rules
+ *
+ * A filter matches a message when all (or any) of its conditions hold and then
+ * applies its actions. The sync service runs enabled filters in position order
+ * against new INBOX mail; a single filter can also be run over a whole folder.
+ *
+ * Conditions: { field, operator, value } where field is from, to (To and Cc),
+ * subject or listId with a text operator, header (plus a `header` name) with a
+ * text operator, size with greaterThan/lessThan bytes, or hasAttachment with a
+ * boolean value. Text comparisons ignore case.
+ *
+ * Actions: { type } where type is star, read, delete or spam, or move with a
+ * `folder`, label with a `labelId`, forward with a `to` address. Flags are set
+ * before the message leaves the folder; delete wins over spam, spam over move.
+ *
+ * When the user runs filters on the mail server instead, the same definitions
+ * are compiled into the active Sieve script (see sieveSync.js).
+ */
+
+export const TEXT_OPERATORS = ['contains', 'notContains', 'equals', 'startsWith', 'endsWith'];
+export const SIZE_OPERATORS = ['greaterThan', 'lessThan'];
+
+const FLAG_ACTIONS = { star: '\\Flagged', read: '\\Seen' };
+
+// Actions that take a message out of its folder, strongest first
+const LEAVE_ACTIONS = ['delete', 'spam', 'move'];
+
+function formatFilter(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: !!row.enabled,
+    match: row.match,
+    conditions: JSON.parse(row.conditions),
+    actions: JSON.parse(row.actions),
+    stopProcessing: !!row.stop_processing,
+    position: row.position,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function invalid(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Label actions must point at one of the user's labels
+ */
+async function assertLabelsExist(userId, actions) {
+  const labelIds = new Set((await getLabels(userId)).map(label => label.id));
+  if (actions.some(action => action.type === 'label' && !labelIds.has(action.labelId))) {
+    throw invalid('Label not found');
+  }
+}
+
+/**
+ * Get a user's filters in the order they run
+ */
+export async function getFilters(userId) {
+  const rows = await db('filters')
+    .where('user_id', userId)
+    .orderBy([{ column: 'position' }, { column: 'created_at' }]);
+
+  return rows.map(formatFilter);
+}
+
+/**
+ * Get the filters that run on new mail
+ */
+export async function getEnabledFilters(userId) {
+  return (await getFilters(userId)).filter(filter => filter.enabled);
+}
+
+/**
+ * Whether a user has any filter that runs on new mail
+ */
+export async function hasEnabledFilters(userId) {
+  const row = await db('filters').where({ user_id: userId, enabled: true }).first('id');
+  return !!row;
+}
+
+/**
+ * Get one filter
+ * @returns {Promise<Object|null>}
+ */
+export async function getFilter(userId, id) {
+  const row = await db('filters').where({ id, user_id: userId }).first();
+  return row ? formatFilter(row) : null;
+}
+
+/**
+ * Create a filter, run after the existing ones
+ * @throws {Error} ValidationError when a label action names an unknown label
+ */
+export async function createFilter(userId, {
+  name,
+  enabled = true,
+  match = 'all',
+  conditions,
+  actions,
+  stopProcessing = false,
+}) {
+  await assertLabelsExist(userId, actions);
+
+  const id = crypto.randomUUID();
+  const [{ last }] = await db('filters').where('user_id', userId).max({ last: 'position' });
+
+  await db('filters').insert({
+    id,
+    user_id: userId,
+    name,
+    enabled,
+    match,
+    conditions: JSON.stringify(conditions),
+    actions: JSON.stringify(actions),
+    stop_processing: stopProcessing,
+    position: last === null ? 0 : last + 1,
+  });
+
+  return getFilter(userId, id);
+}
+
+/**
+ * Update a filter
+ * @returns {Promise<Object|null>} null when it does not exist
+ */
+export async function updateFilter(userId, id, updates) {
+  if (updates.actions !== undefined) {
+    await assertLabelsExist(userId, updates.actions);
+  }
+
+  const dbUpdates = {};
+  if (updates.name !== undefined) dbUpdates.name = updates.name;
+  if (updates.enabled !== undefined) dbUpdates.enabled = updates.enabled;
+  if (updates.match !== undefined) dbUpdates.match = updates.match;
+  if (updates.conditions !== undefined) dbUpdates.conditions = JSON.stringify(updates.conditions);
+  if (updates.actions !== undefined) dbUpdates.actions = JSON.stringify(updates.actions);
+  if (updates.stopProcessing !== undefined) dbUpdates.stop_processing = updates.stopProcessing;
+  if (updates.position !== undefined) dbUpdates.position = updates.position;
+
+  dbUpdates.updated_at = new Date().toISOString();
+
+  const updated = await db('filters').where({ id, user_id: userId }).update(dbUpdates);
+  return updated ? getFilter(userId, id) : null;
+}
+
+/**
+ * Delete a filter
+ * @returns {Promise<boolean>} false when it does not exist
+ */
+export async function deleteFilter(userId, id) {
+  const deleted = await db('filters').where({ id, user_id: userId }).del();
+  return deleted > 0;
+}
+
+function matchText(candidates, operator, value) {
+  const needle = value.toLowerCase();
+  const test = (text) => {
+    const haystack = (text || '').toLowerCase();
+    switch (operator) {
+      case 'equals':
+        return haystack === needle;
+      case 'startsWith':
+        return haystack.startsWith(needle);
+      case 'endsWith':
+        return haystack.endsWith(needle);
+      default:
+        return haystack.includes(needle);
+    }
+  };
+
+  const found = candidates.filter(Boolean).some(test);
+  return operator === 'notContains' ? !found : found;
+}
+
+/**
+ * Whether one condition holds for a message
+ * @param {Object} headers - Lower-cased header name to values (see ImapService.getHeaders)
+ */
+function matchesCondition(condition, email, headers) {
+  const { field, operator, value } = condition;
+  const addresses = list => (list || []).flatMap(address => [address.email, address.name]);
+
+  switch (field) {
+    case 'from':
+      return matchText(addresses([email.from]), operator, value);
+    case 'to':
+      return matchText(addresses([...(email.to || []), ...(email.cc || [])]), operator, value);
+    case 'subject':
+      return matchText([email.subject], operator, value);
+    case 'header':
+      return matchText(headers[condition.header.toLowerCase()] || [], operator, value);
+    case 'listId': {
+      // "Team list <team.lists.example.com>" matches both the whole value and the bare id
+      const values = (headers['list-id'] || []).flatMap(v => [v, v.match(/<([^>]+)>/)?.[1]]);
+      return matchText(values, operator, value);
+    }
+    case 'size':
+      return operator === 'greaterThan' ? email.size > value : email.size < value;
+    case 'hasAttachment':
+      return !!email.hasAttachments === value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a filter matches a message
+ */
+export function matchesFilter(filter, email, headers = {}) {
+  const results = filter.conditions.map(condition => matchesCondition(condition, email, headers));
+  return filter.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+/**
+ * Header fields the filters' conditions look at
+ */
+function headerNames(filters) {
+  const names = new Set();
+  for (const { field, header } of filters.flatMap(filter => filter.conditions)) {
+    if (field === 'header') names.add(header.toLowerCase());
+    if (field === 'listId') names.add('list-id');
+  }
+  return [...names];
+}
+
+/**
+ * Forward one message for a forward action, attachments included
+ * It goes out through the outbox like any other mail, right away.
+ */
+async function forwardMessage(userId, imapService, folder, uid, to) {
+  const credentials = await getMailCredentials(userId);
+  const smtpService = createSmtpService(credentials.smtp);
+  const originalEmail = await imapService.getEmail(folder, uid, { attachmentContent: true });
+  const forward = smtpService.buildForward(originalEmail, { to: [{ email: to, name: '' }] });
+  forward.source = { folder: originalEmail.folder, uid: originalEmail.uid, messageId: originalEmail.messageId, type: 'forward' };
+  await queueMessage(userId, smtpService, forward, new Date());
+}
+
+/**
+ * Run filters against messages of one folder
+ * Every message collects the actions of the filters it matches until one of
+ * them has stopProcessing set. Changes are applied on the server and in the
+ * message cache.
+ * @param {string} folder - Resolved folder path
+ * @param {Array<Object>} emails - List emails (envelope, size, flags)
+ * @param {Array<Object>} filters - Filters in the order they run
+ * @returns {Promise<{matched: number, moved: number}>}
+ */
+export async function applyFilters(userId, imapService, folder, emails, filters) {
+  if (filters.length === 0 || emails.length === 0) {
+    return { matched: 0, moved: 0 };
+  }
+
+  const names = headerNames(filters);
+  const headers = names.length > 0
+    ? await imapService.getHeaders(folder, emails.map(email => email.uid), names)
+    : new Map();
+  const keywords = new Map((await getLabels(userId)).map(label => [label.id, label.keyword]));
+
+  const flagged = new Map();
+  const leaving = new Map();
+  const forwards = [];
+  const flagChanges = [];
+  let matched = 0;
+
+  for (const email of emails) {
+    const actions = [];
+    for (const filter of filters) {
+      if (!matchesFilter(filter, email, headers.get(email.uid) || {})) continue;
+      actions.push(...filter.actions);
+      if (filter.stopProcessing) break;
+    }
+    if (actions.length === 0) continue;
+    matched++;
+
+    const flags = new Set(email.flags || []);
+    for (const action of actions) {
+      const flag = action.type === 'label' ? keywords.get(action.labelId) : FLAG_ACTIONS[action.type];
+      if (flag && !flags.has(flag)) {
+        flags.add(flag);
+        if (!flagged.has(flag)) flagged.set(flag, []);
+        flagged.get(flag).push(email.uid);
+      }
+      if (action.type === 'forward') {
+        forwards.push({ uid: email.uid, to: action.to });
+      }
+    }
+    if (flags.size !== (email.flags || []).length) {
+      flagChanges.push({ uid: email.uid, flags: [...flags] });
+    }
+
+    const leave = LEAVE_ACTIONS
+      .map(type => actions.find(action => action.type === type))
+      .find(Boolean);
+    if (leave) {
+      const key = `${leave.type}:${leave.folder || ''}`;
+      if (!leaving.has(key)) leaving.set(key, { action: leave, uids: [] });
+      leaving.get(key).uids.push(email.uid);
+    }
+  }
+
+  for (const [flag, uids] of flagged) {
+    await imapService.batchSetFlags(folder, uids, [flag], true);
+  }
+  await updateFlags(userId, folder, flagChanges);
+
+  for (const { uid, to } of forwards) {
+    try {
+      await forwardMessage(userId, imapService, folder, uid, to);
+    } catch (error) {
+      console.warn(`Filter failed to forward ${folder}/${uid}:`, error.message);
+    }
+  }
+
+  const moved = [];
+  for (const { action, uids } of leaving.values()) {
+    const list = uids.join(',');
+    if (action.type === 'delete') {
+      await imapService.deleteEmail(folder, list);
+    } else if (action.type === 'spam') {
+      await imapService.markAsSpam(folder, list);
+    } else if (await imapService.resolveFolderPath(action.folder) !== folder) {
+      await imapService.moveEmail(folder, list, action.folder);
+    } else {
+      continue;
+    }
+    moved.push(...uids);
+  }
+  // The destination folders pick the messages up on their next sync
+  await removeMessages(userId, folder, moved);
+
+  return { matched, moved: moved.length };
+}
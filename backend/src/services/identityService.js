@@ -0,0 +1,243 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { getSignature } from './settingsService.js';
+import { headerAddresses } from './replyRecipients.js';
+
+/**
+ * Identity Service - Addresses a user sends from
+ *
+ * Every user has at least one identity, the account's own address, which is
+ * created the first time identities are read and takes over the account
+ * signature. More can be added for shared aliases (support@) and
+ * plus-addresses; the mail server decides whether it accepts them as senders.
+ * One identity is the default for new mail. A reply goes out from the
+ * identity the original was addressed to.
+ */
+
+function formatIdentity(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name || '',
+    replyTo: row.reply_to || null,
+    signature: row.signature || '',
+    bcc: JSON.parse(row.bcc || '[]'),
+    isDefault: !!row.is_default,
+    position: row.position,
+  };
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function assertEmailAvailable(userId, email, exceptId = null) {
+  const existing = await db('identities')
+    .where({ user_id: userId, email })
+    .whereNot('id', exceptId || '')
+    .first('id');
+
+  if (existing) {
+    throw httpError(`You already send as ${email}`, 409);
+  }
+}
+
+/**
+ * Create the account's own identity for a user who has none
+ * @param {Object} user - Authenticated user (id, name, smtp)
+ */
+async function ensureAccountIdentity(user) {
+  const existing = await db('identities').where('user_id', user.id).first('id');
+  if (existing) return;
+
+  const { signature, useSignature } = await getSignature(user.id);
+  await db('identities')
+    .insert({
+      id: crypto.randomUUID(),
+      user_id: user.id,
+      email: user.smtp.user.toLowerCase(),
+      name: user.name || null,
+      signature: useSignature && signature ? signature : null,
+      is_default: true,
+      position: 0,
+    })
+    .onConflict(['user_id', 'email'])
+    .ignore();
+}
+
+/**
+ * Get a user's identities in display order
+ * @param {Object} user - Authenticated user (id, name, smtp)
+ */
+export async function getIdentities(user) {
+  await ensureAccountIdentity(user);
+  const rows = await db('identities')
+    .where('user_id', user.id)
+    .orderBy([{ column: 'position' }, { column: 'created_at' }]);
+
+  return rows.map(formatIdentity);
+}
+
+/**
+ * Get one identity
+ * @returns {Promise<Object|null>}
+ */
+export async function getIdentity(userId, id) {
+  const row = await db('identities').where({ id, user_id: userId }).first();
+  return row ? formatIdentity(row) : null;
+}
+
+/**
+ * Identity to send from: the given one, or the default
+ * @throws {Error} 404 when the identity does not exist
+ */
+export async function getSendingIdentity(user, id = null) {
+  if (id) {
+    const identity = await getIdentity(user.id, id);
+    if (!identity) {
+      throw httpError('Identity not found', 404);
+    }
+    return identity;
+  }
+
+  const identities = await getIdentities(user);
+  return identities.find(identity => identity.isDefault) || identities[0];
+}
+
+/**
+ * What a message keeps of the identity it is sent as
+ */
+export function senderIdentity(identity) {
+  return {
+    id: identity.id,
+    email: identity.email,
+    name: identity.name,
+    replyTo: identity.replyTo,
+    bcc: identity.bcc,
+  };
+}
+
+/**
+ * Addresses that are the user's own: the login, the SMTP user and every identity
+ * @param {Object} user - Authenticated user (email, smtp)
+ * @param {Array<Object>} identities - From getIdentities
+ */
+export function ownAddresses(user, identities) {
+  return [user.email, user.smtp.user, ...identities.map(identity => identity.email)];
+}
+
+/**
+ * The identity a message was addressed to, for replying from it
+ * An exact address wins over a plus-address of an identity (me+lists@ for
+ * me@). Falls back to the default identity.
+ * @param {Array<Object>} identities - From getIdentities
+ * @param {Object} email - Email from ImapService.getEmail
+ */
+export function replyIdentity(identities, email) {
+  const recipients = [
+    ...(email.to || []),
+    ...(email.cc || []),
+    ...(email.bcc || []),
+    ...headerAddresses(email.headers, 'delivered-to'),
+    ...headerAddresses(email.headers, 'x-original-to'),
+  ].map(recipient => recipient.email.toLowerCase());
+  const withoutTag = address => address.replace(/\+[^@]*@/, '@');
+
+  return identities.find(identity => recipients.includes(identity.email))
+    || identities.find(identity => recipients.some(address => withoutTag(address) === withoutTag(identity.email)))
+    || identities.find(identity => identity.isDefault)
+    || identities[0];
+}
+
+/**
+ * Make an identity the only default one
+ */
+async function setDefault(userId, id) {
+  await db('identities').where('user_id', userId).update({ is_default: false });
+  await db('identities').where({ id, user_id: userId }).update({ is_default: true });
+}
+
+/**
+ * Create an identity, placed after the existing ones
+ * @param {Object} user - Authenticated user (id, name, smtp)
+ */
+export async function createIdentity(user, { email, name, replyTo, signature, bcc, isDefault, position }) {
+  await ensureAccountIdentity(user);
+  await assertEmailAvailable(user.id, email);
+
+  const id = crypto.randomUUID();
+  const [{ last }] = await db('identities').where('user_id', user.id).max({ last: 'position' });
+
+  await db('identities').insert({
+    id,
+    user_id: user.id,
+    email,
+    name: name || null,
+    reply_to: replyTo || null,
+    signature: signature || null,
+    bcc: JSON.stringify(bcc || []),
+    is_default: false,
+    position: position ?? (last === null ? 0 : last + 1),
+  });
+  if (isDefault) {
+    await setDefault(user.id, id);
+  }
+
+  return getIdentity(user.id, id);
+}
+
+/**
+ * Update an identity
+ * Only another identity being made default can take that away from it.
+ * @returns {Promise<Object|null>} null when the identity does not exist
+ */
+export async function updateIdentity(userId, id, updates) {
+  const identity = await getIdentity(userId, id);
+  if (!identity) return null;
+
+  const dbUpdates = {};
+  if (updates.email !== undefined && updates.email !== identity.email) {
+    await assertEmailAvailable(userId, updates.email, id);
+    dbUpdates.email = updates.email;
+  }
+  if (updates.name !== undefined) dbUpdates.name = updates.name || null;
+  if (updates.replyTo !== undefined) dbUpdates.reply_to = updates.replyTo || null;
+  if (updates.signature !== undefined) dbUpdates.signature = updates.signature || null;
+  if (updates.bcc !== undefined) dbUpdates.bcc = JSON.stringify(updates.bcc);
+  if (updates.position !== undefined) dbUpdates.position = updates.position;
+
+  dbUpdates.updated_at = new Date().toISOString();
+  await db('identities').where({ id, user_id: userId }).update(dbUpdates);
+  if (updates.isDefault && !identity.isDefault) {
+    await setDefault(userId, id);
+  }
+
+  return getIdentity(userId, id);
+}
+
+/**
+ * Delete an identity; the first remaining one becomes the default if needed
+ * @returns {Promise<boolean>} false when the identity does not exist
+ * @throws {Error} 409 for the last identity
+ */
+export async function deleteIdentity(userId, id) {
+  const identity = await getIdentity(userId, id);
+  if (!identity) return false;
+
+  const [{ count }] = await db('identities').where('user_id', userId).count({ count: '*' });
+  if (Number(count) <= 1) {
+    throw httpError('You need at least one address to send from', 409);
+  }
+
+  await db('identities').where({ id, user_id: userId }).del();
+  if (identity.isDefault) {
+    const next = await db('identities')
+      .where('user_id', userId)
+      .orderBy([{ column: 'position' }, { column: 'created_at' }])
+      .first('id');
+    await setDefault(userId, next.id);
+  }
+  return true;
+}
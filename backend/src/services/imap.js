@@ -1,5 +1,14 @@
 import { ImapFlow } from 'imapflow';
 import { simpleParser } from 'mailparser';
+import { searchCompiler } from 'imapflow/lib/search-compiler.js';
+import { imapPool } from './imapPool.js';
+import {
+  buildThreads,
+  findThread,
+  flattenThread,
+  normalizeSubject,
+  parseThreadHeaders,
+} from './threading.js';
 
 /**
  * Standard folder mappings based on IMAP special use flags (RFC 6154)
@@ -17,6 +26,69 @@ const SPECIAL_USE_MAP = {
   important: '\\Important',
 };
 
+/**
+ * Sort fields accepted by list endpoints
+ * unread/starred are not IMAP SORT keys and are emulated with two searches
+ */
+export const SORT_FIELDS = ['date', 'arrival', 'from', 'subject', 'size', 'unread', 'starred'];
+
+/**
+ * IMAP SORT keys (RFC 5256) for the native sort fields
+ */
+const SORT_KEYS = {
+  date: 'DATE',
+  arrival: 'ARRIVAL',
+  from: 'FROM',
+  subject: 'SUBJECT',
+  size: 'SIZE',
+};
+
+/**
+ * List envelope fetch (no body), with the headers needed for threading
+ */
+const ENVELOPE_FETCH_QUERY = {
+  uid: true,
+  envelope: true,
+  flags: true,
+  bodyStructure: true,
+  size: true,
+  headers: ['from', 'references', 'in-reply-to'],
+};
+
+/**
+ * Folders searched for other messages of a conversation, besides the
+ * message's own folder
+ */
+const THREAD_FOLDERS = ['INBOX', 'sent', 'archive'];
+
+// Bytes of message source fetched for the search index
+const INDEX_SOURCE_MAX_BYTES = 256 * 1024;
+
+// Header-search rounds when following References, and ids per SEARCH
+const THREAD_SEARCH_ROUNDS = 3;
+const THREAD_SEARCH_BATCH = 10;
+
+/**
+ * Encode mailbox sync state as an opaque token for the client
+ * modseq and uidValidity are kept as strings because they can exceed 2^53
+ */
+function encodeSyncState(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a sync state token, returning null when it is missing or malformed
+ */
+function decodeSyncState(token) {
+  if (!token) return null;
+  try {
+    const state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return state && typeof state === 'object' && state.uidValidity ? state : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * IMAP Service - Handles all IMAP operations for email fetching
  */
@@ -36,6 +108,8 @@ export class ImapService {
         pass: config.pass,
       },
       logger: false,
+      // Enables CONDSTORE/QRESYNC (RFC 7162) when the server supports them
+      qresync: true,
       tls: {
         rejectUnauthorized: process.env.NODE_ENV === 'production',
       },
@@ -62,7 +136,7 @@ export class ImapService {
   }
 
   /**
-   * Create and connect an IMAP client
+   * Create and connect a standalone IMAP client (not pooled)
    */
   async connect() {
     const client = new ImapFlow(this.config);
@@ -70,6 +144,119 @@ export class ImapService {
     return client;
   }
 
+  /**
+   * Lease an authenticated client from the shared connection pool
+   */
+  async acquire() {
+    return imapPool.acquire(this.config);
+  }
+
+  /**
+   * Return a leased client to the connection pool
+   */
+  release(client) {
+    imapPool.release(client);
+  }
+
+  /**
+   * Close this account's idle pooled connections
+   */
+  closeConnections() {
+    imapPool.closeAccount(this.config);
+  }
+
+  /**
+   * Select a mailbox on a pooled client
+   * Skips the SELECT round trip when the mailbox is already selected;
+   * ImapFlow keeps the selected mailbox state current from untagged responses
+   */
+  async _openMailbox(client, path) {
+    if (client.mailbox && client.mailbox.path === path) {
+      return client.mailbox;
+    }
+    return client.mailboxOpen(path);
+  }
+
+  /**
+   * UIDs of messages matching a search, ordered by a sort field
+   * Uses UID SORT (RFC 5256) when the server advertises SORT, otherwise sorts
+   * the matching envelopes locally. unread/starred put that group first and
+   * order each group by date.
+   * imapflow has no public SORT method: the search compiler and client.exec
+   * used here are internals, hence the exact imapflow version in package.json.
+   */
+  async _sortUids(client, searchQuery, sort = 'date', order = 'desc') {
+    if (sort === 'unread' || sort === 'starred') {
+      const flag = sort === 'unread' ? 'seen' : 'flagged';
+      const first = await this._sortUids(client, { ...searchQuery, [flag]: sort !== 'unread' }, 'date', order);
+      const rest = await this._sortUids(client, { ...searchQuery, [flag]: sort === 'unread' }, 'date', order);
+      return [...first, ...rest];
+    }
+    
+    if (client.capabilities.has('SORT')) {
+      const criteria = [{ type: 'ATOM', value: SORT_KEYS[sort] || 'DATE' }];
+      if (order === 'desc') {
+        criteria.unshift({ type: 'ATOM', value: 'REVERSE' });
+      }
+      
+      // SORT always takes a charset, so drop the one the compiler may prepend
+      let searchAttributes = searchCompiler(client, searchQuery);
+      if (searchAttributes[0]?.value === 'CHARSET') {
+        searchAttributes = searchAttributes.slice(2);
+      }
+      if (searchAttributes.length === 0) {
+        searchAttributes = [{ type: 'ATOM', value: 'ALL' }];
+      }
+      
+      const uids = [];
+      const response = await client.exec('UID SORT', [criteria, { type: 'ATOM', value: 'UTF-8' }, ...searchAttributes], {
+        untagged: {
+          SORT: async (untagged) => {
+            for (const attribute of untagged.attributes || []) {
+              if (attribute?.value && !isNaN(attribute.value)) {
+                uids.push(Number(attribute.value));
+              }
+            }
+          },
+        },
+      });
+      response.next();
+      return uids;
+    }
+    
+    // No SORT extension: fetch the sort keys of all matches and order them here
+    const matchingUids = await client.search(searchQuery, { uid: true }) || [];
+    if (matchingUids.length === 0) return [];
+    
+    const keys = [];
+    for await (const message of client.fetch(matchingUids.join(','), {
+      uid: true,
+      envelope: true,
+      size: true,
+      internalDate: true,
+    }, { uid: true })) {
+      const from = message.envelope?.from?.[0];
+      keys.push({
+        uid: Number(message.uid),
+        date: new Date(message.envelope?.date || message.internalDate || 0).getTime(),
+        arrival: new Date(message.internalDate || 0).getTime(),
+        from: (from?.name || from?.address || '').toLowerCase(),
+        subject: (message.envelope?.subject || '').toLowerCase(),
+        size: Number(message.size) || 0,
+      });
+    }
+    
+    const field = SORT_KEYS[sort] ? sort : 'date';
+    const direction = order === 'asc' ? 1 : -1;
+    keys.sort((a, b) => {
+      if (a[field] < b[field]) return -direction;
+      if (a[field] > b[field]) return direction;
+      return (a.uid - b.uid) * direction;
+    });
+    
+    return keys.map(key => key.uid);
+  }
+
   /**
    * Test connection with provided credentials
    */
@@ -83,7 +270,7 @@ export class ImapService {
    * Get list of all mailboxes/folders
    */
   async getMailboxes() {
-    const client = await this.connect();
+    const client = await this.acquire();
     try {
       const mailboxes = await client.list();
       
@@ -115,7 +302,7 @@ export class ImapService {
         subscribed: box.subscribed,
       }));
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
   
@@ -135,9 +322,9 @@ export class ImapService {
     }
     
     // Need to refresh folder cache
-    const needsDisconnect = !client;
+    const needsRelease = !client;
     if (!client) {
-      client = await this.connect();
+      client = await this.acquire();
     }
     
     try {
@@ -177,14 +364,14 @@ export class ImapService {
         }
       }
       
-      if (needsDisconnect) {
-        await client.logout();
+      if (needsRelease) {
+        this.release(client);
       }
       
       return resolvedPath || folder; // Return original if not found
     } catch (error) {
-      if (needsDisconnect && client) {
-        await client.logout().catch(() => {});
+      if (needsRelease && client) {
+        this.release(client);
       }
       throw error;
     }
@@ -281,9 +468,11 @@ export class ImapService {
   /**
    * Get emails from a specific folder
    * Handles virtual folders (starred, important, all) by searching flags in INBOX
+   * The returned `sort` is the order applied, which is arrival rather than
+   * date on servers without SORT.
    */
   async getEmails(folder = 'INBOX', options = {}) {
-    const { limit = 50, offset = 0, search } = options;
+    const { limit = 50, offset = 0, search, sort = 'arrival', order = 'desc' } = options;
     const folderLower = folder.toLowerCase();
 
     // Handle virtual folders that are based on flags, not real IMAP folders
@@ -297,12 +486,12 @@ export class ImapService {
       return this._getAllEmails({ limit, offset });
     }
 
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       // Resolve folder path (handles case-insensitivity and specialUse)
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      const mailbox = await client.mailboxOpen(resolvedFolder);
+      const mailbox = await this._openMailbox(client, resolvedFolder);
       
       // Check if mailbox is empty
       if (!mailbox.exists || mailbox.exists === 0) {
@@ -315,71 +504,106 @@ export class ImapService {
         };
       }
       
-      // Build search query
-      let searchQuery = { all: true };
-      if (search) {
-        searchQuery = {
+      const searchQuery = search
+        ? {
           or: [
             { subject: search },
             { from: search },
             { body: search },
           ],
-        };
+        }
+        : { all: true };
+      
+      // Arrival order without a search maps a page directly to a sequence range
+      // (newest at the end of the mailbox). Everything else is ordered first -
+      // with IMAP SORT when available - and the page sliced from the UID list.
+      let total;
+      let range;
+      let pageUids = null;
+      let rangeOptions = {};
+      
+      // Without SORT, date order would fetch the sort keys of the whole
+      // folder; arrival order is a close stand-in that pages by range, and
+      // the result names it as the sort applied
+      const byArrival = !search && (sort === 'arrival'
+        || (sort === 'date' && !client.capabilities.has('SORT')));
+      
+      if (byArrival) {
+        total = mailbox.exists;
+        if (order === 'asc') {
+          const start = offset + 1;
+          const end = Math.min(total, offset + limit);
+          range = start <= end ? `${start}:${end}` : null;
+        } else {
+          const end = total - offset;
+          const start = Math.max(1, end - limit + 1);
+          range = end >= 1 ? `${start}:${end}` : null;
+        }
+      } else {
+        const orderedUids = await this._sortUids(client, searchQuery, sort, order);
+        total = orderedUids.length;
+        pageUids = orderedUids.slice(offset, offset + limit);
+        range = pageUids.length > 0 ? pageUids.join(',') : null;
+        rangeOptions = { uid: true };
       }
       
-      // Get message UIDs
       const messages = [];
-      let count = 0;
-      
-      for await (const message of client.fetch(
-        { all: true },
-        { 
-          uid: true,
-          envelope: true,
-          flags: true,
-          bodyStructure: true,
-          size: true,
-          headers: ['from'],
+      
+      if (range) {
+        for await (const message of client.fetch(
+          range,
+          { 
+            uid: true,
+            envelope: true,
+            flags: true,
+            bodyStructure: true,
+            size: true,
+            headers: ['from'],
+          },
+          rangeOptions
+        )) {
+          messages.push({
+            uid: Number(message.uid),
+            id: `${resolvedFolder}-${Number(message.uid)}`,
+            messageId: message.envelope?.messageId,
+            from: this._extractFrom(message.envelope, null, message.headers),
+            to: this._extractAddresses(message.envelope?.to),
+            cc: this._extractAddresses(message.envelope?.cc),
+            bcc: this._extractAddresses(message.envelope?.bcc),
+            subject: message.envelope?.subject || '(no subject)',
+            date: message.envelope?.date || new Date(),
+            read: message.flags?.has('\\Seen') || false,
+            starred: message.flags?.has('\\Flagged') || false,
+            important: message.flags?.has('\\Important') || false,
+            answered: message.flags?.has('\\Answered') || false,
+            size: Number(message.size),
+            hasAttachments: this.hasAttachments(message.bodyStructure),
+            snippet: '', // Will be populated when fetching body
+            labels: [folder.toLowerCase()],
+            folder: resolvedFolder,
+            flags: [...(message.flags || [])],
+          });
         }
-      )) {
-        count++;
-        if (count <= offset) continue;
-        if (messages.length >= limit) break;
-        
-        messages.push({
-          uid: Number(message.uid),
-          id: `${resolvedFolder}-${Number(message.uid)}`,
-          messageId: message.envelope?.messageId,
-          from: this._extractFrom(message.envelope, null, message.headers),
-          to: this._extractAddresses(message.envelope?.to),
-          cc: this._extractAddresses(message.envelope?.cc),
-          bcc: this._extractAddresses(message.envelope?.bcc),
-          subject: message.envelope?.subject || '(no subject)',
-          date: message.envelope?.date || new Date(),
-          read: message.flags?.has('\\Seen') || false,
-          starred: message.flags?.has('\\Flagged') || false,
-          important: message.flags?.has('\\Important') || false,
-          answered: message.flags?.has('\\Answered') || false,
-          size: Number(message.size),
-          hasAttachments: this.hasAttachments(message.bodyStructure),
-          snippet: '', // Will be populated when fetching body
-          labels: [folder.toLowerCase()],
-          folder: resolvedFolder,
-        });
       }
       
-      // Reverse to get newest first
-      messages.reverse();
+      if (pageUids) {
+        const position = new Map(pageUids.map((uid, index) => [uid, index]));
+        messages.sort((a, b) => position.get(a.uid) - position.get(b.uid));
+      } else {
+        // UIDs ascend with sequence numbers
+        messages.sort((a, b) => (order === 'asc' ? a.uid - b.uid : b.uid - a.uid));
+      }
       
       return {
         emails: messages,
-        total: count,
+        total,
         folder,
         limit,
         offset,
+        sort: byArrival ? 'arrival' : sort,
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -388,7 +612,7 @@ export class ImapService {
    * Searches across all real folders
    */
   async _getEmailsByFlag(flag, virtualFolderName, { limit = 50, offset = 0 } = {}) {
-    const client = await this.connect();
+    const client = await this.acquire();
     const allMessages = [];
     
     try {
@@ -402,7 +626,7 @@ export class ImapService {
         if (allMessages.length >= limit + offset) break;
         
         try {
-          await client.mailboxOpen(folderPath);
+          await this._openMailbox(client, folderPath);
           
           // Search for messages with the specified flag
           const flagSearch = flag === '\\Flagged' 
@@ -460,7 +684,7 @@ export class ImapService {
         offset,
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -468,7 +692,7 @@ export class ImapService {
    * Get all emails across all folders (for "All Mail" virtual folder)
    */
   async _getAllEmails({ limit = 50, offset = 0 } = {}) {
-    const client = await this.connect();
+    const client = await this.acquire();
     const allMessages = [];
     
     try {
@@ -484,7 +708,7 @@ export class ImapService {
       
       for (const folderPath of foldersToSearch) {
         try {
-          const mailbox = await client.mailboxOpen(folderPath);
+          const mailbox = await this._openMailbox(client, folderPath);
           
           if (!mailbox.exists || mailbox.exists === 0) continue;
           
@@ -538,20 +762,22 @@ export class ImapService {
         offset,
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
   /**
    * Get a single email with full body
+   * @param {Object} [options]
+   * @param {boolean} [options.attachmentContent] - Include each attachment's data (base64), for forwarding
    */
-  async getEmail(folder, uid) {
-    const client = await this.connect();
+  async getEmail(folder, uid, { attachmentContent = false } = {}) {
+    const client = await this.acquire();
     
     try {
       // Resolve folder path
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      await client.mailboxOpen(resolvedFolder);
+      await this._openMailbox(client, resolvedFolder);
       
       // Fetch the message with body
       const message = await client.fetchOne(uid, {
@@ -569,13 +795,15 @@ export class ImapService {
       // Parse the email
       const parsed = await simpleParser(message.source);
       
-      // Extract attachments info
+      // Extract attachments info; inline images are already part of the HTML body
       const attachments = (parsed.attachments || []).map(att => ({
         id: att.contentId || att.checksum,
         filename: att.filename,
         contentType: att.contentType,
         size: Number(att.size || 0),
         contentId: att.contentId,
+        inline: !!att.related,
+        ...(attachmentContent && { content: att.content.toString('base64') }),
       }));
       
       // Use parsed (simpleParser) addresses - more reliable than envelope for full email view
@@ -614,9 +842,10 @@ export class ImapService {
         headers: Object.fromEntries(parsed.headers),
         labels: [folder.toLowerCase()],
         folder: resolvedFolder,
+        flags: [...(message.flags || [])],
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -624,11 +853,11 @@ export class ImapService {
    * Get attachment data
    */
   async getAttachment(folder, uid, attachmentId) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      await client.mailboxOpen(resolvedFolder);
+      await this._openMailbox(client, resolvedFolder);
       
       const message = await client.fetchOne(uid, {
         source: true,
@@ -650,7 +879,7 @@ export class ImapService {
         size: Number(attachment.size || 0),
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -658,11 +887,11 @@ export class ImapService {
    * Mark email as read/unread
    */
   async setReadStatus(folder, uid, read) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      await client.mailboxOpen(resolvedFolder);
+      await this._openMailbox(client, resolvedFolder);
       
       if (read) {
         await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
@@ -672,7 +901,7 @@ export class ImapService {
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -680,11 +909,11 @@ export class ImapService {
    * Toggle star/flag on email
    */
   async setStarred(folder, uid, starred) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      await client.mailboxOpen(resolvedFolder);
+      await this._openMailbox(client, resolvedFolder);
       
       if (starred) {
         await client.messageFlagsAdd(uid, ['\\Flagged'], { uid: true });
@@ -694,7 +923,7 @@ export class ImapService {
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -702,17 +931,18 @@ export class ImapService {
    * Move email to another folder
    */
   async moveEmail(sourceFolder, uid, targetFolder) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedSource = await this.resolveFolderPath(sourceFolder, client);
       const resolvedTarget = await this.resolveFolderPath(targetFolder, client);
-      await client.mailboxOpen(resolvedSource);
-      await client.messageMove(uid, resolvedTarget, { uid: true });
+      await this._openMailbox(client, resolvedSource);
+      const result = await client.messageMove(uid, resolvedTarget, { uid: true });
       
-      return { success: true };
+      // UID in the target folder, when the server reports it (UIDPLUS)
+      return { success: true, uid: result?.uidMap?.get(Number(uid)) ?? null };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -720,17 +950,17 @@ export class ImapService {
    * Copy email to another folder
    */
   async copyEmail(sourceFolder, uid, targetFolder) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedSource = await this.resolveFolderPath(sourceFolder, client);
       const resolvedTarget = await this.resolveFolderPath(targetFolder, client);
-      await client.mailboxOpen(resolvedSource);
+      await this._openMailbox(client, resolvedSource);
       await client.messageCopy(uid, resolvedTarget, { uid: true });
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -738,11 +968,11 @@ export class ImapService {
    * Delete email (move to trash or permanently delete)
    */
   async deleteEmail(folder, uid, permanent = false) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      await client.mailboxOpen(resolvedFolder);
+      await this._openMailbox(client, resolvedFolder);
       
       // Check if already in trash
       const isInTrash = resolvedFolder.toLowerCase().includes('trash') || 
@@ -765,35 +995,29 @@ export class ImapService {
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
   /**
-   * Search emails
+   * Search emails in one folder
+   * @param {Object} criteria - ImapFlow search criteria (see searchQuery.toImapSearch)
    */
-  async searchEmails(query, options = {}) {
-    const client = await this.connect();
+  async searchEmails(criteria, options = {}) {
+    const client = await this.acquire();
     const { folder = 'INBOX', limit = 50 } = options;
     
     try {
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      await client.mailboxOpen(resolvedFolder);
-      
-      const searchResults = await client.search({
-        or: [
-          { subject: query },
-          { from: query },
-          { to: query },
-          { body: query },
-        ],
-      });
+      await this._openMailbox(client, resolvedFolder);
+      
+      const searchResults = await client.search(criteria, { uid: true });
       
       const messages = [];
-      const uidsToFetch = searchResults.slice(0, limit);
+      const uidsToFetch = searchResults.slice(-limit);
       
       if (uidsToFetch.length === 0) {
-        return { emails: [], total: 0, query };
+        return { emails: [], total: 0 };
       }
       
       for await (const message of client.fetch(uidsToFetch, {
@@ -801,7 +1025,7 @@ export class ImapService {
         envelope: true,
         flags: true,
         headers: ['from'],
-      })) {
+      }, { uid: true })) {
         messages.push({
           uid: Number(message.uid),
           id: `${folder}-${Number(message.uid)}`,
@@ -812,16 +1036,16 @@ export class ImapService {
           read: message.flags?.has('\\Seen') || false,
           starred: message.flags?.has('\\Flagged') || false,
           labels: [folder.toLowerCase()],
+          flags: [...(message.flags || [])],
         });
       }
       
       return {
         emails: messages.reverse(),
         total: searchResults.length,
-        query,
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -829,13 +1053,13 @@ export class ImapService {
    * Create a new mailbox/folder
    */
   async createMailbox(name) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       await client.mailboxCreate(name);
       return { success: true, name };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -843,13 +1067,17 @@ export class ImapService {
    * Delete a mailbox/folder
    */
   async deleteMailbox(path) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
+      // Deselect first so the pooled client does not keep a stale selection
+      if (client.mailbox?.path === path) {
+        await client.mailboxClose();
+      }
       await client.mailboxDelete(path);
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -857,13 +1085,16 @@ export class ImapService {
    * Rename a mailbox/folder
    */
   async renameMailbox(oldPath, newPath) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
+      if (client.mailbox?.path === oldPath) {
+        await client.mailboxClose();
+      }
       await client.mailboxRename(oldPath, newPath);
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -871,7 +1102,7 @@ export class ImapService {
    * Get mailbox status (message counts)
    */
   async getMailboxStatus(folder) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const status = await client.status(folder, {
@@ -891,7 +1122,7 @@ export class ImapService {
         uidValidity: Number(status.uidValidity),
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -912,17 +1143,135 @@ export class ImapService {
     return check(bodyStructure);
   }
 
+  /**
+   * Attachment filenames listed in a body structure
+   */
+  _attachmentNames(bodyStructure) {
+    const names = [];
+    const walk = (part) => {
+      const name = part.dispositionParameters?.filename || part.parameters?.name;
+      if (name && (part.disposition === 'attachment' || !part.type?.startsWith('text/'))) {
+        names.push(name);
+      }
+      (part.childNodes || []).forEach(walk);
+    };
+    if (bodyStructure) walk(bodyStructure);
+    return names;
+  }
+
+  /**
+   * Fetch body text and attachment filenames for the search index
+   * Only the first INDEX_SOURCE_MAX_BYTES of each message are parsed, which
+   * covers the text parts of all but the largest messages.
+   * @returns {Promise<Array<{uid: number, text: string, attachments: string[]}>>}
+   */
+  async getIndexDocuments(folder, uids) {
+    const client = await this.acquire();
+    const documents = [];
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
+      
+      for await (const message of client.fetch(uids.join(','), {
+        uid: true,
+        bodyStructure: true,
+        source: { maxLength: INDEX_SOURCE_MAX_BYTES },
+      }, { uid: true })) {
+        let text = '';
+        try {
+          const parsed = await simpleParser(message.source);
+          text = parsed.text || (parsed.html || '').replace(/<[^>]*>/g, ' ');
+        } catch {
+          // Truncated or malformed source - index the envelope only
+        }
+        
+        documents.push({
+          uid: Number(message.uid),
+          text: text.replace(/\s+/g, ' ').trim(),
+          attachments: this._attachmentNames(message.bodyStructure),
+        });
+      }
+      
+      return documents;
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Fetch some header fields of several messages (e.g. for mail filters)
+   * @param {string[]} names - Header names, matched case-insensitively
+   * @returns {Promise<Map<number, Object<string, string[]>>>} UID to values per
+   *   lower-cased header name (unfolded, not MIME-decoded)
+   */
+  async getHeaders(folder, uids, names) {
+    const client = await this.acquire();
+    const result = new Map();
+
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
+
+      for await (const message of client.fetch(uids.join(','), {
+        uid: true,
+        headers: names,
+      }, { uid: true })) {
+        const headers = {};
+        const lines = (message.headers?.toString('utf-8') || '')
+          .replace(/\r?\n[ \t]+/g, ' ')
+          .split(/\r?\n/);
+
+        for (const line of lines) {
+          const separator = line.indexOf(':');
+          if (separator <= 0) continue;
+          const name = line.slice(0, separator).trim().toLowerCase();
+          (headers[name] ||= []).push(line.slice(separator + 1).trim());
+        }
+        result.set(Number(message.uid), headers);
+      }
+
+      return result;
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Get the full RFC 822 source of a message, to forward it as an attachment
+   * @returns {Promise<{folder: string, uid: number, subject: string, source: Buffer}|null>}
+   */
+  async getRawMessage(folder, uid) {
+    const client = await this.acquire();
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
+      const message = await client.fetchOne(uid, { uid: true, envelope: true, source: true }, { uid: true });
+      if (!message) return null;
+      
+      return {
+        folder: resolvedFolder,
+        uid: Number(message.uid),
+        subject: message.envelope?.subject || '',
+        source: message.source,
+      };
+    } finally {
+      this.release(client);
+    }
+  }
+
   /**
    * Append/save a message to a folder (for drafts, sent items)
    */
   async appendMessage(folder, rawMessage, flags = []) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const result = await client.append(folder, rawMessage, flags);
       return { success: true, uid: result.uid };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -930,10 +1279,10 @@ export class ImapService {
    * Set important flag on email
    */
   async setImportant(folder, uid, important) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
+      await this._openMailbox(client, folder);
       
       // Some servers use $Important, others use \Important
       const flags = ['$Important'];
@@ -946,37 +1295,77 @@ export class ImapService {
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
   /**
-   * Add custom label/keyword to email
+   * Add a label's IMAP keyword to an email
    */
-  async addLabel(folder, uid, label) {
-    const client = await this.connect();
+  async addLabel(folder, uid, keyword) {
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
-      await client.messageFlagsAdd(uid, [label], { uid: true });
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
+      await client.messageFlagsAdd(uid, [keyword], { uid: true });
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
   /**
-   * Remove custom label/keyword from email
+   * Remove a label's IMAP keyword from an email
    */
-  async removeLabel(folder, uid, label) {
-    const client = await this.connect();
+  async removeLabel(folder, uid, keyword) {
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
-      await client.messageFlagsRemove(uid, [label], { uid: true });
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
+      await client.messageFlagsRemove(uid, [keyword], { uid: true });
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
+    }
+  }
+
+  /**
+   * Replace a keyword with another on every message of every folder
+   * (or remove it when newKeyword is null), e.g. when a label is renamed
+   * @returns {Promise<Object>} { updated } number of messages changed
+   */
+  async replaceKeyword(oldKeyword, newKeyword = null) {
+    const client = await this.acquire();
+    
+    try {
+      const mailboxes = await client.list();
+      let updated = 0;
+      
+      for (const box of mailboxes) {
+        if (box.flags?.has('\\Noselect')) continue;
+        
+        // Only folders whose FLAGS list the keyword hold it. ImapFlow drops a
+        // KEYWORD criterion it does not know, which would match every message.
+        const mailbox = await this._openMailbox(client, box.path);
+        const stored = [...(mailbox.flags || [])]
+          .find(flag => flag.toLowerCase() === oldKeyword.toLowerCase());
+        if (!stored) continue;
+        
+        const uids = await client.search({ keyword: stored }, { uid: true });
+        if (!uids || uids.length === 0) continue;
+        
+        if (newKeyword) {
+          await client.messageFlagsAdd(uids, [newKeyword], { uid: true });
+        }
+        await client.messageFlagsRemove(uids, [stored], { uid: true });
+        updated += uids.length;
+      }
+      
+      return { updated };
+    } finally {
+      this.release(client);
     }
   }
 
@@ -984,7 +1373,7 @@ export class ImapService {
    * Archive email (move to Archive folder)
    */
   async archiveEmail(folder, uid) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const mailboxes = await client.list();
@@ -996,16 +1385,16 @@ export class ImapService {
       if (!archiveBox) {
         // Create Archive folder if it doesn't exist
         await client.mailboxCreate('Archive');
-        await client.mailboxOpen(folder);
+        await this._openMailbox(client, folder);
         await client.messageMove(uid, 'Archive', { uid: true });
       } else {
-        await client.mailboxOpen(folder);
+        await this._openMailbox(client, folder);
         await client.messageMove(uid, archiveBox.path, { uid: true });
       }
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1013,7 +1402,7 @@ export class ImapService {
    * Mark email as spam (move to Spam/Junk folder)
    */
   async markAsSpam(folder, uid) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const mailboxes = await client.list();
@@ -1025,16 +1414,16 @@ export class ImapService {
       if (!spamBox) {
         // Create Spam folder if it doesn't exist
         await client.mailboxCreate('Spam');
-        await client.mailboxOpen(folder);
+        await this._openMailbox(client, folder);
         await client.messageMove(uid, 'Spam', { uid: true });
       } else {
-        await client.mailboxOpen(folder);
+        await this._openMailbox(client, folder);
         await client.messageMove(uid, spamBox.path, { uid: true });
       }
       
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1042,14 +1431,14 @@ export class ImapService {
    * Mark email as not spam (move back to INBOX)
    */
   async markAsNotSpam(folder, uid) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
+      await this._openMailbox(client, folder);
       await client.messageMove(uid, 'INBOX', { uid: true });
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1057,10 +1446,10 @@ export class ImapService {
    * Empty a folder (permanently delete all messages)
    */
   async emptyFolder(folder) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
+      await this._openMailbox(client, folder);
       
       // Search for all messages
       const messages = await client.search({ all: true });
@@ -1072,7 +1461,7 @@ export class ImapService {
       
       return { success: true, deleted: messages.length };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1080,14 +1469,15 @@ export class ImapService {
    * Get new messages since a specific UID
    */
   async getNewMessages(folder, sinceUid) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const resolvedFolder = await this.resolveFolderPath(folder, client);
-      const mailbox = await client.mailboxOpen(resolvedFolder);
+      const mailbox = await this._openMailbox(client, resolvedFolder);
       
-      // Check if mailbox is empty or if there are no new messages
-      if (!mailbox.exists || mailbox.exists === 0 || mailbox.uidNext <= sinceUid + 1) {
+      // Check if mailbox is empty. uidNext is not used as a shortcut because a
+      // pooled connection may not have seen the latest EXISTS response yet
+      if (!mailbox.exists || mailbox.exists === 0) {
         return {
           emails: [],
           total: 0,
@@ -1110,6 +1500,9 @@ export class ImapService {
             headers: ['from'],
           }
         )) {
+          // "n:*" always matches the last message, even when its UID is below n
+          if (Number(message.uid) <= sinceUid) continue;
+
           messages.push({
             uid: Number(message.uid),
             id: `${resolvedFolder}-${Number(message.uid)}`,
@@ -1142,7 +1535,7 @@ export class ImapService {
         folder,
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1150,7 +1543,7 @@ export class ImapService {
    * Check for new messages (polling) - returns count and UIDs
    */
   async checkNewMessages(folder, knownUidNext) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       const status = await client.status(folder, {
@@ -1173,7 +1566,280 @@ export class ImapService {
         newCount: hasNew ? uidNext - knownUidNext : 0,
       };
     } finally {
-      await client.logout();
+      this.release(client);
+    }
+  }
+
+  /**
+   * Delta sync of a folder since a previous state token (CONDSTORE/QRESYNC, RFC 7162)
+   * Returns new messages, changed flags and vanished UIDs. fullResync is set when
+   * the client has to reload the folder: UIDVALIDITY changed, the token belongs to
+   * another folder, or expunges happened that the server cannot enumerate.
+   * Without a token only the current state is returned.
+   */
+  async syncMailbox(folder, stateToken = null) {
+    const { current, ...result } = await this.getChanges(folder, decodeSyncState(stateToken));
+    return { ...result, state: encodeSyncState(current) };
+  }
+
+  /**
+   * Changes in a folder since a previous state object
+   * ({ folder, uidValidity, highestModseq, uidNext, total }); see syncMailbox.
+   * The new state is returned as `current`.
+   */
+  async getChanges(folder, previous = null) {
+    const client = await this.acquire();
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      const status = await client.status(resolvedFolder, {
+        messages: true,
+        unseen: true,
+        uidNext: true,
+        uidValidity: true,
+        highestModseq: true,
+      });
+      
+      const condstore = client.enabled.has('CONDSTORE') && !!status.highestModseq;
+      const current = {
+        folder: resolvedFolder,
+        uidValidity: String(status.uidValidity),
+        highestModseq: condstore ? String(status.highestModseq) : null,
+        uidNext: Number(status.uidNext),
+        total: Number(status.messages),
+      };
+      
+      const result = {
+        folder: resolvedFolder,
+        total: current.total,
+        unseen: Number(status.unseen),
+        uidNext: current.uidNext,
+        uidValidity: current.uidValidity,
+        highestModseq: current.highestModseq,
+        current,
+        fullResync: false,
+        hasNew: false,
+        newEmails: [],
+        changed: [],
+        vanished: [],
+      };
+      
+      if (!previous) {
+        return result;
+      }
+      
+      if (previous.folder !== resolvedFolder || previous.uidValidity !== current.uidValidity) {
+        result.fullResync = true;
+        return result;
+      }
+      
+      // Nothing changed since the last sync
+      if (condstore && previous.highestModseq === current.highestModseq) {
+        return result;
+      }
+      if (!condstore && previous.uidNext === current.uidNext && previous.total === current.total) {
+        return result;
+      }
+      
+      await this._openMailbox(client, resolvedFolder);
+      
+      const vanished = [];
+      const onExpunge = (data) => {
+        if (data.vanished && data.path === resolvedFolder) {
+          vanished.push(Number(data.uid));
+        }
+      };
+      
+      const useModseq = condstore && !!previous.highestModseq;
+      const range = useModseq ? '1:*' : `${previous.uidNext}:*`;
+      
+      client.on('expunge', onExpunge);
+      try {
+        if (current.total > 0) {
+          for await (const message of client.fetch(
+            range,
+            ENVELOPE_FETCH_QUERY,
+            {
+              uid: true,
+              ...(useModseq && { changedSince: BigInt(previous.highestModseq) }),
+            }
+          )) {
+            const uid = Number(message.uid);
+            if (uid >= previous.uidNext) {
+              result.newEmails.push(this._formatListEmail(message, resolvedFolder));
+            } else if (useModseq) {
+              result.changed.push({
+                uid,
+                id: `${resolvedFolder}-${uid}`,
+                read: message.flags?.has('\\Seen') || false,
+                starred: message.flags?.has('\\Flagged') || false,
+                important: message.flags?.has('\\Important') || message.flags?.has('$Important') || false,
+                answered: message.flags?.has('\\Answered') || false,
+                flags: [...(message.flags || [])],
+                modseq: message.modseq ? String(message.modseq) : undefined,
+              });
+            }
+          }
+        }
+      } finally {
+        client.off('expunge', onExpunge);
+      }
+      
+      result.newEmails.sort((a, b) => b.uid - a.uid);
+      result.hasNew = result.newEmails.length > 0;
+      result.vanished = [...new Set(vanished)];
+      
+      // Without QRESYNC expunged UIDs are not reported, so a shrinking count
+      // that is not explained by VANISHED means the client list is stale
+      const expected = previous.total + result.newEmails.length - result.vanished.length;
+      if (expected !== current.total) {
+        result.fullResync = true;
+      }
+      
+      return result;
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Map a fetched message (ENVELOPE_FETCH_QUERY) to a list entry
+   */
+  _formatListEmail(message, folder) {
+    const { references, inReplyTo } = parseThreadHeaders(message.headers);
+    return {
+      uid: Number(message.uid),
+      id: `${folder}-${Number(message.uid)}`,
+      messageId: message.envelope?.messageId || null,
+      inReplyTo: inReplyTo || message.envelope?.inReplyTo || null,
+      references,
+      from: this._extractFrom(message.envelope, null, message.headers),
+      to: this._extractAddresses(message.envelope?.to),
+      cc: this._extractAddresses(message.envelope?.cc),
+      subject: message.envelope?.subject || '(no subject)',
+      date: message.envelope?.date || new Date(),
+      read: message.flags?.has('\\Seen') || false,
+      starred: message.flags?.has('\\Flagged') || false,
+      important: message.flags?.has('\\Important') || false,
+      answered: message.flags?.has('\\Answered') || false,
+      size: Number(message.size),
+      hasAttachments: this.hasAttachments(message.bodyStructure),
+      snippet: '',
+      labels: [folder.toLowerCase()],
+      folder,
+      flags: [...(message.flags || [])],
+      modseq: message.modseq ? String(message.modseq) : undefined,
+    };
+  }
+
+  /**
+   * Fetch list envelopes of a folder, oldest first
+   * Used to fill the local message cache. With `limit` only the newest
+   * messages below the UID `below` are fetched, so a large folder can be
+   * cached in rounds from the newest end.
+   * @param {Object} [options]
+   * @param {number} [options.below] - Only messages with a lower UID
+   * @param {number} [options.limit] - At most this many messages
+   * @returns {Promise<{folder: string, uidValidity: string, emails: Array, remaining: number}>}
+   *   remaining counts the matching messages left out by `limit`
+   */
+  async getEnvelopes(folder, { below = null, limit = null } = {}) {
+    const client = await this.acquire();
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      const mailbox = await this._openMailbox(client, resolvedFolder);
+      const result = {
+        folder: resolvedFolder,
+        uidValidity: String(mailbox.uidValidity),
+        emails: [],
+        remaining: 0,
+      };
+      
+      if (!mailbox.exists || below === 1) {
+        return result;
+      }
+      
+      let range = '1:*';
+      let rangeOptions = {};
+      if (below !== null || limit !== null) {
+        const uids = await client.search(below ? { uid: `1:${below - 1}` } : { all: true }, { uid: true }) || [];
+        const page = limit ? uids.slice(-limit) : uids;
+        result.remaining = uids.length - page.length;
+        if (page.length === 0) return result;
+        range = page.join(',');
+        rangeOptions = { uid: true };
+      }
+      
+      for await (const message of client.fetch(range, ENVELOPE_FETCH_QUERY, rangeOptions)) {
+        result.emails.push(this._formatListEmail(message, resolvedFolder));
+      }
+      
+      return result;
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Fetch the list envelope of a single message
+   * @returns {Promise<Object|null>} null when the message does not exist
+   */
+  async getEnvelope(folder, uid) {
+    const client = await this.acquire();
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
+      const message = await client.fetchOne(uid, ENVELOPE_FETCH_QUERY, { uid: true });
+      return message ? this._formatListEmail(message, resolvedFolder) : null;
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Find a message in a folder by its Message-ID header
+   * @returns {Promise<number|null>} UID of the first match
+   */
+  async findByMessageId(folder, messageId) {
+    const client = await this.acquire();
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      const mailbox = await this._openMailbox(client, resolvedFolder);
+      if (!mailbox.exists) return null;
+      
+      const uids = await client.search({ header: { 'message-id': messageId } }, { uid: true });
+      return uids?.length ? uids[0] : null;
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Fetch the current flags of every message in a folder
+   * Fallback for servers without CONDSTORE, where changed flags cannot be queried
+   */
+  async getFlags(folder) {
+    const client = await this.acquire();
+    
+    try {
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      const mailbox = await this._openMailbox(client, resolvedFolder);
+      const messages = [];
+      
+      if (!mailbox.exists) {
+        return { folder: resolvedFolder, messages };
+      }
+      
+      for await (const message of client.fetch('1:*', { uid: true, flags: true })) {
+        messages.push({ uid: Number(message.uid), flags: [...(message.flags || [])] });
+      }
+      
+      return { folder: resolvedFolder, messages };
+    } finally {
+      this.release(client);
     }
   }
 
@@ -1181,13 +1847,13 @@ export class ImapService {
    * Get all starred/flagged emails across specified folders
    */
   async getStarredEmails(folders = ['INBOX'], limit = 100) {
-    const client = await this.connect();
+    const client = await this.acquire();
     const allStarred = [];
     
     try {
       for (const folder of folders) {
         try {
-          await client.mailboxOpen(folder);
+          await this._openMailbox(client, folder);
           
           const starredUids = await client.search({ flagged: true });
           
@@ -1228,107 +1894,171 @@ export class ImapService {
         total: allStarred.length,
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
   /**
-   * Get conversation thread (emails with same subject or in-reply-to chain)
+   * UIDs of the server-side thread (RFC 5256 THREAD=REFERENCES) holding a message
+   * Only used to seed candidates in the selected folder; the final tree is
+   * always built locally so it can span folders.
+   */
+  async _serverThreadUids(client, uid) {
+    const threads = [];
+    const flatten = (node) => Array.isArray(node)
+      ? node.flatMap(flatten)
+      : (node?.value && !isNaN(node.value) ? [Number(node.value)] : []);
+    
+    const response = await client.exec('UID THREAD', [
+      { type: 'ATOM', value: 'REFERENCES' },
+      { type: 'ATOM', value: 'UTF-8' },
+      { type: 'ATOM', value: 'ALL' },
+    ], {
+      untagged: {
+        THREAD: async (untagged) => {
+          for (const thread of untagged.attributes || []) {
+            threads.push(flatten(thread));
+          }
+        },
+      },
+    });
+    response.next();
+    
+    return threads.find(thread => thread.includes(uid)) || [uid];
+  }
+
+  /**
+   * Get the conversation an email belongs to, across INBOX, Sent and Archive
+   * Messages are linked by Message-ID/References/In-Reply-To (JWZ) and returned
+   * as lightweight envelopes; bodies are loaded per message with getEmail.
    */
   async getThread(folder, uid) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
-      
-      // First, get the target message
-      const targetMsg = await client.fetchOne(uid, {
-        uid: true,
-        envelope: true,
-        source: true,
-      }, { uid: true });
+      const resolvedFolder = await this.resolveFolderPath(folder, client);
+      await this._openMailbox(client, resolvedFolder);
       
-      if (!targetMsg) {
-        throw new Error('Email not found');
+      const target = await client.fetchOne(uid, ENVELOPE_FETCH_QUERY, { uid: true });
+      if (!target) {
+        const error = new Error('Email not found');
+        error.statusCode = 404;
+        throw error;
       }
       
-      const parsed = await simpleParser(targetMsg.source);
-      const subject = targetMsg.envelope?.subject || '';
-      const messageId = targetMsg.envelope?.messageId;
-      const references = parsed.references || [];
-      const inReplyTo = parsed.inReplyTo;
+      // Folders the conversation may span (missing special-use folders are skipped)
+      const folders = [resolvedFolder];
+      for (const name of THREAD_FOLDERS) {
+        const path = await this.resolveFolderPath(name, client);
+        const exists = path === 'INBOX' || Object.values(this._folderCache || {}).includes(path);
+        if (exists && !folders.includes(path)) {
+          folders.push(path);
+        }
+      }
       
-      // Collect all related message IDs
-      const relatedIds = new Set([messageId, inReplyTo, ...references].filter(Boolean));
+      const messages = new Map();
+      const pendingIds = new Set();
+      const addMessage = (message, path) => {
+        const email = this._formatListEmail(message, path);
+        if (messages.has(email.id)) return;
+        messages.set(email.id, email);
+        [email.messageId, email.inReplyTo, ...email.references]
+          .filter(Boolean)
+          .forEach(id => pendingIds.add(id));
+      };
       
-      // Search for related messages by subject (strip Re:/Fwd:)
-      const baseSubject = subject.replace(/^(Re|Fwd|Fw):\s*/gi, '').trim();
+      addMessage(target, resolvedFolder);
       
-      let threadUids = [];
-      if (baseSubject) {
-        threadUids = await client.search({ subject: baseSubject });
+      if (client.capabilities.has('THREAD=REFERENCES')) {
+        const uids = await this._serverThreadUids(client, uid);
+        for await (const message of client.fetch(uids.join(','), ENVELOPE_FETCH_QUERY, { uid: true })) {
+          addMessage(message, resolvedFolder);
+        }
       }
       
-      // Fetch all thread messages
-      const threadMessages = [];
-      
-      if (threadUids.length > 0) {
-        for await (const message of client.fetch(threadUids, {
-          uid: true,
-          envelope: true,
-          flags: true,
-          source: true,
-        })) {
-          const msgParsed = await simpleParser(message.source);
-          
-          threadMessages.push({
-            uid: Number(message.uid),
-            id: `${folder}-${Number(message.uid)}`,
-            messageId: message.envelope?.messageId,
-            inReplyTo: msgParsed.inReplyTo,
-            references: msgParsed.references,
-            from: this._extractFrom(message.envelope, msgParsed.from),
-            to: this._extractAddresses(message.envelope?.to),
-            subject: message.envelope?.subject || '(no subject)',
-            date: message.envelope?.date || new Date(),
-            read: message.flags?.has('\\Seen') || false,
-            starred: message.flags?.has('\\Flagged') || false,
-            body: msgParsed.html || msgParsed.textAsHtml || msgParsed.text || '',
-            textBody: msgParsed.text || '',
-          });
+      // Follow Message-ID links through header searches until nothing new turns up
+      const searchedIds = new Set();
+      for (let round = 0; round < THREAD_SEARCH_ROUNDS && pendingIds.size > 0; round++) {
+        const ids = [...pendingIds].filter(id => !searchedIds.has(id));
+        pendingIds.clear();
+        ids.forEach(id => searchedIds.add(id));
+        if (ids.length === 0) break;
+        
+        for (const path of folders) {
+          try {
+            const mailbox = await this._openMailbox(client, path);
+            if (!mailbox.exists) continue;
+            
+            for (let i = 0; i < ids.length; i += THREAD_SEARCH_BATCH) {
+              const or = ids.slice(i, i + THREAD_SEARCH_BATCH).flatMap(id => [
+                { header: { 'message-id': id } },
+                { header: { references: id } },
+                { header: { 'in-reply-to': id } },
+              ]);
+              const uids = (await client.search({ or }, { uid: true }) || [])
+                .filter(found => !messages.has(`${path}-${found}`));
+              if (uids.length === 0) continue;
+              
+              for await (const message of client.fetch(uids.join(','), ENVELOPE_FETCH_QUERY, { uid: true })) {
+                addMessage(message, path);
+              }
+            }
+          } catch (error) {
+            console.warn(`Failed to search thread in ${path}:`, error.message);
+          }
         }
       }
       
-      // Sort by date ascending for thread view
-      threadMessages.sort((a, b) => new Date(a.date) - new Date(b.date));
+      // The same message can sit in several folders (e.g. INBOX and Archive)
+      const unique = [];
+      const seenMessageIds = new Set();
+      for (const email of messages.values()) {
+        if (email.messageId && seenMessageIds.has(email.messageId)) continue;
+        if (email.messageId) seenMessageIds.add(email.messageId);
+        unique.push(email);
+      }
+      
+      const targetId = `${resolvedFolder}-${uid}`;
+      const targetEmail = messages.get(targetId);
+      const root = findThread(buildThreads(unique), email =>
+        email.id === targetId || (targetEmail.messageId && email.messageId === targetEmail.messageId));
+      
+      const toNode = (container) => ({
+        ...(container.message || { id: null, missing: true }),
+        children: container.children.map(toNode),
+      });
+      const thread = flattenThread(root);
       
       return {
-        thread: threadMessages,
-        count: threadMessages.length,
-        subject: baseSubject,
+        thread,
+        tree: toNode(root),
+        count: thread.length,
+        subject: normalizeSubject(thread[0]?.subject || targetEmail.subject),
+        folders: [...new Set(thread.map(email => email.folder))],
       };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
+
   /**
    * Update a draft message (delete old, append new)
    */
   async updateDraft(folder, oldUid, rawMessage) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
       // Append new draft first
       const result = await client.append(folder, rawMessage, ['\\Draft']);
       
       // Then delete the old one
-      await client.mailboxOpen(folder);
+      await this._openMailbox(client, folder);
       await client.messageDelete(oldUid, { uid: true });
       
       return { success: true, uid: result.uid };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1336,7 +2066,7 @@ export class ImapService {
    * Get unread count for multiple folders
    */
   async getUnreadCounts(folders) {
-    const client = await this.connect();
+    const client = await this.acquire();
     const counts = {};
     
     try {
@@ -1354,7 +2084,7 @@ export class ImapService {
       
       return counts;
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1362,10 +2092,10 @@ export class ImapService {
    * Batch set flags on multiple messages
    */
   async batchSetFlags(folder, uids, flags, add = true) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
+      await this._openMailbox(client, folder);
       
       if (add) {
         await client.messageFlagsAdd(uids, flags, { uid: true });
@@ -1375,7 +2105,7 @@ export class ImapService {
       
       return { success: true, affected: uids.length };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 
@@ -1383,14 +2113,14 @@ export class ImapService {
    * Expunge deleted messages from a folder
    */
   async expunge(folder) {
-    const client = await this.connect();
+    const client = await this.acquire();
     
     try {
-      await client.mailboxOpen(folder);
+      await this._openMailbox(client, folder);
       await client.messageDelete({ deleted: true });
       return { success: true };
     } finally {
-      await client.logout();
+      this.release(client);
     }
   }
 }
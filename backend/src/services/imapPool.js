@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { ImapFlow } from 'imapflow';
+
+/**
+ * IMAP Connection Pool - Keeps authenticated ImapFlow clients alive between requests
+ *
+ * Connections are grouped per account (host, port, user and a hash of the password)
+ * and leased exclusively to one operation at a time. Idle connections are closed
+ * after a timeout and the number of open connections per account is capped so we
+ * stay below the server's per-user connection limit (docker-mailserver/Dovecot
+ * defaults to 10 per user and IP).
+ */
+
+const MAX_CONNECTIONS_PER_ACCOUNT = parseInt(process.env.IMAP_POOL_MAX_CONNECTIONS) || 3;
+const IDLE_TIMEOUT_MS = parseInt(process.env.IMAP_POOL_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const ACQUIRE_TIMEOUT_MS = parseInt(process.env.IMAP_POOL_ACQUIRE_TIMEOUT_MS) || 30 * 1000;
+const REAP_INTERVAL_MS = 30 * 1000;
+
+export class ImapConnectionPool {
+  constructor(options = {}) {
+    this.maxConnections = options.maxConnections || MAX_CONNECTIONS_PER_ACCOUNT;
+    this.idleTimeout = options.idleTimeout || IDLE_TIMEOUT_MS;
+    this.acquireTimeout = options.acquireTimeout || ACQUIRE_TIMEOUT_MS;
+    // Makes the client for a new connection; replaced in tests
+    this.createClient = options.createClient || (config => new ImapFlow(config));
+
+    // key -> { size, idle: Entry[], waiters: Waiter[] }
+    this.accounts = new Map();
+    // ImapFlow client -> Entry
+    this.entries = new Map();
+
+    // Close connections that have been idle for too long
+    this._reaper = setInterval(() => this.closeIdle(), REAP_INTERVAL_MS);
+    this._reaper.unref();
+  }
+
+  /**
+   * Build the pool key for an ImapFlow config
+   * The password is hashed so a changed password never reuses an old session
+   */
+  getKey(config) {
+    const passHash = crypto
+      .createHash('sha256')
+      .update(config.auth?.pass || '')
+      .digest('hex')
+      .substring(0, 16);
+    return `${config.auth?.user}@${config.host}:${config.port}:${config.secure ? 'tls' : 'plain'}:${passHash}`;
+  }
+
+  _getAccount(key) {
+    let account = this.accounts.get(key);
+    if (!account) {
+      account = { size: 0, idle: [], waiters: [] };
+      this.accounts.set(key, account);
+    }
+    return account;
+  }
+
+  /**
+   * Lease a connected client for the given account
+   * Reuses an idle connection, opens a new one while under the cap,
+   * or waits for a connection to be released.
+   */
+  async acquire(config) {
+    const key = this.getKey(config);
+    const account = this._getAccount(key);
+
+    while (account.idle.length > 0) {
+      const entry = account.idle.pop();
+      if (entry.client.usable) {
+        entry.busy = true;
+        return entry.client;
+      }
+      this._discard(entry);
+    }
+
+    if (account.size < this.maxConnections) {
+      return this._open(key, account, config);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { config, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        account.waiters = account.waiters.filter(w => w !== waiter);
+        const error = new Error('Timed out waiting for a free mail server connection');
+        error.statusCode = 503;
+        reject(error);
+      }, this.acquireTimeout);
+      account.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Return a leased client to the pool
+   */
+  release(client) {
+    const entry = this.entries.get(client);
+    if (!entry) {
+      // Not a pooled client (e.g. created by ImapService.connect)
+      client.logout().catch(() => {});
+      return;
+    }
+
+    if (!client.usable) {
+      this._discard(entry);
+      return;
+    }
+
+    const account = this._getAccount(entry.key);
+    const waiter = account.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      entry.lastUsed = Date.now();
+      waiter.resolve(client);
+      return;
+    }
+
+    entry.busy = false;
+    entry.lastUsed = Date.now();
+    account.idle.push(entry);
+  }
+
+  async _open(key, account, config) {
+    account.size++;
+
+    const client = this.createClient({ ...config });
+    const entry = { key, client, busy: true, lastUsed: Date.now() };
+
+    // Without an error listener ImapFlow errors would crash the process
+    client.on('error', (error) => {
+      console.warn(`IMAP pool connection error (${config.auth?.user}):`, error.message);
+    });
+    client.on('close', () => this._discard(entry));
+
+    try {
+      await client.connect();
+    } catch (error) {
+      this._discard(entry);
+      throw error;
+    }
+
+    this.entries.set(client, entry);
+    return client;
+  }
+
+  /**
+   * Remove a connection from the pool and hand its slot to the next waiter
+   */
+  _discard(entry) {
+    if (entry.discarded) return;
+    entry.discarded = true;
+
+    this.entries.delete(entry.client);
+    const account = this._getAccount(entry.key);
+    account.size = Math.max(0, account.size - 1);
+    account.idle = account.idle.filter(e => e !== entry);
+
+    if (entry.client.usable) {
+      entry.client.logout().catch(() => {});
+    }
+
+    const waiter = account.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this._open(entry.key, account, waiter.config).then(waiter.resolve, waiter.reject);
+    } else if (account.size === 0) {
+      this.accounts.delete(entry.key);
+    }
+  }
+
+  /**
+   * Close connections that have not been used within the idle timeout
+   */
+  closeIdle() {
+    const now = Date.now();
+    for (const account of this.accounts.values()) {
+      for (const entry of [...account.idle]) {
+        if (now - entry.lastUsed > this.idleTimeout) {
+          this._discard(entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * Close every idle connection for an account (e.g. on logout)
+   */
+  closeAccount(config) {
+    const account = this.accounts.get(this.getKey(config));
+    if (!account) return;
+    for (const entry of [...account.idle]) {
+      this._discard(entry);
+    }
+  }
+
+  /**
+   * Pool statistics for diagnostics
+   */
+  stats() {
+    let open = 0;
+    let idle = 0;
+    let waiting = 0;
+    for (const account of this.accounts.values()) {
+      open += account.size;
+      idle += account.idle.length;
+      waiting += account.waiters.length;
+    }
+    return { accounts: this.accounts.size, open, idle, waiting };
+  }
+}
+
+/**
+ * Shared pool used by all ImapService instances
+ */
+export const imapPool = new ImapConnectionPool();
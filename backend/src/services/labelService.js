@@ -0,0 +1,183 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { replaceKeyword } from './messageCache.js';
+
+/**
+ * Label Service - Per-user labels stored as IMAP keywords
+ *
+ * Each label owns one keyword derived from its name. Labelling a message sets
+ * the keyword on the server, so labels follow the message into other folders
+ * and other clients. Renaming a label rewrites the keyword on every message.
+ */
+
+// IMAP keywords are atoms; keep them short and ASCII
+const KEYWORD_MAX_LENGTH = 64;
+
+function formatLabel(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color,
+    keyword: row.keyword,
+    position: row.position,
+  };
+}
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Derive an IMAP keyword from a label name ("Work Stuff" -> "Work_Stuff")
+ * Names without usable characters fall back to "Label".
+ */
+export function toKeyword(name) {
+  const keyword = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^A-Za-z0-9_.-]/g, '')
+    .slice(0, KEYWORD_MAX_LENGTH);
+  return keyword || 'Label';
+}
+
+/**
+ * A keyword for a name that no other label of the user uses
+ */
+async function uniqueKeyword(userId, name, exceptId = null) {
+  const taken = new Set(
+    (await db('labels').where('user_id', userId).whereNot('id', exceptId || '').pluck('keyword'))
+      .map(keyword => keyword.toLowerCase())
+  );
+
+  const base = toKeyword(name);
+  let keyword = base;
+  for (let n = 2; taken.has(keyword.toLowerCase()); n++) {
+    keyword = `${base.slice(0, KEYWORD_MAX_LENGTH - String(n).length - 1)}_${n}`;
+  }
+  return keyword;
+}
+
+async function assertNameAvailable(userId, name, exceptId = null) {
+  const existing = await db('labels')
+    .where('user_id', userId)
+    .whereRaw('lower(name) = ?', [name.toLowerCase()])
+    .whereNot('id', exceptId || '')
+    .first('id');
+
+  if (existing) {
+    throw httpError(`A label named "${name}" already exists`, 409);
+  }
+}
+
+/**
+ * Get a user's labels in display order
+ */
+export async function getLabels(userId) {
+  const rows = await db('labels')
+    .where('user_id', userId)
+    .orderBy([{ column: 'position' }, { column: 'created_at' }]);
+
+  return rows.map(formatLabel);
+}
+
+/**
+ * Get one label
+ * @returns {Promise<Object|null>}
+ */
+export async function getLabel(userId, id) {
+  const row = await db('labels').where({ id, user_id: userId }).first();
+  return row ? formatLabel(row) : null;
+}
+
+/**
+ * Create a label, placed after the existing ones
+ */
+export async function createLabel(userId, { name, color }) {
+  await assertNameAvailable(userId, name);
+
+  const id = crypto.randomUUID();
+  const [{ last }] = await db('labels').where('user_id', userId).max({ last: 'position' });
+
+  await db('labels').insert({
+    id,
+    user_id: userId,
+    name,
+    color,
+    keyword: await uniqueKeyword(userId, name),
+    position: last === null ? 0 : last + 1,
+  });
+
+  return getLabel(userId, id);
+}
+
+/**
+ * Update a label
+ * A new name gets a new keyword, which replaces the old one on every tagged
+ * message on the server and in the message cache.
+ * @returns {Promise<Object|null>} null when the label does not exist
+ */
+export async function updateLabel(userId, imapService, id, updates) {
+  const label = await getLabel(userId, id);
+  if (!label) return null;
+
+  const dbUpdates = {};
+  if (updates.color !== undefined) dbUpdates.color = updates.color;
+  if (updates.position !== undefined) dbUpdates.position = updates.position;
+
+  if (updates.name !== undefined && updates.name !== label.name) {
+    await assertNameAvailable(userId, updates.name, id);
+    dbUpdates.name = updates.name;
+
+    const keyword = await uniqueKeyword(userId, updates.name, id);
+    if (keyword !== label.keyword) {
+      await imapService.replaceKeyword(label.keyword, keyword);
+      await replaceKeyword(userId, label.keyword, keyword);
+      dbUpdates.keyword = keyword;
+    }
+  }
+
+  dbUpdates.updated_at = new Date().toISOString();
+  await db('labels').where({ id, user_id: userId }).update(dbUpdates);
+
+  return getLabel(userId, id);
+}
+
+/**
+ * Delete a label and remove its keyword from every message
+ * @returns {Promise<boolean>} false when the label does not exist
+ */
+export async function deleteLabel(userId, imapService, id) {
+  const label = await getLabel(userId, id);
+  if (!label) return false;
+
+  await imapService.replaceKeyword(label.keyword, null);
+  await replaceKeyword(userId, label.keyword, null);
+  await db('labels').where({ id, user_id: userId }).del();
+  return true;
+}
+
+/**
+ * Add the ids of the labels whose keywords a message carries to its `labels`
+ * (after the folder name). Messages without flags are left as they are.
+ * @param {Array<Object>} emails - Updated in place
+ */
+export async function withLabels(userId, emails) {
+  const list = (emails || []).filter(email => email?.flags);
+  if (list.length === 0) return emails;
+
+  const labels = await db('labels').where('user_id', userId).select('id', 'keyword');
+  if (labels.length === 0) return emails;
+
+  const byKeyword = new Map(labels.map(label => [label.keyword.toLowerCase(), label.id]));
+  for (const email of list) {
+    const ids = email.flags
+      .map(flag => byKeyword.get(flag.toLowerCase()))
+      .filter(id => id && !email.labels?.includes(id));
+    email.labels = [...(email.labels || []), ...ids];
+  }
+  return emails;
+}
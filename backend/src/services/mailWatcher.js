@@ -0,0 +1,273 @@
+import { EventEmitter } from 'events';
+import { ImapFlow } from 'imapflow';
+import { ImapService } from './imap.js';
+import { runsOnNewMail, syncFolder } from './syncService.js';
+
+/**
+ * Mail Watcher - Keeps an IMAP IDLE connection open per user and turns
+ * unsolicited server responses into events for the SSE stream
+ *
+ * The IDLE connection is dedicated (not taken from the connection pool) because
+ * it stays selected on the watched mailbox for as long as anyone is listening.
+ * Events:
+ *   - message:new     { folder, emails }
+ *   - message:flags   { folder, uid, id, read, starred, important, answered, flags }
+ *   - message:expunge { folder, uid, id }
+ *   - status          { folder, total, uidNext, connected }
+ *   - snooze:wake     { id, folder, subject, from, wakeAt } (see notify)
+ *   - outbox:sent     { id, subject, messageId } (see notify)
+ *   - outbox:failed   { id, subject, error } (see notify)
+ */
+
+const WATCH_FOLDER = 'INBOX';
+const RECONNECT_BASE_MS = 5 * 1000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+// Keep the connection around briefly so a page reload does not re-login
+const STOP_GRACE_MS = 30 * 1000;
+
+export class MailWatcher extends EventEmitter {
+  constructor(imapConfig, folder = WATCH_FOLDER) {
+    super();
+    this.imapService = new ImapService(imapConfig);
+    this.folder = folder;
+    this.client = null;
+    this.running = false;
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    // UIDs ordered by sequence number, used to map EXPUNGE/FETCH sequence numbers to UIDs
+    this.uids = [];
+    this.uidNext = null;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Start watching (connects in the background)
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._connect();
+  }
+
+  /**
+   * Stop watching and close the IDLE connection
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      client.logout().catch(() => {});
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Current watcher state, sent to new subscribers
+   */
+  getStatus() {
+    return {
+      folder: this.folder,
+      total: this.uids.length,
+      uidNext: this.uidNext,
+      connected: this.connected,
+    };
+  }
+
+  async _connect() {
+    if (!this.running) return;
+
+    const client = new ImapFlow({ ...this.imapService.config });
+    this.client = client;
+
+    client.on('error', (error) => {
+      console.warn(`IMAP watcher error (${this.imapService.config.auth?.user}):`, error.message);
+    });
+    client.on('close', () => this._handleClose(client));
+    client.on('exists', (data) => this._enqueue(() => this._handleExists(data)));
+    client.on('expunge', (data) => this._enqueue(() => this._handleExpunge(data)));
+    client.on('flags', (data) => this._enqueue(() => this._handleFlags(data)));
+
+    try {
+      await client.connect();
+      const mailbox = await client.mailboxOpen(this.folder);
+      this.folder = mailbox.path;
+      this.uidNext = Number(mailbox.uidNext);
+      this.uids = mailbox.exists
+        ? ((await client.search({ all: true }, { uid: true })) || []).map(Number).sort((a, b) => a - b)
+        : [];
+
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.emit('status', this.getStatus());
+
+      // ImapFlow enters IDLE on its own once the connection has no pending commands
+    } catch (error) {
+      console.warn(`IMAP watcher failed to connect (${this.imapService.config.auth?.user}):`, error.message);
+      if (this.client === client) {
+        client.close();
+      }
+    }
+  }
+
+  _handleClose(client) {
+    if (this.client !== client) return;
+    this.client = null;
+
+    if (this.connected) {
+      this.connected = false;
+      this.emit('status', this.getStatus());
+    }
+
+    if (!this.running) return;
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_MS);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => this._connect(), delay);
+  }
+
+  /**
+   * Serialize event handling so sequence bookkeeping stays consistent
+   */
+  _enqueue(task) {
+    this._queue = this._queue.then(task).catch((error) => {
+      console.warn('IMAP watcher event handling failed:', error.message);
+    });
+  }
+
+  async _handleExists(data) {
+    if (data.path !== this.folder || data.count <= this.uids.length) return;
+
+    const lastUid = this.uids.length ? this.uids[this.uids.length - 1] : 0;
+    const sinceUid = Math.max(lastUid, (this.uidNext || 1) - 1);
+
+    // Envelopes are fetched over the shared pool so the IDLE connection stays free
+    const result = await this.imapService.getNewMessages(this.folder, sinceUid);
+    const emails = result.emails.map(email => ({ ...email, folder: this.folder }));
+
+    for (const email of [...emails].sort((a, b) => a.uid - b.uid)) {
+      if (email.uid > lastUid) {
+        this.uids.push(email.uid);
+      }
+      this.uidNext = Math.max(this.uidNext || 0, email.uid + 1);
+    }
+
+    if (emails.length > 0) {
+      this.emit('message:new', { folder: this.folder, emails });
+    }
+  }
+
+  _handleExpunge(data) {
+    if (data.path !== this.folder) return;
+
+    let uid = null;
+    if (data.vanished && data.uid) {
+      uid = Number(data.uid);
+      this.uids = this.uids.filter(u => u !== uid);
+    } else if (data.seq) {
+      [uid] = this.uids.splice(data.seq - 1, 1);
+    }
+
+    if (uid) {
+      this.emit('message:expunge', { folder: this.folder, uid, id: `${this.folder}-${uid}` });
+    }
+  }
+
+  _handleFlags(data) {
+    if (data.path !== this.folder) return;
+
+    const uid = data.uid ? Number(data.uid) : this.uids[data.seq - 1];
+    if (!uid) return;
+
+    const flags = data.flags || new Set();
+    this.emit('message:flags', {
+      folder: this.folder,
+      uid,
+      id: `${this.folder}-${uid}`,
+      read: flags.has('\\Seen'),
+      starred: flags.has('\\Flagged'),
+      important: flags.has('\\Important') || flags.has('$Important'),
+      answered: flags.has('\\Answered'),
+      flags: [...flags],
+    });
+  }
+}
+
+// userId -> { watcher, subscribers, stopTimer }
+const watchers = new Map();
+
+// Events passed on to subscribers; snooze:* and outbox:* come from notify()
+const FORWARDED_EVENTS = [
+  'message:new', 'message:flags', 'message:expunge', 'status',
+  'snooze:wake', 'outbox:sent', 'outbox:failed',
+];
+
+/**
+ * Send an event to a user's subscribers
+ * Nothing happens when the user has no open event stream.
+ */
+export function notify(userId, event, data) {
+  watchers.get(userId)?.watcher.emit(event, data);
+}
+
+/**
+ * Subscribe to mail events for a user
+ * Watchers are shared by all open tabs/sessions of the same user.
+ * @returns {Function} unsubscribe
+ */
+export function subscribe(userId, imapConfig, listener) {
+  let entry = watchers.get(userId);
+  if (!entry) {
+    entry = { watcher: new MailWatcher(imapConfig), subscribers: new Set(), stopTimer: null };
+    watchers.set(userId, entry);
+
+    // Filters and the vacation responder run on the sync path; moved messages
+    // then show up as expunges
+    const { watcher } = entry;
+    watcher.on('message:new', async ({ folder }) => {
+      try {
+        if (await runsOnNewMail(userId)) {
+          await syncFolder(userId, watcher.imapService, folder);
+        }
+      } catch (error) {
+        console.warn('Failed to process new mail:', error.message);
+      }
+    });
+  }
+
+  clearTimeout(entry.stopTimer);
+  entry.stopTimer = null;
+
+  const { watcher } = entry;
+  const handlers = {};
+  for (const event of FORWARDED_EVENTS) {
+    handlers[event] = (data) => listener(event, data);
+    watcher.on(event, handlers[event]);
+  }
+  entry.subscribers.add(handlers);
+
+  watcher.start();
+  if (watcher.connected) {
+    listener('status', watcher.getStatus());
+  }
+
+  return () => {
+    for (const [event, handler] of Object.entries(handlers)) {
+      watcher.off(event, handler);
+    }
+    entry.subscribers.delete(handlers);
+
+    if (entry.subscribers.size === 0 && !entry.stopTimer) {
+      entry.stopTimer = setTimeout(() => {
+        if (entry.subscribers.size === 0) {
+          watcher.stop();
+          watchers.delete(userId);
+        }
+      }, STOP_GRACE_MS);
+      entry.stopTimer.unref();
+    }
+  };
+}
@@ -0,0 +1,506 @@
+import db from '../db/index.js';
+import { removeFromIndex } from './searchIndex.js';
+
+/**
+ * Message Cache Service - Local envelope/flags cache per user
+ *
+ * Rows are keyed by (user, folder, uid) and only valid for the folder's current
+ * UIDVALIDITY; the sync service clears a folder when it changes. Removing rows
+ * also removes their search index documents.
+ */
+
+// Rows per INSERT, well below SQLite's bound parameter limit
+const BATCH_SIZE = 200;
+
+/**
+ * Whether a flag list marks a message as important
+ * Some servers use \Important, NovaMail itself sets $Important
+ */
+function isImportant(flags) {
+  return flags.includes('\\Important') || flags.includes('$Important');
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Convert a list email (from ImapService) to a cache row
+ */
+function toRow(userId, uidValidity, email) {
+  const flags = email.flags || [];
+  return {
+    user_id: userId,
+    folder: email.folder,
+    uid: email.uid,
+    uid_validity: uidValidity,
+    modseq: email.modseq || null,
+    message_id: email.messageId || null,
+    in_reply_to: email.inReplyTo || null,
+    reference_ids: JSON.stringify(email.references || []),
+    subject: email.subject,
+    from_name: email.from?.name || '',
+    from_address: email.from?.email || '',
+    to_addresses: JSON.stringify(email.to || []),
+    cc_addresses: JSON.stringify(email.cc || []),
+    bcc_addresses: JSON.stringify(email.bcc || []),
+    date: new Date(email.date).toISOString(),
+    flags: JSON.stringify(flags),
+    is_read: flags.includes('\\Seen'),
+    is_starred: flags.includes('\\Flagged'),
+    is_important: isImportant(flags),
+    is_answered: flags.includes('\\Answered'),
+    size: email.size || 0,
+    has_attachments: !!email.hasAttachments,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Convert a cache row to the list email shape returned by the API
+ */
+export function formatCachedEmail(row, label = row.folder.toLowerCase()) {
+  return {
+    uid: row.uid,
+    id: `${row.folder}-${row.uid}`,
+    messageId: row.message_id,
+    inReplyTo: row.in_reply_to,
+    references: parseJson(row.reference_ids, []),
+    threadId: row.thread_id,
+    from: { name: row.from_name || '', email: row.from_address || '' },
+    to: parseJson(row.to_addresses, []),
+    cc: parseJson(row.cc_addresses, []),
+    bcc: parseJson(row.bcc_addresses, []),
+    subject: row.subject || '(no subject)',
+    date: row.date,
+    read: !!row.is_read,
+    starred: !!row.is_starred,
+    important: !!row.is_important,
+    answered: !!row.is_answered,
+    size: row.size,
+    hasAttachments: !!row.has_attachments,
+    snippet: row.snippet || '',
+    labels: [label],
+    folder: row.folder,
+    flags: parseJson(row.flags, []),
+  };
+}
+
+/**
+ * Get the stored sync state of a folder
+ */
+export async function getMailboxState(userId, folder) {
+  const row = await db('mailbox_state')
+    .where({ user_id: userId, folder })
+    .first();
+
+  if (!row) return null;
+
+  return {
+    folder: row.folder,
+    uidValidity: row.uid_validity,
+    highestModseq: row.highest_modseq,
+    uidNext: row.uid_next,
+    total: row.total,
+    fillUid: row.fill_uid,
+    syncedAt: row.synced_at,
+  };
+}
+
+/**
+ * Store the sync state of a folder
+ * fillUid is only changed when the state includes it.
+ */
+export async function saveMailboxState(userId, state) {
+  const hasFill = state.fillUid !== undefined;
+  await db('mailbox_state')
+    .insert({
+      user_id: userId,
+      folder: state.folder,
+      uid_validity: state.uidValidity,
+      highest_modseq: state.highestModseq,
+      uid_next: state.uidNext,
+      total: state.total,
+      fill_uid: hasFill ? state.fillUid : null,
+      synced_at: new Date().toISOString(),
+    })
+    .onConflict(['user_id', 'folder'])
+    .merge(['uid_validity', 'highest_modseq', 'uid_next', 'total', 'synced_at', ...(hasFill ? ['fill_uid'] : [])]);
+}
+
+/**
+ * Record how far down a folder's cache has been filled
+ * @param {number|null} fillUid - Lowest cached UID, or null once the folder is cached in full
+ */
+export async function setFillUid(userId, folder, fillUid) {
+  await db('mailbox_state')
+    .where({ user_id: userId, folder })
+    .update({ fill_uid: fillUid });
+}
+
+/**
+ * Insert or update cached envelopes
+ * Snippets are kept on update because list fetches do not include body text.
+ */
+export async function upsertMessages(userId, uidValidity, emails) {
+  if (emails.length === 0) return;
+
+  await db.transaction(async (trx) => {
+    for (let i = 0; i < emails.length; i += BATCH_SIZE) {
+      const rows = emails.slice(i, i + BATCH_SIZE).map(email => toRow(userId, uidValidity, email));
+      await trx('message_cache')
+        .insert(rows)
+        .onConflict(['user_id', 'folder', 'uid'])
+        .merge(Object.keys(rows[0]).filter(key => !['user_id', 'folder', 'uid'].includes(key)));
+    }
+  });
+}
+
+/**
+ * Update the flags of cached messages
+ * @param {Array<{uid: number, flags: string[], modseq?: string}>} changes
+ */
+export async function updateFlags(userId, folder, changes) {
+  if (changes.length === 0) return;
+
+  await db.transaction(async (trx) => {
+    for (const change of changes) {
+      await trx('message_cache')
+        .where({ user_id: userId, folder, uid: change.uid })
+        .update({
+          flags: JSON.stringify(change.flags),
+          is_read: change.flags.includes('\\Seen'),
+          is_starred: change.flags.includes('\\Flagged'),
+          is_important: isImportant(change.flags),
+          is_answered: change.flags.includes('\\Answered'),
+          ...(change.modseq && { modseq: change.modseq }),
+          updated_at: new Date().toISOString(),
+        });
+    }
+  });
+}
+
+/**
+ * Rename (or with newKeyword null, remove) a keyword on every cached message
+ * IMAP keywords are case-insensitive.
+ * @returns {Promise<number>} number of messages changed
+ */
+export async function replaceKeyword(userId, oldKeyword, newKeyword = null) {
+  const target = oldKeyword.toLowerCase();
+  const rows = await db('message_cache')
+    .where('user_id', userId)
+    .whereRaw('lower(flags) like ?', [`%${JSON.stringify(target).slice(1, -1)}%`])
+    .select('id', 'flags');
+
+  let changed = 0;
+  await db.transaction(async (trx) => {
+    for (const row of rows) {
+      const flags = parseJson(row.flags, []);
+      const kept = flags.filter(flag => flag.toLowerCase() !== target);
+      if (kept.length === flags.length) continue;
+
+      await trx('message_cache').where('id', row.id).update({
+        flags: JSON.stringify(newKeyword ? [...kept, newKeyword] : kept),
+        updated_at: new Date().toISOString(),
+      });
+      changed++;
+    }
+  });
+  return changed;
+}
+
+/**
+ * Remove cached messages by UID
+ */
+export async function removeMessages(userId, folder, uids) {
+  if (uids.length === 0) return;
+
+  for (let i = 0; i < uids.length; i += BATCH_SIZE) {
+    const batch = uids.slice(i, i + BATCH_SIZE);
+    await db('message_cache')
+      .where({ user_id: userId, folder })
+      .whereIn('uid', batch)
+      .del();
+    await removeFromIndex(userId, { folder, uids: batch });
+  }
+}
+
+/**
+ * Drop everything cached for a folder (e.g. after a UIDVALIDITY change)
+ */
+export async function clearFolder(userId, folder) {
+  await db.transaction(async (trx) => {
+    await trx('message_cache').where({ user_id: userId, folder }).del();
+    await trx('mailbox_state').where({ user_id: userId, folder }).del();
+    await removeFromIndex(userId, { folder }, trx);
+  });
+}
+
+/**
+ * Drop cached folders that no longer exist on the server
+ */
+export async function pruneFolders(userId, existingFolders) {
+  await db.transaction(async (trx) => {
+    await trx('message_cache').where('user_id', userId).whereNotIn('folder', existingFolders).del();
+    await trx('mailbox_state').where('user_id', userId).whereNotIn('folder', existingFolders).del();
+    await removeFromIndex(userId, { excludeFolders: existingFolders }, trx);
+  });
+}
+
+/**
+ * Get the UIDs and flags of every cached message in a folder
+ */
+export async function getCachedFlags(userId, folder) {
+  const rows = await db('message_cache')
+    .where({ user_id: userId, folder })
+    .select('uid', 'flags');
+
+  return rows.map(row => ({ uid: row.uid, flags: parseJson(row.flags, []) }));
+}
+
+/**
+ * Every cached message of a folder, oldest first
+ */
+export async function getFolderMessages(userId, folder) {
+  const rows = await db('message_cache')
+    .where({ user_id: userId, folder })
+    .orderBy('uid', 'asc');
+
+  return rows.map(row => formatCachedEmail(row));
+}
+
+/**
+ * Store the body snippet of a message once its body has been fetched
+ */
+export async function setSnippet(userId, folder, uid, snippet) {
+  await db('message_cache')
+    .where({ user_id: userId, folder, uid })
+    .update({ snippet });
+}
+
+/**
+ * Apply a list sort (see SORT_FIELDS in imap.js) to a message_cache query
+ * Arrival order uses the UID, which only reflects arrival within one folder.
+ */
+function applySort(query, sort, order) {
+  const direction = order === 'asc' ? 'asc' : 'desc';
+
+  switch (sort) {
+    case 'arrival':
+      query.orderBy('uid', direction);
+      break;
+    case 'from':
+      query.orderByRaw(`lower(coalesce(nullif(from_name, ''), from_address)) ${direction}`);
+      break;
+    case 'subject':
+      query.orderByRaw(`lower(subject) ${direction}`);
+      break;
+    case 'size':
+      query.orderBy('size', direction);
+      break;
+    case 'unread':
+      query.orderBy('is_read', 'asc').orderBy('date', direction);
+      break;
+    case 'starred':
+      query.orderBy('is_starred', 'desc').orderBy('date', direction);
+      break;
+    default:
+      query.orderBy('date', direction);
+  }
+
+  // Stable order for equal keys
+  return query.orderBy([{ column: 'date', order: 'desc' }, { column: 'uid', order: 'desc' }]);
+}
+
+/**
+ * List cached messages, newest first unless a sort is given
+ * @param {Object} options
+ * @param {string[]} options.folders - Folders to include
+ * @param {Object} [options.where] - Extra column filters (e.g. { is_starred: true })
+ * @param {string} [options.label] - Label reported on each message (defaults to its folder)
+ * @param {string} [options.sort] - Sort field (date, arrival, from, subject, size, unread, starred)
+ * @param {string} [options.order] - 'asc' or 'desc'
+ */
+export async function listMessages(userId, {
+  folders,
+  where = {},
+  limit = 50,
+  offset = 0,
+  label,
+  sort = 'date',
+  order = 'desc',
+} = {}) {
+  const query = db('message_cache')
+    .where('user_id', userId)
+    .whereIn('folder', folders)
+    .where(where);
+
+  const [{ total }] = await query.clone().count({ total: '*' });
+  const rows = await applySort(query.clone(), sort, order)
+    .limit(limit)
+    .offset(offset);
+
+  return {
+    emails: rows.map(row => formatCachedEmail(row, label)),
+    total: Number(total),
+  };
+}
+
+/**
+ * Threading fields of every cached message of a user
+ */
+export async function getThreadingRows(userId) {
+  const rows = await db('message_cache')
+    .where('user_id', userId)
+    .select('id', 'message_id', 'in_reply_to', 'reference_ids', 'date', 'thread_id');
+
+  return rows.map(row => ({ ...row, references: parseJson(row.reference_ids, []) }));
+}
+
+/**
+ * Store thread ids
+ * @param {Map<string, string[]>} assignments - thread id to cache row ids
+ */
+export async function setThreadIds(userId, assignments) {
+  if (assignments.size === 0) return;
+
+  await db.transaction(async (trx) => {
+    for (const [threadId, rowIds] of assignments) {
+      for (let i = 0; i < rowIds.length; i += BATCH_SIZE) {
+        await trx('message_cache')
+          .where('user_id', userId)
+          .whereIn('id', rowIds.slice(i, i + BATCH_SIZE))
+          .update({ thread_id: threadId });
+      }
+    }
+  });
+}
+
+/**
+ * Cached messages of one conversation, oldest first
+ */
+export async function getThreadMessages(userId, threadId, folders = null) {
+  const query = db('message_cache')
+    .where({ user_id: userId, thread_id: threadId })
+    .orderBy('date', 'asc');
+
+  if (folders) {
+    query.whereIn('folder', folders);
+  }
+
+  return (await query).map(row => formatCachedEmail(row));
+}
+
+/**
+ * Summarise the messages of one conversation as a list entry
+ * The entry keeps the id/uid/folder of its newest message in the listed
+ * folders, so opening it works like opening a message.
+ */
+function toConversation(members, listedFolders) {
+  const listed = members.filter(m => listedFolders.includes(m.folder));
+  const latest = members[members.length - 1];
+  const latestListed = listed[listed.length - 1] || latest;
+
+  const participants = [];
+  const seen = new Set();
+  for (const member of members) {
+    const key = member.from.email.toLowerCase();
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      participants.push(member.from);
+    }
+  }
+
+  return {
+    ...latestListed,
+    date: latest.date,
+    snippet: latest.snippet,
+    read: members.every(m => m.read),
+    starred: members.some(m => m.starred),
+    important: members.some(m => m.important),
+    hasAttachments: members.some(m => m.hasAttachments),
+    messageCount: members.length,
+    unreadCount: members.filter(m => !m.read).length,
+    participants,
+    messages: members.map(m => ({ id: m.id, folder: m.folder, uid: m.uid })),
+  };
+}
+
+/**
+ * List conversations with a message in the given folders, newest activity first
+ * @param {Object} options
+ * @param {string[]} options.folders - Folders a conversation must have a message in
+ * @param {string[]} [options.memberFolders] - Folders whose messages count towards
+ *   a conversation (e.g. the listed folders plus Sent)
+ * @param {Object} [options.where] - Extra column filters on the listed messages
+ * @param {string} [options.order] - 'asc' or 'desc' by latest message date
+ */
+export async function listConversations(userId, {
+  folders,
+  memberFolders = folders,
+  where = {},
+  limit = 50,
+  offset = 0,
+  label,
+  order = 'desc',
+} = {}) {
+  const query = db('message_cache')
+    .where('user_id', userId)
+    .whereIn('folder', folders)
+    .where(where)
+    .whereNotNull('thread_id');
+
+  const [{ total }] = await query.clone().countDistinct({ total: 'thread_id' });
+  const page = await query.clone()
+    .groupBy('thread_id')
+    .select('thread_id')
+    .max({ latest: 'date' })
+    .orderBy('latest', order === 'asc' ? 'asc' : 'desc')
+    .orderBy('thread_id')
+    .limit(limit)
+    .offset(offset);
+
+  const threadIds = page.map(row => row.thread_id);
+  const rows = threadIds.length === 0 ? [] : await db('message_cache')
+    .where('user_id', userId)
+    .whereIn('thread_id', threadIds)
+    .whereIn('folder', [...new Set([...folders, ...memberFolders])])
+    .orderBy('date', 'asc');
+
+  const byThread = new Map(threadIds.map(id => [id, []]));
+  for (const row of rows) {
+    byThread.get(row.thread_id).push(formatCachedEmail(row, label));
+  }
+
+  return {
+    emails: threadIds.map(id => toConversation(byThread.get(id), folders)),
+    total: Number(total),
+  };
+}
+
+/**
+ * Message and unread counts of cached folders
+ */
+export async function countMessages(userId, folders) {
+  const rows = await db('message_cache')
+    .where('user_id', userId)
+    .whereIn('folder', folders)
+    .groupBy('folder')
+    .select('folder')
+    .count({ total: '*' })
+    .sum({ read: 'is_read' });
+
+  const counts = {};
+  for (const row of rows) {
+    counts[row.folder] = {
+      total: Number(row.total),
+      unseen: Number(row.total) - Number(row.read || 0),
+    };
+  }
+  return counts;
+}
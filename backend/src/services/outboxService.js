@@ -0,0 +1,496 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { createImapService } from './imap.js';
+import { createSmtpService, isPermanentSmtpError } from './smtp.js';
+import { notify } from './mailWatcher.js';
+import { getMailCredentials } from './userService.js';
+import { getUserSettings } from './settingsService.js';
+
+/**
+ * Outbox Service - Messages waiting to be sent
+ *
+ * All outgoing mail passes through here. A queued message is stored fully
+ * built (MIME source and SMTP envelope), so the scheduler sends it whether or
+ * not the user is signed in. The fields it was built from are kept too, to
+ * edit it before it goes out. Once sent, the message is appended to the Sent
+ * folder (unless the user's server does that itself) and leaves the outbox.
+ *
+ * Statuses: scheduled (waiting for send_at), sending (claimed by the
+ * scheduler), retrying (temporary failure; tried again at send_at with
+ * exponential backoff), failed (permanent failure or out of attempts; retry,
+ * edit or reschedule to try again).
+ *
+ * A reply or forward remembers the message it answers (its source). A reply
+ * takes its In-Reply-To and References from the source. Once sent, the source
+ * is flagged \Answered or $Forwarded, as is every message forwarded as an
+ * attachment.
+ */
+
+// Statuses in which a message may still be changed or cancelled
+const EDITABLE_STATUSES = ['scheduled', 'retrying', 'failed'];
+
+// Statuses the scheduler sends once send_at has passed
+const DUE_STATUSES = ['scheduled', 'retrying'];
+
+const SEND_INTERVAL_MS = 10 * 1000;
+
+// Temporary failures are retried after 1, 2, 4... minutes, at most an hour apart
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+// Flag set on the source message once a reply or forward has gone out
+const SOURCE_FLAGS = { reply: '\\Answered', forward: '$Forwarded' };
+
+function outboxError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * @param {Object} row
+ * @param {boolean} [withContent] - Include body and attachment data (for editing)
+ */
+function formatOutboxMessage(row, withContent = false) {
+  const message = JSON.parse(row.message);
+  const attachments = (message.attachments || []).map(att => ({
+    filename: att.filename,
+    contentType: att.contentType || null,
+    size: Math.floor((att.content?.length || 0) * 3 / 4),
+    ...(withContent && { content: att.content }),
+  }));
+
+  return {
+    id: row.id,
+    status: row.status,
+    sendAt: row.send_at,
+    to: message.to || [],
+    cc: message.cc || [],
+    bcc: message.bcc || [],
+    subject: row.subject || '(no subject)',
+    from: message.identity ? { email: message.identity.email, name: message.identity.name } : null,
+    attachments,
+    ...(withContent && {
+      body: message.body || '',
+      textBody: message.textBody || null,
+      inReplyTo: message.inReplyTo || null,
+      references: message.references || null,
+      source: message.source || null,
+      identityId: message.identity?.id || null,
+    }),
+    messageId: row.message_id,
+    attempts: row.attempts,
+    lastError: row.last_error || null,
+    lastResponseCode: row.last_response_code || null,
+    lastAttemptAt: row.last_attempt_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Composed fields kept for editing
+ */
+function storedMessage(emailData) {
+  return {
+    to: emailData.to || [],
+    cc: emailData.cc || [],
+    bcc: emailData.bcc || [],
+    subject: emailData.subject,
+    body: emailData.body,
+    textBody: emailData.textBody,
+    attachments: emailData.attachments || [],
+    inReplyTo: emailData.inReplyTo,
+    references: emailData.references,
+    // { folder, uid, messageId, type } of the message replied to or forwarded
+    source: emailData.source || null,
+    // Identity sent as (see identityService); null for the account address
+    identity: emailData.identity || null,
+    // Extra headers set by the backend (Auto-Submitted on vacation replies)
+    headers: emailData.headers,
+  };
+}
+
+/**
+ * Build the stored columns; the Date header is the time the message goes out
+ */
+async function buildRow(smtpService, message, sendAt, messageId = undefined) {
+  const built = await smtpService.buildMessage({ ...message, date: sendAt, messageId });
+  return {
+    send_at: sendAt.toISOString(),
+    raw: built.raw,
+    envelope: JSON.stringify(built.envelope),
+    message: JSON.stringify(message),
+    message_id: built.messageId,
+    subject: message.subject || null,
+  };
+}
+
+async function getEditableRow(userId, id) {
+  const row = await db('outbox').where({ id, user_id: userId }).first();
+  if (!row) {
+    throw outboxError('Message not found in the outbox', 404);
+  }
+  if (!EDITABLE_STATUSES.includes(row.status)) {
+    throw outboxError('The message is being sent', 409);
+  }
+  return row;
+}
+
+/**
+ * Append a sent message to the Sent folder, listing its Bcc recipients
+ * Failures are only logged; the message went out either way.
+ * @param {Buffer|string} raw - Message as sent (without Bcc)
+ * @param {Array<Object>} [bcc] - Bcc recipients ({ email })
+ * @returns {Promise<boolean>} Whether a copy was saved
+ */
+export async function appendToSent(imapService, raw, bcc = []) {
+  try {
+    const mailboxes = await imapService.getMailboxes();
+    const sentFolder = mailboxes.find(
+      box => box.specialUse === '\\Sent' ||
+      ['Sent', 'Sent Items', 'Sent Messages'].includes(box.name)
+    );
+    if (!sentFolder) return false;
+
+    const addresses = [...new Set(bcc.map(r => (typeof r === 'string' ? r : r.email)).filter(Boolean))];
+    const message = addresses.length > 0
+      ? Buffer.concat([Buffer.from(`Bcc: ${addresses.join(', ')}\r\n`), Buffer.from(raw)])
+      : raw;
+    await imapService.appendMessage(sentFolder.path, message, ['\\Seen']);
+    return true;
+  } catch (error) {
+    console.warn('Failed to save to Sent folder:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Flag the message a reply or forward was written from
+ * Its UID is checked against the Message-ID, since another client may have
+ * moved it meanwhile. Failures are only logged.
+ * @param {Object} source - { folder, uid, messageId, type }
+ * @returns {Promise<boolean>} Whether the message was flagged
+ */
+async function flagSource(imapService, source) {
+  try {
+    const email = await imapService.getEnvelope(source.folder, source.uid);
+    const folder = email?.folder || await imapService.resolveFolderPath(source.folder);
+    let uid = email && (!source.messageId || email.messageId === source.messageId) ? source.uid : null;
+    if (!uid && source.messageId) {
+      uid = await imapService.findByMessageId(folder, source.messageId);
+    }
+    if (!uid) return false;
+
+    await imapService.batchSetFlags(folder, [uid], [SOURCE_FLAGS[source.type]]);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to flag the ${source.type} source:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Set a reply's In-Reply-To and References from the message it answers
+ * Replies written in the compose window only name their source, so the
+ * headers are built here: In-Reply-To is the source's Message-ID, References
+ * the source's References followed by it. Other messages are returned as is.
+ * @param {Object} message - Outgoing message (see storedMessage)
+ * @returns {Promise<Object>}
+ */
+export async function withReplyHeaders(imapService, message) {
+  const { source } = message;
+  if (source?.type !== 'reply') return message;
+
+  let original = null;
+  try {
+    original = await imapService.getEnvelope(source.folder, source.uid);
+  } catch (error) {
+    console.warn('Failed to read the message replied to:', error.message);
+  }
+  // Moved away meanwhile: only its Message-ID is known
+  if (original && source.messageId && original.messageId !== source.messageId) {
+    original = null;
+  }
+
+  const messageId = source.messageId || original?.messageId;
+  if (!messageId) return message;
+  return {
+    ...message,
+    inReplyTo: messageId,
+    references: [...new Set([...(original?.references || []), messageId])].join(' '),
+  };
+}
+
+/**
+ * Get a user's queued messages, the next to go first
+ */
+export async function getOutbox(userId) {
+  const rows = await db('outbox')
+    .where('user_id', userId)
+    .orderBy('send_at');
+
+  return rows.map(row => formatOutboxMessage(row));
+}
+
+/**
+ * Get one queued message with its content
+ * @returns {Promise<Object|null>}
+ */
+export async function getOutboxMessage(userId, id) {
+  const row = await db('outbox').where({ id, user_id: userId }).first();
+  return row ? formatOutboxMessage(row, true) : null;
+}
+
+/**
+ * Queue a message to be sent at a given time
+ * @param {SmtpService} smtpService - Builds the message as the user
+ * @param {Object} emailData - Validated send body (see sendEmailSchema)
+ * @param {Date} sendAt
+ */
+export async function queueMessage(userId, smtpService, emailData, sendAt) {
+  const message = storedMessage(emailData);
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    status: 'scheduled',
+    ...(await buildRow(smtpService, message, sendAt)),
+    attempts: 0,
+    created_at: now,
+    updated_at: now,
+  };
+  await db('outbox').insert(row);
+  runAt(sendAt);
+
+  return formatOutboxMessage(row);
+}
+
+/**
+ * Replace a queued message's content, and optionally its send time
+ * The message is rebuilt; its Message-ID stays the same. Its attempts start
+ * over.
+ * @throws {Error} 404 when it does not exist, 409 while it is being sent
+ */
+export async function updateOutboxMessage(userId, smtpService, id, emailData, sendAt = null) {
+  const row = await getEditableRow(userId, id);
+  const message = storedMessage(emailData);
+  const updates = {
+    status: 'scheduled',
+    ...(await buildRow(smtpService, message, sendAt || new Date(row.send_at), row.message_id)),
+    attempts: 0,
+    last_error: null,
+    last_response_code: null,
+    updated_at: new Date().toISOString(),
+  };
+  // The scheduler may have claimed it while the message was being rebuilt
+  const changed = await db('outbox').where({ id, status: row.status }).update(updates);
+  if (!changed) {
+    throw outboxError('The message is being sent', 409);
+  }
+  runAt(new Date(updates.send_at));
+
+  return formatOutboxMessage({ ...row, ...updates });
+}
+
+/**
+ * Move a queued message to another send time
+ * A failed or retrying message is scheduled again.
+ * @throws {Error} 404 when it does not exist, 409 while it is being sent
+ */
+export async function rescheduleMessage(userId, smtpService, id, sendAt) {
+  const row = await getEditableRow(userId, id);
+  return updateOutboxMessage(userId, smtpService, row.id, JSON.parse(row.message), sendAt);
+}
+
+/**
+ * Send a failed or retrying message right away
+ * @throws {Error} 404 when it does not exist, 409 while it is being sent
+ */
+export async function retryMessage(userId, smtpService, id) {
+  return rescheduleMessage(userId, smtpService, id, new Date());
+}
+
+/**
+ * Take a message out of the outbox without sending it
+ * @returns {Promise<Object>} The message with its content, to reopen as a draft
+ * @throws {Error} 404 when it does not exist, 409 while it is being sent
+ */
+export async function cancelMessage(userId, id) {
+  const row = await getEditableRow(userId, id);
+  const deleted = await db('outbox').where({ id, status: row.status }).del();
+  if (!deleted) {
+    throw outboxError('The message is being sent', 409);
+  }
+  return formatOutboxMessage(row, true);
+}
+
+/**
+ * Send one claimed message, append it to Sent (unless the user's mail server
+ * files sent mail itself) and flag its source
+ * Only a failed send throws. Everything it needs is read beforehand, and the
+ * steps after it are only logged when they fail, so a message that went out
+ * is never queued again.
+ */
+async function deliver(row) {
+  const credentials = await getMailCredentials(row.user_id);
+  if (!credentials) {
+    const error = new Error('The account no longer exists');
+    error.permanent = true;
+    throw error;
+  }
+  const { saveSentCopy } = await getUserSettings(row.user_id);
+
+  const smtpService = createSmtpService(credentials.smtp);
+  const result = await smtpService.sendRaw(row.raw, JSON.parse(row.envelope));
+
+  try {
+    const { bcc = [], identity, source, attachments = [] } = JSON.parse(row.message);
+    const imapService = createImapService(credentials.imap);
+    if (saveSentCopy) {
+      await appendToSent(imapService, row.raw, [...bcc, ...(identity?.bcc || [])]);
+    }
+
+    const forwarded = attachments
+      .filter(att => att.original && !att.original.id)
+      .map(att => ({ ...att.original, type: 'forward' }))
+      .filter(original => !source || original.folder !== source.folder || original.uid !== source.uid);
+    for (const flagged of [source, ...forwarded].filter(Boolean)) {
+      await flagSource(imapService, flagged);
+    }
+  } catch (error) {
+    console.warn(`Queued message ${row.id} was sent, but filing it failed:`, error.message);
+  }
+  return result;
+}
+
+/**
+ * Delay before the next attempt after a temporary failure
+ * @param {number} attempts - Attempts made so far
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Record a failed attempt: retry later, or give up when the failure is
+ * permanent or the attempts have run out
+ */
+async function recordFailure(row, attempts, error) {
+  const permanent = !!error.permanent || isPermanentSmtpError(error);
+  const willRetry = !permanent && attempts < MAX_ATTEMPTS;
+  const nextAttemptAt = willRetry ? new Date(Date.now() + retryDelay(attempts)).toISOString() : null;
+
+  await db('outbox').where('id', row.id).update({
+    status: willRetry ? 'retrying' : 'failed',
+    ...(willRetry && { send_at: nextAttemptAt }),
+    last_error: error.message,
+    last_response_code: error.responseCode || null,
+    updated_at: new Date().toISOString(),
+  });
+  notify(row.user_id, 'outbox:failed', {
+    id: row.id,
+    subject: row.subject || '(no subject)',
+    error: error.message,
+    responseCode: error.responseCode || null,
+    permanent,
+    willRetry,
+    nextAttemptAt,
+  });
+}
+
+/**
+ * Send every message whose time has come
+ * A message the server turns away for now is tried again later; one it
+ * refuses for good is marked failed. Either way it stays in the outbox.
+ * @returns {Promise<number>} Messages sent
+ */
+export async function sendDueMessages(now = new Date()) {
+  const due = await db('outbox')
+    .whereIn('status', DUE_STATUSES)
+    .where('send_at', '<=', now.toISOString())
+    .orderBy('send_at');
+
+  let sent = 0;
+  for (const row of due) {
+    // Claim the message; a cancel may have got there first. Once claimed it
+    // cannot be edited, so it is read again for the latest content.
+    const attemptedAt = new Date().toISOString();
+    const claimed = await db('outbox')
+      .where({ id: row.id, status: row.status })
+      .where('send_at', '<=', now.toISOString())
+      .update({ status: 'sending', attempts: row.attempts + 1, last_attempt_at: attemptedAt, updated_at: attemptedAt });
+    if (!claimed) continue;
+
+    const current = await db('outbox').where('id', row.id).first();
+    let result;
+    try {
+      result = await deliver(current);
+    } catch (error) {
+      console.warn(`Failed to send queued message ${row.id}:`, error.message);
+      await recordFailure(current, current.attempts, error);
+      continue;
+    }
+
+    // Sent: from here on nothing may put the message back in the queue
+    await db('outbox').where('id', row.id).del();
+    sent++;
+    notify(row.user_id, 'outbox:sent', {
+      id: row.id,
+      subject: current.subject || '(no subject)',
+      messageId: current.message_id,
+      // Recipients the server refused while accepting the others
+      rejected: result.rejected || [],
+    });
+  }
+  return sent;
+}
+
+let sendTimer = null;
+let isSending = false;
+let runAgain = false;
+
+/**
+ * Send what is due; a run requested meanwhile follows right after
+ */
+async function runScheduler() {
+  if (isSending) {
+    runAgain = true;
+    return;
+  }
+  isSending = true;
+  try {
+    do {
+      runAgain = false;
+      await sendDueMessages();
+    } while (runAgain);
+  } catch (error) {
+    console.error('Outbox scheduler error:', error);
+  } finally {
+    isSending = false;
+  }
+}
+
+/**
+ * Run the scheduler at a message's send time
+ * Undo-send delays are shorter than the polling interval.
+ */
+function runAt(sendAt) {
+  const delay = sendAt.getTime() - Date.now();
+  if (delay >= SEND_INTERVAL_MS) return;
+  setTimeout(runScheduler, Math.max(delay, 0) + 10).unref();
+}
+
+/**
+ * Send due messages every few seconds
+ * Messages left in sending by a crash are scheduled again first.
+ */
+export async function startOutboxScheduler() {
+  if (sendTimer) return;
+
+  await db('outbox').where('status', 'sending').update({ status: 'scheduled' });
+
+  sendTimer = setInterval(runScheduler, SEND_INTERVAL_MS);
+  sendTimer.unref();
+}
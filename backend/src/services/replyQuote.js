@@ -0,0 +1,152 @@
+/**
+ * Reply Quote - Quotes the original email below or above a reply
+ *
+ * The HTML part quotes the original in a <blockquote type="cite">, the way
+ * most mail clients do, under an attribution line ("On <date>, <sender>
+ * wrote:"). The plain-text part is made from the same HTML, with quoted lines
+ * prefixed "> " once per level.
+ *
+ * Attribution formats may use {date}, {name}, {email} and {sender} (the name
+ * and address, or only the address when there is no name).
+ *
+ * The compose window gets its reply draft from here too (replyDraft), so a
+ * reply reads the same whichever path built it.
+ */
+
+export const DEFAULT_ATTRIBUTION = 'On {date}, {sender} wrote:';
+
+export const REPLY_POSITIONS = ['top', 'bottom'];
+
+const BLOCKQUOTE_STYLE = 'margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex';
+
+// Stand-ins for blockquote boundaries while the HTML is turned into text
+const QUOTE_OPEN = '\u0001';
+const QUOTE_CLOSE = '\u0002';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Fill in an attribution format for the original email
+ * @param {string} [format] - Defaults to DEFAULT_ATTRIBUTION
+ * @param {Object} email - Original email ({ from, date })
+ */
+export function formatAttribution(format, email) {
+  const name = email.from?.name?.trim() || '';
+  const address = email.from?.email || '';
+  const date = email.date
+    ? new Date(email.date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+    : '';
+  const values = {
+    date,
+    name: name || address,
+    email: address,
+    sender: name && address ? `${name} <${address}>` : name || address,
+  };
+  return (format || DEFAULT_ATTRIBUTION).replace(/\{(date|name|email|sender)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * Plain text of an HTML body; blockquotes become "> " prefixed lines
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+
+  const text = html
+    .replace(/<(style|script|head|title)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<blockquote\b[^>]*>/gi, `\n${QUOTE_OPEN}\n`)
+    .replace(/<\/blockquote>/gi, `\n${QUOTE_CLOSE}\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h[1-6])>/gi, '\n\n')
+    .replace(/<\/(div|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+  const blank = line => /^>*$/.test(line);
+  let depth = 0;
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (line === QUOTE_OPEN) {
+      depth++;
+      continue;
+    }
+    if (line === QUOTE_CLOSE) {
+      while (depth > 0 && lines.length > 0 && blank(lines[lines.length - 1])) lines.pop();
+      depth = Math.max(depth - 1, 0);
+      lines.push('>'.repeat(depth));
+      continue;
+    }
+    const quoted = depth > 0 ? `${'>'.repeat(depth)} ${line.trim()}`.trimEnd() : line.trimEnd();
+    // No leading blank lines and no more than one in a row
+    if (blank(quoted) && (lines.length === 0 || blank(lines[lines.length - 1]))) continue;
+    lines.push(quoted);
+  }
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * The quoted original as HTML: attribution line and blockquote
+ * @param {Object} email - Original email ({ from, date, body })
+ * @param {string} [attribution] - Attribution format
+ */
+export function quoteHtml(email, attribution) {
+  return [
+    '<div class="novamail-quote">',
+    `<p>${escapeHtml(formatAttribution(attribution, email))}</p>`,
+    `<blockquote type="cite" style="${BLOCKQUOTE_STYLE}">${email.body || ''}</blockquote>`,
+    '</div>',
+  ].join('');
+}
+
+/**
+ * Subject of a reply: Re: once
+ */
+export function replySubject(subject) {
+  const original = subject || '';
+  return original.toLowerCase().startsWith('re:') ? original : `Re: ${original}`;
+}
+
+/**
+ * What the compose window opens a reply with: the quoted original and an
+ * empty line to write in above it (top posting) or below it
+ * @param {Object} original - Original email ({ subject, from, date, body })
+ * @param {Object} [options] - { position, attribution } as for quoteReply
+ * @returns {{subject: string, body: string, position: string}}
+ */
+export function replyDraft(original, { position = 'top', attribution } = {}) {
+  const quote = quoteHtml(original, attribution);
+  return {
+    subject: replySubject(original.subject),
+    body: position === 'bottom' ? `${quote}<p><br></p>` : `<p><br></p><br>${quote}`,
+    position,
+  };
+}
+
+/**
+ * A reply body with the original quoted above or below it
+ * @param {string} body - The user's reply (HTML)
+ * @param {Object} original - Original email
+ * @param {Object} [options]
+ * @param {string} [options.position] - 'top' writes above the quote, 'bottom' below it
+ * @param {string} [options.attribution] - Attribution format
+ * @returns {{body: string, textBody: string}}
+ */
+export function quoteReply(body, original, { position = 'top', attribution } = {}) {
+  const quote = quoteHtml(original, attribution);
+  const html = position === 'bottom'
+    ? `${quote}<br>${body || ''}`
+    : `${body || ''}<br>${quote}`;
+
+  return { body: html, textBody: htmlToText(html) };
+}
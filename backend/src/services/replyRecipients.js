@@ -0,0 +1,116 @@
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+
+/**
+ * Reply Recipients - Who a reply goes to
+ *
+ * Three reply modes, worked out from the original's headers:
+ * - sender: Mail-Reply-To, else Reply-To, else From. A Reply-To that a
+ *   mailing list rewrote to the list address is skipped, so replying to the
+ *   sender reaches the sender.
+ * - all: Mail-Followup-To when the original has one (RFC draft, set by list
+ *   members who do not want personal copies); otherwise the sender, with the
+ *   original To and Cc copied.
+ * - list: the List-Post address (RFC 2369), only for mailing list messages.
+ * Replying to a message the user sent goes to its original recipients.
+ *
+ * Addresses are compared without case. The user's own addresses are left
+ * out, as is anyone already on the To line from Cc.
+ */
+
+export const REPLY_MODES = ['sender', 'all', 'list'];
+
+function normalize(address) {
+  return { name: address.name || '', email: (address.email || address.address || '').trim() };
+}
+
+/**
+ * Addresses of a header from getEmail's headers: mailparser gives address
+ * headers it knows as { value }, repeated ones as a list, others as text
+ * @returns {Array<{name: string, email: string}>}
+ */
+export function headerAddresses(headers, name) {
+  return [headers?.[name] || []].flat()
+    .flatMap(value => (typeof value === 'string' ? addressparser(value, { flatten: true }) : value.value || []))
+    .map(normalize)
+    .filter(address => address.email);
+}
+
+/**
+ * The list's posting address from List-Post (mailto: only; "NO" means
+ * members cannot post)
+ */
+function listPostAddress(headers) {
+  const post = headers?.list?.post;
+  if (post?.mail) return post.mail;
+
+  const raw = typeof headers?.['list-post'] === 'string' ? headers['list-post'] : '';
+  return raw.match(/<mailto:([^>?]+)/i)?.[1] || null;
+}
+
+/**
+ * Unique addresses, leaving out the excluded ones (lower-cased emails)
+ */
+function unique(addresses, excluded) {
+  const seen = new Set(excluded);
+  return addresses.filter((address) => {
+    const key = address.email.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Recipients for each reply mode
+ * @param {Object} email - Email from ImapService.getEmail
+ * @param {Array<string>} ownAddresses - The user's addresses
+ * @returns {{sender: {to: Array, cc: Array}, all: {to: Array, cc: Array}, list: {to: Array, cc: Array}|null}}
+ */
+export function replyRecipients(email, ownAddresses = []) {
+  const own = ownAddresses.filter(Boolean).map(address => address.toLowerCase());
+  const isOwn = address => own.includes(address.email.toLowerCase());
+  const headers = email.headers || {};
+
+  const from = email.from?.email ? [normalize(email.from)] : [];
+  const to = (email.to || []).map(normalize);
+  const cc = (email.cc || []).map(normalize);
+  const listAddress = listPostAddress(headers);
+  const isList = address => !!listAddress && address.email.toLowerCase() === listAddress.toLowerCase();
+
+  let replyTo = headerAddresses(headers, 'mail-reply-to');
+  if (replyTo.length === 0) {
+    replyTo = headerAddresses(headers, 'reply-to');
+  }
+  if (replyTo.length === 0 && email.replyTo?.email) {
+    replyTo = [normalize(email.replyTo)];
+  }
+  replyTo = replyTo.filter(address => !isList(address));
+
+  const sentByUser = from.length > 0 && from.every(isOwn);
+  let sender = replyTo.length > 0 ? replyTo : from;
+  if (sentByUser) {
+    sender = to;
+  }
+
+  const followupTo = headerAddresses(headers, 'mail-followup-to');
+  const allTo = followupTo.length > 0 ? followupTo : [...sender, ...(sentByUser ? [] : to)];
+  const allCc = followupTo.length > 0 ? [] : cc;
+
+  const recipients = (toList, ccList) => {
+    let resolvedTo = unique(toList, own);
+    // Only the user is left (a note to self): answer the sender anyway
+    if (resolvedTo.length === 0) {
+      resolvedTo = unique(from, []);
+    }
+    return {
+      to: resolvedTo,
+      cc: unique(ccList, [...own, ...resolvedTo.map(address => address.email.toLowerCase())]),
+    };
+  };
+
+  return {
+    sender: recipients(sender, []),
+    all: recipients(allTo, allCc),
+    list: listAddress ? recipients([{ name: '', email: listAddress }], []) : null,
+  };
+}
@@ -0,0 +1,84 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+
+/**
+ * Saved Search Service - Per-user saved search queries (smart folders)
+ */
+
+function formatSavedSearch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    query: row.query,
+    color: row.color || null,
+    position: row.position,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Get a user's saved searches in sidebar order
+ */
+export async function getSavedSearches(userId) {
+  const rows = await db('saved_searches')
+    .where('user_id', userId)
+    .orderBy([{ column: 'position' }, { column: 'created_at' }]);
+
+  return rows.map(formatSavedSearch);
+}
+
+/**
+ * Get one saved search
+ * @returns {Promise<Object|null>}
+ */
+export async function getSavedSearch(userId, id) {
+  const row = await db('saved_searches').where({ id, user_id: userId }).first();
+  return row ? formatSavedSearch(row) : null;
+}
+
+/**
+ * Create a saved search, placed after the existing ones
+ */
+export async function createSavedSearch(userId, { name, query, color = null }) {
+  const id = crypto.randomUUID();
+  const [{ last }] = await db('saved_searches').where('user_id', userId).max({ last: 'position' });
+
+  await db('saved_searches').insert({
+    id,
+    user_id: userId,
+    name,
+    query,
+    color,
+    position: last === null ? 0 : last + 1,
+  });
+
+  return getSavedSearch(userId, id);
+}
+
+/**
+ * Update a saved search
+ * @returns {Promise<Object|null>} null when it does not exist
+ */
+export async function updateSavedSearch(userId, id, updates) {
+  const dbUpdates = {};
+
+  if (updates.name !== undefined) dbUpdates.name = updates.name;
+  if (updates.query !== undefined) dbUpdates.query = updates.query;
+  if (updates.color !== undefined) dbUpdates.color = updates.color;
+  if (updates.position !== undefined) dbUpdates.position = updates.position;
+
+  dbUpdates.updated_at = new Date().toISOString();
+
+  const updated = await db('saved_searches').where({ id, user_id: userId }).update(dbUpdates);
+  return updated ? getSavedSearch(userId, id) : null;
+}
+
+/**
+ * Delete a saved search
+ * @returns {Promise<boolean>} false when it does not exist
+ */
+export async function deleteSavedSearch(userId, id) {
+  const deleted = await db('saved_searches').where({ id, user_id: userId }).del();
+  return deleted > 0;
+}
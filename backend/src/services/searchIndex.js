@@ -0,0 +1,325 @@
+import db from '../db/index.js';
+import { formatCachedEmail } from './messageCache.js';
+import { getRankingTerms } from './searchQuery.js';
+
+/**
+ * Search Index Service - SQLite FTS5 index over the message cache
+ *
+ * One document per cached message (subject, addresses, body text, attachment
+ * filenames). Documents are added by the sync service's background indexer
+ * and dropped together with their message_cache rows. Parsed search queries
+ * (searchQuery.js) are compiled into SQL over the index and the cache columns.
+ */
+
+// bm25 weights for subject, addresses, body, attachments
+const COLUMN_WEIGHTS = [10.0, 5.0, 1.0, 3.0];
+
+// Body text kept per document
+const BODY_MAX_CHARS = 100 * 1024;
+
+// Highlight markers, swapped for <mark> after HTML-escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHighlightHtml(text) {
+  return escapeHtml(text || '')
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>');
+}
+
+/**
+ * Prefer a body excerpt: the matching one, or the start of the body when only
+ * the subject matched; otherwise the best matching column (addresses, filenames)
+ */
+function pickSnippet(row) {
+  if (row.body_highlight?.includes(MARK_START) || row.subject_highlight?.includes(MARK_START)) {
+    return row.body_highlight;
+  }
+  return row.best_highlight;
+}
+
+/**
+ * FTS5 expression for one search term
+ * Words match as prefixes, phrases match exactly; a field limits it to one column.
+ */
+function toMatchTerm({ value, phrase, field = null }) {
+  const quoted = `"${value.replace(/"/g, '""')}"`;
+  const term = phrase ? quoted : `${quoted}*`;
+  return field ? `${field} : ${term}` : term;
+}
+
+function escapeLike(value) {
+  return `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function whereMatches(builder, match) {
+  builder.whereIn('d.id', db('search_index').select('rowid').whereRaw('search_index MATCH ?', [match]));
+}
+
+/**
+ * Add the conditions of a parsed query node to a knex builder
+ * Text and subject: terms use the index; the other operators use the cached
+ * envelope and flag columns.
+ */
+function applyCondition(builder, node) {
+  switch (node.type) {
+    case 'and':
+      builder.where(group => node.children.forEach(child => applyCondition(group, child)));
+      break;
+    case 'or':
+      builder.where(group => node.children.forEach(child => {
+        group.orWhere(alternative => applyCondition(alternative, child));
+      }));
+      break;
+    case 'not':
+      builder.whereNot(group => applyCondition(group, node.child));
+      break;
+    case 'text':
+      whereMatches(builder, toMatchTerm(node));
+      break;
+    case 'field':
+      if (node.field === 'subject') {
+        whereMatches(builder, toMatchTerm(node));
+      } else if (node.field === 'from') {
+        builder.where(group => group
+          .whereRaw("m.from_address LIKE ? ESCAPE '\\'", [escapeLike(node.value)])
+          .orWhereRaw("m.from_name LIKE ? ESCAPE '\\'", [escapeLike(node.value)]));
+      } else {
+        builder.whereRaw(`m.${node.field}_addresses LIKE ? ESCAPE '\\'`, [escapeLike(node.value)]);
+      }
+      break;
+    case 'has':
+      builder.where('m.has_attachments', true);
+      break;
+    case 'is':
+      if (node.value === 'starred') {
+        builder.where('m.is_starred', true);
+      } else {
+        builder.where('m.is_read', node.value === 'read');
+      }
+      break;
+    case 'in':
+      if (node.path) {
+        builder.where('d.folder', node.path);
+      } else {
+        builder.whereRaw('1 = 1');
+      }
+      break;
+    case 'date':
+      builder.where('m.date', node.op === 'before' ? '<' : '>=', node.value.toISOString());
+      break;
+    case 'size':
+      builder.where('m.size', node.op === 'larger' ? '>' : '<', node.value);
+      break;
+  }
+}
+
+/**
+ * Drop indexed documents
+ * @param {Object} filter
+ * @param {string} [filter.folder] - Only this folder
+ * @param {number[]} [filter.uids] - Only these UIDs
+ * @param {string[]} [filter.excludeFolders] - Keep these folders
+ * @param {Object} [trx] - Transaction to run in
+ */
+export async function removeFromIndex(userId, { folder, uids, excludeFolders } = {}, trx = db) {
+  const documents = trx('search_documents').where('user_id', userId);
+  if (folder) documents.where('folder', folder);
+  if (uids) documents.whereIn('uid', uids);
+  if (excludeFolders) documents.whereNotIn('folder', excludeFolders);
+
+  await trx('search_index').whereIn('rowid', documents.clone().select('id')).del();
+  await documents.del();
+}
+
+/**
+ * Cached messages that have no index document yet, newest first
+ */
+export async function getUnindexedMessages(userId, limit = 50) {
+  const rows = await db('message_cache as m')
+    .leftJoin('search_documents as d', function () {
+      this.on('d.user_id', 'm.user_id')
+        .andOn('d.folder', 'm.folder')
+        .andOn('d.uid', 'm.uid');
+    })
+    .where('m.user_id', userId)
+    .whereNull('d.id')
+    .orderBy('m.date', 'desc')
+    .limit(limit)
+    .select('m.*');
+
+  return rows.map(row => formatCachedEmail(row));
+}
+
+/**
+ * Add or replace index documents
+ * @param {Array<Object>} documents - Cached emails with body (text) and attachments (filenames)
+ */
+export async function indexMessages(userId, documents) {
+  if (documents.length === 0) return;
+
+  await db.transaction(async (trx) => {
+    for (const doc of documents) {
+      const addresses = [doc.from, ...(doc.to || []), ...(doc.cc || []), ...(doc.bcc || [])]
+        .filter(Boolean)
+        .map(a => [a.name, a.email].filter(Boolean).join(' '))
+        .join(' ');
+
+      const existing = await trx('search_documents')
+        .where({ user_id: userId, folder: doc.folder, uid: doc.uid })
+        .first('id');
+
+      let id = existing?.id;
+      if (id) {
+        await trx('search_index').where('rowid', id).del();
+        await trx('search_documents').where('id', id).update({ indexed_at: new Date().toISOString() });
+      } else {
+        [id] = await trx('search_documents').insert({ user_id: userId, folder: doc.folder, uid: doc.uid });
+      }
+
+      await trx('search_index').insert({
+        rowid: id,
+        subject: doc.subject || '',
+        addresses,
+        body: (doc.body || '').slice(0, BODY_MAX_CHARS),
+        attachments: (doc.attachments || []).join(' '),
+      });
+    }
+  });
+}
+
+/**
+ * Number of indexed documents of a user
+ */
+export async function countIndexed(userId) {
+  const [{ total }] = await db('search_documents').where('user_id', userId).count({ total: '*' });
+  return Number(total);
+}
+
+/**
+ * Highlighted subject and snippet for result rows
+ * Rows the ranking terms do not match (e.g. through OR is:unread) get their
+ * plain subject and cached snippet.
+ */
+async function getHighlights(rows, rankMatch) {
+  const highlighted = new Map();
+
+  if (rankMatch && rows.length > 0) {
+    const matches = await db('search_index')
+      .select(
+        'rowid',
+        db.raw('highlight(search_index, 0, ?, ?) as subject_highlight', [MARK_START, MARK_END]),
+        db.raw('snippet(search_index, 2, ?, ?, ?, 16) as body_highlight', [MARK_START, MARK_END, '…']),
+        db.raw('snippet(search_index, -1, ?, ?, ?, 16) as best_highlight', [MARK_START, MARK_END, '…']),
+      )
+      .whereRaw('search_index MATCH ?', [rankMatch])
+      .whereIn('rowid', rows.map(row => row.document_id));
+    matches.forEach(match => highlighted.set(match.rowid, match));
+  }
+
+  return rows.map(row => {
+    const match = highlighted.get(row.document_id);
+    return {
+      subject: toHighlightHtml(match ? match.subject_highlight : row.subject),
+      snippet: toHighlightHtml(match ? pickSnippet(match) : row.snippet),
+    };
+  });
+}
+
+/**
+ * Indexed messages of a user matching a parsed query
+ */
+function matchingDocuments(userId, tree, folders) {
+  const base = db('search_documents as d')
+    .join('message_cache as m', function () {
+      this.on('m.user_id', 'd.user_id')
+        .andOn('m.folder', 'd.folder')
+        .andOn('m.uid', 'd.uid');
+    })
+    .where('d.user_id', userId)
+    .where(builder => applyCondition(builder, tree));
+
+  if (folders) {
+    base.whereIn('d.folder', folders);
+  }
+  return base;
+}
+
+/**
+ * Count indexed messages matching a parsed query
+ * @param {Object} [options]
+ * @param {boolean} [options.unread] - Only count unread messages
+ */
+export async function countMessages(userId, tree, { unread = false } = {}) {
+  if (!tree) return 0;
+
+  const base = matchingDocuments(userId, tree, null);
+  if (unread) {
+    base.where('m.is_read', false);
+  }
+
+  const [{ total }] = await base.count({ total: '*' });
+  return Number(total);
+}
+
+/**
+ * Search the index with a parsed query (see searchQuery.js)
+ * Results are ranked by bm25 over the query's text terms, newest first when
+ * it has none (e.g. "is:unread has:attachment") or when sorted by date.
+ * @param {Object|null} tree - Parsed query, with in: folders resolved
+ * @param {Object} options
+ * @param {string[]} [options.folders] - Limit to these folders (default: all)
+ * @param {string} [options.sort] - 'relevance' or 'date'
+ * @returns {Promise<Object>} emails with highlights.subject/highlights.snippet (HTML), total
+ */
+export async function searchMessages(userId, tree, {
+  folders = null,
+  limit = 50,
+  offset = 0,
+  sort = 'relevance',
+} = {}) {
+  if (!tree) {
+    return { emails: [], total: 0 };
+  }
+
+  const base = matchingDocuments(userId, tree, folders);
+  const [{ total }] = await base.clone().count({ total: '*' });
+
+  const terms = getRankingTerms(tree);
+  const rankMatch = terms.length > 0 ? terms.map(toMatchTerm).join(' OR ') : null;
+  const query = base.clone()
+    .select('m.*', 'd.id as document_id')
+    .limit(limit)
+    .offset(offset);
+
+  if (rankMatch && sort === 'relevance') {
+    const ranking = db('search_index')
+      .select('rowid', db.raw(`bm25(search_index, ${COLUMN_WEIGHTS.join(', ')}) as score`))
+      .whereRaw('search_index MATCH ?', [rankMatch])
+      .as('r');
+    query.leftJoin(ranking, 'r.rowid', 'd.id')
+      .select('r.score')
+      .orderByRaw('coalesce(r.score, 0) asc');
+  }
+  query.orderBy('m.date', 'desc');
+
+  const rows = await query;
+  const highlights = await getHighlights(rows, rankMatch);
+
+  return {
+    emails: rows.map((row, i) => ({
+      ...formatCachedEmail(row),
+      score: row.score ? -row.score : 0,
+      highlights: highlights[i],
+    })),
+    total: Number(total),
+  };
+}
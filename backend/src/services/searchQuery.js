@@ -0,0 +1,332 @@
+/**
+ * Search Query - Gmail-style search operators
+ *
+ * Parses queries such as `from:alice has:attachment -is:unread "weekly report"`
+ * into a small tree, and compiles that tree into ImapFlow search criteria. The
+ * local search index compiles the same tree into SQL (see searchIndex.js).
+ *
+ * Terms are ANDed; `OR` (or `|`) joins alternatives, `-` negates a term or a
+ * (group). Unknown `word:value` pairs are searched as plain text.
+ *
+ * Nodes:
+ *   { type: 'and' | 'or', children }      { type: 'not', child }
+ *   { type: 'text', value, phrase }       { type: 'field', field, value, phrase }
+ *   { type: 'has', value: 'attachment' }  { type: 'is', value: 'unread' | 'read' | 'starred' }
+ *   { type: 'in', value, path }           { type: 'date', op: 'before' | 'after', value: Date }
+ *   { type: 'size', op: 'larger' | 'smaller', value: bytes }
+ */
+
+/**
+ * Operators understood by the parser
+ */
+export const SEARCH_OPERATORS = [
+  'from', 'to', 'cc', 'subject', 'has', 'is', 'in',
+  'before', 'after', 'older_than', 'newer_than', 'larger', 'smaller',
+];
+
+const IS_VALUES = ['unread', 'read', 'starred'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { d: DAY_MS, w: 7 * DAY_MS, m: 30 * DAY_MS, y: 365 * DAY_MS };
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+function invalid(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Split a query into tokens: parentheses, OR/AND keywords and terms
+ */
+function tokenize(query) {
+  const pattern = /\s*(?:(-?)\(|(\))|(-?)(?:([a-z_]+):)?(?:"([^"]*)"?|([^\s()"]*)))/iy;
+  const tokens = [];
+  let match;
+
+  while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+    const [, groupNegate, close, negate, key, phrase, word] = match;
+
+    if (groupNegate !== undefined) {
+      tokens.push({ type: 'open', negate: groupNegate === '-' });
+    } else if (close) {
+      tokens.push({ type: 'close' });
+    } else if (!key && !negate && (word === 'OR' || word === '|')) {
+      tokens.push({ type: 'or' });
+    } else if (!key && !negate && word === 'AND') {
+      continue;
+    } else {
+      tokens.push({
+        type: 'term',
+        negate: negate === '-',
+        key: key?.toLowerCase() || null,
+        rawKey: key,
+        value: phrase ?? word ?? '',
+        phrase: phrase !== undefined,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+function parseDate(value) {
+  const parts = value.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  const date = parts
+    ? new Date(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3]))
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid(`Invalid date "${value}", use YYYY/MM/DD`);
+  }
+  return date;
+}
+
+function parseAge(value, now) {
+  const parts = value.match(/^(\d+)([dwmy])$/i);
+  if (!parts) {
+    throw invalid(`Invalid age "${value}", use a number followed by d, w, m or y`);
+  }
+  return new Date(now - Number(parts[1]) * AGE_UNITS[parts[2].toLowerCase()]);
+}
+
+function parseSize(value) {
+  const parts = value.match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+  if (!parts) {
+    throw invalid(`Invalid size "${value}", use a number optionally followed by K, M or G`);
+  }
+  return Math.round(Number(parts[1]) * SIZE_UNITS[parts[2].toLowerCase()]);
+}
+
+/**
+ * Build the node for one term
+ * @returns {Object|null} null for operators that have no value yet (e.g. "from:")
+ */
+function termNode(token, now) {
+  const { key, value, phrase } = token;
+  if (!/[\p{L}\p{N}]/u.test(value)) return null;
+
+  if (!key || !SEARCH_OPERATORS.includes(key)) {
+    const text = key ? `${token.rawKey}:${value}` : value;
+    return { type: 'text', value: text, phrase };
+  }
+
+  const lower = value.toLowerCase();
+  switch (key) {
+    case 'from':
+    case 'to':
+    case 'cc':
+    case 'subject':
+      return { type: 'field', field: key, value, phrase };
+    case 'has':
+      if (lower !== 'attachment' && lower !== 'attachments') {
+        throw invalid(`Unsupported has:${value}, only has:attachment is supported`);
+      }
+      return { type: 'has', value: 'attachment' };
+    case 'is':
+      if (!IS_VALUES.includes(lower)) {
+        throw invalid(`Unsupported is:${value}, use one of ${IS_VALUES.join(', ')}`);
+      }
+      return { type: 'is', value: lower };
+    case 'in':
+      return { type: 'in', value, path: null };
+    case 'before':
+    case 'after':
+      return { type: 'date', op: key, value: parseDate(value) };
+    case 'older_than':
+      return { type: 'date', op: 'before', value: parseAge(value, now) };
+    case 'newer_than':
+      return { type: 'date', op: 'after', value: parseAge(value, now) };
+    default:
+      return { type: 'size', op: key, value: parseSize(value) };
+  }
+}
+
+function combine(type, children) {
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+  return { type, children };
+}
+
+/**
+ * Parse a search query
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.now] - Reference time for older_than/newer_than
+ * @returns {Object|null} the query tree, or null when there is nothing to search for
+ * @throws {Error} ValidationError for malformed operator values
+ */
+export function parseSearchQuery(query, { now = Date.now() } = {}) {
+  const tokens = tokenize(query || '');
+  let position = 0;
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+
+    if (token.type === 'open') {
+      const inner = parseOr();
+      if (tokens[position]?.type === 'close') position++;
+      if (!inner) return null;
+      return token.negate ? { type: 'not', child: inner } : inner;
+    }
+
+    const node = termNode(token, now);
+    if (!node) return null;
+    return token.negate ? { type: 'not', child: node } : node;
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < tokens.length && !['or', 'close'].includes(tokens[position].type)) {
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    return combine('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [];
+    for (;;) {
+      const node = parseAnd();
+      if (node) children.push(node);
+      if (tokens[position]?.type !== 'or') break;
+      position++;
+    }
+    return combine('or', children);
+  };
+
+  const children = [];
+  while (position < tokens.length) {
+    const node = parseOr();
+    if (node) children.push(node);
+    // Skip a stray closing parenthesis
+    if (tokens[position]?.type === 'close') position++;
+  }
+  return combine('and', children);
+}
+
+/**
+ * Visit every node of a query tree
+ */
+function walk(node, visit, negated = false) {
+  if (!node) return;
+  visit(node, negated);
+  if (node.children) node.children.forEach(child => walk(child, visit, negated));
+  if (node.child) walk(node.child, visit, !negated);
+}
+
+/**
+ * Resolve in:folder names to mailbox paths (in:anywhere matches every folder)
+ * @param {Object} tree - Parsed query, updated in place
+ * @param {Function} resolve - async (name) => path
+ */
+export async function resolveSearchFolders(tree, resolve) {
+  const nodes = [];
+  walk(tree, node => node.type === 'in' && nodes.push(node));
+
+  for (const node of nodes) {
+    node.path = node.value.toLowerCase() === 'anywhere' ? null : await resolve(node.value);
+  }
+  return tree;
+}
+
+/**
+ * Text terms that are not negated, used to rank and highlight results
+ * @returns {Array<{value: string, phrase: boolean, field: string|null}>}
+ */
+export function getRankingTerms(tree) {
+  const terms = [];
+  walk(tree, (node, negated) => {
+    if (negated) return;
+    if (node.type === 'text') terms.push({ value: node.value, phrase: node.phrase, field: null });
+    if (node.type === 'field' && node.field === 'subject') {
+      terms.push({ value: node.value, phrase: node.phrase, field: 'subject' });
+    }
+  });
+  return terms;
+}
+
+/**
+ * Compile a query tree into ImapFlow search criteria
+ * IMAP searches one mailbox at a time, so in:folder may only narrow the whole
+ * query. has:attachment is approximated by a multipart/mixed Content-Type.
+ * @returns {{folder: string|null, criteria: Object}} folder from in: (null when absent)
+ */
+export function toImapSearch(tree) {
+  let folder = null;
+  const topLevel = tree?.type === 'and' ? tree.children : [tree].filter(Boolean);
+  const rest = [];
+
+  for (const node of topLevel) {
+    if (node.type === 'in') {
+      if (node.value.toLowerCase() === 'anywhere') {
+        throw invalid('in:anywhere needs the search index, which is still being built');
+      }
+      folder = node.value;
+    } else {
+      rest.push(node);
+    }
+  }
+
+  walk({ type: 'and', children: rest }, node => {
+    if (node.type === 'in') {
+      throw invalid('in: cannot be combined with OR or negation until the search index is built');
+    }
+  });
+
+  // ImapFlow objects AND their keys, so repeated keys are folded into NOT (OR NOT a, NOT b)
+  const criteria = {};
+  const repeated = [];
+  for (const node of rest) {
+    const compiled = toImapCriterion(node);
+    const [key] = Object.keys(compiled);
+    if (key in criteria) {
+      repeated.push(compiled);
+    } else {
+      Object.assign(criteria, compiled);
+    }
+  }
+
+  if (repeated.length > 0) {
+    if (criteria.not) {
+      repeated.push({ not: criteria.not });
+    }
+    criteria.not = { or: repeated.map(item => ({ not: item })) };
+  }
+
+  if (Object.keys(criteria).length === 0) {
+    criteria.all = true;
+  }
+
+  return { folder, criteria };
+}
+
+/**
+ * Compile one node into a single-key ImapFlow criterion
+ * ImapFlow does not group multi-key objects inside NOT/OR, so AND is written
+ * as NOT (OR NOT a, NOT b).
+ */
+function toImapCriterion(node) {
+  switch (node.type) {
+    case 'and':
+      return { not: { or: node.children.map(child => ({ not: toImapCriterion(child) })) } };
+    case 'or':
+      return { or: node.children.map(toImapCriterion) };
+    case 'not':
+      return { not: toImapCriterion(node.child) };
+    case 'text':
+      return { text: node.value };
+    case 'field':
+      return { [node.field]: node.value };
+    case 'has':
+      return { header: { 'content-type': 'multipart/mixed' } };
+    case 'is':
+      if (node.value === 'starred') return { flagged: true };
+      return { seen: node.value === 'read' };
+    case 'date':
+      return node.op === 'before' ? { before: node.value } : { since: node.value };
+    case 'size':
+      return { [node.op]: node.value };
+    default:
+      throw invalid(`${node.type}: cannot be used here`);
+  }
+}
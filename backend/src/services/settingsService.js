@@ -1,4 +1,5 @@
 import db from '../db/index.js';
+import { DEFAULT_ATTRIBUTION, REPLY_POSITIONS } from './replyQuote.js';
 
 /**
  * Default user settings
@@ -13,6 +14,10 @@ const DEFAULT_SETTINGS = {
   signature: '',
   use_signature: false,
   send_cancellation_seconds: 5,
+  save_sent_copy: true,
+  reply_position: 'top',
+  reply_attribution: null,
+  server_filters: false,
 };
 
 /**
@@ -34,6 +39,10 @@ export async function getUserSettings(userId) {
       signature: DEFAULT_SETTINGS.signature,
       useSignature: DEFAULT_SETTINGS.use_signature,
       sendCancellation: DEFAULT_SETTINGS.send_cancellation_seconds,
+      saveSentCopy: DEFAULT_SETTINGS.save_sent_copy,
+      replyPosition: DEFAULT_SETTINGS.reply_position,
+      replyAttribution: DEFAULT_ATTRIBUTION,
+      serverFilters: DEFAULT_SETTINGS.server_filters,
     };
   }
   
@@ -47,6 +56,10 @@ export async function getUserSettings(userId) {
     signature: settings.signature || '',
     useSignature: settings.use_signature,
     sendCancellation: settings.send_cancellation_seconds,
+    saveSentCopy: !!settings.save_sent_copy,
+    replyPosition: settings.reply_position || DEFAULT_SETTINGS.reply_position,
+    replyAttribution: settings.reply_attribution || DEFAULT_ATTRIBUTION,
+    serverFilters: !!settings.server_filters,
   };
 }
 
@@ -69,6 +82,13 @@ export async function updateUserSettings(userId, updates) {
   if (updates.signature !== undefined) dbUpdates.signature = updates.signature;
   if (updates.useSignature !== undefined) dbUpdates.use_signature = updates.useSignature;
   if (updates.sendCancellation !== undefined) dbUpdates.send_cancellation_seconds = updates.sendCancellation;
+  if (updates.saveSentCopy !== undefined) dbUpdates.save_sent_copy = updates.saveSentCopy;
+  if (REPLY_POSITIONS.includes(updates.replyPosition)) dbUpdates.reply_position = updates.replyPosition;
+  // Saving the default (or nothing) keeps following the default
+  if (updates.replyAttribution !== undefined) {
+    const attribution = (updates.replyAttribution || '').trim();
+    dbUpdates.reply_attribution = attribution && attribution !== DEFAULT_ATTRIBUTION ? attribution : null;
+  }
   
   dbUpdates.updated_at = new Date().toISOString();
   
@@ -89,6 +109,17 @@ export async function updateUserSettings(userId, updates) {
   return getUserSettings(userId);
 }
 
+/**
+ * Turn server-side (Sieve) filtering on or off
+ * Not part of updateUserSettings: the script on the mail server changes with it.
+ * @param {string} userId - User ID
+ * @param {boolean} enabled - Whether filters run on the mail server
+ */
+export async function setServerFilters(userId, enabled) {
+  await updateUserSettings(userId, {});
+  await db('user_settings').where({ user_id: userId }).update({ server_filters: enabled });
+}
+
 /**
  * Update signature
  * @param {string} userId - User ID
@@ -0,0 +1,390 @@
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * Sieve Service - Manages server-side Sieve scripts over ManageSieve (RFC 5804)
+ *
+ * One service holds at most one connection; it is opened by the first command
+ * and closed with close(). Commands run one at a time.
+ */
+
+const DEFAULT_PORT = 4190;
+const TIMEOUT_MS = 30000;
+
+// Response codes (RFC 5804 section 1.3) mapped to HTTP statuses
+const STATUS_BY_CODE = {
+  NONEXISTENT: 404,
+  ALREADYEXISTS: 409,
+  ACTIVE: 409,
+};
+
+function sieveError(message, { code = null, statusCode = 502 } = {}) {
+  const error = new Error(message);
+  error.source = 'sieve';
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Quote a string for a command; anything with line breaks goes as a literal
+ */
+function quote(value) {
+  if (/[\r\n\0]/.test(value) || Buffer.byteLength(value) > 1024) {
+    return `{${Buffer.byteLength(value)}+}\r\n${value}`;
+  }
+  return `"${value.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Read one response line of atoms, quoted strings, literals and parentheses
+ * @returns {Object|null} { tokens, next } or null until the line is complete
+ */
+function readLine(buffer, offset) {
+  const tokens = [];
+  let i = offset;
+
+  while (i < buffer.length) {
+    const byte = buffer[i];
+
+    if (byte === 0x20) {
+      i++;
+    } else if (byte === 0x0d || byte === 0x0a) {
+      if (byte === 0x0d && i + 1 >= buffer.length) return null;
+      return { tokens, next: i + (byte === 0x0d ? 2 : 1) };
+    } else if (byte === 0x22) {
+      const bytes = [];
+      let j = i + 1;
+      while (j < buffer.length && buffer[j] !== 0x22) {
+        if (buffer[j] === 0x5c) j++;
+        bytes.push(buffer[j]);
+        j++;
+      }
+      if (j >= buffer.length) return null;
+      tokens.push({ string: Buffer.from(bytes).toString('utf8') });
+      i = j + 1;
+    } else if (byte === 0x7b) {
+      const close = buffer.indexOf('}', i);
+      if (close === -1 || close + 2 >= buffer.length) return null;
+      const length = parseInt(buffer.toString('ascii', i + 1, close), 10);
+      const start = close + 3;
+      if (buffer.length < start + length) return null;
+      tokens.push({ string: buffer.toString('utf8', start, start + length) });
+      i = start + length;
+    } else if (byte === 0x28 || byte === 0x29) {
+      tokens.push({ atom: String.fromCharCode(byte) });
+      i++;
+    } else {
+      let j = i;
+      while (j < buffer.length && ![0x20, 0x0d, 0x0a, 0x28, 0x29].includes(buffer[j])) j++;
+      if (j >= buffer.length) return null;
+      tokens.push({ atom: buffer.toString('utf8', i, j) });
+      i = j;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a full response: data lines up to the closing OK, NO or BYE
+ * @returns {Object|null} { status, code, message, lines, next }
+ */
+function readResponse(buffer) {
+  const lines = [];
+  let offset = 0;
+
+  for (;;) {
+    const line = readLine(buffer, offset);
+    if (!line) return null;
+    offset = line.next;
+
+    const status = line.tokens[0]?.atom?.toUpperCase();
+    if (!['OK', 'NO', 'BYE'].includes(status)) {
+      lines.push(line.tokens);
+      continue;
+    }
+
+    let rest = line.tokens.slice(1);
+    let code = null;
+    if (rest[0]?.atom === '(') {
+      const close = rest.findIndex(token => token.atom === ')');
+      code = rest[1]?.atom?.toUpperCase() || null;
+      rest = rest.slice(close + 1);
+    }
+    return { status, code, message: (rest[0]?.string || '').trim(), lines, next: offset };
+  }
+}
+
+export class SieveService {
+  constructor(config) {
+    // The IMAP security setting decides whether STARTTLS is required
+    this.config = {
+      host: config.host,
+      port: config.port || DEFAULT_PORT,
+      user: config.user,
+      pass: config.pass,
+      requireTls: config.security !== 'None',
+      tls: {
+        rejectUnauthorized: process.env.NODE_ENV === 'production',
+      },
+    };
+
+    this.socket = null;
+    this.capabilities = null;
+    this._buffer = Buffer.alloc(0);
+    this._pending = null;
+    this._queue = Promise.resolve();
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(TIMEOUT_MS);
+    socket.on('data', (chunk) => {
+      this._buffer = Buffer.concat([this._buffer, chunk]);
+      this._drain();
+    });
+    socket.on('timeout', () => socket.destroy(sieveError('ManageSieve server timed out')));
+    socket.on('error', (error) => this._fail(error));
+    socket.on('close', () => this._fail(sieveError('ManageSieve connection closed')));
+  }
+
+  _detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('timeout');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+  }
+
+  _drain() {
+    if (!this._pending) return;
+    const response = readResponse(this._buffer);
+    if (!response) return;
+
+    this._buffer = this._buffer.subarray(response.next);
+    const { resolve } = this._pending;
+    this._pending = null;
+    resolve(response);
+  }
+
+  _fail(error) {
+    this.socket = null;
+    this.capabilities = null;
+    if (this._pending) {
+      const { reject } = this._pending;
+      this._pending = null;
+      reject(error);
+    }
+  }
+
+  _read() {
+    return new Promise((resolve, reject) => {
+      this._pending = { resolve, reject };
+      this._drain();
+    });
+  }
+
+  /**
+   * Send a command and wait for its response
+   * @throws {Error} with the server's message on NO or BYE
+   */
+  async _send(command) {
+    this.socket.write(`${command}\r\n`);
+    const response = await this._read();
+
+    if (response.status !== 'OK') {
+      throw sieveError(response.message || `ManageSieve command failed: ${command.split(' ')[0]}`, {
+        code: response.code,
+        statusCode: response.status === 'BYE' ? 502 : (STATUS_BY_CODE[response.code] || 400),
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Capabilities from the greeting (or the response to CAPABILITY)
+   */
+  _parseCapabilities(response) {
+    const values = new Map(response.lines.map(([name, value]) => [
+      name?.string?.toUpperCase(),
+      value?.string || '',
+    ]));
+
+    return {
+      implementation: values.get('IMPLEMENTATION') || null,
+      extensions: (values.get('SIEVE') || '').split(/\s+/).filter(Boolean),
+      sasl: (values.get('SASL') || '').toUpperCase().split(/\s+/).filter(Boolean),
+      starttls: values.has('STARTTLS'),
+      maxRedirects: values.has('MAXREDIRECTS') ? parseInt(values.get('MAXREDIRECTS'), 10) : null,
+    };
+  }
+
+  _upgrade() {
+    this._detach();
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        socket: this.socket,
+        servername: net.isIP(this.config.host) ? undefined : this.config.host,
+        ...this.config.tls,
+      }, () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+      });
+      socket.once('error', reject);
+    });
+  }
+
+  /**
+   * Connect, upgrade with STARTTLS when offered and log in with SASL PLAIN
+   */
+  async connect() {
+    if (this.socket) return;
+
+    const socket = await new Promise((resolve, reject) => {
+      const plain = net.connect({ host: this.config.host, port: this.config.port }, () => {
+        plain.removeListener('error', reject);
+        resolve(plain);
+      });
+      plain.once('error', reject);
+    });
+    this._attach(socket);
+
+    try {
+      const greeting = await this._read();
+      if (greeting.status !== 'OK') {
+        throw sieveError(greeting.message || 'ManageSieve server refused the connection');
+      }
+      this.capabilities = this._parseCapabilities(greeting);
+
+      if (this.capabilities.starttls) {
+        await this._send('STARTTLS');
+        this._attach(await this._upgrade());
+        // The server repeats its capabilities after the TLS handshake
+        this.capabilities = this._parseCapabilities(await this._read());
+      } else if (this.config.requireTls) {
+        throw sieveError('ManageSieve server does not offer STARTTLS');
+      }
+
+      if (!this.capabilities.sasl.includes('PLAIN')) {
+        throw sieveError('ManageSieve server does not support PLAIN authentication');
+      }
+      const token = Buffer.from(`\0${this.config.user}\0${this.config.pass}`).toString('base64');
+      await this._send(`AUTHENTICATE "PLAIN" ${quote(token)}`);
+    } catch (error) {
+      this.socket?.destroy();
+      this._fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a command on the open connection, after any earlier command
+   */
+  _command(command) {
+    const run = this._queue.then(async () => {
+      await this.connect();
+      return this._send(command);
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Server capabilities: implementation, Sieve extensions, SASL mechanisms
+   */
+  async getCapabilities() {
+    await this._command('NOOP');
+    const { implementation, extensions, maxRedirects } = this.capabilities;
+    return { implementation, extensions, maxRedirects };
+  }
+
+  /**
+   * List scripts
+   * @returns {Promise<Array<{name: string, active: boolean}>>}
+   */
+  async listScripts() {
+    const response = await this._command('LISTSCRIPTS');
+    return response.lines
+      .filter(([name]) => name?.string !== undefined)
+      .map(([name, active]) => ({
+        name: name.string,
+        active: active?.atom?.toUpperCase() === 'ACTIVE',
+      }));
+  }
+
+  /**
+   * Get a script's source
+   */
+  async getScript(name) {
+    const response = await this._command(`GETSCRIPT ${quote(name)}`);
+    return response.lines[0]?.[0]?.string || '';
+  }
+
+  /**
+   * Upload a script, replacing one with the same name
+   * The server compiles it first and refuses it with the errors it found.
+   * @returns {Promise<string|null>} Warnings the server reported
+   */
+  async putScript(name, script) {
+    const response = await this._command(`PUTSCRIPT ${quote(name)} ${quote(script)}`);
+    return response.code === 'WARNINGS' ? response.message : null;
+  }
+
+  /**
+   * Check a script without storing it
+   * @returns {Promise<{valid: boolean, message: string|null}>}
+   */
+  async checkScript(script) {
+    try {
+      const response = await this._command(`CHECKSCRIPT ${quote(script)}`);
+      return { valid: true, message: response.code === 'WARNINGS' ? response.message : null };
+    } catch (error) {
+      if (error.source !== 'sieve' || error.statusCode !== 400) throw error;
+      return { valid: false, message: error.message };
+    }
+  }
+
+  /**
+   * Make a script the active one; an empty name deactivates all scripts
+   */
+  async setActive(name) {
+    await this._command(`SETACTIVE ${quote(name)}`);
+  }
+
+  /**
+   * Delete a script; the active script cannot be deleted
+   */
+  async deleteScript(name) {
+    await this._command(`DELETESCRIPT ${quote(name)}`);
+  }
+
+  /**
+   * Log out and close the connection
+   */
+  async close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    try {
+      await this._command('LOGOUT');
+    } catch {
+      // The server may hang up without answering
+    } finally {
+      socket.destroy();
+      this._fail(sieveError('ManageSieve connection closed'));
+    }
+  }
+}
+
+/**
+ * Create a Sieve service from a user's IMAP credentials
+ * ManageSieve runs on the IMAP host unless SIEVE_HOST says otherwise.
+ */
+export function createSieveService(credentials) {
+  return new SieveService({
+    host: process.env.SIEVE_HOST || credentials.host,
+    port: parseInt(process.env.SIEVE_PORT, 10) || DEFAULT_PORT,
+    user: credentials.user,
+    pass: credentials.pass,
+    security: credentials.security,
+  });
+}
@@ -0,0 +1,335 @@
+/**
+ * Sieve Script - Compiles NovaMail filters and the vacation reply into Sieve
+ * (RFC 5228, vacation RFC 5230)
+ *
+ * The generated rules live in a managed section between two marker comments.
+ * One section holds everything, since all `require` commands have to come
+ * before the first rule.
+ * Merging a new section into an existing script replaces only that section;
+ * everything the user wrote around it is kept as it is. The section goes after
+ * the script's leading `require` commands so both sets of rules stay valid,
+ * which means the managed rules run before the user's own.
+ *
+ * Sieve sees the raw message, so a few conditions are approximations of the
+ * in-app engine: from/to match the address or the whole header value (not the
+ * display name alone), and hasAttachment looks for an attachment part with the
+ * "mime" extension or falls back to a multipart/mixed body.
+ */
+
+export const SECTION_BEGIN = '# BEGIN NovaMail';
+export const SECTION_END = '# END NovaMail';
+
+// Also matches sections written as "# BEGIN NovaMail filters"
+const SECTION_PATTERN = new RegExp(`^${SECTION_BEGIN}\\b.*$[\\s\\S]*?^${SECTION_END}\\b.*(?:\\r?\\n|$)`, 'm');
+
+const FLAG_ACTIONS = { star: '\\Flagged', read: '\\Seen' };
+
+// Actions that take a message out of its folder, strongest first
+const LEAVE_ACTIONS = ['delete', 'spam', 'move'];
+
+/**
+ * Quote a Sieve string; line breaks would end a header value anyway
+ */
+function string(value) {
+  return `"${String(value).replace(/[\r\n]+/g, ' ').replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Multi-line string (text: ... .), dot-stuffed
+ */
+function text(value) {
+  const lines = value.replace(/\r\n?/g, '\n').split('\n').map(line => (line.startsWith('.') ? `.${line}` : line));
+  return `text:\n${lines.join('\n')}\n.\n`;
+}
+
+function stringList(values) {
+  return values.length === 1 ? string(values[0]) : `[${values.map(string).join(', ')}]`;
+}
+
+/**
+ * :matches patterns for a text operator; wildcards in the value are escaped
+ */
+function patterns(operator, value) {
+  const escaped = value.replace(/[\\*?]/g, '\\$&');
+  switch (operator) {
+    case 'equals':
+      return [escaped];
+    case 'startsWith':
+      return [`${escaped}*`];
+    case 'endsWith':
+      return [`*${escaped}`];
+    default:
+      return [`*${escaped}*`];
+  }
+}
+
+/**
+ * The Sieve test for one condition
+ * @param {Set<string>} requires - Collects the extensions the test needs
+ */
+function compileCondition(condition, { extensions, requires }) {
+  const { field, operator, value } = condition;
+  const negate = test => (operator === 'notContains' ? `not ${test}` : test);
+
+  switch (field) {
+    case 'from':
+    case 'to': {
+      const headers = stringList(field === 'from' ? ['from'] : ['to', 'cc']);
+      const keys = stringList(patterns(operator, value));
+      return negate(`anyof (address :all :matches ${headers} ${keys}, header :matches ${headers} ${keys})`);
+    }
+    case 'subject':
+      return negate(`header :matches "subject" ${stringList(patterns(operator, value))}`);
+    case 'header':
+      return negate(`header :matches ${string(condition.header.toLowerCase())} ${stringList(patterns(operator, value))}`);
+    case 'listId': {
+      // "Team list <team.lists.example.com>" matches both the whole value and the bare id
+      const bare = patterns(operator, value).map(pattern => {
+        if (operator === 'equals') return `*<${pattern}>`;
+        if (operator === 'startsWith') return `*<${pattern}`;
+        if (operator === 'endsWith') return `${pattern}>`;
+        return pattern;
+      });
+      const keys = [...new Set([...patterns(operator, value), ...bare])];
+      return negate(`header :matches "list-id" ${stringList(keys)}`);
+    }
+    case 'size':
+      return `size ${operator === 'greaterThan' ? ':over' : ':under'} ${value}`;
+    case 'hasAttachment': {
+      let test = 'header :contains "content-type" "multipart/mixed"';
+      if (extensions.includes('mime')) {
+        requires.add('mime');
+        test = 'header :mime :anychild :contains "content-disposition" "attachment"';
+      }
+      return value ? test : `not ${test}`;
+    }
+    default:
+      return 'false';
+  }
+}
+
+/**
+ * The Sieve commands for a filter's actions
+ * Only the strongest action that leaves the folder is kept, as in the app.
+ */
+function compileActions(filter, { keywords, folders, requires }) {
+  const commands = [];
+
+  for (const action of filter.actions) {
+    const flag = action.type === 'label' ? keywords.get(action.labelId) : FLAG_ACTIONS[action.type];
+    if (flag) {
+      requires.add('imap4flags');
+      commands.push(`addflag ${string(flag)};`);
+    }
+    if (action.type === 'forward') {
+      requires.add('copy');
+      commands.push(`redirect :copy ${string(action.to)};`);
+    }
+  }
+
+  const leave = LEAVE_ACTIONS
+    .map(type => filter.actions.find(action => action.type === type))
+    .find(Boolean);
+  const target = leave && (leave.type === 'move' ? folders.get(leave.folder) : folders.get(leave.type));
+  if (target && target !== 'INBOX') {
+    requires.add('fileinto');
+    commands.push(`fileinto ${string(target)};`);
+  }
+
+  if (filter.stopProcessing) {
+    commands.push('stop;');
+  }
+  return commands;
+}
+
+/**
+ * Body of a vacation reply: plain text, or multipart/alternative with HTML
+ */
+function vacationBody(vacation) {
+  if (!vacation.bodyHtml) {
+    return { mime: false, body: vacation.bodyText };
+  }
+
+  const boundary = 'novamail-vacation';
+  return {
+    mime: true,
+    body: [
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      vacation.bodyText,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      vacation.bodyHtml,
+      `--${boundary}--`,
+    ].join('\n'),
+  };
+}
+
+/**
+ * The rule for a vacation reply
+ * Dates are compared with the server's clock, in its time zone.
+ */
+function compileVacation(vacation, { requires }) {
+  requires.add('vacation');
+  const tests = [];
+
+  if (vacation.startDate || vacation.endDate) {
+    requires.add('date');
+    requires.add('relational');
+  }
+  if (vacation.startDate) {
+    tests.push(`currentdate :value "ge" "date" ${string(vacation.startDate)}`);
+  }
+  if (vacation.endDate) {
+    tests.push(`currentdate :value "le" "date" ${string(vacation.endDate)}`);
+  }
+
+  const addresses = vacation.excludedAddresses.filter(address => !address.startsWith('@'));
+  const domains = vacation.excludedAddresses.filter(address => address.startsWith('@')).map(domain => domain.slice(1));
+  if (addresses.length > 0) {
+    tests.push(`not address :is "from" ${stringList(addresses)}`);
+  }
+  if (domains.length > 0) {
+    tests.push(`not address :domain :is "from" ${stringList(domains)}`);
+  }
+
+  const { mime, body } = vacationBody(vacation);
+  const args = [`:days ${vacation.intervalDays}`];
+  if (vacation.subject) args.push(`:subject ${string(vacation.subject)}`);
+  if (mime) args.push(':mime');
+  const command = `vacation ${args.join(' ')} ${text(body)};`;
+
+  if (tests.length === 0) {
+    return ['# Vacation reply', command].join('\n');
+  }
+  const test = tests.length === 1 ? tests[0] : `allof (\n    ${tests.join(',\n    ')}\n)`;
+  return ['# Vacation reply', `if ${test} {`, `    ${command}`, '}'].join('\n');
+}
+
+/**
+ * Whether a server can run a vacation reply as configured
+ * @param {Array<string>} extensions - Sieve extensions the server supports
+ */
+export function supportsVacation(vacation, extensions) {
+  const needed = ['vacation'];
+  if (vacation.startDate || vacation.endDate) needed.push('date', 'relational');
+  return needed.every(extension => extensions.includes(extension));
+}
+
+/**
+ * Compile a managed section
+ * The vacation reply comes first so a filter's stop cannot skip it.
+ * @param {Object} content
+ * @param {Array<Object>} [content.filters] - Filters in the order they run; disabled ones are skipped
+ * @param {Object|null} [content.vacation] - Vacation settings (see vacationService)
+ * @param {Object} options
+ * @param {Map<string, string>} options.keywords - Label id to IMAP keyword
+ * @param {Map<string, string>} options.folders - Move target, 'delete' and 'spam' to folder path
+ * @param {Array<string>} [options.extensions] - Sieve extensions the server supports
+ * @returns {string}
+ */
+export function compileSection({ filters = [], vacation = null }, { keywords, folders, extensions = [] }) {
+  const requires = new Set();
+  const rules = [];
+
+  if (vacation) {
+    rules.push(compileVacation(vacation, { requires }));
+  }
+
+  for (const filter of filters.filter(f => f.enabled)) {
+    const tests = filter.conditions.map(condition => compileCondition(condition, { extensions, requires }));
+    const commands = compileActions(filter, { keywords, folders, requires });
+    if (commands.length === 0) continue;
+
+    const test = tests.length === 1
+      ? tests[0]
+      : `${filter.match === 'any' ? 'anyof' : 'allof'} (\n    ${tests.join(',\n    ')}\n)`;
+
+    rules.push([
+      `# ${filter.name.replace(/[\r\n]+/g, ' ')}`,
+      `if ${test} {`,
+      ...commands.map(command => `    ${command}`),
+      '}',
+    ].join('\n'));
+  }
+
+  const lines = [`${SECTION_BEGIN} (generated, edits here are overwritten)`];
+  if (requires.size > 0) {
+    lines.push(`require ${stringList([...requires].sort())};`);
+  }
+  lines.push(...rules, SECTION_END);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Remove the managed section from a script
+ */
+export function removeManagedSection(script) {
+  return (script || '').replace(SECTION_PATTERN, '');
+}
+
+/**
+ * Length of the script's leading comments and `require` commands
+ */
+function preambleLength(script) {
+  let i = 0;
+  let end = 0;
+
+  while (i < script.length) {
+    if (/\s/.test(script[i])) {
+      i++;
+    } else if (script[i] === '#') {
+      const newline = script.indexOf('\n', i);
+      i = newline === -1 ? script.length : newline + 1;
+      end = i;
+    } else if (script.startsWith('/*', i)) {
+      const close = script.indexOf('*/', i + 2);
+      if (close === -1) break;
+      i = close + 2;
+      end = i;
+    } else if (/^require\b/i.test(script.slice(i))) {
+      // Skip to the semicolon outside quoted extension names
+      let j = i + 'require'.length;
+      let quoted = false;
+      while (j < script.length && (quoted || script[j] !== ';')) {
+        if (script[j] === '\\' && quoted) j++;
+        else if (script[j] === '"') quoted = !quoted;
+        j++;
+      }
+      if (j >= script.length) break;
+      i = j + 1;
+      if (script[i] === '\r') i++;
+      if (script[i] === '\n') i++;
+      end = i;
+    } else {
+      break;
+    }
+  }
+  return end;
+}
+
+/**
+ * Put a managed section into a script in place of the old one
+ * @param {string} script - Current script source (may be empty)
+ * @param {string} section - Output of compileSection
+ * @returns {string}
+ */
+export function mergeManagedSection(script, section) {
+  const user = removeManagedSection(script);
+  const split = preambleLength(user);
+  const before = user.slice(0, split);
+  const after = user.slice(split);
+
+  return [
+    before && !before.endsWith('\n') ? `${before}\n` : before,
+    section,
+    after.trim() ? `\n${after.replace(/^\s*\n/, '')}` : '',
+  ].join('');
+}
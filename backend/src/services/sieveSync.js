@@ -0,0 +1,86 @@
+import { getFilters } from './filterService.js';
+import { getLabels } from './labelService.js';
+import { getUserSettings } from './settingsService.js';
+import { getVacation } from './vacationService.js';
+import { compileSection, mergeManagedSection, removeManagedSection } from './sieveScript.js';
+
+/**
+ * Sieve Sync - Keeps the managed section of the user's active Sieve script in
+ * step with what runs on the mail server: the filters, once the user turned
+ * server-side filtering on, and the vacation reply when it is in Sieve mode.
+ */
+
+// Script created when the user has no active Sieve script
+export const SIEVE_SCRIPT_NAME = 'novamail';
+
+/**
+ * Folder paths the filters' actions file into
+ */
+async function resolveTargets(imapService, filters) {
+  const folders = new Map([
+    ['delete', await imapService.resolveFolderPath('trash')],
+    ['spam', await imapService.resolveFolderPath('junk')],
+  ]);
+  for (const action of filters.flatMap(filter => filter.actions)) {
+    if (action.type === 'move' && !folders.has(action.folder)) {
+      folders.set(action.folder, await imapService.resolveFolderPath(action.folder));
+    }
+  }
+  return folders;
+}
+
+/**
+ * Take the managed section out of the active script
+ * The script NovaMail created is removed once nothing else is left in it.
+ */
+async function removeSection(sieveService) {
+  const active = (await sieveService.listScripts()).find(script => script.active);
+  if (!active) return;
+
+  const current = await sieveService.getScript(active.name);
+  const remaining = removeManagedSection(current);
+  if (remaining === current) return;
+
+  if (active.name === SIEVE_SCRIPT_NAME && !remaining.trim()) {
+    await sieveService.setActive('');
+    await sieveService.deleteScript(active.name);
+  } else {
+    await sieveService.putScript(active.name, remaining);
+  }
+}
+
+/**
+ * Rewrite the managed section of the active Sieve script
+ * Creates and activates a script of its own when none is active, and drops the
+ * section when nothing runs on the server any more. The server checks the
+ * script before storing it and refuses it with the errors it found.
+ * @param {ImapService} imapService - Resolves the folders filters file into
+ * @param {SieveService} sieveService
+ * @returns {Promise<{script: string|null, warnings: string|null}>}
+ */
+export async function updateSieveScript(userId, imapService, sieveService) {
+  const [{ serverFilters }, vacation] = await Promise.all([getUserSettings(userId), getVacation(userId)]);
+  const filters = serverFilters ? await getFilters(userId) : [];
+  const sieveVacation = vacation.enabled && vacation.mode === 'sieve' ? vacation : null;
+
+  if (!filters.some(filter => filter.enabled) && !sieveVacation) {
+    await removeSection(sieveService);
+    return { script: null, warnings: null };
+  }
+
+  const keywords = new Map((await getLabels(userId)).map(label => [label.id, label.keyword]));
+  const folders = await resolveTargets(imapService, filters);
+  const { extensions } = await sieveService.getCapabilities();
+  const section = compileSection({ filters, vacation: sieveVacation }, { keywords, folders, extensions });
+
+  const scripts = await sieveService.listScripts();
+  const active = scripts.find(script => script.active);
+  const name = active?.name || SIEVE_SCRIPT_NAME;
+  const current = scripts.some(script => script.name === name) ? await sieveService.getScript(name) : '';
+
+  const warnings = await sieveService.putScript(name, mergeManagedSection(current, section));
+  if (!active) {
+    await sieveService.setActive(name);
+  }
+  return { script: name, warnings };
+}
@@ -1,5 +1,37 @@
 import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import { htmlToText, quoteReply, replySubject } from './replyQuote.js';
+import { replyRecipients } from './replyRecipients.js';
+
+// Nodemailer error codes that sending again will not fix
+const PERMANENT_ERROR_CODES = ['EAUTH', 'ENOAUTH', 'EENVELOPE', 'ECONFIG'];
+
+// <img src="data:..."> in an HTML body
+const DATA_IMAGE_PATTERN = /(<img\b[^>]*?\ssrc\s*=\s*["']?)data:(image\/[\w.+-]+);base64,([^"'\s>]+)/gi;
+
+/**
+ * Move images inlined as data: URIs into related parts referenced by cid:
+ * Bodies of fetched emails carry their inline images that way, and many mail
+ * clients do not show data: images.
+ * @returns {{html: string, attachments: Array<Object>}}
+ */
+function embedDataImages(html) {
+  const attachments = [];
+  const embedded = html.replace(DATA_IMAGE_PATTERN, (match, prefix, contentType, data) => {
+    const cid = `${crypto.randomUUID()}@novamail`;
+    attachments.push({
+      filename: `image-${attachments.length + 1}.${contentType.split('/')[1].split('+')[0]}`,
+      content: data,
+      encoding: 'base64',
+      contentType,
+      cid,
+    });
+    return `${prefix}cid:${cid}`;
+  });
+  return { html: embedded, attachments };
+}
 
 /**
  * SMTP Service - Handles all email sending operations
@@ -61,11 +93,13 @@ export class SmtpService {
   }
 
   /**
-   * Send an email
+   * nodemailer message options for an email
+   * @param {Object} emailData - Recipients, subject, body, attachments, threading headers
+   * @param {Date} [emailData.date] - Date header (defaults to now)
+   * @param {string} [emailData.messageId] - Message-ID to keep (a new one otherwise)
+   * @param {Object} [emailData.identity] - Identity to send as (email, name, replyTo, bcc)
    */
-  async sendEmail(emailData) {
-    const transport = this.createTransport();
-    
+  _mailOptions(emailData) {
     const {
       to,
       cc,
@@ -77,6 +111,10 @@ export class SmtpService {
       replyTo,
       inReplyTo,
       references,
+      headers,
+      date,
+      messageId,
+      identity,
     } = emailData;
 
     // Format recipients
@@ -91,12 +129,14 @@ export class SmtpService {
     // Format attachments for nodemailer
     const formattedAttachments = (attachments || []).map(att => {
       if (att.content) {
-        // Base64 encoded content
+        // Base64 encoded content; a forwarded message is listed as an attachment, not shown inline
+        const contentType = att.contentType || att.type;
         return {
           filename: att.filename || att.name,
           content: att.content,
           encoding: 'base64',
-          contentType: att.contentType || att.type,
+          contentType,
+          ...(contentType === 'message/rfc822' && { contentDisposition: 'attachment' }),
         };
       }
       if (att.path) {
@@ -109,22 +149,83 @@ export class SmtpService {
       return null;
     }).filter(Boolean);
 
-    const mailOptions = {
-      from: `"${this.userName}" <${this.userEmail}>`,
+    const embedded = body ? embedDataImages(body) : { html: body, attachments: [] };
+
+    // An identity's Bcc addresses go along with every message sent as it
+    const sender = identity?.email ? identity : { email: this.userEmail, name: this.userName };
+    const seen = new Set();
+    const allBcc = [...(bcc || []), ...(identity?.bcc || [])].filter((r) => {
+      const key = (r.email || r).toLowerCase();
+      return !seen.has(key) && seen.add(key);
+    });
+    const isAlias = sender.email.toLowerCase() !== this.userEmail.toLowerCase();
+
+    return {
+      from: sender.name ? `"${sender.name}" <${sender.email}>` : sender.email,
+      // Mail from an alias keeps the account address as the SMTP sender, which
+      // servers that check MAIL FROM against the login accept; bounces come back to it
+      ...(isAlias && {
+        envelope: {
+          from: this.userEmail,
+          to: formatRecipients(to),
+          cc: formatRecipients(cc),
+          bcc: formatRecipients(allBcc),
+        },
+      }),
       to: formatRecipients(to),
       cc: formatRecipients(cc),
-      bcc: formatRecipients(bcc),
+      bcc: formatRecipients(allBcc),
       subject: subject || '(no subject)',
-      html: body,
+      html: embedded.html,
       text: textBody || this.stripHtml(body),
-      attachments: formattedAttachments,
-      replyTo: replyTo,
+      attachments: [...formattedAttachments, ...embedded.attachments],
+      replyTo: replyTo || identity?.replyTo || undefined,
       inReplyTo: inReplyTo,
       references: references,
-      messageId: `<${uuidv4()}@${this.userEmail.split('@')[1]}>`,
+      headers: headers,
+      date: date,
+      messageId: messageId || `<${uuidv4()}@${sender.email.split('@')[1]}>`,
     };
+  }
 
-    const result = await transport.sendMail(mailOptions);
+  /**
+   * Send an email
+   */
+  async sendEmail(emailData) {
+    const transport = this.createTransport();
+    const result = await transport.sendMail(this._mailOptions(emailData));
+    
+    return {
+      success: true,
+      messageId: result.messageId,
+      accepted: result.accepted,
+      rejected: result.rejected,
+      response: result.response,
+    };
+  }
+
+  /**
+   * Build the MIME source of an email without sending it
+   * Bcc recipients are left out of the headers and kept in the envelope.
+   * @returns {Promise<{raw: Buffer, envelope: {from: string, to: Array<string>}, messageId: string}>}
+   */
+  async buildMessage(emailData) {
+    const message = new MailComposer(this._mailOptions(emailData)).compile();
+    const raw = await message.build();
+    
+    return {
+      raw,
+      envelope: message.getEnvelope(),
+      messageId: message.messageId(),
+    };
+  }
+
+  /**
+   * Send a message built with buildMessage
+   */
+  async sendRaw(raw, envelope) {
+    const transport = this.createTransport();
+    const result = await transport.sendMail({ envelope, raw });
     
     return {
       success: true,
@@ -139,26 +240,30 @@ export class SmtpService {
    * Send a reply to an email
    */
   async sendReply(originalEmail, replyData) {
-    const { body, textBody, attachments, replyAll } = replyData;
+    return this.sendEmail(this.buildReply(originalEmail, replyData));
+  }
+
+  /**
+   * Message data for a reply: recipients, Re: subject and threading headers
+   * replyData.mode picks the recipients ('sender', 'all' or 'list', see
+   * replyRecipients.js). With replyData.quote ({ position, attribution }) the
+   * original is quoted above or below the new body.
+   */
+  buildReply(originalEmail, replyData) {
+    const { textBody, attachments, replyAll, quote, ownAddresses = [this.userEmail] } = replyData;
+    let { body } = replyData;
     
-    // Build recipients list
-    const to = [{ email: originalEmail.from.email, name: originalEmail.from.name }];
-    let cc = [];
+    // Recipients for the reply mode; 'list' falls back to the sender for non-list mail
+    const mode = replyData.mode || (replyAll ? 'all' : 'sender');
+    const recipients = replyRecipients(originalEmail, ownAddresses);
+    const { to, cc } = recipients[mode] || recipients.sender;
     
-    if (replyAll) {
-      // Add all original recipients except self
-      const otherRecipients = (originalEmail.to || [])
-        .filter(r => r.email !== this.userEmail);
-      const otherCc = (originalEmail.cc || [])
-        .filter(r => r.email !== this.userEmail);
-      
-      cc = [...otherRecipients, ...otherCc];
-    }
+    const subject = replySubject(originalEmail.subject);
     
-    // Build subject
-    let subject = originalEmail.subject || '';
-    if (!subject.toLowerCase().startsWith('re:')) {
-      subject = `Re: ${subject}`;
+    // Quote the original around the new text; the text part is rebuilt from it
+    let text = textBody;
+    if (quote) {
+      ({ body, textBody: text } = quoteReply(body, originalEmail, quote));
     }
     
     // Build references chain
@@ -166,23 +271,35 @@ export class SmtpService {
       ? `${originalEmail.references} ${originalEmail.messageId}`
       : originalEmail.messageId;
 
-    return this.sendEmail({
+    return {
       to,
       cc,
       subject,
       body,
-      textBody,
+      textBody: text,
       attachments,
       inReplyTo: originalEmail.messageId,
       references,
-    });
+    };
   }
 
   /**
    * Forward an email
    */
   async forwardEmail(originalEmail, forwardData) {
-    const { to, cc, bcc, body, attachments: additionalAttachments } = forwardData;
+    return this.sendEmail(this.buildForward(originalEmail, forwardData));
+  }
+
+  /**
+   * Message data for a forward: Fwd: subject, the original below the note
+   * The original's attachments go along when originalEmail carries their
+   * content (getEmail with attachmentContent); its inline images are in its body.
+   * @param {Object} forwardData
+   * @param {Object} [forwardData.asAttachment] - Attachment holding the whole original
+   *   (message/rfc822); the body is then only the note
+   */
+  buildForward(originalEmail, forwardData) {
+    const { to, cc, bcc, body, attachments: additionalAttachments, asAttachment } = forwardData;
     
     // Build subject
     let subject = originalEmail.subject || '';
@@ -190,6 +307,17 @@ export class SmtpService {
       subject = `Fwd: ${subject}`;
     }
     
+    if (asAttachment) {
+      return {
+        to,
+        cc,
+        bcc,
+        subject,
+        body: body || '',
+        attachments: [asAttachment, ...(additionalAttachments || [])],
+      };
+    }
+    
     // Build forwarded message body
     const forwardedBody = `
       ${body || ''}
@@ -207,18 +335,18 @@ export class SmtpService {
     
     // Combine attachments
     const allAttachments = [
-      ...(originalEmail.attachments || []),
+      ...(originalEmail.attachments || []).filter(att => att.content && !att.inline),
       ...(additionalAttachments || []),
     ];
 
-    return this.sendEmail({
+    return {
       to,
       cc,
       bcc,
       subject,
       body: forwardedBody,
       attachments: allAttachments,
-    });
+    };
   }
 
   /**
@@ -269,21 +397,25 @@ export class SmtpService {
   }
 
   /**
-   * Strip HTML tags to get plain text
+   * Strip HTML tags to get plain text; quoted parts get "> " prefixes
    */
   stripHtml(html) {
-    if (!html) return '';
-    return html
-      .replace(/<br\s*\/?>/gi, '\n')
-      .replace(/<\/p>/gi, '\n\n')
-      .replace(/<[^>]+>/g, '')
-      .replace(/&nbsp;/g, ' ')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .trim();
+    return htmlToText(html);
+  }
+}
+
+/**
+ * Whether a send failure is permanent
+ * The SMTP reply code decides when there is one: 5xx is permanent, 4xx
+ * (greylisting, full mailbox, rate limits) is temporary. Without one, bad
+ * credentials or addresses are permanent and connection problems temporary.
+ * @param {Error} error - Error thrown by nodemailer
+ */
+export function isPermanentSmtpError(error) {
+  if (error.responseCode) {
+    return error.responseCode >= 500;
   }
+  return PERMANENT_ERROR_CODES.includes(error.code);
 }
 
 /**
@@ -295,6 +427,7 @@ export function createSmtpService(credentials) {
     port: credentials.port,
     user: credentials.user,
     pass: credentials.pass,
+    security: credentials.security,
     name: credentials.name,
   });
 }
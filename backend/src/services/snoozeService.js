@@ -0,0 +1,214 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { createImapService } from './imap.js';
+import { notify } from './mailWatcher.js';
+import { removeMessages } from './messageCache.js';
+import { getMailCredentials } from './userService.js';
+
+/**
+ * Snooze Service - Moves messages out of the way until a given time
+ *
+ * A snoozed message sits in the Snoozed folder on the mail server, so it is
+ * hidden in every client, and its wake-up time is kept here. The scheduler
+ * moves due messages back to the inbox as unread and tells the user's open
+ * event streams. The row remembers the Message-ID because another client may
+ * have moved the message around in the meantime, which changes its UID.
+ */
+
+export const SNOOZED_FOLDER = 'Snoozed';
+
+const WAKE_INTERVAL_MS = 60 * 1000;
+
+function formatSnooze(row) {
+  return {
+    id: row.id,
+    folder: row.folder,
+    uid: row.uid,
+    messageId: row.message_id || null,
+    originalFolder: row.original_folder,
+    subject: row.subject || '(no subject)',
+    from: { name: row.from_name || '', email: row.from_address || '' },
+    wakeAt: row.wake_at,
+    createdAt: row.created_at,
+  };
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Get a user's snoozed messages, the next to wake first
+ */
+export async function getSnoozed(userId) {
+  const rows = await db('snoozed_messages')
+    .where('user_id', userId)
+    .orderBy('wake_at');
+
+  return rows.map(formatSnooze);
+}
+
+/**
+ * Path of the Snoozed folder, created on first use
+ */
+async function ensureSnoozedFolder(imapService) {
+  const mailboxes = await imapService.getMailboxes();
+  const existing = mailboxes.find(box =>
+    box.path.toLowerCase() === SNOOZED_FOLDER.toLowerCase()
+    || box.name.toLowerCase() === SNOOZED_FOLDER.toLowerCase());
+  if (existing) return existing.path;
+
+  await imapService.createMailbox(SNOOZED_FOLDER);
+  return SNOOZED_FOLDER;
+}
+
+/**
+ * Snooze a message until a given time
+ * Snoozing a message that is already snoozed only moves its wake-up time.
+ * @param {Date} wakeAt
+ * @throws {Error} 404 when the message does not exist
+ */
+export async function snoozeMessage(userId, imapService, folder, uid, wakeAt) {
+  const email = await imapService.getEnvelope(folder, uid);
+  if (!email) {
+    throw notFound('Email not found');
+  }
+
+  const snoozedFolder = await ensureSnoozedFolder(imapService);
+  if (email.folder === snoozedFolder) {
+    const row = await db('snoozed_messages').where({ user_id: userId, folder: snoozedFolder, uid }).first();
+    if (row) {
+      await db('snoozed_messages').where('id', row.id).update({ wake_at: wakeAt.toISOString() });
+      return formatSnooze({ ...row, wake_at: wakeAt.toISOString() });
+    }
+  }
+
+  const moved = await imapService.moveEmail(email.folder, uid, snoozedFolder);
+  await removeMessages(userId, email.folder, [uid]);
+
+  const row = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    folder: snoozedFolder,
+    // Without UIDPLUS the message is found by its Message-ID when it wakes
+    uid: moved.uid ?? 0,
+    message_id: email.messageId,
+    original_folder: email.folder,
+    subject: email.subject,
+    from_name: email.from?.name || null,
+    from_address: email.from?.email || null,
+    wake_at: wakeAt.toISOString(),
+    created_at: new Date().toISOString(),
+  };
+  await db('snoozed_messages').insert(row);
+
+  return formatSnooze(row);
+}
+
+/**
+ * Current UID of a snoozed message, or null when it has left the folder
+ */
+async function locate(imapService, row) {
+  if (row.uid) {
+    const email = await imapService.getEnvelope(row.folder, row.uid);
+    if (email && (!row.message_id || email.messageId === row.message_id)) {
+      return row.uid;
+    }
+  }
+  return row.message_id ? imapService.findByMessageId(row.folder, row.message_id) : null;
+}
+
+/**
+ * Move a snoozed message back to the inbox as unread and forget the snooze
+ * @returns {Promise<boolean>} false when the message was no longer snoozed
+ */
+async function wake(imapService, row) {
+  const uid = await locate(imapService, row);
+  if (uid) {
+    await imapService.batchSetFlags(row.folder, [uid], ['\\Seen'], false);
+    await imapService.moveEmail(row.folder, uid, 'INBOX');
+  }
+  await db('snoozed_messages').where('id', row.id).del();
+  return !!uid;
+}
+
+/**
+ * Cancel a snooze; the message returns to the inbox right away
+ * @throws {Error} 404 when the snooze does not exist
+ */
+export async function cancelSnooze(userId, imapService, id) {
+  const row = await db('snoozed_messages').where({ id, user_id: userId }).first();
+  if (!row) {
+    throw notFound('Snooze not found');
+  }
+
+  const woken = await wake(imapService, row);
+  return { ...formatSnooze(row), woken };
+}
+
+/**
+ * Wake every message whose time has come
+ * A message that fails to move stays snoozed and is tried again next round.
+ * @returns {Promise<number>} Messages returned to the inbox
+ */
+export async function wakeDueMessages(now = new Date()) {
+  const due = await db('snoozed_messages')
+    .where('wake_at', '<=', now.toISOString())
+    .orderBy('wake_at');
+
+  const byUser = new Map();
+  for (const row of due) {
+    byUser.set(row.user_id, [...(byUser.get(row.user_id) || []), row]);
+  }
+  let woken = 0;
+
+  for (const [userId, rows] of byUser) {
+    const credentials = await getMailCredentials(userId);
+    if (!credentials) continue;
+    const imapService = createImapService(credentials.imap);
+
+    for (const row of rows) {
+      try {
+        if (await wake(imapService, row)) {
+          woken++;
+          const snooze = formatSnooze(row);
+          notify(userId, 'snooze:wake', {
+            id: snooze.id,
+            folder: 'INBOX',
+            subject: snooze.subject,
+            from: snooze.from,
+            wakeAt: snooze.wakeAt,
+          });
+        }
+      } catch (error) {
+        console.warn(`Failed to wake snoozed message ${row.id}:`, error.message);
+      }
+    }
+  }
+  return woken;
+}
+
+let wakeTimer = null;
+let isWaking = false;
+
+/**
+ * Check for due snoozes every minute
+ */
+export function startSnoozeScheduler() {
+  if (wakeTimer) return;
+
+  wakeTimer = setInterval(async () => {
+    if (isWaking) return;
+    isWaking = true;
+    try {
+      await wakeDueMessages();
+    } catch (error) {
+      console.error('Snooze scheduler error:', error);
+    } finally {
+      isWaking = false;
+    }
+  }, WAKE_INTERVAL_MS);
+  wakeTimer.unref();
+}
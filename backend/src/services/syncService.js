@@ -0,0 +1,540 @@
+import {
+  getMailboxState,
+  saveMailboxState,
+  setFillUid,
+  upsertMessages,
+  updateFlags,
+  removeMessages,
+  clearFolder,
+  pruneFolders,
+  getCachedFlags,
+  listMessages,
+  listConversations,
+  getThreadingRows,
+  setThreadIds,
+  getThreadMessages,
+  getFolderMessages,
+  setSnippet,
+} from './messageCache.js';
+import { applyFilters, getEnabledFilters, hasEnabledFilters } from './filterService.js';
+import { getUserSettings } from './settingsService.js';
+import { hasLocalVacation, respondToNewMail } from './vacationService.js';
+import { getUnindexedMessages, indexMessages } from './searchIndex.js';
+import { buildThreads } from './threading.js';
+
+/**
+ * Sync Service - Keeps the local message cache in step with the IMAP server
+ * and answers list queries from it
+ *
+ * A folder is (re)loaded the first time and whenever its UIDVALIDITY changes,
+ * in background rounds from the newest messages down; its lists are paged
+ * straight from the server until that is done. After that only changes are
+ * fetched: CONDSTORE/QRESYNC deltas when the server supports them, otherwise
+ * new UIDs plus a FLAGS-only comparison.
+ * Cached messages are grouped into conversations with JWZ threading, and a
+ * background indexer adds their body text to the full-text search index.
+ * New INBOX mail found by an incremental sync runs through the user's filters.
+ */
+
+// Virtual folders answered from the cache across all real folders
+const VIRTUAL_FOLDERS = {
+  starred: { where: { is_starred: true } },
+  important: { where: { is_important: true } },
+  all: { where: {}, excludeSpecialUse: ['\\Trash', '\\Junk'] },
+};
+
+/**
+ * Actions that apply to every message of a conversation
+ */
+export const CONVERSATION_ACTIONS = ['archive', 'delete', 'read', 'unread', 'star', 'unstar', 'label', 'unlabel'];
+
+const FLAG_ACTIONS = {
+  read: { flag: '\\Seen', add: true },
+  unread: { flag: '\\Seen', add: false },
+  star: { flag: '\\Flagged', add: true },
+  unstar: { flag: '\\Flagged', add: false },
+};
+
+// In-flight syncs, so concurrent requests share one IMAP round trip
+const inFlight = new Map();
+
+// Envelopes fetched per round while filling a folder's cache
+const FILL_BATCH_SIZE = 500;
+
+// Running cache fills per user and folder
+const filling = new Map();
+
+// Virtual folder lists sync every folder at most this often, INBOX on each list
+const VIRTUAL_SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+// Last every-folder sync per user and virtual folder kind
+const virtualSyncs = new Map();
+
+// Users whose cached thread ids reflect every cached message
+const threadedUsers = new Set();
+
+// Messages fetched per search indexing round
+const INDEX_BATCH_SIZE = 50;
+
+// Running background indexers per user
+const indexing = new Map();
+
+// Users whose whole mailbox has been synced once by the indexer
+const indexedUsers = new Set();
+
+/**
+ * Bring the cache of one folder up to date
+ * @returns {Promise<Object>} the folder's new sync state
+ */
+export function syncFolder(userId, imapService, folder) {
+  const key = `${userId}:${folder}`;
+  if (!inFlight.has(key)) {
+    const promise = runFolderSync(userId, imapService, folder)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+  }
+  return inFlight.get(key);
+}
+
+async function runFolderSync(userId, imapService, folder) {
+  const resolvedFolder = await imapService.resolveFolderPath(folder);
+  const previous = await getMailboxState(userId, resolvedFolder);
+  const changes = await imapService.getChanges(resolvedFolder, previous);
+  const { current } = changes;
+
+  if (!previous || previous.uidValidity !== current.uidValidity) {
+    // First sync or the server renumbered the folder - reload everything,
+    // newest first, in the background
+    await clearFolder(userId, resolvedFolder);
+    await saveMailboxState(userId, { ...current, fillUid: current.uidNext });
+    scheduleFill(userId, imapService, resolvedFolder);
+    return { ...current, fillUid: current.uidNext };
+  }
+
+  await upsertMessages(userId, current.uidValidity, changes.newEmails);
+  if (changes.newEmails.length > 0) {
+    threadedUsers.delete(userId);
+  }
+
+  if (current.highestModseq && !changes.fullResync) {
+    await updateFlags(userId, resolvedFolder, changes.changed);
+    await removeMessages(userId, resolvedFolder, changes.vanished);
+  } else {
+    await reconcileFlags(userId, imapService, resolvedFolder);
+  }
+
+  if (resolvedFolder === 'INBOX' && changes.newEmails.length > 0) {
+    // Reply before filters move anything out of the folder
+    await runVacationResponder(userId, imapService, resolvedFolder, changes.newEmails);
+    await runFiltersOnNewMail(userId, imapService, resolvedFolder, changes.newEmails);
+  }
+
+  await saveMailboxState(userId, current);
+  if (previous.fillUid) {
+    // Resume a fill cut short, e.g. by a restart
+    scheduleFill(userId, imapService, resolvedFolder);
+  } else {
+    scheduleIndexing(userId, imapService);
+  }
+  return { ...current, fillUid: previous.fillUid };
+}
+
+/**
+ * Start filling a folder's cache in the background unless that is running
+ */
+function scheduleFill(userId, imapService, folder) {
+  const key = `${userId}:${folder}`;
+  if (!filling.has(key)) {
+    const promise = runFill(userId, imapService, folder)
+      .catch(error => console.warn(`Failed to fill the cache of ${folder}:`, error.message))
+      .finally(() => filling.delete(key));
+    filling.set(key, promise);
+  }
+  return filling.get(key);
+}
+
+async function runFill(userId, imapService, folder) {
+  for (;;) {
+    const state = await getMailboxState(userId, folder);
+    if (!state?.fillUid) break;
+
+    const { uidValidity, emails, remaining } = await imapService.getEnvelopes(folder, {
+      below: state.fillUid,
+      limit: FILL_BATCH_SIZE,
+    });
+    // Renumbered meanwhile: the next sync reloads the folder
+    if (uidValidity !== state.uidValidity) return;
+
+    await upsertMessages(userId, uidValidity, emails);
+    threadedUsers.delete(userId);
+    const lowest = emails.reduce((min, email) => Math.min(min, email.uid), state.fillUid);
+    await setFillUid(userId, folder, remaining > 0 ? lowest : null);
+  }
+
+  scheduleIndexing(userId, imapService);
+}
+
+/**
+ * Send the vacation reply for newly arrived messages when the backend, not
+ * the mail server, answers them. Failures must not stop the sync.
+ */
+async function runVacationResponder(userId, imapService, folder, emails) {
+  try {
+    await respondToNewMail(userId, imapService, folder, emails);
+  } catch (error) {
+    console.warn(`Vacation reply failed on new mail in ${folder}:`, error.message);
+  }
+}
+
+/**
+ * Whether new INBOX mail should go through the sync path as soon as it
+ * arrives: filters run by NovaMail or the backend's vacation responder act on it
+ */
+export async function runsOnNewMail(userId) {
+  const [{ serverFilters }, filters, vacation] = await Promise.all([
+    getUserSettings(userId),
+    hasEnabledFilters(userId),
+    hasLocalVacation(userId),
+  ]);
+  return (filters && !serverFilters) || vacation;
+}
+
+/**
+ * Apply the user's enabled filters to newly arrived messages
+ * Skipped when the filters run as a Sieve script on the mail server, which has
+ * already applied them on delivery. A failing filter must not stop the sync;
+ * the messages stay where they are.
+ */
+async function runFiltersOnNewMail(userId, imapService, folder, emails) {
+  try {
+    if ((await getUserSettings(userId)).serverFilters) return;
+    const filters = await getEnabledFilters(userId);
+    await applyFilters(userId, imapService, folder, emails, filters);
+  } catch (error) {
+    console.warn(`Filters failed on new mail in ${folder}:`, error.message);
+  }
+}
+
+/**
+ * Compare cached flags against the server and drop expunged messages
+ * Used when the server cannot report changes since a modseq
+ */
+async function reconcileFlags(userId, imapService, folder) {
+  const [{ messages }, cached] = await Promise.all([
+    imapService.getFlags(folder),
+    getCachedFlags(userId, folder),
+  ]);
+
+  const serverFlags = new Map(messages.map(m => [m.uid, m.flags]));
+  const changed = [];
+  const vanished = [];
+
+  for (const { uid, flags } of cached) {
+    const current = serverFlags.get(uid);
+    if (!current) {
+      vanished.push(uid);
+    } else if (current.length !== flags.length || current.some(flag => !flags.includes(flag))) {
+      changed.push({ uid, flags: current });
+    }
+  }
+
+  await updateFlags(userId, folder, changed);
+  await removeMessages(userId, folder, vanished);
+}
+
+/**
+ * Sync every selectable folder (optionally skipping special-use folders)
+ * @returns {Promise<string[]>} the synced folder paths
+ */
+export async function syncAllFolders(userId, imapService, { excludeSpecialUse = [] } = {}) {
+  const mailboxes = await imapService.getMailboxes();
+  const selectable = mailboxes.filter(box => !box.flags?.has('\\Noselect'));
+
+  // Folders deleted or renamed elsewhere must not linger in virtual folders
+  await pruneFolders(userId, selectable.map(box => box.path));
+
+  const folders = selectable
+    .filter(box => !excludeSpecialUse.includes(box.specialUse))
+    .map(box => box.path);
+
+  for (const folder of folders) {
+    try {
+      await syncFolder(userId, imapService, folder);
+    } catch (error) {
+      console.warn(`Failed to sync ${folder}:`, error.message);
+    }
+  }
+
+  return folders;
+}
+
+/**
+ * Sync the folders a virtual folder lists from
+ * Every folder is synced on the first list and then at most every few
+ * minutes; INBOX, where new mail arrives, on every list.
+ * @returns {Promise<string[]>} the folder paths
+ */
+async function syncVirtualFolders(userId, imapService, excludeSpecialUse = []) {
+  const key = `${userId}:${excludeSpecialUse.join(',')}`;
+  const last = virtualSyncs.get(key);
+
+  if (last && Date.now() - last.at < VIRTUAL_SYNC_INTERVAL_MS) {
+    await syncFolder(userId, imapService, 'INBOX');
+    return last.folders;
+  }
+
+  const folders = syncAllFolders(userId, imapService, { excludeSpecialUse });
+  virtualSyncs.set(key, { at: Date.now(), folders });
+  folders.catch(() => virtualSyncs.delete(key));
+  return folders;
+}
+
+/**
+ * Start the background search indexer for a user unless it is running
+ * The first run per process syncs every folder so the index covers the whole
+ * mailbox; later runs only index messages added to the cache since.
+ */
+export function scheduleIndexing(userId, imapService) {
+  if (!indexing.has(userId)) {
+    const promise = runIndexing(userId, imapService)
+      .catch(error => console.warn('Search indexing failed:', error.message))
+      .finally(() => indexing.delete(userId));
+    indexing.set(userId, promise);
+  }
+  return indexing.get(userId);
+}
+
+async function runIndexing(userId, imapService) {
+  if (!indexedUsers.has(userId)) {
+    indexedUsers.add(userId);
+    await syncAllFolders(userId, imapService);
+  }
+
+  for (;;) {
+    const pending = await getUnindexedMessages(userId, INDEX_BATCH_SIZE);
+    if (pending.length === 0) return;
+
+    const byFolder = new Map();
+    for (const email of pending) {
+      if (!byFolder.has(email.folder)) byFolder.set(email.folder, []);
+      byFolder.get(email.folder).push(email);
+    }
+
+    const documents = [];
+    for (const [folder, emails] of byFolder) {
+      let fetched = [];
+      try {
+        fetched = await imapService.getIndexDocuments(folder, emails.map(e => e.uid));
+      } catch (error) {
+        console.warn(`Failed to fetch ${folder} for indexing:`, error.message);
+      }
+      const byUid = new Map(fetched.map(doc => [doc.uid, doc]));
+
+      // Messages that could not be fetched are indexed by envelope so they are not retried forever
+      for (const email of emails) {
+        const doc = byUid.get(email.uid);
+        documents.push({ ...email, body: doc?.text || '', attachments: doc?.attachments || [] });
+        if (doc?.text && !email.snippet) {
+          await setSnippet(userId, folder, email.uid, doc.text.substring(0, 200));
+        }
+      }
+    }
+
+    await indexMessages(userId, documents);
+  }
+}
+
+/**
+ * Group every cached message of a user into conversations (JWZ)
+ * Only runs when messages were added since the last run. Copies of a message
+ * in several folders share one Message-ID and therefore one thread.
+ */
+export async function refreshThreads(userId) {
+  if (threadedUsers.has(userId)) return;
+
+  const rows = await getThreadingRows(userId);
+  const copies = new Map();
+  const messages = [];
+
+  for (const row of rows) {
+    const key = row.message_id || `row:${row.id}`;
+    if (!copies.has(key)) {
+      copies.set(key, []);
+      messages.push({
+        messageId: key,
+        inReplyTo: row.in_reply_to,
+        references: row.references,
+        date: row.date,
+      });
+    }
+    copies.get(key).push(row);
+  }
+
+  const assignments = new Map();
+  const assign = (node, threadId) => {
+    for (const row of node.message ? copies.get(node.message.messageId) : []) {
+      if (row.thread_id !== threadId) {
+        if (!assignments.has(threadId)) assignments.set(threadId, []);
+        assignments.get(threadId).push(row.id);
+      }
+    }
+    node.children.forEach(child => assign(child, threadId));
+  };
+
+  for (const root of buildThreads(messages)) {
+    assign(root, root.message ? root.message.messageId : root.id);
+  }
+
+  await setThreadIds(userId, assignments);
+  threadedUsers.add(userId);
+}
+
+/**
+ * Sync the Sent folder so sent replies count towards conversations
+ * @returns {Promise<string[]>} the Sent path, or none when there is no Sent folder
+ */
+async function syncSentFolder(userId, imapService) {
+  try {
+    const { folder } = await syncFolder(userId, imapService, 'sent');
+    return [folder];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * List a folder (real or virtual) from the cache after syncing it
+ * While a folder's cache is still being filled, plain message lists are
+ * paged from the server instead.
+ * @param {Object} options
+ * @param {string} [options.view] - 'messages' or 'conversations' (one entry per
+ *   thread, ordered by its latest message date)
+ * @param {Object} [options.where] - Extra column filters (e.g. { is_read: false })
+ */
+export async function listEmails(userId, imapService, folder = 'INBOX', {
+  limit = 50,
+  offset = 0,
+  sort = 'date',
+  order = 'desc',
+  view = 'messages',
+  where: filters = {},
+} = {}) {
+  const virtual = VIRTUAL_FOLDERS[folder.toLowerCase()];
+  const label = folder.toLowerCase();
+
+  let folders;
+  if (virtual) {
+    folders = await syncVirtualFolders(userId, imapService, virtual.excludeSpecialUse);
+  } else {
+    const state = await syncFolder(userId, imapService, folder);
+    if (state.fillUid && view === 'messages' && Object.keys(filters).length === 0) {
+      const result = await imapService.getEmails(folder, { limit, offset, sort, order });
+      return { ...result, view, order };
+    }
+    folders = [state.folder];
+  }
+  const where = { ...virtual?.where, ...filters };
+  const listedFolder = virtual ? label : folder;
+
+  if (view === 'conversations') {
+    const sent = await syncSentFolder(userId, imapService);
+    await refreshThreads(userId);
+    const result = await listConversations(userId, {
+      folders,
+      memberFolders: [...folders, ...sent],
+      where,
+      limit,
+      offset,
+      label,
+      order,
+    });
+    return { ...result, folder: listedFolder, view, limit, offset, sort: 'date', order };
+  }
+
+  await refreshThreads(userId);
+  const result = await listMessages(userId, {
+    folders,
+    where,
+    limit,
+    offset,
+    label,
+    sort,
+    order,
+  });
+  return { ...result, folder: listedFolder, view, limit, offset, sort, order };
+}
+
+/**
+ * Apply an action to a whole conversation
+ * archive moves the conversation's messages out of the listed folder (INBOX
+ * for virtual folders). Everything else covers every message of the
+ * conversation, ignoring copies in Trash/Spam unless that is the listed folder.
+ * @param {Object} options
+ * @param {string} [options.folder] - Folder the conversation is listed in
+ * @param {string} [options.label] - Keyword for label/unlabel
+ */
+export async function applyConversationAction(userId, imapService, threadId, action, {
+  folder = 'INBOX',
+  label,
+} = {}) {
+  const members = await getThreadMessages(userId, threadId);
+  if (members.length === 0) {
+    const error = new Error('Conversation not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const trash = await imapService.resolveFolderPath('trash');
+  const junk = await imapService.resolveFolderPath('junk');
+  const listed = VIRTUAL_FOLDERS[folder.toLowerCase()]
+    ? 'INBOX'
+    : await imapService.resolveFolderPath(folder);
+
+  let targets;
+  if (action === 'archive' || listed === trash || listed === junk) {
+    targets = members.filter(m => m.folder === listed);
+  } else {
+    targets = members.filter(m => m.folder !== trash && m.folder !== junk);
+  }
+
+  const byFolder = new Map();
+  for (const member of targets) {
+    if (!byFolder.has(member.folder)) byFolder.set(member.folder, []);
+    byFolder.get(member.folder).push(member);
+  }
+
+  for (const [path, folderMembers] of byFolder) {
+    const uids = folderMembers.map(m => m.uid);
+
+    if (action === 'archive' || action === 'delete') {
+      if (action === 'archive') {
+        await imapService.archiveEmail(path, uids.join(','));
+      } else {
+        await imapService.deleteEmail(path, uids.join(','));
+      }
+      // The destination folder picks the messages up on its next sync
+      await removeMessages(userId, path, uids);
+      continue;
+    }
+
+    const { flag, add } = FLAG_ACTIONS[action] || { flag: label, add: action === 'label' };
+    await imapService.batchSetFlags(path, uids, [flag], add);
+    await updateFlags(userId, path, folderMembers.map(m => ({
+      uid: m.uid,
+      flags: add ? [...new Set([...m.flags, flag])] : m.flags.filter(f => f !== flag),
+    })));
+  }
+
+  return { threadId, action, affected: targets.length };
+}
+
+/**
+ * Run one filter over every message of a folder (enabled or not)
+ * @returns {Promise<{folder: string, matched: number, moved: number}>}
+ */
+export async function runFilterOnFolder(userId, imapService, filter, folder) {
+  const { folder: path } = await syncFolder(userId, imapService, folder);
+  const emails = await getFolderMessages(userId, path);
+  const result = await applyFilters(userId, imapService, path, emails, [filter]);
+  return { folder: path, ...result };
+}
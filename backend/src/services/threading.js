@@ -0,0 +1,171 @@
+/**
+ * Threading - JWZ message threading (https://www.jwz.org/doc/threading.html)
+ *
+ * Builds conversation trees from Message-ID, In-Reply-To and References only.
+ * The subject-grouping step of the original algorithm is left out on purpose:
+ * it is what merges unrelated "Re: Invoice" messages into one conversation.
+ */
+
+/**
+ * Extract message ids ("<id@host>") from a header value or list
+ */
+export function parseMessageIds(value) {
+  if (!value) return [];
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return text.match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Read References and In-Reply-To from a raw header block (fetch `headers` buffer)
+ */
+export function parseThreadHeaders(headerBuffer) {
+  if (!headerBuffer) return { references: [], inReplyTo: null };
+
+  // Unfold continuation lines before matching
+  const headers = headerBuffer.toString('utf-8').replace(/\r?\n[ \t]+/g, ' ');
+  const references = headers.match(/^References:\s*(.*)$/mi);
+  const inReplyTo = headers.match(/^In-Reply-To:\s*(.*)$/mi);
+
+  return {
+    references: references ? parseMessageIds(references[1]) : [],
+    inReplyTo: inReplyTo ? parseMessageIds(inReplyTo[1])[0] || null : null,
+  };
+}
+
+/**
+ * Subject without reply/forward prefixes, for display
+ */
+export function normalizeSubject(subject) {
+  return (subject || '').replace(/^\s*((re|fwd?|aw|wg)(\[\d+\])?:\s*)+/i, '').trim();
+}
+
+function isAncestor(container, other) {
+  for (let node = other; node; node = node.parent) {
+    if (node === container) return true;
+  }
+  return false;
+}
+
+function setParent(child, parent) {
+  if (child.parent) {
+    child.parent.children = child.parent.children.filter(c => c !== child);
+  }
+  child.parent = parent;
+  if (parent) {
+    parent.children.push(child);
+  }
+}
+
+function containerDate(container) {
+  if (container.message) return new Date(container.message.date).getTime();
+  return Math.min(...container.children.map(containerDate));
+}
+
+/**
+ * Remove placeholder containers, promoting their children
+ * A placeholder is only kept at the root when it holds several replies to a
+ * message we do not have, so they stay together.
+ */
+function prune(containers, isRoot) {
+  const result = [];
+  for (const container of containers) {
+    container.children = prune(container.children, false);
+
+    if (container.message) {
+      result.push(container);
+    } else if (container.children.length === 0) {
+      continue;
+    } else if (!isRoot || container.children.length === 1) {
+      result.push(...container.children);
+    } else {
+      result.push(container);
+    }
+  }
+
+  for (const container of result) {
+    for (const child of container.children) {
+      child.parent = container;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build thread trees
+ * @param {Array<Object>} messages - Each with messageId, references[], inReplyTo and date
+ * @returns {Array<{message: Object|null, children: Array}>} root containers, oldest first
+ */
+export function buildThreads(messages) {
+  const containers = new Map();
+  const getContainer = (id) => {
+    if (!containers.has(id)) {
+      containers.set(id, { id, message: null, parent: null, children: [] });
+    }
+    return containers.get(id);
+  };
+
+  messages.forEach((message, index) => {
+    // Messages without (or with a duplicate) Message-ID get a private id
+    let id = message.messageId;
+    if (!id || containers.get(id)?.message) {
+      id = `<novamail-${index}@local>`;
+    }
+    const container = getContainer(id);
+    container.message = message;
+
+    const references = [...(message.references || [])];
+    if (message.inReplyTo && references[references.length - 1] !== message.inReplyTo) {
+      references.push(message.inReplyTo);
+    }
+
+    // Link the reference chain, never overriding an existing parent or making a loop
+    let previous = null;
+    for (const ref of references) {
+      const refContainer = getContainer(ref);
+      if (previous && !refContainer.parent && !isAncestor(refContainer, previous)) {
+        setParent(refContainer, previous);
+      }
+      previous = refContainer;
+    }
+
+    // The message's own parent is the last reference
+    if (previous && isAncestor(container, previous)) {
+      previous = null;
+    }
+    setParent(container, previous);
+  });
+
+  const roots = prune([...containers.values()].filter(c => !c.parent), true);
+
+  const sortTree = (nodes) => {
+    nodes.sort((a, b) => containerDate(a) - containerDate(b));
+    nodes.forEach(node => sortTree(node.children));
+    return nodes;
+  };
+  return sortTree(roots);
+}
+
+/**
+ * Find the root container whose tree holds a message
+ */
+export function findThread(roots, predicate) {
+  const contains = (node) => (node.message && predicate(node.message)) || node.children.some(contains);
+  return roots.find(contains) || null;
+}
+
+/**
+ * Flatten a thread tree in date order, annotating depth and parent message id
+ */
+export function flattenThread(root) {
+  const result = [];
+  const walk = (node, depth, parentId) => {
+    if (node.message) {
+      result.push({ ...node.message, depth, parentMessageId: parentId });
+    }
+    for (const child of node.children) {
+      walk(child, node.message ? depth + 1 : depth, node.message ? node.message.messageId : parentId);
+    }
+  };
+  walk(root, 0, null);
+  return result.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
@@ -128,11 +128,43 @@ export async function getUserPassword(userId) {
   return decryptPassword(user.encrypted_password);
 }
 
+/**
+ * IMAP/SMTP credentials of a user, for mail operations outside a request
+ * (the auth middleware attaches the same to req.user)
+ * @returns {Promise<{imap: Object, smtp: Object}|null>}
+ */
+export async function getMailCredentials(userId) {
+  const row = await db('users').where('id', userId).first();
+  if (!row) return null;
+
+  const user = formatUser(row);
+  const pass = decryptPassword(row.encrypted_password);
+
+  return {
+    imap: {
+      host: user.imapHost,
+      port: user.imapPort,
+      security: user.imapSecurity,
+      user: user.email,
+      pass,
+    },
+    smtp: {
+      host: user.smtpHost,
+      port: user.smtpPort,
+      security: user.smtpSecurity,
+      user: user.email,
+      pass,
+      name: user.name,
+    },
+  };
+}
+
 /**
  * Delete user and all related data
+ * @param {Object} [trx] - Transaction to run in
  */
-export async function deleteUser(id) {
-  await db('users').where('id', id).delete();
+export async function deleteUser(id, trx = db) {
+  await trx('users').where('id', id).delete();
   return true;
 }
 
@@ -0,0 +1,218 @@
+import db from '../db/index.js';
+import crypto from 'crypto';
+import { createSmtpService } from './smtp.js';
+import { queueMessage } from './outboxService.js';
+import { getIdentities, replyIdentity, senderIdentity } from './identityService.js';
+import { getMailCredentials } from './userService.js';
+
+/**
+ * Vacation Service - Out-of-office auto-reply
+ *
+ * The reply runs as a Sieve `vacation` rule when the mail server supports it
+ * (mode 'sieve', see sieveSync.js). Otherwise the backend answers new INBOX
+ * mail itself from the sync path (mode 'local'), which only happens while the
+ * sync path runs. The local responder follows RFC 3834: no replies to
+ * automatic mail, mailing lists or bounces, and one reply per sender per
+ * interval. Local replies go out through the outbox from the identity the
+ * message was addressed to.
+ */
+
+// Headers the local responder reads to leave automatic mail alone
+const RESPONDER_HEADERS = ['auto-submitted', 'precedence', 'list-id', 'list-unsubscribe', 'x-auto-response-suppress', 'return-path'];
+
+// Senders that never get an auto-reply
+const NO_REPLY_SENDER = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|bounces?|owner-.*|.*-request)@/i;
+
+const DEFAULT_VACATION = {
+  enabled: false,
+  subject: '',
+  bodyText: '',
+  bodyHtml: null,
+  startDate: null,
+  endDate: null,
+  intervalDays: 7,
+  excludedAddresses: [],
+  mode: 'local',
+};
+
+function formatVacation(row) {
+  return {
+    enabled: !!row.enabled,
+    subject: row.subject || '',
+    bodyText: row.body_text,
+    bodyHtml: row.body_html || null,
+    startDate: row.start_date || null,
+    endDate: row.end_date || null,
+    intervalDays: row.interval_days,
+    excludedAddresses: JSON.parse(row.excluded_addresses),
+    mode: row.mode,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Today's date as YYYY-MM-DD in the server's time zone
+ */
+function localDate(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get a user's vacation reply settings (defaults when never saved)
+ */
+export async function getVacation(userId) {
+  const row = await db('vacation').where('user_id', userId).first();
+  return row ? formatVacation(row) : { ...DEFAULT_VACATION };
+}
+
+/**
+ * Save the vacation reply; the once-per-sender history starts over
+ * @param {Object} vacation - Full settings (see DEFAULT_VACATION)
+ * @param {string} mode - 'sieve' or 'local'
+ */
+export async function saveVacation(userId, vacation, mode) {
+  const row = {
+    enabled: vacation.enabled,
+    subject: vacation.subject || null,
+    body_text: vacation.bodyText,
+    body_html: vacation.bodyHtml || null,
+    start_date: vacation.startDate || null,
+    end_date: vacation.endDate || null,
+    interval_days: vacation.intervalDays ?? DEFAULT_VACATION.intervalDays,
+    excluded_addresses: JSON.stringify(vacation.excludedAddresses || []),
+    mode,
+    updated_at: new Date().toISOString(),
+  };
+
+  const existing = await db('vacation').where('user_id', userId).first('id');
+  if (existing) {
+    await db('vacation').where('user_id', userId).update(row);
+  } else {
+    await db('vacation').insert({ id: crypto.randomUUID(), user_id: userId, ...row });
+  }
+  await db('vacation_replies').where('user_id', userId).del();
+
+  return getVacation(userId);
+}
+
+/**
+ * Whether the vacation reply is on and today is inside its dates
+ */
+export function isVacationActive(vacation, date = new Date()) {
+  if (!vacation.enabled) return false;
+  const today = localDate(date);
+  return (!vacation.startDate || today >= vacation.startDate) && (!vacation.endDate || today <= vacation.endDate);
+}
+
+/**
+ * Whether the backend answers new mail for the user right now
+ */
+export async function hasLocalVacation(userId) {
+  const vacation = await getVacation(userId);
+  return vacation.mode === 'local' && isVacationActive(vacation);
+}
+
+function isExcluded(address, excludedAddresses) {
+  const lower = address.toLowerCase();
+  return excludedAddresses.some((entry) => {
+    const excluded = entry.toLowerCase();
+    return excluded.startsWith('@') ? lower.endsWith(excluded) : lower === excluded;
+  });
+}
+
+/**
+ * The address to answer, or null when the message must not get a reply
+ * @param {Object} headers - Lower-cased header name to values (see ImapService.getHeaders)
+ * @param {string[]} ownAddresses - The user's identity addresses, lower-cased
+ */
+function replyAddress(email, headers, ownAddresses, excludedAddresses) {
+  const first = name => (headers[name]?.[0] || '').trim().toLowerCase();
+
+  if (first('auto-submitted') && first('auto-submitted') !== 'no') return null;
+  if (['bulk', 'list', 'junk'].includes(first('precedence'))) return null;
+  if (headers['list-id'] || headers['list-unsubscribe']) return null;
+  if (/\b(all|oof|autoreply)\b/.test(first('x-auto-response-suppress'))) return null;
+
+  // Replies go to the envelope sender; bounces have none
+  const returnPath = first('return-path');
+  if (returnPath === '<>') return null;
+  const address = (returnPath.match(/<([^>]+)>/)?.[1] || returnPath || email.from?.email || '').toLowerCase();
+  if (!address || ownAddresses.includes(address) || NO_REPLY_SENDER.test(address)) return null;
+  if (isExcluded(address, excludedAddresses) || isExcluded(email.from?.email || '', excludedAddresses)) return null;
+
+  // Only mail sent to the user directly, not via Bcc or a list alias
+  const recipients = [...(email.to || []), ...(email.cc || [])].map(r => r.email?.toLowerCase());
+  return recipients.some(recipient => ownAddresses.includes(recipient)) ? address : null;
+}
+
+/**
+ * Senders answered within the interval
+ */
+async function recentlyAnswered(userId, addresses, intervalDays) {
+  const since = new Date(Date.now() - intervalDays * 24 * 60 * 60 * 1000).toISOString();
+  const rows = await db('vacation_replies')
+    .where('user_id', userId)
+    .whereIn('address', addresses)
+    .where('replied_at', '>', since)
+    .select('address');
+  return new Set(rows.map(row => row.address));
+}
+
+/**
+ * Answer newly arrived messages with the vacation reply (local mode only)
+ * Replies are queued in the outbox, which retries them; one that cannot be
+ * queued is logged and retried the next time that sender writes.
+ * @param {string} folder - Resolved folder path
+ * @param {Array<Object>} emails - List emails (envelope)
+ * @returns {Promise<number>} Replies queued
+ */
+export async function respondToNewMail(userId, imapService, folder, emails) {
+  const vacation = await getVacation(userId);
+  if (vacation.mode !== 'local' || !isVacationActive(vacation) || emails.length === 0) {
+    return 0;
+  }
+
+  const credentials = await getMailCredentials(userId);
+  const identities = await getIdentities({ id: userId, name: credentials.smtp.name, smtp: credentials.smtp });
+  const ownAddresses = identities.map(identity => identity.email.toLowerCase());
+  const headers = await imapService.getHeaders(folder, emails.map(email => email.uid), RESPONDER_HEADERS);
+
+  // Mail that arrived before the reply was set up stays unanswered
+  const since = new Date(vacation.updatedAt);
+  const targets = new Map();
+  for (const email of emails) {
+    if (email.date && new Date(email.date) < since) continue;
+    const address = replyAddress(email, headers.get(email.uid) || {}, ownAddresses, vacation.excludedAddresses);
+    if (address && !targets.has(address)) targets.set(address, email);
+  }
+  if (targets.size === 0) return 0;
+
+  const answered = await recentlyAnswered(userId, [...targets.keys()], vacation.intervalDays);
+  const smtpService = createSmtpService(credentials.smtp);
+  let sent = 0;
+
+  for (const [address, email] of targets) {
+    if (answered.has(address)) continue;
+    try {
+      await queueMessage(userId, smtpService, {
+        to: [{ email: address, name: '' }],
+        subject: vacation.subject || `Auto: ${email.subject || ''}`.trim(),
+        body: vacation.bodyHtml || undefined,
+        textBody: vacation.bodyText,
+        inReplyTo: email.messageId || undefined,
+        references: email.messageId || undefined,
+        headers: { 'Auto-Submitted': 'auto-replied' },
+        identity: senderIdentity(replyIdentity(identities, email)),
+      }, new Date());
+      await db('vacation_replies')
+        .insert({ user_id: userId, address, replied_at: new Date().toISOString() })
+        .onConflict(['user_id', 'address'])
+        .merge();
+      sent++;
+    } catch (error) {
+      console.warn(`Failed to queue the vacation reply to ${address}:`, error.message);
+    }
+  }
+  return sent;
+}
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { ImapConnectionPool } from '../src/services/imapPool.js';
+
+/**
+ * The pool's cap, waiting, reaping and discarding, with clients that only
+ * pretend to connect
+ */
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.usable = false;
+    this.loggedOut = false;
+  }
+
+  async connect() {
+    this.usable = true;
+  }
+
+  async logout() {
+    this.usable = false;
+    this.loggedOut = true;
+  }
+}
+
+const config = { host: 'imap.example.com', port: 993, secure: true, auth: { user: 'me@example.com', pass: 'secret' } };
+
+function createPool(options = {}) {
+  const clients = [];
+  const pool = new ImapConnectionPool({
+    createClient: () => {
+      const client = new FakeClient();
+      clients.push(client);
+      return client;
+    },
+    ...options,
+  });
+  return { pool, clients };
+}
+
+test('reuses a released connection', async () => {
+  const { pool, clients } = createPool();
+  const first = await pool.acquire(config);
+  pool.release(first);
+  const second = await pool.acquire(config);
+
+  assert.equal(second, first);
+  assert.equal(clients.length, 1);
+});
+
+test('keeps an account below the connection cap and hands released connections to waiters', async () => {
+  const { pool, clients } = createPool({ maxConnections: 2 });
+  const first = await pool.acquire(config);
+  await pool.acquire(config);
+
+  let waited = null;
+  const waiting = pool.acquire(config).then(client => (waited = client));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(waited, null);
+  assert.deepEqual(pool.stats(), { accounts: 1, open: 2, idle: 0, waiting: 1 });
+
+  pool.release(first);
+  assert.equal(await waiting, first);
+  assert.equal(clients.length, 2);
+});
+
+test('gives up waiting for a connection after the acquire timeout', async () => {
+  const { pool } = createPool({ maxConnections: 1, acquireTimeout: 20 });
+  await pool.acquire(config);
+
+  await assert.rejects(pool.acquire(config), (error) => {
+    assert.equal(error.statusCode, 503);
+    return true;
+  });
+  assert.equal(pool.stats().waiting, 0);
+});
+
+test('closes connections idle for longer than the idle timeout', async () => {
+  const { pool, clients } = createPool({ idleTimeout: 1000 });
+  const client = await pool.acquire(config);
+  pool.release(client);
+
+  pool.closeIdle();
+  assert.equal(clients[0].loggedOut, false);
+
+  pool.entries.get(client).lastUsed = Date.now() - 2000;
+  pool.closeIdle();
+  assert.equal(clients[0].loggedOut, true);
+  assert.deepEqual(pool.stats(), { accounts: 0, open: 0, idle: 0, waiting: 0 });
+});
+
+test('replaces a connection that closed while it was leased', async () => {
+  const { pool, clients } = createPool({ maxConnections: 1 });
+  const broken = await pool.acquire(config);
+  const waiting = pool.acquire(config);
+
+  broken.usable = false;
+  broken.emit('close');
+
+  const replacement = await waiting;
+  assert.notEqual(replacement, broken);
+  assert.equal(clients.length, 2);
+});
+
+test('keeps separate connections per password', async () => {
+  const { pool, clients } = createPool();
+  const first = await pool.acquire(config);
+  pool.release(first);
+  const other = await pool.acquire({ ...config, auth: { ...config.auth, pass: 'changed' } });
+
+  assert.notEqual(other, first);
+  assert.equal(clients.length, 2);
+});
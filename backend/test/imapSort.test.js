@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImapService } from '../src/services/imap.js';
+
+/**
+ * _sortUids builds UID SORT from imapflow's search compiler and sends it with
+ * client.exec, neither of which is public imapflow API. These tests pin the
+ * command that comes out so an imapflow upgrade that changes them fails here.
+ */
+
+function fakeClient(responses = [[]]) {
+  const commands = [];
+  return {
+    commands,
+    capabilities: new Map([['SORT', true]]),
+    enabled: new Set(),
+    mailbox: { path: 'INBOX', flags: new Set() },
+    async exec(command, attributes, options) {
+      commands.push(`${command} ${serialize(attributes)}`);
+      const uids = responses[commands.length - 1] || [];
+      await options.untagged.SORT({ attributes: uids.map(uid => ({ type: 'ATOM', value: String(uid) })) });
+      return { next() {} };
+    },
+  };
+}
+
+function serialize(attributes) {
+  return attributes
+    .map(attribute => (Array.isArray(attribute) ? `(${serialize(attribute)})` : attribute.value))
+    .join(' ');
+}
+
+const service = new ImapService({ host: 'imap.example.com', user: 'user@example.com', pass: 'secret' });
+
+test('sorts every message newest first with UID SORT', async () => {
+  const client = fakeClient([[42, 7, 3]]);
+  const uids = await service._sortUids(client, { all: true }, 'date', 'desc');
+
+  assert.deepEqual(client.commands, ['UID SORT (REVERSE DATE) UTF-8 ALL']);
+  assert.deepEqual(uids, [42, 7, 3]);
+});
+
+test('passes compiled search criteria without a second charset', async () => {
+  const client = fakeClient();
+  await service._sortUids(client, { or: [{ subject: 'café' }, { from: 'café' }] }, 'subject', 'asc');
+
+  assert.deepEqual(client.commands, ['UID SORT (SUBJECT) UTF-8 OR SUBJECT café FROM café']);
+});
+
+test('puts unread messages first with two sorts by date', async () => {
+  const client = fakeClient([[9, 5], [8, 2]]);
+  const uids = await service._sortUids(client, { all: true }, 'unread', 'desc');
+
+  assert.deepEqual(client.commands, [
+    'UID SORT (REVERSE DATE) UTF-8 ALL UNSEEN',
+    'UID SORT (REVERSE DATE) UTF-8 ALL SEEN',
+  ]);
+  assert.deepEqual(uids, [9, 5, 8, 2]);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Linking an address that already has a users row of someone else's must not
+ * hand that row, or its server settings, to whoever names other servers.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'novamail-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: db } = await import('../src/db/index.js');
+const { createUser, getUserPassword } = await import('../src/services/userService.js');
+const { createSession } = await import('../src/services/sessionService.js');
+const { linkAccount } = await import('../src/services/accountService.js');
+
+const server = {
+  imapHost: 'imap.example.com',
+  imapPort: 993,
+  smtpHost: 'smtp.example.com',
+  smtpPort: 465,
+};
+
+const otherServer = {
+  imapHost: 'imap.other.example',
+  imapPort: 993,
+  smtpHost: 'smtp.other.example',
+  smtpPort: 465,
+};
+
+before(async () => {
+  await db.migrate.latest();
+});
+
+after(async () => {
+  await db.destroy();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function rejectsWith409(promise) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, 409);
+    return true;
+  });
+}
+
+test('refuses to link a signed-in user\'s address with other servers', async () => {
+  const victim = await createUser({ email: 'victim@example.com', password: 'secret', ...server });
+  await createSession(victim);
+  const login = await createUser({ email: 'attacker@example.com', password: 'secret', ...server });
+
+  await rejectsWith409(linkAccount(login.id, { email: 'Victim@example.com', password: 'guess', ...otherServer }));
+
+  const row = await db('users').where('id', victim.id).first();
+  assert.equal(row.imap_host, 'imap.example.com');
+  assert.equal(await getUserPassword(victim.id), 'secret');
+  assert.equal((await db('linked_accounts').where('account_id', victim.id)).length, 0);
+});
+
+test('refuses to link another login\'s linked account with other servers', async () => {
+  const owner = await createUser({ email: 'owner@example.com', password: 'secret', ...server });
+  const account = await linkAccount(owner.id, { email: 'shared-work@example.com', password: 'secret', ...server });
+  const login = await createUser({ email: 'someone@example.com', password: 'secret', ...server });
+
+  await rejectsWith409(linkAccount(login.id, { email: 'shared-work@example.com', password: 'guess', ...otherServer }));
+  assert.equal((await db('users').where('id', account.id).first()).imap_host, 'imap.example.com');
+});
+
+test('links an existing address checked against its own servers', async () => {
+  const user = await createUser({ email: 'team@example.com', password: 'old', ...server });
+  await createSession(user);
+  const login = await createUser({ email: 'member@example.com', password: 'secret', ...server });
+
+  const account = await linkAccount(login.id, { email: 'team@example.com', password: 'new', ...server, imapHost: 'IMAP.example.com' });
+  assert.equal(account.id, user.id);
+  assert.equal(await getUserPassword(user.id), 'new');
+});
+
+test('moves an account linked only to this login to other servers', async () => {
+  const login = await createUser({ email: 'mover@example.com', password: 'secret', ...server });
+  const account = await linkAccount(login.id, { email: 'moving@example.com', password: 'secret', ...server });
+
+  await linkAccount(login.id, { email: 'moving@example.com', password: 'secret', ...otherServer });
+  assert.equal((await db('users').where('id', account.id).first()).imap_host, 'imap.other.example');
+});
@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Filter conditions against list emails and the headers fetched for them
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'novamail-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+
+const { default: db } = await import('../src/db/index.js');
+const { matchesFilter } = await import('../src/services/filterService.js');
+
+after(async () => {
+  await db.destroy();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const email = {
+  from: { name: 'Alice Example', email: 'alice@example.com' },
+  to: [{ name: '', email: 'me@example.com' }],
+  cc: [{ name: 'Team', email: 'team@lists.example.com' }],
+  subject: 'Weekly Report: March',
+  size: 2048,
+  hasAttachments: true,
+};
+
+const headers = {
+  'list-id': ['Team list <team.lists.example.com>'],
+  'x-priority': ['1 (Highest)'],
+};
+
+function filter(conditions, match = 'all') {
+  return { match, conditions };
+}
+
+test('compares text case-insensitively with each operator', () => {
+  const cases = [
+    [{ field: 'subject', operator: 'contains', value: 'weekly' }, true],
+    [{ field: 'subject', operator: 'notContains', value: 'weekly' }, false],
+    [{ field: 'subject', operator: 'equals', value: 'weekly report: march' }, true],
+    [{ field: 'subject', operator: 'equals', value: 'weekly report' }, false],
+    [{ field: 'subject', operator: 'startsWith', value: 'WEEKLY' }, true],
+    [{ field: 'subject', operator: 'endsWith', value: 'march' }, true],
+  ];
+  for (const [condition, expected] of cases) {
+    assert.equal(matchesFilter(filter([condition]), email), expected, JSON.stringify(condition));
+  }
+});
+
+test('matches senders and recipients by address or name, Cc included', () => {
+  assert.ok(matchesFilter(filter([{ field: 'from', operator: 'contains', value: 'alice example' }]), email));
+  assert.ok(matchesFilter(filter([{ field: 'from', operator: 'endsWith', value: '@example.com' }]), email));
+  assert.ok(matchesFilter(filter([{ field: 'to', operator: 'equals', value: 'team@lists.example.com' }]), email));
+  assert.ok(!matchesFilter(filter([{ field: 'to', operator: 'equals', value: 'alice@example.com' }]), email));
+});
+
+test('reads headers and matches a list id with or without its description', () => {
+  const header = { field: 'header', header: 'X-Priority', operator: 'startsWith', value: '1' };
+  assert.ok(matchesFilter(filter([header]), email, headers));
+  assert.ok(!matchesFilter(filter([header]), email, {}));
+
+  assert.ok(matchesFilter(filter([{ field: 'listId', operator: 'equals', value: 'team.lists.example.com' }]), email, headers));
+  assert.ok(matchesFilter(filter([{ field: 'listId', operator: 'contains', value: 'team list' }]), email, headers));
+});
+
+test('compares size and attachments', () => {
+  assert.ok(matchesFilter(filter([{ field: 'size', operator: 'greaterThan', value: 1024 }]), email));
+  assert.ok(!matchesFilter(filter([{ field: 'size', operator: 'lessThan', value: 1024 }]), email));
+  assert.ok(matchesFilter(filter([{ field: 'hasAttachment', value: true }]), email));
+  assert.ok(!matchesFilter(filter([{ field: 'hasAttachment', value: false }]), email));
+});
+
+test('needs every condition by default and one with match any', () => {
+  const conditions = [
+    { field: 'from', operator: 'contains', value: 'alice' },
+    { field: 'subject', operator: 'contains', value: 'invoice' },
+  ];
+  assert.ok(!matchesFilter(filter(conditions), email));
+  assert.ok(matchesFilter(filter(conditions, 'any'), email));
+});
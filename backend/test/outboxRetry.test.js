@@ -0,0 +1,184 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+/**
+ * The outbox retries a message the SMTP server turns away for now, with a
+ * growing delay, and gives up on one it refuses for good or after too many
+ * attempts. The server here answers MAIL FROM with whatever reply is set.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'novamail-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: db } = await import('../src/db/index.js');
+const { createUser } = await import('../src/services/userService.js');
+const { updateUserSettings } = await import('../src/services/settingsService.js');
+const { createSmtpService, isPermanentSmtpError } = await import('../src/services/smtp.js');
+const { queueMessage, sendDueMessages } = await import('../src/services/outboxService.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let smtpServer;
+let smtpService;
+let user;
+let mailFromReply = '250 OK';
+
+/**
+ * Just enough SMTP for nodemailer to send one message per connection
+ */
+function startSmtpServer() {
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 Queued\r\n');
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') socket.write('250-fake\r\n250 AUTH PLAIN\r\n');
+        else if (command === 'AUTH') socket.write('235 Authenticated\r\n');
+        else if (command === 'MAIL') socket.write(`${mailFromReply}\r\n`);
+        else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  await db.migrate.latest();
+  smtpServer = await startSmtpServer();
+  user = await createUser({
+    email: 'me@example.com',
+    password: 'secret',
+    imapHost: '127.0.0.1',
+    imapPort: 1,
+    imapSecurity: 'None',
+    smtpHost: '127.0.0.1',
+    smtpPort: smtpServer.address().port,
+    smtpSecurity: 'None',
+  });
+  // Nothing to file sent mail into
+  await updateUserSettings(user.id, { saveSentCopy: false });
+  smtpService = createSmtpService({ host: '127.0.0.1', port: smtpServer.address().port, user: user.email, pass: 'secret', security: 'None' });
+});
+
+after(async () => {
+  smtpServer.close();
+  await db.destroy();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Queue a message an hour ahead so only sendDueMessages picks it up
+ */
+async function queue(attempts = 0) {
+  const queued = await queueMessage(user.id, smtpService, {
+    to: [{ email: 'friend@example.org', name: '' }],
+    subject: 'Plans',
+    body: '<p>Hello</p>',
+  }, new Date(Date.now() + HOUR));
+  await db('outbox').where('id', queued.id).update({ attempts });
+  return queued.id;
+}
+
+// Every queued message is due by then, including retries
+const dueNow = () => new Date(Date.now() + 3 * HOUR);
+
+async function sendOnly(id) {
+  await db('outbox').whereNot('id', id).del();
+  return sendDueMessages(dueNow());
+}
+
+function assertRetryIn(row, delay) {
+  const wait = new Date(row.send_at).getTime() - Date.now();
+  assert.ok(wait > delay - 5000 && wait <= delay, `retry in ${wait}ms, expected ${delay}ms`);
+}
+
+test('sends a due message and takes it out of the outbox', async () => {
+  mailFromReply = '250 OK';
+  const id = await queue();
+
+  assert.equal(await sendOnly(id), 1);
+  assert.equal(await db('outbox').where('id', id).first(), undefined);
+});
+
+test('retries a temporary failure after a delay that doubles', async () => {
+  mailFromReply = '451 4.7.1 Greylisted, try again later';
+  const id = await queue();
+
+  assert.equal(await sendOnly(id), 0);
+  let row = await db('outbox').where('id', id).first();
+  assert.equal(row.status, 'retrying');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_response_code, 451);
+  assertRetryIn(row, MINUTE);
+
+  await sendOnly(id);
+  row = await db('outbox').where('id', id).first();
+  assert.equal(row.attempts, 2);
+  assertRetryIn(row, 2 * MINUTE);
+});
+
+test('waits at most an hour between attempts', async () => {
+  mailFromReply = '421 4.3.2 Service not available';
+  const id = await queue(7);
+
+  await sendOnly(id);
+  const row = await db('outbox').where('id', id).first();
+  assert.equal(row.status, 'retrying');
+  assertRetryIn(row, HOUR);
+});
+
+test('gives up on a permanent failure straight away', async () => {
+  mailFromReply = '550 5.7.1 Sender rejected';
+  const id = await queue();
+
+  await sendOnly(id);
+  const row = await db('outbox').where('id', id).first();
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_response_code, 550);
+  assert.match(row.last_error, /Sender rejected/);
+});
+
+test('gives up on temporary failures after the last attempt', async () => {
+  mailFromReply = '451 4.7.1 Greylisted, try again later';
+  const id = await queue(9);
+
+  await sendOnly(id);
+  const row = await db('outbox').where('id', id).first();
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 10);
+});
+
+test('tells permanent errors from temporary ones', () => {
+  const smtpError = (code, responseCode) => Object.assign(new Error('failed'), { code, responseCode });
+
+  assert.ok(isPermanentSmtpError(smtpError('EENVELOPE', 553)));
+  assert.ok(!isPermanentSmtpError(smtpError('EENVELOPE', 452)));
+  assert.ok(isPermanentSmtpError(smtpError('EAUTH')));
+  assert.ok(!isPermanentSmtpError(smtpError('ECONNECTION')));
+  assert.ok(!isPermanentSmtpError(smtpError('ETIMEDOUT')));
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * A reply sent through POST /api/emails/send names only its source; the
+ * server builds In-Reply-To and References from it before queueing.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'novamail-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: express } = await import('express');
+const { default: db } = await import('../src/db/index.js');
+const { default: emailRoutes } = await import('../src/routes/emails.js');
+const { createUser } = await import('../src/services/userService.js');
+const { createSession } = await import('../src/services/sessionService.js');
+const { createSmtpService } = await import('../src/services/smtp.js');
+const { queueMessage, withReplyHeaders } = await import('../src/services/outboxService.js');
+
+let server;
+let baseUrl;
+let user;
+let token;
+
+// Nothing listens here, so reading the original from IMAP fails fast
+const closedPort = 1;
+
+before(async () => {
+  await db.migrate.latest();
+  user = await createUser({
+    email: 'me@example.com',
+    password: 'secret',
+    imapHost: '127.0.0.1',
+    imapPort: closedPort,
+    imapSecurity: 'None',
+    smtpHost: '127.0.0.1',
+    smtpPort: closedPort,
+    smtpSecurity: 'None',
+  });
+  ({ token } = await createSession(user));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/emails', emailRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await db.destroy();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Header block of a built message, unfolded
+ */
+function headersOf(raw) {
+  return raw.toString('utf8').split('\r\n\r\n')[0].replace(/\r\n[ \t]+/g, ' ');
+}
+
+// Far enough ahead that the outbox scheduler leaves the message alone
+const later = () => new Date(Date.now() + 60 * 60 * 1000);
+
+test('a reply sent through /send gets In-Reply-To and References', async () => {
+  const response = await fetch(`${baseUrl}/api/emails/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({
+      to: [{ email: 'friend@example.org' }],
+      subject: 'Re: Plans',
+      body: '<p>Sounds good</p>',
+      scheduledAt: later().toISOString(),
+      source: { folder: 'INBOX', uid: 7, messageId: '<plans@example.org>', type: 'reply' },
+      // Not accepted from the client
+      inReplyTo: 'INBOX-7',
+    }),
+  });
+  assert.equal(response.status, 202);
+
+  const { outbox } = await response.json();
+  const row = await db('outbox').where('id', outbox.id).first();
+  const headers = headersOf(row.raw);
+  assert.match(headers, /^In-Reply-To: <plans@example\.org>$/m);
+  assert.match(headers, /^References: <plans@example\.org>$/m);
+});
+
+test('References continue the original\'s References', async () => {
+  const imapService = {
+    async getEnvelope(folder, uid) {
+      assert.deepEqual([folder, uid], ['INBOX', 7]);
+      return { messageId: '<plans@example.org>', references: ['<start@example.org>', '<middle@example.org>'] };
+    },
+  };
+  const message = await withReplyHeaders(imapService, {
+    to: [{ email: 'friend@example.org', name: '' }],
+    subject: 'Re: Plans',
+    body: '<p>Sounds good</p>',
+    source: { folder: 'INBOX', uid: 7, messageId: '<plans@example.org>', type: 'reply' },
+  });
+
+  const smtpService = createSmtpService({ host: '127.0.0.1', port: closedPort, user: user.email, pass: 'secret' });
+  const queued = await queueMessage(user.id, smtpService, message, later());
+  const row = await db('outbox').where('id', queued.id).first();
+  const headers = headersOf(row.raw);
+  assert.match(headers, /^In-Reply-To: <plans@example\.org>$/m);
+  assert.match(headers, /^References: <start@example\.org> <middle@example\.org> <plans@example\.org>$/m);
+});
+
+test('forwards and new mail get no threading headers', async () => {
+  const imapService = { getEnvelope: () => assert.fail('no lookup expected') };
+  const forward = { subject: 'Fwd: Plans', source: { folder: 'INBOX', uid: 7, type: 'forward' } };
+
+  assert.equal(await withReplyHeaders(imapService, forward), forward);
+  assert.deepEqual(await withReplyHeaders(imapService, { subject: 'Hello' }), { subject: 'Hello' });
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replyRecipients, headerAddresses } from '../src/services/replyRecipients.js';
+
+/**
+ * Who each reply mode answers, from emails shaped like ImapService.getEmail's
+ * (headers as mailparser gives them)
+ */
+
+const own = ['me@example.com', 'Me.Alias@Example.com'];
+
+const alice = { name: 'Alice', email: 'alice@example.org' };
+const bob = { name: 'Bob', email: 'bob@example.org' };
+const carol = { name: 'Carol', email: 'carol@example.org' };
+const me = { name: 'Me', email: 'me@example.com' };
+
+function addressHeader(...addresses) {
+  return { value: addresses.map(({ name, email }) => ({ name, address: email })), text: '' };
+}
+
+const listHeaders = {
+  'reply-to': addressHeader({ name: '', email: 'team@lists.example.org' }),
+  list: { post: { mail: 'team@lists.example.org' } },
+};
+
+test('answers the sender, or everyone without the user', () => {
+  const recipients = replyRecipients({ from: alice, to: [me, bob], cc: [carol] }, own);
+
+  assert.deepEqual(recipients.sender, { to: [alice], cc: [] });
+  assert.deepEqual(recipients.all, { to: [alice, bob], cc: [carol] });
+  assert.equal(recipients.list, null);
+});
+
+test('prefers Mail-Reply-To, then Reply-To, over From', () => {
+  const replyTo = { name: 'Support', email: 'support@example.org' };
+  const withReplyTo = { from: alice, to: [me], headers: { 'reply-to': addressHeader(replyTo) } };
+  assert.deepEqual(replyRecipients(withReplyTo, own).sender.to, [replyTo]);
+
+  const withMailReplyTo = {
+    ...withReplyTo,
+    headers: { ...withReplyTo.headers, 'mail-reply-to': 'Alice Home <alice@home.example.org>' },
+  };
+  assert.deepEqual(replyRecipients(withMailReplyTo, own).sender.to, [{ name: 'Alice Home', email: 'alice@home.example.org' }]);
+});
+
+test('skips a Reply-To rewritten to the list and offers the list separately', () => {
+  const recipients = replyRecipients({ from: alice, to: [{ name: '', email: 'team@lists.example.org' }], headers: listHeaders }, own);
+
+  assert.deepEqual(recipients.sender.to, [alice]);
+  assert.deepEqual(recipients.list, { to: [{ name: '', email: 'team@lists.example.org' }], cc: [] });
+});
+
+test('reads a List-Post header mailparser left as text', () => {
+  const headers = { 'list-post': '<mailto:dev@lists.example.org?subject=help>' };
+  const recipients = replyRecipients({ from: alice, to: [me], headers }, own);
+
+  assert.deepEqual(recipients.list.to, [{ name: '', email: 'dev@lists.example.org' }]);
+  assert.equal(replyRecipients({ from: alice, to: [me], headers: { 'list-post': 'NO' } }, own).list, null);
+});
+
+test('replies to all through Mail-Followup-To without copies', () => {
+  const headers = { 'mail-followup-to': 'team@lists.example.org, me@example.com' };
+  const recipients = replyRecipients({ from: alice, to: [me], cc: [bob], headers }, own);
+
+  assert.deepEqual(recipients.all, { to: [{ name: '', email: 'team@lists.example.org' }], cc: [] });
+});
+
+test('replies to the original recipients of the user\'s own message', () => {
+  const recipients = replyRecipients({ from: { name: 'Me', email: 'ME.ALIAS@example.com' }, to: [alice, bob], cc: [carol] }, own);
+
+  assert.deepEqual(recipients.sender.to, [alice, bob]);
+  assert.deepEqual(recipients.all, { to: [alice, bob], cc: [carol] });
+});
+
+test('answers a note to self', () => {
+  const recipients = replyRecipients({ from: me, to: [me] }, own);
+
+  assert.deepEqual(recipients.sender.to, [me]);
+  assert.deepEqual(recipients.all.to, [me]);
+});
+
+test('leaves duplicates and the user out, ignoring case', () => {
+  const recipients = replyRecipients({
+    from: alice,
+    to: [{ name: 'Bob', email: 'BOB@example.org' }, { name: 'Me', email: 'Me@Example.com' }],
+    cc: [bob, { name: 'Alice again', email: 'Alice@Example.org' }, { name: '', email: 'me.alias@example.com' }],
+  }, own);
+
+  assert.deepEqual(recipients.all, { to: [alice, { name: 'Bob', email: 'BOB@example.org' }], cc: [] });
+});
+
+test('parses address headers in every shape mailparser gives', () => {
+  const headers = {
+    'reply-to': addressHeader(alice),
+    'delivered-to': ['me@example.com', 'Me <me.alias@example.com>'],
+    subject: 'Not an address',
+  };
+
+  assert.deepEqual(headerAddresses(headers, 'reply-to'), [alice]);
+  assert.deepEqual(headerAddresses(headers, 'delivered-to'), [
+    { name: '', email: 'me@example.com' },
+    { name: 'Me', email: 'me.alias@example.com' },
+  ]);
+  assert.deepEqual(headerAddresses(headers, 'cc'), []);
+  assert.deepEqual(headerAddresses(undefined, 'to'), []);
+});
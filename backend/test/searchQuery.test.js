@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSearchQuery,
+  resolveSearchFolders,
+  getRankingTerms,
+  toImapSearch,
+} from '../src/services/searchQuery.js';
+
+/**
+ * Search operators parse into a query tree, which compiles into ImapFlow
+ * search criteria for servers searched without the local index.
+ */
+
+const now = new Date(2026, 5, 15).getTime();
+const parse = query => parseSearchQuery(query, { now });
+
+test('ANDs plain words, phrases and operators', () => {
+  assert.deepEqual(parse('from:alice "weekly report" has:attachment'), {
+    type: 'and',
+    children: [
+      { type: 'field', field: 'from', value: 'alice', phrase: false },
+      { type: 'text', value: 'weekly report', phrase: true },
+      { type: 'has', value: 'attachment' },
+    ],
+  });
+});
+
+test('binds AND tighter than OR and negates terms and groups', () => {
+  assert.deepEqual(parse('budget -(is:read | is:starred) OR subject:plan'), {
+    type: 'or',
+    children: [
+      {
+        type: 'and',
+        children: [
+          { type: 'text', value: 'budget', phrase: false },
+          {
+            type: 'not',
+            child: { type: 'or', children: [{ type: 'is', value: 'read' }, { type: 'is', value: 'starred' }] },
+          },
+        ],
+      },
+      { type: 'field', field: 'subject', value: 'plan', phrase: false },
+    ],
+  });
+});
+
+test('searches unknown operators as text and skips empty ones', () => {
+  assert.deepEqual(parse('label:work from:'), { type: 'text', value: 'label:work', phrase: false });
+  assert.equal(parse('  '), null);
+  assert.equal(parse('()'), null);
+});
+
+test('turns dates, ages and sizes into values', () => {
+  assert.deepEqual(parse('after:2026/01/31'), { type: 'date', op: 'after', value: new Date(2026, 0, 31) });
+  assert.deepEqual(parse('older_than:2w'), { type: 'date', op: 'before', value: new Date(now - 14 * 24 * 60 * 60 * 1000) });
+  assert.deepEqual(parse('larger:1.5M'), { type: 'size', op: 'larger', value: 1572864 });
+});
+
+test('rejects malformed operator values', () => {
+  for (const query of ['before:someday', 'newer_than:3x', 'smaller:big', 'is:important', 'has:pdf']) {
+    assert.throws(() => parse(query), { name: 'ValidationError' }, query);
+  }
+});
+
+test('ranks only terms that are not negated', () => {
+  const tree = parse('budget subject:"q3 plan" -draft from:alice');
+  assert.deepEqual(getRankingTerms(tree), [
+    { value: 'budget', phrase: false, field: null },
+    { value: 'q3 plan', phrase: true, field: 'subject' },
+  ]);
+});
+
+test('resolves in: folders to mailbox paths', async () => {
+  const tree = await resolveSearchFolders(parse('in:sent OR in:anywhere'), async name => `[Gmail]/${name}`);
+  assert.deepEqual(tree.children.map(node => node.path), ['[Gmail]/sent', null]);
+});
+
+test('compiles a query into ImapFlow criteria and a folder', () => {
+  const { folder, criteria } = toImapSearch(parse('in:Archive from:alice is:unread larger:10k before:2026/02/01'));
+  assert.equal(folder, 'Archive');
+  assert.deepEqual(criteria, {
+    from: 'alice',
+    seen: false,
+    larger: 10240,
+    before: new Date(2026, 1, 1),
+  });
+});
+
+test('folds repeated keys and nested AND into NOT OR NOT', () => {
+  assert.deepEqual(toImapSearch(parse('from:alice from:bob')).criteria, {
+    from: 'alice',
+    not: { or: [{ not: { from: 'bob' } }] },
+  });
+  assert.deepEqual(toImapSearch(parse('(subject:a subject:b) | is:starred')).criteria, {
+    or: [
+      { not: { or: [{ not: { subject: 'a' } }, { not: { subject: 'b' } }] } },
+      { flagged: true },
+    ],
+  });
+});
+
+test('searches everything for an empty query', () => {
+  assert.deepEqual(toImapSearch(null), { folder: null, criteria: { all: true } });
+});
+
+test('refuses in: where a single IMAP folder cannot express it', () => {
+  assert.throws(() => toImapSearch(parse('in:anywhere budget')), { name: 'ValidationError' });
+  assert.throws(() => toImapSearch(parse('in:sent OR in:inbox')), { name: 'ValidationError' });
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileSection,
+  mergeManagedSection,
+  removeManagedSection,
+  supportsVacation,
+} from '../src/services/sieveScript.js';
+
+/**
+ * Filters and the vacation reply compiled into the managed section of a Sieve
+ * script, and that section merged into the user's own script.
+ */
+
+const options = {
+  keywords: new Map([['label-1', '$label_work']]),
+  folders: new Map([['delete', 'Trash'], ['spam', 'Junk'], ['Archive', 'Archive']]),
+  extensions: ['fileinto', 'imap4flags', 'copy', 'vacation', 'date', 'relational'],
+};
+
+function filter(overrides) {
+  return {
+    name: 'Filter',
+    enabled: true,
+    match: 'all',
+    conditions: [{ field: 'subject', operator: 'contains', value: 'report' }],
+    actions: [{ type: 'star' }],
+    stopProcessing: false,
+    ...overrides,
+  };
+}
+
+const vacation = {
+  subject: 'Away',
+  bodyText: 'Back on Monday.',
+  bodyHtml: null,
+  startDate: null,
+  endDate: null,
+  intervalDays: 7,
+  excludedAddresses: [],
+};
+
+test('compiles a filter into one rule with the extensions it needs', () => {
+  const section = compileSection({
+    filters: [filter({
+      name: 'Reports',
+      match: 'any',
+      conditions: [
+        { field: 'from', operator: 'endsWith', value: '@example.com' },
+        { field: 'size', operator: 'greaterThan', value: 1024 },
+      ],
+      actions: [{ type: 'label', labelId: 'label-1' }, { type: 'move', folder: 'Archive' }],
+      stopProcessing: true,
+    })],
+  }, options);
+
+  assert.equal(section, [
+    '# BEGIN NovaMail (generated, edits here are overwritten)',
+    'require ["fileinto", "imap4flags"];',
+    '# Reports',
+    'if anyof (',
+    '    anyof (address :all :matches "from" "*@example.com", header :matches "from" "*@example.com"),',
+    '    size :over 1024',
+    ') {',
+    '    addflag "$label_work";',
+    '    fileinto "Archive";',
+    '    stop;',
+    '}',
+    '# END NovaMail',
+    '',
+  ].join('\n'));
+});
+
+test('skips disabled filters and keeps only the strongest action that leaves the folder', () => {
+  const section = compileSection({
+    filters: [
+      filter({ name: 'Off', enabled: false }),
+      filter({ name: 'Cleanup', actions: [{ type: 'move', folder: 'Archive' }, { type: 'delete' }] }),
+    ],
+  }, options);
+
+  assert.doesNotMatch(section, /# Off/);
+  assert.match(section, /^ {4}fileinto "Trash";$/m);
+  assert.doesNotMatch(section, /fileinto "Archive"/);
+});
+
+test('escapes quotes, backslashes, line breaks and wildcards', () => {
+  const section = compileSection({
+    filters: [filter({
+      name: 'Odd\nname',
+      conditions: [{ field: 'subject', operator: 'equals', value: 'Say "hi" \\ 50% off*?' }],
+      actions: [{ type: 'forward', to: 'me@example.org' }],
+    })],
+  }, options);
+
+  assert.match(section, /^# Odd name$/m);
+  assert.ok(section.includes('header :matches "subject" "Say \\"hi\\" \\\\\\\\ 50% off\\\\*\\\\?"'));
+  assert.match(section, /^require "copy";$/m);
+  assert.match(section, /^ {4}redirect :copy "me@example\.org";$/m);
+});
+
+test('negates notContains conditions', () => {
+  const section = compileSection({
+    filters: [filter({ conditions: [{ field: 'subject', operator: 'notContains', value: 'spam' }] })],
+  }, options);
+
+  assert.match(section, /^if not header :matches "subject" "\*spam\*" \{$/m);
+});
+
+test('puts the vacation reply first, dot-stuffing its text', () => {
+  const section = compileSection({
+    filters: [filter({ stopProcessing: true })],
+    vacation: { ...vacation, bodyText: 'Back on Monday.\n.\n.signature' },
+  }, options);
+
+  assert.ok(section.indexOf('# Vacation reply') < section.indexOf('# Filter'));
+  assert.ok(section.includes('vacation :days 7 :subject "Away" text:\nBack on Monday.\n..\n..signature\n.\n;'));
+  assert.match(section, /^require \["imap4flags", "vacation"\];$/m);
+});
+
+test('limits the vacation reply to its dates and leaves excluded senders out', () => {
+  const section = compileSection({
+    vacation: {
+      ...vacation,
+      startDate: '2026-07-01',
+      endDate: '2026-07-14',
+      excludedAddresses: ['boss@example.com', '@lists.example.com'],
+    },
+  }, options);
+
+  assert.match(section, /^require \["date", "relational", "vacation"\];$/m);
+  assert.ok(section.includes([
+    'if allof (',
+    '    currentdate :value "ge" "date" "2026-07-01",',
+    '    currentdate :value "le" "date" "2026-07-14",',
+    '    not address :is "from" "boss@example.com",',
+    '    not address :domain :is "from" "lists.example.com"',
+    ') {',
+  ].join('\n')));
+});
+
+test('sends an HTML vacation reply as MIME', () => {
+  const section = compileSection({ vacation: { ...vacation, bodyHtml: '<p>Back on Monday.</p>' } }, options);
+
+  assert.match(section, /vacation :days 7 :subject "Away" :mime text:/);
+  assert.match(section, /^Content-Type: multipart\/alternative; boundary="novamail-vacation"$/m);
+  assert.match(section, /^<p>Back on Monday\.<\/p>$/m);
+});
+
+test('checks that the server can run the vacation reply', () => {
+  assert.ok(supportsVacation(vacation, ['vacation']));
+  assert.ok(!supportsVacation({ ...vacation, endDate: '2026-07-14' }, ['vacation']));
+  assert.ok(supportsVacation({ ...vacation, endDate: '2026-07-14' }, ['vacation', 'date', 'relational']));
+});
+
+test('merges the section after the user\'s requires and replaces an older one', () => {
+  const userScript = '# My rules\nrequire ["fileinto"];\n\nif header :contains "subject" "x" {\n    fileinto "X";\n}\n';
+  const first = mergeManagedSection(userScript, compileSection({ filters: [filter({ name: 'First' })] }, options));
+  const second = mergeManagedSection(first, compileSection({ filters: [filter({ name: 'Second' })] }, options));
+
+  assert.ok(second.startsWith('# My rules\nrequire ["fileinto"];\n# BEGIN NovaMail'));
+  assert.doesNotMatch(second, /# First/);
+  assert.match(second, /# Second/);
+  assert.ok(second.endsWith('# END NovaMail\n\nif header :contains "subject" "x" {\n    fileinto "X";\n}\n'));
+});
+
+test('removing the section leaves the user\'s script as it was', () => {
+  const userScript = 'require "fileinto";\nif size :over 1M {\n    fileinto "Big";\n}\n';
+  const merged = mergeManagedSection(userScript, compileSection({ vacation }, options));
+
+  assert.notEqual(merged, userScript);
+  assert.equal(removeManagedSection(merged).replace(/\n\n/, '\n'), userScript);
+  assert.equal(removeManagedSection(''), '');
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Unlinking an account deletes what is stored for it, including its rows in
+ * the FTS5 search index, which deleting the user does not cascade to.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'novamail-test-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'test.db');
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: db } = await import('../src/db/index.js');
+const { createUser } = await import('../src/services/userService.js');
+const { linkAccount, unlinkAccount } = await import('../src/services/accountService.js');
+const { indexMessages } = await import('../src/services/searchIndex.js');
+
+const server = {
+  imapHost: 'imap.example.com',
+  imapPort: 993,
+  smtpHost: 'smtp.example.com',
+  smtpPort: 465,
+};
+
+before(async () => {
+  await db.migrate.latest();
+});
+
+after(async () => {
+  await db.destroy();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function indexedBody(word) {
+  return db.raw('SELECT rowid FROM search_index WHERE search_index MATCH ?', [`body : ${word}`]);
+}
+
+async function linkWithIndex(login, email, word) {
+  const account = await linkAccount(login.id, { email, password: 'secret', ...server });
+  await indexMessages(account.id, [{
+    folder: 'INBOX',
+    uid: 1,
+    subject: 'Quarterly report',
+    from: { name: 'Boss', email: 'boss@example.com' },
+    to: [{ name: '', email }],
+    body: `The ${word} figures are attached`,
+  }]);
+  assert.equal((await indexedBody(word)).length, 1);
+  return account;
+}
+
+test('unlinking an account removes its search index rows', async () => {
+  const login = await createUser({ email: 'me@example.com', password: 'secret', ...server });
+  const account = await linkWithIndex(login, 'work@example.com', 'confidential');
+
+  await unlinkAccount(login.id, account.id);
+
+  assert.equal(await db('users').where('id', account.id).first(), undefined);
+  assert.equal((await db('search_documents').where('user_id', account.id)).length, 0);
+  assert.deepEqual(await indexedBody('confidential'), []);
+});
+
+test('an account linked to another login keeps its index', async () => {
+  const first = await createUser({ email: 'first@example.com', password: 'secret', ...server });
+  const second = await createUser({ email: 'second@example.com', password: 'secret', ...server });
+  const account = await linkWithIndex(first, 'shared@example.com', 'budget');
+  await linkAccount(second.id, { email: 'shared@example.com', password: 'secret', ...server });
+
+  await unlinkAccount(first.id, account.id);
+
+  assert.ok(await db('users').where('id', account.id).first());
+  assert.equal((await indexedBody('budget')).length, 1);
+});
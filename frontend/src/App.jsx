@@ -4,6 +4,7 @@ import { Layout } from './components/Layout';
 import ProtectedRoute from './components/ProtectedRoute';
 import Login from './pages/Login';
 import Mail from './pages/Mail';
+import Settings from './pages/Settings';
 import { useAuthStore } from './store/authStore';
 
 function AppRoutes() {
@@ -35,6 +36,8 @@ function AppRoutes() {
         <Route path="starred" element={<Mail />} />
         <Route path="archive" element={<Mail />} />
         <Route path="trash" element={<Mail />} />
+        <Route path="search/:searchId" element={<Mail />} />
+        <Route path="settings/:section?" element={<Settings />} />
       </Route>
 
       {/* Catch-all redirect */}
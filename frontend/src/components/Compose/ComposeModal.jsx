@@ -28,33 +28,107 @@ import toast from 'react-hot-toast';
 // Common emoji list for quick access
 const commonEmojis = ['😀', '😂', '😊', '❤️', '👍', '🎉', '🔥', '✨', '👋', '🙏', '💯', '✅'];
 
+const SIGNATURE_CLASS = 'novamail-signature';
+
+/**
+ * A body with the identity's signature added: above the quoted original of a
+ * top-posted reply, otherwise at the end. Bodies that have one keep it.
+ */
+const withSignature = (body, signature, replyPosition) => {
+  if (!signature || body.includes(SIGNATURE_CLASS)) return body;
+  const block = `<div class="${SIGNATURE_CLASS}"><br>${signature}</div>`;
+  const quoteAt = body.indexOf('<div class="novamail-quote">');
+  return replyPosition !== 'bottom' && quoteAt >= 0
+    ? `${body.slice(0, quoteAt)}${block}${body.slice(quoteAt)}`
+    : `${body}${block}`;
+};
+
+const identityLabel = (identity) => (identity.name ? `${identity.name} <${identity.email}>` : identity.email);
+
 export default function ComposeModal() {
-  const { closeCompose, composeData, sendEmail, saveDraft } = useEmailStore();
+  const { closeCompose, composeData, sendEmail, saveDraft, undoSend, identities } = useEmailStore();
   
   const [isMinimized, setIsMinimized] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [to, setTo] = useState(composeData?.to?.map(t => t.email).join(', ') || '');
   const [subject, setSubject] = useState(composeData?.subject || '');
-  const [body, setBody] = useState(composeData?.body || '');
-  const [showCc, setShowCc] = useState(false);
-  const [cc, setCc] = useState('');
-  const [bcc, setBcc] = useState('');
+  // Replies start from the address the original was sent to, other mail from the default
+  const [identityId, setIdentityId] = useState(() => (
+    identities.find(i => i.id === composeData?.identityId) || identities.find(i => i.isDefault) || identities[0]
+  )?.id || null);
+  const [body, setBody] = useState(() => withSignature(
+    composeData?.body || '',
+    identities.find(i => i.id === identityId)?.signature,
+    composeData?.replyPosition,
+  ));
+  const [showCc, setShowCc] = useState(!!(composeData?.cc?.length || composeData?.bcc?.length));
+  // Recipients of each reply mode, from the server (replies only)
+  const replyModes = composeData?.replyRecipients;
+  const [replyMode, setReplyMode] = useState(composeData?.replyMode || 'sender');
+  const [cc, setCc] = useState(composeData?.cc?.map(t => t.email).join(', ') || '');
+  const [bcc, setBcc] = useState(composeData?.bcc?.map(t => t.email).join(', ') || '');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [showLinkDialog, setShowLinkDialog] = useState(false);
   const [linkUrl, setLinkUrl] = useState('');
   const [linkText, setLinkText] = useState('');
   const [showScheduleMenu, setShowScheduleMenu] = useState(false);
-  const [attachments, setAttachments] = useState([]);
+  // Attachments of a reopened message already carry their base64 content;
+  // forwarded ones point at the original email and are fetched when sending
+  const [attachments, setAttachments] = useState(() => (composeData?.attachments || []).map((att, i) => ({
+    id: `restored-${i}`,
+    name: att.filename,
+    size: att.size,
+    type: att.contentType,
+    content: att.content,
+    original: att.original,
+  })));
   
   const bodyRef = useRef(null);
   const fileInputRef = useRef(null);
 
+  // Bottom-posted replies start below the quoted original
+  const caretAtEnd = useRef(composeData?.replyPosition === 'bottom');
+
   useEffect(() => {
     if (bodyRef.current && !isMinimized) {
       bodyRef.current.focus();
+      if (caretAtEnd.current) {
+        caretAtEnd.current = false;
+        const range = document.createRange();
+        range.selectNodeContents(bodyRef.current);
+        range.collapse(false);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+      }
     }
   }, [isMinimized]);
 
+  // Swap the signature for the new identity's
+  const changeIdentity = (id) => {
+    setIdentityId(id);
+    const editor = bodyRef.current;
+    if (!editor) return;
+    
+    const signature = identities.find(i => i.id === id)?.signature || '';
+    const block = editor.querySelector(`.${SIGNATURE_CLASS}`);
+    if (block && signature) {
+      block.innerHTML = `<br>${signature}`;
+    } else if (block) {
+      block.remove();
+    } else {
+      editor.innerHTML = withSignature(editor.innerHTML, signature, composeData?.replyPosition);
+    }
+    setBody(editor.innerHTML);
+  };
+
+  const changeReplyMode = (mode) => {
+    const recipients = replyModes[mode];
+    setReplyMode(mode);
+    setTo(recipients.to.map(r => r.email).join(', '));
+    setCc(recipients.cc.map(r => r.email).join(', '));
+    if (recipients.cc.length > 0) setShowCc(true);
+  };
+
   const execCommand = (command, value = null) => {
     document.execCommand(command, false, value);
     bodyRef.current?.focus();
@@ -81,9 +155,40 @@ export default function ComposeModal() {
       subject: subject || '(no subject)',
       body: bodyRef.current?.innerHTML || body,
       attachments,
-    });
-
-    toast.success('Email sent!');
+      source: composeData?.source,
+      identityId,
+    })
+      .then((result) => {
+        if (!result?.queued) {
+          toast.success('Email sent!');
+          return;
+        }
+        // The outbox:sent notice replaces this toast once the email is out
+        const toastId = `outbox-${result.outbox.id}`;
+        if (!result.undoUntil) {
+          toast('Sending...', { id: toastId });
+          return;
+        }
+        toast((t) => (
+          <div className="flex items-center gap-3">
+            <span>Sending...</span>
+            <button
+              onClick={() => {
+                toast.dismiss(t.id);
+                undoSend(result.outbox.id)
+                  .then(() => toast.success('Sending undone'))
+                  .catch((error) => toast.error(
+                    [404, 409].includes(error.status) ? 'Too late, the email has been sent' : (error.message || 'Failed to undo')
+                  ));
+              }}
+              className="text-blue-600 dark:text-blue-400 font-medium hover:underline"
+            >
+              Undo
+            </button>
+          </div>
+        ), { id: toastId, duration: Math.max(new Date(result.undoUntil) - Date.now(), 1000) });
+      })
+      .catch((error) => toast.error(error.message || 'Failed to send email'));
   };
 
   const handleScheduleSend = (date) => {
@@ -97,16 +202,23 @@ export default function ComposeModal() {
       name: '',
     }));
 
+    const ccRecipients = cc ? cc.split(',').map(email => ({ email: email.trim(), name: '' })) : [];
+    const bccRecipients = bcc ? bcc.split(',').map(email => ({ email: email.trim(), name: '' })) : [];
+
+    setShowScheduleMenu(false);
     sendEmail({
       to: recipients,
+      cc: ccRecipients,
+      bcc: bccRecipients,
       subject: subject || '(no subject)',
       body: bodyRef.current?.innerHTML || body,
       scheduledAt: date,
       attachments,
-    });
-
-    toast.success(`Email scheduled for ${date.toLocaleString()}`);
-    setShowScheduleMenu(false);
+      source: composeData?.source,
+      identityId,
+    })
+      .then(() => toast.success(`Email scheduled for ${date.toLocaleString()}`))
+      .catch((error) => toast.error(error.message || 'Failed to schedule email'));
   };
 
   const handleDiscard = () => {
@@ -237,6 +349,22 @@ export default function ComposeModal() {
         {/* Content - Hidden when minimized */}
         {!isMinimized && (
           <>
+            {/* From Field - only with more than one address to send from */}
+            {identities.length > 1 && (
+              <div className="flex items-center border-b border-gray-200 dark:border-gray-700 px-4">
+                <span className="text-sm text-gray-500 dark:text-gray-400 w-12">From</span>
+                <select
+                  value={identityId || ''}
+                  onChange={(e) => changeIdentity(e.target.value)}
+                  className="flex-1 py-2 text-sm outline-none bg-transparent text-gray-900 dark:text-gray-100"
+                >
+                  {identities.map(identity => (
+                    <option key={identity.id} value={identity.id}>{identityLabel(identity)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* To Field */}
             <div className="flex items-center border-b border-gray-200 dark:border-gray-700 px-4">
               <span className="text-sm text-gray-500 dark:text-gray-400 w-12">To</span>
@@ -247,6 +375,18 @@ export default function ComposeModal() {
                 placeholder="Recipients"
                 className="flex-1 py-2 text-sm outline-none bg-transparent text-gray-900 dark:text-gray-100 placeholder-gray-400"
               />
+              {replyModes && (
+                <select
+                  value={replyMode}
+                  onChange={(e) => changeReplyMode(e.target.value)}
+                  title="Reply to"
+                  className="mr-3 text-sm outline-none bg-transparent text-gray-500 dark:text-gray-400"
+                >
+                  <option value="sender">Reply to sender</option>
+                  <option value="all">Reply all</option>
+                  {replyModes.list && <option value="list">Reply to list</option>}
+                </select>
+              )}
               <button
                 onClick={() => setShowCc(!showCc)}
                 className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300"
@@ -15,9 +15,13 @@ import {
   Search,
   PanelRight,
   PanelBottom,
-  Square
+  Square,
+  ArrowUpDown,
+  Check,
+  Plus,
+  Forward
 } from 'lucide-react';
-import { useEmailStore } from '../../store/emailStore';
+import { useEmailStore, LABEL_COLORS, UNIFIED_PREFIX } from '../../store/emailStore';
 import { useSettingsStore } from '../../store/settingsStore';
 import { useState } from 'react';
 import toast from 'react-hot-toast';
@@ -40,17 +44,55 @@ export default function EmailList() {
     archiveSelected,
     markSelectedAsRead,
     markSelectedAsUnread,
+    forwardAsAttachment,
     labels,
     addLabel,
+    createLabel,
     restoreEmail,
     searchQuery,
+    sortBy,
+    sortOrder,
+    setSort,
+    listView,
+    listSort,
+    refreshEmails,
+    switchAccount,
   } = useEmailStore();
 
   const [showLabelMenu, setShowLabelMenu] = useState(false);
   const [showReadingPaneMenu, setShowReadingPaneMenu] = useState(false);
+  const [showSortMenu, setShowSortMenu] = useState(false);
 
-  const { readingPane, setReadingPane } = useSettingsStore();
+  const sortOptions = [
+    { id: 'date', label: 'Date' },
+    { id: 'arrival', label: 'Arrival' },
+    { id: 'from', label: 'Sender' },
+    { id: 'subject', label: 'Subject' },
+    { id: 'size', label: 'Size' },
+    { id: 'unread', label: 'Unread first' },
+    { id: 'starred', label: 'Starred first' },
+  ];
+
+  const { readingPane, setReadingPane, conversationView, setConversationView } = useSettingsStore();
   const emails = getFilteredEmails();
+  // Unified views mix accounts, so bulk actions (which act on one account) are off
+  const isUnified = selectedFolder.startsWith(UNIFIED_PREFIX);
+
+  // Create a label and apply it to the selection
+  const handleCreateLabel = async () => {
+    setShowLabelMenu(false);
+    const name = window.prompt('New label name');
+    if (!name?.trim()) return;
+
+    try {
+      const label = await createLabel(name.trim(), LABEL_COLORS[labels.length % LABEL_COLORS.length]);
+      selectedEmails.forEach(id => addLabel(id, label.id));
+      clearSelection();
+      toast.success(`Created "${label.name}"`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to create label');
+    }
+  };
 
   const handleDeleteSelected = () => {
     const count = selectedEmails.length;
@@ -119,6 +161,9 @@ export default function EmailList() {
       archive: 'Archive',
       trash: 'Trash',
       spam: 'Spam',
+      [`${UNIFIED_PREFIX}inbox`]: 'All inboxes',
+      [`${UNIFIED_PREFIX}unread`]: 'All unread',
+      [`${UNIFIED_PREFIX}starred`]: 'All starred',
     };
     return titles[selectedFolder] || selectedFolder;
   };
@@ -134,6 +179,9 @@ export default function EmailList() {
       trash: { icon: Trash2, title: 'Trash is empty', subtitle: 'Items in trash are deleted after 30 days' },
       spam: { icon: AlertCircle, title: 'No spam', subtitle: "Messages that look suspicious will appear here" },
       all: { icon: Mail, title: 'No emails', subtitle: 'Your emails will appear here' },
+      [`${UNIFIED_PREFIX}inbox`]: { icon: Inbox, title: 'All inboxes are empty', subtitle: 'Emails any of your accounts receive will appear here' },
+      [`${UNIFIED_PREFIX}unread`]: { icon: MailOpen, title: 'All caught up', subtitle: 'No unread emails in any of your accounts' },
+      [`${UNIFIED_PREFIX}starred`]: { icon: Star, title: 'No starred emails', subtitle: 'Emails you star in any account will appear here' },
     };
     
     if (searchQuery) {
@@ -144,6 +192,11 @@ export default function EmailList() {
   };
 
   const handleEmailClick = (email) => {
+    // An email of a unified view is opened as its own account, so replying,
+    // moving or deleting it goes to the right server
+    if (email.accountId) {
+      switchAccount(email.accountId);
+    }
     // Set the email as selected with a loading indicator
     // This shows the loading skeleton in EmailView immediately
     setSelectedEmail({ ...email, _loading: true });
@@ -153,7 +206,7 @@ export default function EmailList() {
     // Fetch full email (with body, attachments) from the API
     if (email.uid && selectedFolder) {
       const folder = email.folder || selectedFolder;
-      useEmailStore.getState().fetchEmail(folder, email.uid);
+      useEmailStore.getState().fetchEmail(folder, email.uid, email.accountId);
     }
   };
 
@@ -167,13 +220,13 @@ export default function EmailList() {
 
   const isAllSelected = emails.length > 0 && selectedEmails.length === emails.length;
   const isSomeSelected = selectedEmails.length > 0 && selectedEmails.length < emails.length;
-  const hasSelection = selectedEmails.length > 0;
+  const hasSelection = !isUnified && selectedEmails.length > 0;
 
   return (
     <div className="h-full flex flex-col bg-white dark:bg-gray-800 transition-colors">
       {/* Toolbar */}
       <div className="h-14 border-b border-gray-200 dark:border-gray-700 flex items-center px-4 gap-2 flex-shrink-0 bg-white dark:bg-gray-800">
-        <div className="flex items-center gap-1">
+        <div className={`flex items-center gap-1 ${isUnified ? 'invisible' : ''}`}>
           <input 
             type="checkbox"
             checked={isAllSelected}
@@ -219,6 +272,13 @@ export default function EmailList() {
             >
               <Mail className="w-5 h-5 text-gray-600 dark:text-gray-300" />
             </button>
+            <button
+              onClick={() => forwardAsAttachment(emails.filter(e => selectedEmails.includes(e.id)))}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+              title="Forward as attachment"
+            >
+              <Forward className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+            </button>
             
             {/* Label Menu */}
             <div className="relative">
@@ -251,6 +311,14 @@ export default function EmailList() {
                         {label.name}
                       </button>
                     ))}
+                    <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+                    <button
+                      onClick={handleCreateLabel}
+                      className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Create label
+                    </button>
                   </div>
                 </>
               )}
@@ -313,11 +381,83 @@ export default function EmailList() {
               )}
             </div>
             
+            {/* Sort Menu */}
+            <div className="relative">
+              <button 
+                onClick={() => setShowSortMenu(!showSortMenu)}
+                className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors" 
+                title="Sort"
+              >
+                <ArrowUpDown className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+              </button>
+              {showSortMenu && (
+                <>
+                  <div className="fixed inset-0 z-10" onClick={() => setShowSortMenu(false)} />
+                  <div className="absolute left-0 top-full mt-1 w-48 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 z-20 py-2">
+                    <p className="px-4 py-1 text-xs text-gray-500 dark:text-gray-400 font-medium uppercase tracking-wider">Sort by</p>
+                    {sortOptions.map(option => (
+                      <button
+                        key={option.id}
+                        onClick={() => {
+                          setSort(option.id);
+                          setShowSortMenu(false);
+                        }}
+                        className={`w-full flex items-center gap-3 px-4 py-2 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 ${sortBy === option.id ? 'text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20' : 'text-gray-700 dark:text-gray-300'}`}
+                      >
+                        <Check className={`w-4 h-4 ${sortBy === option.id ? '' : 'invisible'}`} />
+                        {option.label}
+                      </button>
+                    ))}
+                    <div className="border-t border-gray-200 dark:border-gray-700 my-1" />
+                    <p className="px-4 py-1 text-xs text-gray-500 dark:text-gray-400 font-medium uppercase tracking-wider">Order</p>
+                    {[
+                      { id: 'desc', label: 'Descending' },
+                      { id: 'asc', label: 'Ascending' },
+                    ].map(option => (
+                      <button
+                        key={option.id}
+                        onClick={() => {
+                          setSort(sortBy, option.id);
+                          setShowSortMenu(false);
+                        }}
+                        className={`w-full flex items-center gap-3 px-4 py-2 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 ${sortOrder === option.id ? 'text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20' : 'text-gray-700 dark:text-gray-300'}`}
+                      >
+                        <Check className={`w-4 h-4 ${sortOrder === option.id ? '' : 'invisible'}`} />
+                        {option.label}
+                      </button>
+                    ))}
+                    <div className="border-t border-gray-200 dark:border-gray-700 my-1" />
+                    <button
+                      onClick={() => {
+                        setConversationView(!conversationView);
+                        setShowSortMenu(false);
+                        refreshEmails();
+                      }}
+                      className={`w-full flex items-center gap-3 px-4 py-2 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 ${conversationView ? 'text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20' : 'text-gray-700 dark:text-gray-300'}`}
+                    >
+                      <Check className={`w-4 h-4 ${conversationView ? '' : 'invisible'}`} />
+                      Conversation view
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+            
             <div className="flex-1" />
             <h2 className="text-sm font-medium text-gray-600 dark:text-gray-300">{getFolderTitle()}</h2>
             <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">
-              {emails.length} {emails.length === 1 ? 'email' : 'emails'}
+              {emails.length} {listView === 'conversations'
+                ? (emails.length === 1 ? 'conversation' : 'conversations')
+                : (emails.length === 1 ? 'email' : 'emails')}
             </span>
+            {listSort === 'arrival' && (
+              <span
+                className="text-xs text-gray-400 dark:text-gray-500 ml-2"
+                title="This folder is still being loaded and the mail server cannot sort it by date"
+              >
+                by arrival
+              </span>
+            )}
           </>
         )}
       </div>
@@ -357,14 +497,25 @@ export default function EmailList() {
                       : 'bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-750'
                   }`}
                 >
+                  {/* Account Marker */}
+                  {email.accountColor && (
+                    <span
+                      className="w-1 h-6 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: email.accountColor }}
+                      title={email.accountEmail}
+                    />
+                  )}
+
                   {/* Checkbox */}
-                  <input
-                    type="checkbox"
-                    checked={isSelected}
-                    onClick={(e) => e.stopPropagation()}
-                    onChange={() => toggleEmailSelection(email.id)}
-                    className="w-5 h-5 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 cursor-pointer flex-shrink-0 bg-white dark:bg-gray-700"
-                  />
+                  {!isUnified && (
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => toggleEmailSelection(email.id)}
+                      className="w-5 h-5 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 cursor-pointer flex-shrink-0 bg-white dark:bg-gray-700"
+                    />
+                  )}
 
                   {/* Star */}
                   <button
@@ -402,7 +553,12 @@ export default function EmailList() {
 
                   {/* Sender */}
                   <div className={`w-44 flex-shrink-0 truncate ${!email.read ? 'font-semibold text-gray-900 dark:text-gray-100' : 'text-gray-700 dark:text-gray-300'}`}>
-                    {(email.from?.name && email.from.name.trim()) || email.from?.email || 'Unknown Sender'}
+                    {email.participants?.length > 1
+                      ? email.participants.map(p => (p.name && p.name.trim().split(' ')[0]) || p.email.split('@')[0]).join(', ')
+                      : (email.from?.name && email.from.name.trim()) || email.from?.email || 'Unknown Sender'}
+                    {email.messageCount > 1 && (
+                      <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">{email.messageCount}</span>
+                    )}
                   </div>
 
                   {/* Labels */}
@@ -427,16 +583,32 @@ export default function EmailList() {
 
                   {/* Subject & Preview */}
                   <div className="flex-1 min-w-0 flex items-center gap-2">
-                    <span className={`truncate ${!email.read ? 'font-semibold text-gray-900 dark:text-gray-100' : 'text-gray-700 dark:text-gray-300'}`}>
-                      {email.subject}
-                    </span>
-                    <span className="text-gray-500 dark:text-gray-400 truncate hidden lg:inline">
-                      - {(email.snippet || email.body?.replace(/<[^>]*>/g, '') || '').substring(0, 80)}
-                    </span>
+                    {email.highlights ? (
+                      // Search hits come with server-escaped <mark> highlights
+                      <>
+                        <span
+                          className={`truncate [&_mark]:bg-yellow-200 dark:[&_mark]:bg-yellow-700 dark:[&_mark]:text-gray-100 ${!email.read ? 'font-semibold text-gray-900 dark:text-gray-100' : 'text-gray-700 dark:text-gray-300'}`}
+                          dangerouslySetInnerHTML={{ __html: email.highlights.subject }}
+                        />
+                        <span
+                          className="text-gray-500 dark:text-gray-400 truncate hidden lg:inline [&_mark]:bg-yellow-200 dark:[&_mark]:bg-yellow-700 dark:[&_mark]:text-gray-100"
+                          dangerouslySetInnerHTML={{ __html: `- ${email.highlights.snippet}` }}
+                        />
+                      </>
+                    ) : (
+                      <>
+                        <span className={`truncate ${!email.read ? 'font-semibold text-gray-900 dark:text-gray-100' : 'text-gray-700 dark:text-gray-300'}`}>
+                          {email.subject}
+                        </span>
+                        <span className="text-gray-500 dark:text-gray-400 truncate hidden lg:inline">
+                          - {(email.snippet || email.body?.replace(/<[^>]*>/g, '') || '').substring(0, 80)}
+                        </span>
+                      </>
+                    )}
                   </div>
 
                   {/* Attachment Icon */}
-                  {email.attachments?.length > 0 && (
+                  {(email.attachments?.length > 0 || email.hasAttachments) && (
                     <Paperclip className="w-4 h-4 text-gray-400 dark:text-gray-500 flex-shrink-0" />
                   )}
 
@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { MessagesSquare, ChevronDown, ChevronUp, Loader2 } from 'lucide-react';
+import { useEmailStore } from '../../store/emailStore';
+
+const senderName = (email) =>
+  (email.from?.name && email.from.name.trim()) || email.from?.email || 'Unknown Sender';
+
+// Other messages of the open email's conversation, collapsed until clicked
+export default function ConversationThread({ email }) {
+  const { thread, fetchThread, fetchThreadMessage, isApiEnabled } = useEmailStore();
+  const [expanded, setExpanded] = useState({});
+  const [loadingId, setLoadingId] = useState(null);
+
+  useEffect(() => {
+    if (!isApiEnabled || !email?.folder || !email?.uid) return;
+    setExpanded({});
+    fetchThread(email.folder, email.uid).catch(() => {});
+  }, [email?.folder, email?.uid, isApiEnabled, fetchThread]);
+
+  // Ignore a thread left over from the previously opened email
+  const members = thread?.thread || [];
+  if (!members.some(m => m.id === email.id) || members.length < 2) {
+    return null;
+  }
+
+  const handleToggle = async (member) => {
+    if (member.id === email.id) return;
+    const open = !expanded[member.id];
+    setExpanded(prev => ({ ...prev, [member.id]: open }));
+
+    if (open && member.body === undefined) {
+      setLoadingId(member.id);
+      try {
+        await fetchThreadMessage(member.id);
+      } finally {
+        setLoadingId(null);
+      }
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700">
+      <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400 mb-3">
+        <MessagesSquare className="w-4 h-4" />
+        <span>{thread.count} messages in this conversation</span>
+      </div>
+
+      <div className="border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+        {members.map(member => {
+          const isCurrent = member.id === email.id;
+          const isOpen = expanded[member.id];
+
+          return (
+            <div key={member.id} style={{ paddingLeft: `${Math.min(member.depth, 6) * 16}px` }}>
+              <button
+                onClick={() => handleToggle(member)}
+                disabled={isCurrent}
+                className={`w-full flex items-center gap-3 px-4 py-2 text-left text-sm transition-colors ${
+                  isCurrent
+                    ? 'bg-blue-50 dark:bg-blue-900/20 cursor-default'
+                    : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+                }`}
+              >
+                <span className={`w-40 truncate flex-shrink-0 ${member.read ? 'text-gray-700 dark:text-gray-300' : 'font-semibold text-gray-900 dark:text-gray-100'}`}>
+                  {senderName(member)}
+                </span>
+                <span className="flex-1 truncate text-gray-500 dark:text-gray-400">
+                  {isCurrent ? 'Currently open' : (member.snippet || member.subject)}
+                </span>
+                {member.folder !== email.folder && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                    {member.folder}
+                  </span>
+                )}
+                <span className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+                  {format(new Date(member.date), 'MMM d, h:mm a')}
+                </span>
+                {!isCurrent && (isOpen
+                  ? <ChevronUp className="w-4 h-4 text-gray-400" />
+                  : <ChevronDown className="w-4 h-4 text-gray-400" />
+                )}
+              </button>
+
+              {isOpen && (
+                <div className="px-4 pb-4">
+                  {loadingId === member.id ? (
+                    <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                      Loading message...
+                    </div>
+                  ) : (
+                    <div
+                      className="prose prose-sm dark:prose-invert max-w-none text-gray-700 dark:text-gray-300"
+                      dangerouslySetInnerHTML={{ __html: member.body || '' }}
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { format } from 'date-fns';
+import { format, addDays, addHours, nextMonday, setHours, startOfDay, startOfHour } from 'date-fns';
 import { 
   ArrowLeft, 
   Star, 
@@ -19,11 +19,27 @@ import {
   AlertOctagon,
   Undo,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  Plus,
+  Clock,
+  FileText,
+  Users
 } from 'lucide-react';
-import { useEmailStore } from '../../store/emailStore';
+import { useEmailStore, LABEL_COLORS, replySource } from '../../store/emailStore';
 import { useSettingsStore } from '../../store/settingsStore';
 import toast from 'react-hot-toast';
+import ConversationThread from './ConversationThread';
+
+// Snooze presets; mornings are 8 AM local time
+const snoozeOptions = () => {
+  const now = new Date();
+  const morning = (date) => setHours(startOfDay(date), 8);
+  return [
+    { label: 'Later today', until: startOfHour(addHours(now, 4)) },
+    { label: 'Tomorrow', until: morning(addDays(now, 1)) },
+    { label: 'Next week', until: morning(nextMonday(now)) },
+  ];
+};
 
 // Generate DiceBear avatar URL
 const getAvatarUrl = (seed, size = 40) => {
@@ -39,6 +55,8 @@ export default function EmailView() {
     deleteEmail, 
     archiveEmail, 
     openCompose,
+    replyTo,
+    forwardAsAttachment,
     markAsRead,
     markAsUnread,
     reportSpam,
@@ -47,14 +65,18 @@ export default function EmailView() {
     labels,
     addLabel,
     removeLabel,
+    createLabel,
     selectedFolder,
     emptyTrash,
     emptySpam,
     isLoadingEmail,
+    snoozeEmail,
   } = useEmailStore();
 
   const [showLabelMenu, setShowLabelMenu] = useState(false);
   const [showMoreMenu, setShowMoreMenu] = useState(false);
+  const [showSnoozeMenu, setShowSnoozeMenu] = useState(false);
+  const [snoozeUntil, setSnoozeUntil] = useState('');
   const [showFullRecipients, setShowFullRecipients] = useState(false);
 
   const { readingPane } = useSettingsStore();
@@ -80,24 +102,15 @@ export default function EmailView() {
   };
 
   const handleReply = () => {
-    openCompose({
-      to: [selectedEmail.from],
-      subject: `Re: ${selectedEmail.subject}`,
-      inReplyTo: selectedEmail.id,
-    });
+    replyTo(selectedEmail);
   };
 
   const handleReplyAll = () => {
-    const allRecipients = [
-      selectedEmail.from,
-      ...(selectedEmail.to || []).filter(r => r.email !== 'user@example.com'),
-      ...(selectedEmail.cc || []),
-    ];
-    openCompose({
-      to: allRecipients,
-      subject: `Re: ${selectedEmail.subject}`,
-      inReplyTo: selectedEmail.id,
-    });
+    replyTo(selectedEmail, { mode: 'all' });
+  };
+
+  const handleReplyToList = () => {
+    replyTo(selectedEmail, { mode: 'list' });
   };
 
   const handleForward = () => {
@@ -106,9 +119,24 @@ export default function EmailView() {
     openCompose({
       subject: `Fwd: ${selectedEmail.subject}`,
       body: `\n\n---------- Forwarded message ----------\nFrom: ${fromName} <${fromEmail}>\nDate: ${format(new Date(selectedEmail.date), 'PPpp')}\nSubject: ${selectedEmail.subject}\n\n${selectedEmail.body}`,
+      // The original's files go along; its inline images are part of the body
+      attachments: (selectedEmail.attachments || [])
+        .filter(att => !att.inline && selectedEmail.uid)
+        .map(att => ({
+          filename: att.filename,
+          contentType: att.contentType,
+          size: att.size,
+          original: { folder: selectedEmail.folder, uid: selectedEmail.uid, id: att.id },
+        })),
+      source: replySource(selectedEmail, 'forward'),
     });
   };
 
+  const handleForwardAsAttachment = () => {
+    setShowMoreMenu(false);
+    forwardAsAttachment([selectedEmail]);
+  };
+
   const handleDelete = () => {
     const emailId = selectedEmail.id;
     deleteEmail(emailId);
@@ -151,6 +179,17 @@ export default function EmailView() {
     ), { duration: 5000 });
   };
 
+  const handleSnooze = async (until) => {
+    setShowSnoozeMenu(false);
+    setSnoozeUntil('');
+    try {
+      await snoozeEmail(selectedEmail.id, until);
+      toast.success(`Snoozed until ${format(until, 'EEE, MMM d, h:mm a')}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to snooze');
+    }
+  };
+
   const handleReportSpam = () => {
     reportSpam(selectedEmail.id);
     toast.success('Reported as spam');
@@ -190,6 +229,21 @@ export default function EmailView() {
     }
   };
 
+  // Create a label and apply it to this email
+  const handleCreateLabel = async () => {
+    setShowLabelMenu(false);
+    const name = window.prompt('New label name');
+    if (!name?.trim()) return;
+
+    try {
+      const label = await createLabel(name.trim(), LABEL_COLORS[labels.length % LABEL_COLORS.length]);
+      addLabel(selectedEmail.id, label.id);
+      toast.success(`Created "${label.name}"`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to create label');
+    }
+  };
+
   const emailLabels = selectedEmail.labels.filter(
     l => !['inbox', 'sent', 'drafts', 'archive', 'trash', 'spam'].includes(l)
   );
@@ -246,6 +300,56 @@ export default function EmailView() {
             )}
           </button>
 
+          {/* Snooze Menu */}
+          {!isTrash && !isSpam && (
+            <div className="relative">
+              <button
+                onClick={() => setShowSnoozeMenu(!showSnoozeMenu)}
+                className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+                title="Snooze"
+              >
+                <Clock className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+              </button>
+              {showSnoozeMenu && (
+                <>
+                  <div className="fixed inset-0 z-10" onClick={() => setShowSnoozeMenu(false)} />
+                  <div className="absolute left-0 top-full mt-1 w-64 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 z-20 py-2">
+                    <p className="px-4 py-1 text-xs text-gray-500 dark:text-gray-400 font-medium">Snooze until...</p>
+                    {snoozeOptions().map(option => (
+                      <button
+                        key={option.label}
+                        onClick={() => handleSnooze(option.until)}
+                        className="w-full flex items-center justify-between gap-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        {option.label}
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {format(option.until, 'EEE, h:mm a')}
+                        </span>
+                      </button>
+                    ))}
+                    <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+                    <div className="flex items-center gap-2 px-4 py-2">
+                      <input
+                        type="datetime-local"
+                        value={snoozeUntil}
+                        min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+                        onChange={(e) => setSnoozeUntil(e.target.value)}
+                        className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                      />
+                      <button
+                        onClick={() => handleSnooze(new Date(snoozeUntil))}
+                        disabled={!snoozeUntil}
+                        className="px-2 py-1 text-sm text-blue-600 dark:text-blue-400 font-medium hover:underline disabled:opacity-50"
+                      >
+                        Snooze
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Label Menu */}
           <div className="relative">
             <button 
@@ -282,6 +386,14 @@ export default function EmailView() {
                       </button>
                     );
                   })}
+                  <div className="my-1 border-t border-gray-200 dark:border-gray-700" />
+                  <button
+                    onClick={handleCreateLabel}
+                    className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Create label
+                  </button>
                 </div>
               </>
             )}
@@ -335,6 +447,15 @@ export default function EmailView() {
                     Report spam
                   </button>
                 )}
+                {selectedEmail.uid && (
+                  <button
+                    onClick={handleForwardAsAttachment}
+                    className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    <FileText className="w-4 h-4" />
+                    Forward as attachment
+                  </button>
+                )}
                 {isTrash && (
                   <button
                     onClick={handleEmptyTrash}
@@ -621,6 +742,15 @@ export default function EmailView() {
             <ReplyAll className="w-4 h-4" />
             Reply all
           </button>
+          {selectedEmail.replyRecipients?.list && (
+            <button
+              onClick={handleReplyToList}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-full text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+            >
+              <Users className="w-4 h-4" />
+              Reply to list
+            </button>
+          )}
           <button
             onClick={handleForward}
             className="flex items-center gap-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-full text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
@@ -629,6 +759,8 @@ export default function EmailView() {
             Forward
           </button>
         </div>
+
+        <ConversationThread email={selectedEmail} />
         </>
         )}
       </div>
@@ -1,9 +1,30 @@
 import { useState } from 'react';
-import { Menu, Search, LogOut, User, Moon, Sun, Monitor, RefreshCw } from 'lucide-react';
+import { Menu, Search, LogOut, User, Moon, Sun, Monitor, RefreshCw, BookmarkPlus, Settings, Check, UserPlus } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { useAuthStore } from '../../store/authStore';
-import { useEmailStore } from '../../store/emailStore';
+import { useEmailStore, SAVED_SEARCH_PREFIX } from '../../store/emailStore';
 import { useThemeStore } from '../../store/themeStore';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+// Search operators offered while typing in the search box
+const SEARCH_SUGGESTIONS = [
+  { text: 'from:', hint: 'Sender name or address' },
+  { text: 'to:', hint: 'Recipient' },
+  { text: 'cc:', hint: 'Copied recipient' },
+  { text: 'subject:', hint: 'Words in the subject' },
+  { text: 'has:attachment', hint: 'Messages with attachments' },
+  { text: 'is:unread', hint: 'Unread messages' },
+  { text: 'is:read', hint: 'Read messages' },
+  { text: 'is:starred', hint: 'Starred messages' },
+  { text: 'in:', hint: 'Folder, e.g. in:sent or in:anywhere' },
+  { text: 'before:', hint: 'Date, e.g. before:2026/01/31' },
+  { text: 'after:', hint: 'Date, e.g. after:2026/01/01' },
+  { text: 'older_than:', hint: 'Age, e.g. older_than:30d' },
+  { text: 'newer_than:', hint: 'Age, e.g. newer_than:2w' },
+  { text: 'larger:', hint: 'Size, e.g. larger:5M' },
+  { text: 'smaller:', hint: 'Size, e.g. smaller:100K' },
+  { text: 'OR', hint: 'Match either side' },
+];
 
 // Generate DiceBear avatar URL
 const getAvatarUrl = (seed, size = 40) => {
@@ -12,18 +33,23 @@ const getAvatarUrl = (seed, size = 40) => {
 
 export default function Header() {
   const navigate = useNavigate();
-  const { user, logout } = useAuthStore();
-  const { searchQuery, setSearchQuery, refreshEmails, isLoading, syncStatus, stopPolling, reset: resetEmailStore } = useEmailStore();
+  const location = useLocation();
+  const { user, logout, accounts, getActiveAccount } = useAuthStore();
+  const { searchQuery, setSearchQuery, refreshEmails, isLoading, syncStatus, stopRealtime, reset: resetEmailStore, saveSearch, setSelectedFolder, switchAccount } = useEmailStore();
   const { theme, setTheme } = useThemeStore();
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [showThemeMenu, setShowThemeMenu] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [searchFocused, setSearchFocused] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
 
-  const avatarSeed = user?.email || user?.name || 'default';
+  // Mail is read and sent as the active account, which may be a linked one
+  const activeAccount = getActiveAccount();
+  const avatarSeed = activeAccount?.email || user?.email || user?.name || 'default';
 
   const handleLogout = () => {
-    // Stop polling before logout to prevent API calls after token invalidation
-    stopPolling();
+    // Stop the event stream and polling before logout to prevent API calls after token invalidation
+    stopRealtime();
     // Reset email store state
     if (resetEmailStore) resetEmailStore();
     // Logout and navigate
@@ -31,6 +57,15 @@ export default function Header() {
     navigate('/login');
   };
 
+  const handleSwitchAccount = (account) => {
+    setShowUserMenu(false);
+    // Saved searches and settings belong to the previous account
+    if (location.pathname.startsWith('/search/') || location.pathname.startsWith('/settings')) {
+      navigate('/');
+    }
+    switchAccount(account.id);
+  };
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     try {
@@ -40,6 +75,55 @@ export default function Header() {
     }
   };
 
+  // Suggest operators for the word being typed (a leading "-" negates it)
+  const currentWord = searchQuery.match(/(\S*)$/)[1];
+  const negation = currentWord.startsWith('-') ? '-' : '';
+  const typedOperator = currentWord.slice(negation.length).toLowerCase();
+  const suggestions = searchFocused && !typedOperator.includes(':')
+    ? SEARCH_SUGGESTIONS.filter(s => s.text.toLowerCase().startsWith(typedOperator) && s.text.toLowerCase() !== typedOperator)
+    : [];
+
+  const applySuggestion = (suggestion) => {
+    const prefix = searchQuery.slice(0, searchQuery.length - currentWord.length);
+    const text = suggestion.text.endsWith(':') ? suggestion.text : `${suggestion.text} `;
+    setSearchQuery(`${prefix}${negation}${text}`);
+    setActiveSuggestion(-1);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion(i => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(i => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && suggestions[activeSuggestion]) {
+      e.preventDefault();
+      applySuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setSearchFocused(false);
+    }
+  };
+
+  // Keep the current query as a smart folder and open it
+  const handleSaveSearch = async () => {
+    const query = searchQuery.trim();
+    const name = window.prompt('Name this search', query);
+    if (!name?.trim()) return;
+
+    try {
+      const search = await saveSearch(name.trim(), query);
+      setSearchQuery('');
+      setSelectedFolder(`${SAVED_SEARCH_PREFIX}${search.id}`);
+      navigate(`/search/${search.id}`);
+      toast.success(`Saved "${search.name}"`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save search');
+    }
+  };
+
   const themeOptions = [
     { id: 'light', name: 'Light', icon: Sun },
     { id: 'dark', name: 'Dark', icon: Moon },
@@ -72,10 +156,52 @@ export default function Header() {
           <input
             type="text"
             value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setSearchFocused(true);
+              setActiveSuggestion(-1);
+            }}
+            onFocus={() => setSearchFocused(true)}
+            onBlur={() => setSearchFocused(false)}
+            onClick={() => setSearchFocused(true)}
+            onKeyDown={handleSearchKeyDown}
             placeholder="Search mail"
-            className="w-full py-2.5 pl-12 pr-4 bg-gray-200 dark:bg-gray-800 hover:bg-gray-300 dark:hover:bg-gray-700 focus:bg-white dark:focus:bg-gray-700 rounded-full text-sm text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:shadow-lg transition-all"
+            className="w-full py-2.5 pl-12 pr-12 bg-gray-200 dark:bg-gray-800 hover:bg-gray-300 dark:hover:bg-gray-700 focus:bg-white dark:focus:bg-gray-700 rounded-full text-sm text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:shadow-lg transition-all"
           />
+
+          {searchQuery.trim() && (
+            <button
+              // Keep focus in the input
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={handleSaveSearch}
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-1.5 hover:bg-gray-300 dark:hover:bg-gray-600 rounded-full transition-colors"
+              title="Save search"
+            >
+              <BookmarkPlus className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+            </button>
+          )}
+
+          {/* Operator Suggestions */}
+          {suggestions.length > 0 && (
+            <div className="absolute left-0 right-0 mt-2 max-h-80 overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-20 py-1">
+              {suggestions.map((suggestion, index) => (
+                <button
+                  key={suggestion.text}
+                  // Keep focus in the input
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => applySuggestion(suggestion)}
+                  className={`w-full flex items-center justify-between gap-4 px-4 py-2 text-sm text-left transition-colors ${
+                    index === activeSuggestion
+                      ? 'bg-blue-50 dark:bg-blue-900/30'
+                      : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  <span className="font-mono text-gray-900 dark:text-gray-100">{negation}{suggestion.text}</span>
+                  <span className="text-gray-500 dark:text-gray-400 truncate">{suggestion.hint}</span>
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
@@ -162,14 +288,58 @@ export default function Header() {
                       className="w-full h-full object-cover"
                     />
                   </div>
-                  <p className="font-medium text-gray-900 dark:text-gray-100">{user?.name || 'User'}</p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400">{user?.email || 'user@example.com'}</p>
+                  <p className="font-medium text-gray-900 dark:text-gray-100">{activeAccount?.name || user?.name || 'User'}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{activeAccount?.email || user?.email}</p>
+                  {activeAccount && !activeAccount.isLogin && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Signed in as {user?.email}</p>
+                  )}
                 </div>
+
+                {/* Account Switcher */}
+                <div className="p-2 border-b border-gray-200 dark:border-gray-700">
+                  {accounts.length > 1 && accounts.map((account) => (
+                    <button
+                      key={account.id}
+                      onClick={() => handleSwitchAccount(account)}
+                      className="w-full flex items-center gap-3 px-4 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                    >
+                      <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: account.color }} />
+                      <span className="flex-1 min-w-0">
+                        <span className="block text-sm truncate">{account.name || account.email}</span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">{account.email}</span>
+                      </span>
+                      {account.id === activeAccount?.id && (
+                        <Check className="w-4 h-4 text-blue-600 dark:text-blue-400 flex-shrink-0" />
+                      )}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => {
+                      setShowUserMenu(false);
+                      navigate('/settings/accounts');
+                    }}
+                    className="w-full flex items-center gap-3 px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                  >
+                    <UserPlus className="w-5 h-5" />
+                    <span>Add another account</span>
+                  </button>
+                </div>
+
                 <div className="p-2">
                   <button className="w-full flex items-center gap-3 px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
                     <User className="w-5 h-5" />
                     <span>Manage account</span>
                   </button>
+                  <button
+                    onClick={() => {
+                      setShowUserMenu(false);
+                      navigate('/settings');
+                    }}
+                    className="w-full flex items-center gap-3 px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                  >
+                    <Settings className="w-5 h-5" />
+                    <span>Settings</span>
+                  </button>
                   <button
                     onClick={handleLogout}
                     className="w-full flex items-center gap-3 px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
@@ -8,15 +8,23 @@ import {
   AlertCircle,
   Pencil,
   Mail,
-  AlertOctagon
+  AlertOctagon,
+  Search,
+  X,
+  Clock,
+  MailOpen
 } from 'lucide-react';
-import { useEmailStore } from '../../store/emailStore';
+import { useLocation, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useEmailStore, SAVED_SEARCH_PREFIX, OUTBOX_FOLDER, UNIFIED_PREFIX } from '../../store/emailStore';
+import { useAuthStore } from '../../store/authStore';
 
 const folders = [
   { id: 'inbox', name: 'Inbox', icon: Inbox, showCount: true },
   { id: 'starred', name: 'Starred', icon: Star },
   { id: 'important', name: 'Important', icon: AlertCircle },
   { id: 'sent', name: 'Sent', icon: Send },
+  { id: OUTBOX_FOLDER, name: 'Outbox', icon: Clock, showCount: true },
   { id: 'drafts', name: 'Drafts', icon: FileText, showCount: true },
   { id: 'spam', name: 'Spam', icon: AlertOctagon, showCount: true },
   { id: 'all', name: 'All Mail', icon: Mail },
@@ -24,13 +32,56 @@ const folders = [
   { id: 'trash', name: 'Trash', icon: Trash2 },
 ];
 
+// Views merging every account, shown once more than one is linked
+const unifiedFolders = [
+  { id: `${UNIFIED_PREFIX}inbox`, name: 'All inboxes', icon: Inbox },
+  { id: `${UNIFIED_PREFIX}unread`, name: 'All unread', icon: MailOpen },
+  { id: `${UNIFIED_PREFIX}starred`, name: 'All starred', icon: Star },
+];
+
 export default function Sidebar() {
   const { 
     selectedFolder, 
     setSelectedFolder, 
     openCompose, 
     getUnreadCount,
+    savedSearches,
+    deleteSavedSearch,
   } = useEmailStore();
+  const accounts = useAuthStore((state) => state.accounts);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const handleFolderClick = (folderId) => {
+    // Leave a smart folder route so it does not reopen the saved search,
+    // and the settings page so the folder is shown
+    if (location.pathname.startsWith('/search/') || location.pathname.startsWith('/settings')) {
+      navigate('/');
+    }
+    setSelectedFolder(folderId);
+  };
+
+  const handleSavedSearchClick = (search) => {
+    const folderId = `${SAVED_SEARCH_PREFIX}${search.id}`;
+    navigate(`/search/${search.id}`);
+    if (selectedFolder !== folderId) {
+      setSelectedFolder(folderId);
+    }
+  };
+
+  const handleDeleteSavedSearch = async (e, search) => {
+    e.stopPropagation();
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    try {
+      await deleteSavedSearch(search.id);
+      if (location.pathname === `/search/${search.id}`) {
+        navigate('/');
+      }
+      toast.success('Saved search deleted');
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete saved search');
+    }
+  };
 
   return (
     <aside className="w-64 bg-gray-100 dark:bg-gray-900 p-4 flex-shrink-0 overflow-y-auto transition-colors">
@@ -53,7 +104,7 @@ export default function Sidebar() {
           return (
             <button
               key={folder.id}
-              onClick={() => setSelectedFolder(folder.id)}
+              onClick={() => handleFolderClick(folder.id)}
               className={`sidebar-item w-full flex items-center gap-3 px-4 py-2 rounded-r-full text-sm transition-colors ${
                 isActive
                   ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 font-medium'
@@ -75,6 +126,90 @@ export default function Sidebar() {
           );
         })}
       </nav>
+
+      {/* All Accounts */}
+      {accounts.length > 1 && (
+        <div className="mt-6">
+          <h3 className="px-4 mb-1 text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">
+            All accounts
+          </h3>
+          <nav className="space-y-1">
+            {unifiedFolders.map((folder) => {
+              const Icon = folder.icon;
+              const isActive = selectedFolder === folder.id;
+
+              return (
+                <button
+                  key={folder.id}
+                  onClick={() => handleFolderClick(folder.id)}
+                  className={`sidebar-item w-full flex items-center gap-3 px-4 py-2 rounded-r-full text-sm transition-colors ${
+                    isActive
+                      ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 font-medium'
+                      : 'text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-800'
+                  }`}
+                >
+                  <Icon className="w-5 h-5 flex-shrink-0" />
+                  <span className="flex-1 text-left">{folder.name}</span>
+                </button>
+              );
+            })}
+          </nav>
+        </div>
+      )}
+
+      {/* Saved Searches */}
+      {savedSearches.length > 0 && (
+        <div className="mt-6">
+          <h3 className="px-4 mb-1 text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">
+            Saved searches
+          </h3>
+          <nav className="space-y-1">
+            {savedSearches.map((search) => {
+              const folderId = `${SAVED_SEARCH_PREFIX}${search.id}`;
+              const unreadCount = getUnreadCount(folderId);
+              const isActive = selectedFolder === folderId;
+
+              return (
+                <div
+                  key={search.id}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => handleSavedSearchClick(search)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSavedSearchClick(search)}
+                  title={search.query}
+                  className={`sidebar-item group w-full flex items-center gap-3 px-4 py-2 rounded-r-full text-sm cursor-pointer transition-colors ${
+                    isActive
+                      ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 font-medium'
+                      : 'text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-800'
+                  }`}
+                >
+                  <Search
+                    className="w-5 h-5 flex-shrink-0"
+                    style={search.color ? { color: search.color } : undefined}
+                  />
+                  <span className="flex-1 text-left truncate">{search.name}</span>
+                  {unreadCount > 0 && (
+                    <span className={`text-xs font-bold px-2 py-0.5 rounded-full group-hover:hidden ${
+                      isActive 
+                        ? 'bg-blue-600 dark:bg-blue-500 text-white' 
+                        : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+                    }`}>
+                      {unreadCount}
+                    </span>
+                  )}
+                  <button
+                    onClick={(e) => handleDeleteSavedSearch(e, search)}
+                    className="hidden group-hover:block p-0.5 rounded-full hover:bg-gray-300 dark:hover:bg-gray-600"
+                    title="Delete saved search"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              );
+            })}
+          </nav>
+        </div>
+      )}
     </aside>
   );
 }
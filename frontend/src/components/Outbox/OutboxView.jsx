@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { format, isToday } from 'date-fns';
+import { Send, RotateCw, Pencil, Trash2, Clock, AlertCircle, RefreshCw } from 'lucide-react';
+import { useEmailStore } from '../../store/emailStore';
+import toast from 'react-hot-toast';
+
+const formatTime = (date) => {
+  const d = new Date(date);
+  return isToday(d) ? format(d, 'h:mm a') : format(d, 'MMM d, h:mm a');
+};
+
+/**
+ * What is happening to a message, and whether it needs the user
+ */
+const describeStatus = (message) => {
+  switch (message.status) {
+    case 'sending':
+      return { text: 'Sending...', tone: 'normal' };
+    case 'retrying':
+      return {
+        text: `Not sent yet (${message.lastError}). Trying again at ${formatTime(message.sendAt)}, attempt ${message.attempts + 1}`,
+        tone: 'warning',
+      };
+    case 'failed':
+      return { text: `Not sent: ${message.lastError}`, tone: 'error' };
+    default:
+      return { text: `Sends at ${formatTime(message.sendAt)}`, tone: 'normal' };
+  }
+};
+
+const TONE_CLASSES = {
+  normal: 'text-gray-500 dark:text-gray-400',
+  warning: 'text-amber-600 dark:text-amber-400',
+  error: 'text-red-600 dark:text-red-400',
+};
+
+export default function OutboxView() {
+  const { outbox, fetchOutbox, retryOutboxMessage, discardOutboxMessage, undoSend } = useEmailStore();
+  const [busyId, setBusyId] = useState(null);
+
+  // Run an action on one message; 409 means the scheduler has just picked it up
+  const run = async (message, action, success) => {
+    setBusyId(message.id);
+    try {
+      await action(message.id);
+      if (success) toast.success(success);
+    } catch (error) {
+      toast.error(error.status === 409 ? 'The email is being sent' : (error.message || 'Something went wrong'));
+      fetchOutbox();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDiscard = (message) => {
+    if (!window.confirm(`Discard "${message.subject}"? It will not be sent.`)) return;
+    run(message, discardOutboxMessage, 'Email discarded');
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-white dark:bg-gray-800 transition-colors">
+      {/* Toolbar */}
+      <div className="h-14 border-b border-gray-200 dark:border-gray-700 flex items-center px-4 gap-2 flex-shrink-0">
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Outbox</h2>
+        <button
+          onClick={() => fetchOutbox()}
+          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+        </button>
+      </div>
+
+      {outbox.length === 0 ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-gray-500 dark:text-gray-400">
+          <Send className="w-16 h-16 mb-4 text-gray-300 dark:text-gray-600" />
+          <p className="text-lg font-medium">Nothing waiting to be sent</p>
+          <p className="text-sm">Scheduled emails and emails that could not be sent yet appear here</p>
+        </div>
+      ) : (
+        <ul className="flex-1 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+          {outbox.map((message) => {
+            const status = describeStatus(message);
+            const isBusy = busyId === message.id || message.status === 'sending';
+            const StatusIcon = status.tone === 'normal' ? Clock : AlertCircle;
+
+            return (
+              <li key={message.id} className="flex items-start gap-4 px-4 py-3">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-900 dark:text-gray-100 truncate">
+                    To: {message.to.map(r => r.name || r.email).join(', ')}
+                  </p>
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{message.subject}</p>
+                  <p className={`mt-1 flex items-center gap-1 text-xs ${TONE_CLASSES[status.tone]}`}>
+                    <StatusIcon className="w-3.5 h-3.5 flex-shrink-0" />
+                    <span className="truncate" title={status.text}>{status.text}</span>
+                  </p>
+                </div>
+
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  {(message.status === 'retrying' || message.status === 'failed') && (
+                    <button
+                      onClick={() => run(message, retryOutboxMessage, 'Sending again')}
+                      disabled={isBusy}
+                      className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors disabled:opacity-50"
+                      title="Retry now"
+                    >
+                      <RotateCw className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => run(message, undoSend)}
+                    disabled={isBusy}
+                    className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors disabled:opacity-50"
+                    title="Edit"
+                  >
+                    <Pencil className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+                  </button>
+                  <button
+                    onClick={() => handleDiscard(message)}
+                    disabled={isBusy}
+                    className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors disabled:opacity-50"
+                    title="Discard"
+                  >
+                    <Trash2 className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
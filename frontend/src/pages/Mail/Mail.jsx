@@ -1,8 +1,11 @@
 import { useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
 import EmailList from '../../components/EmailList';
 import EmailView from '../../components/EmailView';
-import { useEmailStore } from '../../store/emailStore';
+import OutboxView from '../../components/Outbox';
+import { useEmailStore, SAVED_SEARCH_PREFIX, OUTBOX_FOLDER } from '../../store/emailStore';
 import { useSettingsStore } from '../../store/settingsStore';
+import { useAuthStore } from '../../store/authStore';
 import toast from 'react-hot-toast';
 
 export default function Mail() {
@@ -15,27 +18,45 @@ export default function Mail() {
     deleteEmail,
     restoreEmail,
     openCompose,
+    replyTo,
     markAsRead,
     markAsUnread,
     fetchEmails,
     fetchFolders,
     fetchUnreadCounts,
-    startPolling,
-    stopPolling,
+    fetchSavedSearches,
+    fetchLabels,
+    fetchIdentities,
+    fetchOutbox,
+    startRealtime,
+    stopRealtime,
     selectedFolder,
+    setSelectedFolder,
+    switchAccount,
+    notice,
   } = useEmailStore();
+  const { searchId } = useParams();
 
-  const { readingPane } = useSettingsStore();
+  const { readingPane, loadSettings } = useSettingsStore();
   const emails = getFilteredEmails();
 
-  // Fetch emails and folders on mount, start polling
+  // Fetch emails and folders on mount, start listening for new mail
   useEffect(() => {
     const initializeMailbox = async () => {
       try {
+        // Requests name the active account, so drop one that has been unlinked first
+        await useAuthStore.getState().fetchAccounts();
+        // The list mode (messages or conversations) comes from the server settings
+        await loadSettings();
         await Promise.all([
           fetchFolders(),
-          fetchEmails(selectedFolder),
+          // A smart folder route is loaded by the effect below
+          !searchId && fetchEmails(selectedFolder),
           fetchUnreadCounts(),
+          fetchSavedSearches(),
+          fetchLabels(),
+          fetchIdentities(),
+          fetchOutbox(),
         ]);
       } catch (error) {
         console.error('Failed to initialize mailbox:', error);
@@ -45,15 +66,45 @@ export default function Mail() {
 
     initializeMailbox();
     
-    // Start polling for new emails every 2 minutes
-    startPolling(120000);
+    // Listen for pushed mailbox changes (falls back to polling every 2 minutes)
+    startRealtime(120000);
     
-    // Cleanup polling on unmount
+    // Close the event stream on unmount
     return () => {
-      stopPolling();
+      stopRealtime();
     };
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Tell the user about work the server did in the background
+  useEffect(() => {
+    if (!notice) return;
+    const { event, data } = notice;
+    if (event === 'snooze:wake') {
+      toast(`"${data.subject}" is back in your inbox`, { id: `snooze-${data.id}` });
+    } else if (event === 'outbox:sent') {
+      toast.success(`Sent "${data.subject}"`, { id: `outbox-${data.id}` });
+    } else if (event === 'outbox:failed' && data.willRetry) {
+      toast(`"${data.subject}" could not be sent yet, trying again later`, { id: `outbox-${data.id}` });
+    } else if (event === 'outbox:failed') {
+      toast.error(`"${data.subject}" could not be sent: ${data.error}`, { id: `outbox-${data.id}` });
+    }
+  }, [notice]);
+
+  // /search/:searchId opens a saved search like a folder
+  useEffect(() => {
+    const folder = searchId && `${SAVED_SEARCH_PREFIX}${searchId}`;
+    if (folder && folder !== useEmailStore.getState().selectedFolder) {
+      setSelectedFolder(folder);
+    }
+  }, [searchId, setSelectedFolder]);
+
+  // Emails of a unified view are opened as their own account
+  const selectEmail = useCallback((email) => {
+    if (email.accountId) switchAccount(email.accountId);
+    setSelectedEmail(email);
+    if (!email.read) markAsRead(email.id);
+  }, [switchAccount, setSelectedEmail, markAsRead]);
+
   // Keyboard shortcuts
   const handleKeyDown = useCallback((e) => {
     // Don't trigger shortcuts when typing in inputs
@@ -67,18 +118,14 @@ export default function Mail() {
       case 'j': // Next email
         e.preventDefault();
         if (currentIndex < emails.length - 1) {
-          const nextEmail = emails[currentIndex + 1];
-          setSelectedEmail(nextEmail);
-          if (!nextEmail.read) markAsRead(nextEmail.id);
+          selectEmail(emails[currentIndex + 1]);
         }
         break;
       
       case 'k': // Previous email
         e.preventDefault();
         if (currentIndex > 0) {
-          const prevEmail = emails[currentIndex - 1];
-          setSelectedEmail(prevEmail);
-          if (!prevEmail.read) markAsRead(prevEmail.id);
+          selectEmail(emails[currentIndex - 1]);
         }
         break;
       
@@ -86,9 +133,7 @@ export default function Mail() {
       case 'enter':
         if (!selectedEmail && emails.length > 0) {
           e.preventDefault();
-          const firstEmail = emails[0];
-          setSelectedEmail(firstEmail);
-          if (!firstEmail.read) markAsRead(firstEmail.id);
+          selectEmail(emails[0]);
         }
         break;
       
@@ -154,27 +199,14 @@ export default function Mail() {
       case 'r': // Reply
         if (selectedEmail && !e.shiftKey) {
           e.preventDefault();
-          openCompose({
-            to: [selectedEmail.from],
-            subject: `Re: ${selectedEmail.subject}`,
-            inReplyTo: selectedEmail.id,
-          });
+          replyTo(selectedEmail);
         }
         break;
       
       case 'a': // Reply all
         if (selectedEmail && e.shiftKey) {
           e.preventDefault();
-          const allRecipients = [
-            selectedEmail.from,
-            ...(selectedEmail.to || []).filter(r => r.email !== 'user@example.com'),
-            ...(selectedEmail.cc || []),
-          ];
-          openCompose({
-            to: allRecipients,
-            subject: `Re: ${selectedEmail.subject}`,
-            inReplyTo: selectedEmail.id,
-          });
+          replyTo(selectedEmail, { mode: 'all' });
         }
         break;
       
@@ -193,13 +225,22 @@ export default function Mail() {
       default:
         break;
     }
-  }, [selectedEmail, emails, setSelectedEmail, toggleStar, archiveEmail, deleteEmail, restoreEmail, openCompose, markAsRead]);
+  }, [selectedEmail, emails, selectEmail, setSelectedEmail, toggleStar, archiveEmail, deleteEmail, restoreEmail, openCompose, replyTo]);
 
   useEffect(() => {
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
   }, [handleKeyDown]);
 
+  // The outbox lists messages waiting on the backend; there is nothing to open
+  if (selectedFolder === OUTBOX_FOLDER) {
+    return (
+      <div className="h-full flex flex-col">
+        <OutboxView />
+      </div>
+    );
+  }
+
   // No split mode - show list or email view, not both
   if (readingPane === 'none') {
     return (
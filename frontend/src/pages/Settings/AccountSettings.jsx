@@ -0,0 +1,282 @@
+import { useEffect, useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuthStore } from '../../store/authStore';
+import { useEmailStore, LABEL_COLORS } from '../../store/emailStore';
+
+const inputClass = 'px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+// Default ports for each connection security
+const IMAP_PORTS = { 'SSL/TLS': '993', STARTTLS: '143', None: '143' };
+const SMTP_PORTS = { 'SSL/TLS': '465', STARTTLS: '587', None: '25' };
+
+const emptyForm = () => ({
+  email: '',
+  password: '',
+  name: '',
+  imapServer: '',
+  imapPort: IMAP_PORTS['SSL/TLS'],
+  imapSecurity: 'SSL/TLS',
+  smtpServer: '',
+  smtpPort: SMTP_PORTS['SSL/TLS'],
+  smtpSecurity: 'SSL/TLS',
+});
+
+function LinkAccountForm({ onLinked, onCancel }) {
+  const linkAccount = useAuthStore((state) => state.linkAccount);
+  const [form, setForm] = useState(emptyForm);
+  const [showServers, setShowServers] = useState(false);
+  const [isLinking, setIsLinking] = useState(false);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLinking(true);
+    try {
+      // Server settings left empty are discovered by the backend
+      const account = await linkAccount({
+        email: form.email.trim(),
+        password: form.password,
+        ...(form.name.trim() && { name: form.name.trim() }),
+        ...(form.imapServer.trim() && {
+          imapServer: form.imapServer.trim(),
+          imapPort: parseInt(form.imapPort),
+          imapSecurity: form.imapSecurity,
+        }),
+        ...(form.smtpServer.trim() && {
+          smtpServer: form.smtpServer.trim(),
+          smtpPort: parseInt(form.smtpPort),
+          smtpSecurity: form.smtpSecurity,
+        }),
+      });
+      toast.success(`Linked ${account.email}`);
+      onLinked();
+    } catch (error) {
+      toast.error(error.message || 'Failed to link account');
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  const serverFields = (protocol, ports) => (
+    <div className="flex flex-wrap gap-4">
+      <div className="flex-1 min-w-[200px]">
+        <label htmlFor={`account-${protocol}-server`} className={labelClass}>{protocol.toUpperCase()} server</label>
+        <input
+          id={`account-${protocol}-server`}
+          value={form[`${protocol}Server`]}
+          onChange={(e) => update({ [`${protocol}Server`]: e.target.value })}
+          placeholder={`${protocol}.example.com`}
+          className={`${inputClass} w-full`}
+        />
+      </div>
+      <div>
+        <label htmlFor={`account-${protocol}-port`} className={labelClass}>Port</label>
+        <input
+          id={`account-${protocol}-port`}
+          type="number"
+          min="1"
+          max="65535"
+          value={form[`${protocol}Port`]}
+          onChange={(e) => update({ [`${protocol}Port`]: e.target.value })}
+          className={`${inputClass} w-24`}
+        />
+      </div>
+      <div>
+        <label htmlFor={`account-${protocol}-security`} className={labelClass}>Security</label>
+        <select
+          id={`account-${protocol}-security`}
+          value={form[`${protocol}Security`]}
+          onChange={(e) => update({
+            [`${protocol}Security`]: e.target.value,
+            [`${protocol}Port`]: ports[e.target.value],
+          })}
+          className={inputClass}
+        >
+          <option value="SSL/TLS">SSL/TLS</option>
+          <option value="STARTTLS">STARTTLS</option>
+          <option value="None">None</option>
+        </select>
+      </div>
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40">
+      <div className="flex flex-wrap gap-4">
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="account-email" className={labelClass}>Email address</label>
+          <input
+            id="account-email"
+            type="email"
+            value={form.email}
+            onChange={(e) => update({ email: e.target.value })}
+            placeholder="you@example.com"
+            className={`${inputClass} w-full`}
+            required
+          />
+        </div>
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="account-password" className={labelClass}>Password</label>
+          <input
+            id="account-password"
+            type="password"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={(e) => update({ password: e.target.value })}
+            className={`${inputClass} w-full`}
+            required
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="account-name" className={labelClass}>Name</label>
+        <input
+          id="account-name"
+          value={form.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Work"
+          className={`${inputClass} w-full`}
+        />
+      </div>
+
+      <button
+        type="button"
+        onClick={() => setShowServers(!showServers)}
+        className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+      >
+        {showServers ? 'Hide' : 'Show'} server settings
+      </button>
+
+      {showServers && (
+        <div className="space-y-4">
+          {serverFields('imap', IMAP_PORTS)}
+          {serverFields('smtp', SMTP_PORTS)}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm rounded-full text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isLinking}
+          className="px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          {isLinking ? 'Connecting...' : 'Link account'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function AccountSettings() {
+  const { accounts, fetchAccounts, updateAccount, unlinkAccount, getActiveAccount } = useAuthStore();
+  const [isLinking, setIsLinking] = useState(false);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const handleColor = async (account, color) => {
+    try {
+      await updateAccount(account.id, { color });
+    } catch (error) {
+      toast.error(error.message || 'Failed to change color');
+    }
+  };
+
+  const handleUnlink = async (account) => {
+    if (!window.confirm(`Unlink ${account.email}? You can link it again with its password.`)) return;
+    try {
+      // Leave the account before its link goes, or requests would name it
+      if (getActiveAccount()?.id === account.id) {
+        await useEmailStore.getState().switchAccount(accounts[0].id);
+      }
+      await unlinkAccount(account.id);
+      toast.success(`Unlinked ${account.email}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to unlink account');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Accounts</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Mail accounts you can switch between from the account menu without signing out.
+            Each keeps its own folders and settings; the unified views show them all together.
+          </p>
+        </div>
+        {!isLinking && (
+          <button
+            onClick={() => setIsLinking(true)}
+            className="flex items-center gap-2 px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Plus className="w-4 h-4" />
+            Link account
+          </button>
+        )}
+      </div>
+
+      {isLinking && (
+        <LinkAccountForm onLinked={() => setIsLinking(false)} onCancel={() => setIsLinking(false)} />
+      )}
+
+      {accounts.map(account => (
+        <div
+          key={account.id}
+          className="flex items-start gap-3 p-4 rounded-xl border border-gray-200 dark:border-gray-700"
+        >
+          <span className="mt-1.5 w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: account.color }} />
+          <div className="flex-1 min-w-0 space-y-2">
+            <p className="font-medium text-gray-900 dark:text-gray-100 break-words">
+              {account.name ? `${account.name} <${account.email}>` : account.email}
+              {account.isLogin && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300">
+                  Signed in
+                </span>
+              )}
+            </p>
+            <p className="text-sm text-gray-600 dark:text-gray-400 break-words">
+              {account.imapHost} · {account.smtpHost}
+            </p>
+            {!account.isLogin && (
+              <div className="flex gap-1.5">
+                {LABEL_COLORS.map(color => (
+                  <button
+                    key={color}
+                    onClick={() => handleColor(account, color)}
+                    className={`w-5 h-5 rounded-full ${account.color === color ? 'ring-2 ring-offset-2 ring-gray-400 dark:ring-offset-gray-800' : ''}`}
+                    style={{ backgroundColor: color }}
+                    title="Use this color"
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+          {!account.isLogin && (
+            <button
+              onClick={() => handleUnlink(account)}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+              title="Unlink account"
+            >
+              <Trash2 className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
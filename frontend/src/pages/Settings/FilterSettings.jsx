@@ -0,0 +1,580 @@
+import { useEffect, useState } from 'react';
+import { Plus, Trash2, Pencil, Play, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { settingsApi } from '../../services/api';
+import { useEmailStore } from '../../store/emailStore';
+
+const FIELDS = [
+  { id: 'from', name: 'From' },
+  { id: 'to', name: 'To or Cc' },
+  { id: 'subject', name: 'Subject' },
+  { id: 'listId', name: 'List-Id' },
+  { id: 'header', name: 'Header' },
+  { id: 'size', name: 'Size' },
+  { id: 'hasAttachment', name: 'Has attachment' },
+];
+
+const TEXT_OPERATORS = [
+  { id: 'contains', name: 'contains' },
+  { id: 'notContains', name: 'does not contain' },
+  { id: 'equals', name: 'is' },
+  { id: 'startsWith', name: 'starts with' },
+  { id: 'endsWith', name: 'ends with' },
+];
+
+const SIZE_OPERATORS = [
+  { id: 'greaterThan', name: 'larger than' },
+  { id: 'lessThan', name: 'smaller than' },
+];
+
+const ACTIONS = [
+  { id: 'move', name: 'Move to' },
+  { id: 'label', name: 'Apply label' },
+  { id: 'star', name: 'Star' },
+  { id: 'read', name: 'Mark as read' },
+  { id: 'forward', name: 'Forward to' },
+  { id: 'delete', name: 'Delete' },
+  { id: 'spam', name: 'Mark as spam' },
+];
+
+// Sizes are entered in KB and stored in bytes
+const KB = 1024;
+
+const inputClass = 'px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const emptyFilter = () => ({
+  name: '',
+  enabled: true,
+  match: 'all',
+  conditions: [{ field: 'from', operator: 'contains', value: '' }],
+  actions: [{ type: 'label', labelId: '' }],
+  stopProcessing: false,
+});
+
+// A condition reset to the defaults of another field
+const conditionFor = (field) => {
+  if (field === 'size') return { field, operator: 'greaterThan', value: KB * KB };
+  if (field === 'hasAttachment') return { field, value: true };
+  if (field === 'header') return { field, header: '', operator: 'contains', value: '' };
+  return { field, operator: 'contains', value: '' };
+};
+
+const actionFor = (type) => {
+  if (type === 'move') return { type, folder: '' };
+  if (type === 'label') return { type, labelId: '' };
+  if (type === 'forward') return { type, to: '' };
+  return { type };
+};
+
+/**
+ * One-line description of a filter for the list
+ */
+function describeFilter(filter, labels) {
+  const conditions = filter.conditions.map((c) => {
+    const field = c.field === 'header' ? c.header : FIELDS.find(f => f.id === c.field)?.name;
+    if (c.field === 'hasAttachment') return c.value ? 'has attachment' : 'no attachment';
+    if (c.field === 'size') {
+      const operator = SIZE_OPERATORS.find(o => o.id === c.operator)?.name;
+      return `size ${operator} ${Math.round(c.value / KB)} KB`;
+    }
+    const operator = TEXT_OPERATORS.find(o => o.id === c.operator)?.name;
+    return `${field} ${operator} "${c.value}"`;
+  });
+
+  const actions = filter.actions.map((a) => {
+    const name = ACTIONS.find(o => o.id === a.type)?.name;
+    if (a.type === 'move') return `${name} ${a.folder}`;
+    if (a.type === 'label') return `${name} ${labels.find(l => l.id === a.labelId)?.name || '(deleted)'}`;
+    if (a.type === 'forward') return `${name} ${a.to}`;
+    return name;
+  });
+
+  return `If ${conditions.join(filter.match === 'any' ? ' or ' : ' and ')}: ${actions.join(', ')}`;
+}
+
+function FilterEditor({ initial, folders, labels, onSave, onCancel }) {
+  const [filter, setFilter] = useState(initial);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (changes) => setFilter(current => ({ ...current, ...changes }));
+
+  const updateCondition = (index, changes) => update({
+    conditions: filter.conditions.map((c, i) => i === index ? { ...c, ...changes } : c),
+  });
+
+  const updateAction = (index, changes) => update({
+    actions: filter.actions.map((a, i) => i === index ? { ...a, ...changes } : a),
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { name, enabled, match, conditions, actions, stopProcessing } = filter;
+      await onSave({ name, enabled, match, conditions, actions, stopProcessing });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40">
+      <input
+        value={filter.name}
+        onChange={(e) => update({ name: e.target.value })}
+        placeholder="Filter name"
+        className={`${inputClass} w-full`}
+        required
+      />
+
+      {/* Conditions */}
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <span>Match</span>
+          <select value={filter.match} onChange={(e) => update({ match: e.target.value })} className={inputClass}>
+            <option value="all">all</option>
+            <option value="any">any</option>
+          </select>
+          <span>of these conditions:</span>
+        </div>
+
+        {filter.conditions.map((condition, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              value={condition.field}
+              onChange={(e) => update({
+                conditions: filter.conditions.map((c, i) => i === index ? conditionFor(e.target.value) : c),
+              })}
+              className={inputClass}
+            >
+              {FIELDS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+            </select>
+
+            {condition.field === 'header' && (
+              <input
+                value={condition.header}
+                onChange={(e) => updateCondition(index, { header: e.target.value })}
+                placeholder="X-Header-Name"
+                className={`${inputClass} w-40`}
+                required
+              />
+            )}
+
+            {condition.field === 'hasAttachment' ? (
+              <select
+                value={condition.value ? 'yes' : 'no'}
+                onChange={(e) => updateCondition(index, { value: e.target.value === 'yes' })}
+                className={inputClass}
+              >
+                <option value="yes">yes</option>
+                <option value="no">no</option>
+              </select>
+            ) : condition.field === 'size' ? (
+              <>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                  className={inputClass}
+                >
+                  {SIZE_OPERATORS.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  value={Math.round(condition.value / KB)}
+                  onChange={(e) => updateCondition(index, { value: Math.round(Math.max(0, Number(e.target.value)) * KB) })}
+                  className={`${inputClass} w-28`}
+                />
+                <span className="text-sm text-gray-600 dark:text-gray-400">KB</span>
+              </>
+            ) : (
+              <>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                  className={inputClass}
+                >
+                  {TEXT_OPERATORS.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                </select>
+                <input
+                  value={condition.value}
+                  onChange={(e) => updateCondition(index, { value: e.target.value })}
+                  className={`${inputClass} flex-1 min-w-40`}
+                  required
+                />
+              </>
+            )}
+
+            {filter.conditions.length > 1 && (
+              <button
+                type="button"
+                onClick={() => update({ conditions: filter.conditions.filter((_, i) => i !== index) })}
+                className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
+                title="Remove condition"
+              >
+                <X className="w-4 h-4 text-gray-500" />
+              </button>
+            )}
+          </div>
+        ))}
+
+        <button
+          type="button"
+          onClick={() => update({ conditions: [...filter.conditions, conditionFor('from')] })}
+          className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          <Plus className="w-4 h-4" />
+          Add condition
+        </button>
+      </div>
+
+      {/* Actions */}
+      <div className="space-y-2">
+        <p className="text-sm text-gray-700 dark:text-gray-300">Then:</p>
+
+        {filter.actions.map((action, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              value={action.type}
+              onChange={(e) => update({
+                actions: filter.actions.map((a, i) => i === index ? actionFor(e.target.value) : a),
+              })}
+              className={inputClass}
+            >
+              {ACTIONS.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+
+            {action.type === 'move' && (
+              <select
+                value={action.folder}
+                onChange={(e) => updateAction(index, { folder: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Choose a folder</option>
+                {folders.map(f => <option key={f.path} value={f.path}>{f.path}</option>)}
+              </select>
+            )}
+
+            {action.type === 'label' && (
+              <select
+                value={action.labelId}
+                onChange={(e) => updateAction(index, { labelId: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Choose a label</option>
+                {labels.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            )}
+
+            {action.type === 'forward' && (
+              <input
+                type="email"
+                value={action.to}
+                onChange={(e) => updateAction(index, { to: e.target.value })}
+                placeholder="name@example.com"
+                className={`${inputClass} flex-1 min-w-40`}
+                required
+              />
+            )}
+
+            {filter.actions.length > 1 && (
+              <button
+                type="button"
+                onClick={() => update({ actions: filter.actions.filter((_, i) => i !== index) })}
+                className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"
+                title="Remove action"
+              >
+                <X className="w-4 h-4 text-gray-500" />
+              </button>
+            )}
+          </div>
+        ))}
+
+        <button
+          type="button"
+          onClick={() => update({ actions: [...filter.actions, actionFor('star')] })}
+          className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          <Plus className="w-4 h-4" />
+          Add action
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700 dark:text-gray-300">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={filter.stopProcessing}
+            onChange={(e) => update({ stopProcessing: e.target.checked })}
+          />
+          Don&apos;t apply later filters
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={filter.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Run on new mail
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm rounded-full text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save filter'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function FilterSettings() {
+  const { folders, labels, fetchFolders, fetchLabels } = useEmailStore();
+  const [filters, setFilters] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // null, 'new' or the id of the filter being edited
+  const [editing, setEditing] = useState(null);
+  const [runFolders, setRunFolders] = useState({});
+  const [runningId, setRunningId] = useState(null);
+  const [serverFilters, setServerFilters] = useState(false);
+  const [isSwitching, setIsSwitching] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [result, { settings }] = await Promise.all([
+          settingsApi.getFilters(),
+          settingsApi.get(),
+          fetchFolders(),
+          fetchLabels(),
+        ]);
+        setFilters(result.filters);
+        setServerFilters(!!settings.serverFilters);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load filters');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [fetchFolders, fetchLabels]);
+
+  // Filter changes are saved even when the mail server's script could not be updated
+  const reportSieve = (sieve) => {
+    if (sieve && !sieve.synced) {
+      toast.error(`The mail server's filters were not updated: ${sieve.message}`);
+    }
+  };
+
+  const handleServerFilters = async () => {
+    setIsSwitching(true);
+    try {
+      if (serverFilters) {
+        await settingsApi.disableServerFilters();
+        toast.success('Filters run in NovaMail again');
+      } else {
+        await settingsApi.enableServerFilters();
+        toast.success('Filters now run on the mail server');
+      }
+      setServerFilters(!serverFilters);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update the mail server');
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  const handleSave = async (filter) => {
+    try {
+      if (editing === 'new') {
+        const { filter: created, sieve } = await settingsApi.createFilter(filter);
+        setFilters(current => [...current, created]);
+        reportSieve(sieve);
+      } else {
+        const { filter: updated, sieve } = await settingsApi.updateFilter(editing, filter);
+        setFilters(current => current.map(f => f.id === updated.id ? updated : f));
+        reportSieve(sieve);
+      }
+      setEditing(null);
+      toast.success('Filter saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save filter');
+    }
+  };
+
+  const handleToggle = async (filter) => {
+    try {
+      const { filter: updated, sieve } = await settingsApi.updateFilter(filter.id, { enabled: !filter.enabled });
+      setFilters(current => current.map(f => f.id === updated.id ? updated : f));
+      reportSieve(sieve);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update filter');
+    }
+  };
+
+  const handleDelete = async (filter) => {
+    if (!window.confirm(`Delete the filter "${filter.name}"?`)) return;
+    try {
+      const { sieve } = await settingsApi.deleteFilter(filter.id);
+      setFilters(current => current.filter(f => f.id !== filter.id));
+      reportSieve(sieve);
+      toast.success('Filter deleted');
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete filter');
+    }
+  };
+
+  const handleRun = async (filter) => {
+    const folder = runFolders[filter.id] || 'INBOX';
+    setRunningId(filter.id);
+    try {
+      const result = await settingsApi.runFilter(filter.id, folder);
+      toast.success(`Applied to ${result.matched} message${result.matched === 1 ? '' : 's'} in ${result.folder}`);
+      useEmailStore.getState().refreshEmails();
+    } catch (error) {
+      toast.error(error.message || 'Failed to run filter');
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading filters...</p>;
+  }
+
+  return (
+    <div className="max-w-3xl space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Filters</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Filters run from top to bottom on new mail arriving in your inbox.
+          </p>
+        </div>
+        {editing === null && (
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center gap-2 px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Plus className="w-4 h-4" />
+            Create filter
+          </button>
+        )}
+      </div>
+
+      <label className="flex items-start gap-3 p-4 rounded-xl bg-gray-50 dark:bg-gray-800 text-sm">
+        <input
+          type="checkbox"
+          checked={serverFilters}
+          disabled={isSwitching}
+          onChange={handleServerFilters}
+          className="mt-0.5"
+        />
+        <span>
+          <span className="font-medium text-gray-900 dark:text-gray-100">Run filters on the mail server</span>
+          <span className="block text-gray-500 dark:text-gray-400">
+            Filters are saved as a Sieve script and apply to mail that arrives while NovaMail is closed.
+            Rules you wrote yourself in the script are kept.
+          </span>
+        </span>
+      </label>
+
+      {editing === 'new' && (
+        <FilterEditor
+          initial={emptyFilter()}
+          folders={folders}
+          labels={labels}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {filters.length === 0 && editing === null && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No filters yet.</p>
+      )}
+
+      {filters.map(filter => editing === filter.id ? (
+        <FilterEditor
+          key={filter.id}
+          initial={filter}
+          folders={folders}
+          labels={labels}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <div
+          key={filter.id}
+          className="p-4 rounded-xl border border-gray-200 dark:border-gray-700 space-y-3"
+        >
+          <div className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              checked={filter.enabled}
+              onChange={() => handleToggle(filter)}
+              title={filter.enabled ? 'Runs on new mail' : 'Disabled'}
+              className="mt-1"
+            />
+            <div className="flex-1 min-w-0">
+              <p className={`font-medium ${filter.enabled ? 'text-gray-900 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500'}`}>
+                {filter.name}
+              </p>
+              <p className="text-sm text-gray-600 dark:text-gray-400 break-words">
+                {describeFilter(filter, labels)}
+              </p>
+            </div>
+            <button
+              onClick={() => setEditing(filter.id)}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+              title="Edit filter"
+            >
+              <Pencil className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+            </button>
+            <button
+              onClick={() => handleDelete(filter)}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+              title="Delete filter"
+            >
+              <Trash2 className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+            </button>
+          </div>
+
+          {/* Run over existing mail */}
+          <div className="flex items-center gap-2 pl-7 text-sm text-gray-700 dark:text-gray-300">
+            <span>Apply to messages in</span>
+            <select
+              value={runFolders[filter.id] || 'INBOX'}
+              onChange={(e) => setRunFolders(current => ({ ...current, [filter.id]: e.target.value }))}
+              className={inputClass}
+            >
+              {(folders.length ? folders : [{ path: 'INBOX' }]).map(f => (
+                <option key={f.path} value={f.path}>{f.path}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => handleRun(filter)}
+              disabled={runningId !== null}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-full text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 disabled:opacity-50"
+            >
+              <Play className="w-4 h-4" />
+              {runningId === filter.id ? 'Running...' : 'Run'}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+import { useEffect, useState } from 'react';
+import { Plus, Trash2, Pencil } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { settingsApi } from '../../services/api';
+import { useEmailStore } from '../../store/emailStore';
+
+const inputClass = 'px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const emptyIdentity = () => ({
+  email: '',
+  name: '',
+  replyTo: '',
+  signature: '',
+  bcc: [],
+  isDefault: false,
+});
+
+function IdentityEditor({ initial, onSave, onCancel }) {
+  const [form, setForm] = useState({ ...initial, replyTo: initial.replyTo || '', bcc: initial.bcc.join(', ') });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSave({
+        email: form.email.trim(),
+        name: form.name.trim(),
+        replyTo: form.replyTo.trim() || null,
+        signature: form.signature,
+        bcc: form.bcc.split(/[\s,]+/).filter(Boolean),
+        isDefault: form.isDefault,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40">
+      <div className="flex flex-wrap gap-4">
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="identity-name" className={labelClass}>Name</label>
+          <input
+            id="identity-name"
+            value={form.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="Support team"
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="identity-email" className={labelClass}>Address</label>
+          <input
+            id="identity-email"
+            type="email"
+            value={form.email}
+            onChange={(e) => update({ email: e.target.value })}
+            placeholder="support@example.com"
+            className={`${inputClass} w-full`}
+            required
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="identity-reply-to" className={labelClass}>Reply-To</label>
+          <input
+            id="identity-reply-to"
+            type="email"
+            value={form.replyTo}
+            onChange={(e) => update({ replyTo: e.target.value })}
+            placeholder="Replies go to this address"
+            className={`${inputClass} w-full`}
+          />
+        </div>
+        <div className="flex-1 min-w-[200px]">
+          <label htmlFor="identity-bcc" className={labelClass}>Always Bcc</label>
+          <input
+            id="identity-bcc"
+            value={form.bcc}
+            onChange={(e) => update({ bcc: e.target.value })}
+            placeholder="archive@example.com"
+            className={`${inputClass} w-full`}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="identity-signature" className={labelClass}>Signature</label>
+        <textarea
+          id="identity-signature"
+          value={form.signature}
+          onChange={(e) => update({ signature: e.target.value })}
+          rows={4}
+          placeholder="<p>Best regards,<br>Support team</p>"
+          className={`${inputClass} w-full font-mono`}
+        />
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={form.isDefault}
+          disabled={initial.isDefault}
+          onChange={(e) => update({ isDefault: e.target.checked })}
+        />
+        Send new mail from this address
+      </label>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm rounded-full text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function IdentitySettings() {
+  const [identities, setIdentities] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Identity id being edited, 'new' or null
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const result = await settingsApi.getIdentities();
+        setIdentities(result.identities);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load addresses');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // Making one identity the default changes the others, so reload them all;
+  // the compose window reads them from the store
+  const reload = async () => {
+    const updated = await useEmailStore.getState().fetchIdentities();
+    if (updated) setIdentities(updated);
+  };
+
+  const handleSave = async (identity) => {
+    try {
+      if (editing === 'new') {
+        await settingsApi.createIdentity(identity);
+      } else {
+        await settingsApi.updateIdentity(editing, identity);
+      }
+      await reload();
+      setEditing(null);
+      toast.success('Address saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save address');
+    }
+  };
+
+  const handleDelete = async (identity) => {
+    if (!window.confirm(`Stop sending as ${identity.email}?`)) return;
+    try {
+      await settingsApi.deleteIdentity(identity.id);
+      await reload();
+      toast.success('Address removed');
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove address');
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading addresses...</p>;
+  }
+
+  return (
+    <div className="max-w-3xl space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Send mail as</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Addresses you can pick in the From field. Your mail server has to allow sending from them.
+            Replies go out from the address the email was sent to.
+          </p>
+        </div>
+        {editing === null && (
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center gap-2 px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Plus className="w-4 h-4" />
+            Add address
+          </button>
+        )}
+      </div>
+
+      {editing === 'new' && (
+        <IdentityEditor initial={emptyIdentity()} onSave={handleSave} onCancel={() => setEditing(null)} />
+      )}
+
+      {identities.map(identity => editing === identity.id ? (
+        <IdentityEditor
+          key={identity.id}
+          initial={identity}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <div
+          key={identity.id}
+          className="flex items-start gap-3 p-4 rounded-xl border border-gray-200 dark:border-gray-700"
+        >
+          <div className="flex-1 min-w-0">
+            <p className="font-medium text-gray-900 dark:text-gray-100 break-words">
+              {identity.name ? `${identity.name} <${identity.email}>` : identity.email}
+              {identity.isDefault && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300">
+                  Default
+                </span>
+              )}
+            </p>
+            {(identity.replyTo || identity.bcc.length > 0) && (
+              <p className="text-sm text-gray-600 dark:text-gray-400 break-words">
+                {[
+                  identity.replyTo && `Replies to ${identity.replyTo}`,
+                  identity.bcc.length > 0 && `Bcc ${identity.bcc.join(', ')}`,
+                ].filter(Boolean).join(' · ')}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={() => setEditing(identity.id)}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+            title="Edit address"
+          >
+            <Pencil className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+          </button>
+          {identities.length > 1 && (
+            <button
+              onClick={() => handleDelete(identity)}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+              title="Remove address"
+            >
+              <Trash2 className="w-4 h-4 text-gray-600 dark:text-gray-300" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { settingsApi } from '../../services/api';
+import { useSettingsStore, DEFAULT_ATTRIBUTION } from '../../store/settingsStore';
+
+const inputClass = 'px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const UNDO_DELAYS = [0, 5, 10, 20, 30];
+
+/**
+ * Form state from the API's settings
+ */
+const toForm = (settings) => ({
+  sendCancellation: settings.sendCancellation,
+  saveSentCopy: settings.saveSentCopy,
+  replyPosition: settings.replyPosition,
+  replyAttribution: settings.replyAttribution,
+});
+
+export default function SendingSettings() {
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const setReplyQuoting = useSettingsStore(state => state.setReplyQuoting);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { settings } = await settingsApi.get();
+        setForm(toForm(settings));
+      } catch (error) {
+        toast.error(error.message || 'Failed to load settings');
+      }
+    };
+    load();
+  }, []);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { settings } = await settingsApi.update(form);
+      setForm(toForm(settings));
+      setReplyQuoting(settings);
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!form) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading settings...</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-3xl space-y-4">
+      <div>
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Sending</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          How NovaMail sends your email, replies and forwards.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="undo-delay" className={labelClass}>Undo send</label>
+        <select
+          id="undo-delay"
+          value={form.sendCancellation}
+          onChange={(e) => update({ sendCancellation: Number(e.target.value) })}
+          className={inputClass}
+        >
+          {UNDO_DELAYS.map(seconds => (
+            <option key={seconds} value={seconds}>
+              {seconds === 0 ? 'Off' : `${seconds} seconds`}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="flex items-center gap-3 text-sm font-medium text-gray-900 dark:text-gray-100">
+          <input
+            type="checkbox"
+            checked={form.saveSentCopy}
+            onChange={(e) => update({ saveSentCopy: e.target.checked })}
+          />
+          Save a copy of sent mail in the Sent folder
+        </label>
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          Turn this off if your mail server already files sent mail (Gmail and Outlook.com do), or each email shows up twice.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="reply-position" className={labelClass}>When replying</label>
+        <select
+          id="reply-position"
+          value={form.replyPosition}
+          onChange={(e) => update({ replyPosition: e.target.value })}
+          className={inputClass}
+        >
+          <option value="top">Write above the quoted message</option>
+          <option value="bottom">Write below the quoted message</option>
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="reply-attribution" className={labelClass}>Quote introduction</label>
+        <input
+          id="reply-attribution"
+          value={form.replyAttribution}
+          onChange={(e) => update({ replyAttribution: e.target.value })}
+          placeholder={DEFAULT_ATTRIBUTION}
+          className={`${inputClass} w-full`}
+        />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          The line above the quoted message. {'{date}'}, {'{name}'}, {'{email}'} and {'{sender}'} (name and address) are filled in; leave it empty for the default.
+        </p>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
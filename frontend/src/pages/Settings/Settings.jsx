@@ -0,0 +1,66 @@
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, AtSign, Filter, Plane, Send, Users } from 'lucide-react';
+import FilterSettings from './FilterSettings';
+import VacationSettings from './VacationSettings';
+import SendingSettings from './SendingSettings';
+import IdentitySettings from './IdentitySettings';
+import AccountSettings from './AccountSettings';
+
+const sections = [
+  { id: 'filters', name: 'Filters', icon: Filter, component: FilterSettings },
+  { id: 'vacation', name: 'Vacation reply', icon: Plane, component: VacationSettings },
+  { id: 'sending', name: 'Sending', icon: Send, component: SendingSettings },
+  { id: 'identities', name: 'Send mail as', icon: AtSign, component: IdentitySettings },
+  { id: 'accounts', name: 'Accounts', icon: Users, component: AccountSettings },
+];
+
+export default function Settings() {
+  const { section } = useParams();
+  const navigate = useNavigate();
+
+  const active = sections.find(s => s.id === section) || sections[0];
+  const Section = active.component;
+
+  return (
+    <div className="h-full flex flex-col bg-white dark:bg-gray-800 transition-colors">
+      {/* Toolbar */}
+      <div className="h-14 border-b border-gray-200 dark:border-gray-700 flex items-center px-4 gap-2 flex-shrink-0">
+        <button
+          onClick={() => navigate('/')}
+          className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+          title="Back to mail"
+        >
+          <ArrowLeft className="w-5 h-5 text-gray-600 dark:text-gray-300" />
+        </button>
+        <h1 className="text-lg font-medium text-gray-900 dark:text-gray-100">Settings</h1>
+      </div>
+
+      <div className="flex flex-1 overflow-hidden">
+        {/* Sections */}
+        <nav className="w-48 border-r border-gray-200 dark:border-gray-700 p-2 space-y-1 flex-shrink-0">
+          {sections.map((item) => {
+            const Icon = item.icon;
+            return (
+              <button
+                key={item.id}
+                onClick={() => navigate(`/settings/${item.id}`)}
+                className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg text-sm transition-colors ${
+                  active.id === item.id
+                    ? 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 font-medium'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {item.name}
+              </button>
+            );
+          })}
+        </nav>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          <Section />
+        </div>
+      </div>
+    </div>
+  );
+}
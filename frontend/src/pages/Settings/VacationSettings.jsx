@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { settingsApi } from '../../services/api';
+
+const inputClass = 'px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+/**
+ * Form state from the API's vacation settings
+ */
+const toForm = (vacation) => ({
+  enabled: vacation.enabled,
+  subject: vacation.subject || '',
+  bodyText: vacation.bodyText || '',
+  useHtml: !!vacation.bodyHtml,
+  bodyHtml: vacation.bodyHtml || '',
+  startDate: vacation.startDate || '',
+  endDate: vacation.endDate || '',
+  intervalDays: vacation.intervalDays,
+  excluded: (vacation.excludedAddresses || []).join('\n'),
+});
+
+export default function VacationSettings() {
+  const [form, setForm] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { vacation } = await settingsApi.getVacation();
+        setForm(toForm(vacation));
+        setMode(vacation.mode);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load vacation reply');
+      }
+    };
+    load();
+  }, []);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { vacation } = await settingsApi.updateVacation({
+        enabled: form.enabled,
+        subject: form.subject,
+        bodyText: form.bodyText,
+        bodyHtml: form.useHtml && form.bodyHtml.trim() ? form.bodyHtml : null,
+        startDate: form.startDate || null,
+        endDate: form.endDate || null,
+        intervalDays: Number(form.intervalDays),
+        excludedAddresses: form.excluded.split(/[\s,]+/).filter(Boolean),
+      });
+      setForm(toForm(vacation));
+      setMode(vacation.mode);
+      toast.success(vacation.enabled ? 'Vacation reply on' : 'Vacation reply off');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save vacation reply');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!form) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading vacation reply...</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-3xl space-y-4">
+      <div>
+        <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Vacation reply</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Automatically answer people who write to you while you are away.
+        </p>
+      </div>
+
+      <label className="flex items-center gap-3 text-sm font-medium text-gray-900 dark:text-gray-100">
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Send a vacation reply
+      </label>
+
+      {form.enabled && mode && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {mode === 'sieve'
+            ? 'Your mail server sends the reply, even while NovaMail is closed.'
+            : 'Your mail server cannot send it, so NovaMail replies when it checks your inbox.'}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-4">
+        <div>
+          <label htmlFor="vacation-start" className={labelClass}>First day</label>
+          <input
+            id="vacation-start"
+            type="date"
+            value={form.startDate}
+            onChange={(e) => update({ startDate: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="vacation-end" className={labelClass}>Last day</label>
+          <input
+            id="vacation-end"
+            type="date"
+            value={form.endDate}
+            min={form.startDate || undefined}
+            onChange={(e) => update({ endDate: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="vacation-interval" className={labelClass}>Reply to each sender once every</label>
+          <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              id="vacation-interval"
+              type="number"
+              min="1"
+              max="30"
+              value={form.intervalDays}
+              onChange={(e) => update({ intervalDays: e.target.value })}
+              className={`${inputClass} w-20`}
+            />
+            days
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="vacation-subject" className={labelClass}>Subject</label>
+        <input
+          id="vacation-subject"
+          value={form.subject}
+          onChange={(e) => update({ subject: e.target.value })}
+          placeholder="Auto: original subject"
+          className={`${inputClass} w-full`}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="vacation-body" className={labelClass}>Message</label>
+        <textarea
+          id="vacation-body"
+          value={form.bodyText}
+          onChange={(e) => update({ bodyText: e.target.value })}
+          rows={6}
+          placeholder="I'm out of the office and will reply when I'm back."
+          className={`${inputClass} w-full`}
+        />
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={form.useHtml}
+          onChange={(e) => update({ useHtml: e.target.checked })}
+        />
+        Also send an HTML version
+      </label>
+
+      {form.useHtml && (
+        <textarea
+          value={form.bodyHtml}
+          onChange={(e) => update({ bodyHtml: e.target.value })}
+          rows={6}
+          placeholder="<p>I'm out of the office and will reply when I'm back.</p>"
+          className={`${inputClass} w-full font-mono`}
+        />
+      )}
+
+      <div>
+        <label htmlFor="vacation-excluded" className={labelClass}>Don&apos;t reply to</label>
+        <textarea
+          id="vacation-excluded"
+          value={form.excluded}
+          onChange={(e) => update({ excluded: e.target.value })}
+          rows={3}
+          placeholder={'colleague@example.com\n@example.org'}
+          className={`${inputClass} w-full`}
+        />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          One address or @domain per line. Mailing lists and automated mail never get a reply.
+        </p>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 text-sm rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
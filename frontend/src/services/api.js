@@ -18,14 +18,13 @@ class ApiError extends Error {
 }
 
 /**
- * Get stored auth token
+ * Get the persisted auth state
  */
-function getToken() {
+function getAuthState() {
   const authData = localStorage.getItem('novamail-auth');
   if (authData) {
     try {
-      const parsed = JSON.parse(authData);
-      return parsed.state?.token;
+      return JSON.parse(authData).state || null;
     } catch {
       return null;
     }
@@ -33,18 +32,35 @@ function getToken() {
   return null;
 }
 
+/**
+ * Get stored auth token
+ */
+function getToken() {
+  return getAuthState()?.token || null;
+}
+
+/**
+ * Linked account the app is switched to (null for the account signed in with)
+ */
+function getActiveAccountId() {
+  return getAuthState()?.activeAccountId || null;
+}
+
 /**
  * Make an authenticated API request
+ * Requests act as the active account unless options.accountId names another.
  */
 async function request(endpoint, options = {}) {
   const token = getToken();
+  const { accountId = getActiveAccountId(), ...fetchOptions } = options;
   
   const config = {
-    ...options,
+    ...fetchOptions,
     headers: {
       'Content-Type': 'application/json',
       ...(token && { Authorization: `Bearer ${token}` }),
-      ...options.headers,
+      ...(accountId && { 'X-Account-Id': accountId }),
+      ...fetchOptions.headers,
     },
   };
 
@@ -97,6 +113,29 @@ export const authApi = {
       body: JSON.stringify({ email }),
     });
   },
+
+  // Mail accounts of the login: the one signed in with, then the linked ones
+  async getAccounts() {
+    return request('/auth/accounts');
+  },
+
+  async linkAccount(credentials) {
+    return request('/auth/accounts', {
+      method: 'POST',
+      body: JSON.stringify(credentials),
+    });
+  },
+
+  async updateAccount(id, updates) {
+    return request(`/auth/accounts/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  async unlinkAccount(id) {
+    return request(`/auth/accounts/${id}`, { method: 'DELETE' });
+  },
 };
 
 /**
@@ -109,15 +148,34 @@ export const emailsApi = {
       limit: options.limit || 50,
       offset: options.offset || 0,
       ...(options.search && { search: options.search }),
+      ...(options.sort && { sort: options.sort }),
+      ...(options.order && { order: options.order }),
+      ...(options.view && { view: options.view }),
     });
     return request(`/emails?${params}`);
   },
 
-  async search(query, folder = 'inbox', limit = 50) {
-    const params = new URLSearchParams({ q: query, folder, limit });
+  // Searches every folder unless one is given; sort is 'relevance' or 'date'
+  async search(query, folder = null, limit = 50, options = {}) {
+    const params = new URLSearchParams({
+      q: query,
+      limit,
+      ...(folder && { folder }),
+      ...(options.sort && { sort: options.sort }),
+    });
     return request(`/emails/search?${params}`);
   },
 
+  // Inbox, unread or starred mail of every account, newest first
+  async unified(view = 'inbox', options = {}) {
+    const params = new URLSearchParams({
+      view,
+      limit: options.limit || 50,
+      offset: options.offset || 0,
+    });
+    return request(`/emails/unified?${params}`);
+  },
+
   async get(folder, uid, markAsRead = true) {
     const params = new URLSearchParams({ markAsRead });
     return request(`/emails/${encodeURIComponent(folder)}/${uid}?${params}`);
@@ -158,6 +216,41 @@ export const emailsApi = {
     return data;
   },
 
+  // Outbox: outgoing messages waiting to be sent, retried or failed
+  async getOutbox() {
+    return request('/emails/outbox');
+  },
+
+  async getOutboxMessage(id) {
+    return request(`/emails/outbox/${id}`);
+  },
+
+  async updateOutboxMessage(id, emailData) {
+    return request(`/emails/outbox/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(emailData),
+    });
+  },
+
+  async rescheduleOutboxMessage(id, scheduledAt) {
+    return request(`/emails/outbox/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ scheduledAt: new Date(scheduledAt).toISOString() }),
+    });
+  },
+
+  async retryOutboxMessage(id) {
+    return request(`/emails/outbox/${id}/retry`, {
+      method: 'POST',
+    });
+  },
+
+  async cancelOutboxMessage(id) {
+    return request(`/emails/outbox/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
   async reply(folder, uid, replyData) {
     return request(`/emails/${encodeURIComponent(folder)}/${uid}/reply`, {
       method: 'POST',
@@ -179,17 +272,19 @@ export const emailsApi = {
     });
   },
 
-  async markAsRead(folder, uid, read) {
+  async markAsRead(folder, uid, read, accountId) {
     return request(`/emails/${encodeURIComponent(folder)}/${uid}/read`, {
       method: 'PATCH',
       body: JSON.stringify({ read }),
+      accountId,
     });
   },
 
-  async toggleStar(folder, uid, starred) {
+  async toggleStar(folder, uid, starred, accountId) {
     return request(`/emails/${encodeURIComponent(folder)}/${uid}/star`, {
       method: 'PATCH',
       body: JSON.stringify({ starred }),
+      accountId,
     });
   },
 
@@ -256,10 +351,11 @@ export const emailsApi = {
     });
   },
 
-  async markAsImportant(folder, uid, important) {
+  async markAsImportant(folder, uid, important, accountId) {
     return request(`/emails/${encodeURIComponent(folder)}/${uid}/important`, {
       method: 'PATCH',
       body: JSON.stringify({ important }),
+      accountId,
     });
   },
 
@@ -281,6 +377,24 @@ export const emailsApi = {
     });
   },
 
+  // until: Date or ISO 8601 string
+  async snooze(folder, uid, until) {
+    return request(`/emails/${encodeURIComponent(folder)}/${uid}/snooze`, {
+      method: 'POST',
+      body: JSON.stringify({ until: new Date(until).toISOString() }),
+    });
+  },
+
+  async getSnoozed() {
+    return request('/emails/snoozed');
+  },
+
+  async cancelSnooze(id) {
+    return request(`/emails/snoozed/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
   async getStarred(limit = 100) {
     const params = new URLSearchParams({ limit });
     return request(`/emails/starred?${params}`);
@@ -290,6 +404,14 @@ export const emailsApi = {
     return request(`/emails/${encodeURIComponent(folder)}/${uid}/thread`);
   },
 
+  // action: archive, delete, read, unread, star, unstar, label, unlabel
+  async conversationAction(threadId, action, { folder, label } = {}) {
+    return request(`/emails/conversations/${action}`, {
+      method: 'POST',
+      body: JSON.stringify({ threadId, folder, label }),
+    });
+  },
+
   async updateDraft(folder, uid, draftData) {
     return request(`/emails/draft/${encodeURIComponent(folder)}/${uid}`, {
       method: 'PUT',
@@ -303,9 +425,9 @@ export const emailsApi = {
     });
   },
 
-  async sync(folder = 'inbox', uidNext = null) {
+  async sync(folder = 'inbox', state = null) {
     const params = new URLSearchParams({ folder });
-    if (uidNext) params.append('uidNext', uidNext);
+    if (state) params.append('state', state);
     return request(`/emails/sync?${params}`);
   },
 
@@ -408,6 +530,165 @@ export const settingsApi = {
       method: 'DELETE',
     });
   },
+
+  // Addresses the user sends from (the account's own, aliases, plus-addresses)
+  async getIdentities() {
+    return request('/settings/identities');
+  },
+
+  async createIdentity(identity) {
+    return request('/settings/identities', {
+      method: 'POST',
+      body: JSON.stringify(identity),
+    });
+  },
+
+  async updateIdentity(id, updates) {
+    return request(`/settings/identities/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  async deleteIdentity(id) {
+    return request(`/settings/identities/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Mail filters (rules run on new INBOX mail)
+  async getFilters() {
+    return request('/settings/filters');
+  },
+
+  async createFilter(filter) {
+    return request('/settings/filters', {
+      method: 'POST',
+      body: JSON.stringify(filter),
+    });
+  },
+
+  async updateFilter(id, updates) {
+    return request(`/settings/filters/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  async deleteFilter(id) {
+    return request(`/settings/filters/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async runFilter(id, folder) {
+    return request(`/settings/filters/${id}/run`, {
+      method: 'POST',
+      body: JSON.stringify({ folder }),
+    });
+  },
+
+  // Vacation (out-of-office) reply
+  async getVacation() {
+    return request('/settings/vacation');
+  },
+
+  async updateVacation(vacation) {
+    return request('/settings/vacation', {
+      method: 'PUT',
+      body: JSON.stringify(vacation),
+    });
+  },
+
+  // Server-side filtering through ManageSieve
+  async getSieve() {
+    return request('/settings/sieve');
+  },
+
+  async enableServerFilters() {
+    return request('/settings/sieve/filters', {
+      method: 'PUT',
+    });
+  },
+
+  async disableServerFilters() {
+    return request('/settings/sieve/filters', {
+      method: 'DELETE',
+    });
+  },
+
+  // Saved searches (smart folders)
+  async getSavedSearches() {
+    return request('/settings/searches');
+  },
+
+  async createSavedSearch(search) {
+    return request('/settings/searches', {
+      method: 'POST',
+      body: JSON.stringify(search),
+    });
+  },
+
+  async updateSavedSearch(id, updates) {
+    return request(`/settings/searches/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  async deleteSavedSearch(id) {
+    return request(`/settings/searches/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+/**
+ * Events API - Server-Sent Events stream of mailbox changes
+ * Uses fetch instead of EventSource so the Authorization header can be sent.
+ * Resolves when the stream ends; rejects on HTTP or network errors.
+ */
+export const eventsApi = {
+  async stream(onEvent, signal) {
+    const token = getToken();
+    const accountId = getActiveAccountId();
+    const response = await fetch(`${API_BASE_URL}/events`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(accountId && { 'X-Account-Id': accountId }),
+      },
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new ApiError('Failed to open event stream', response.status);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+
+      for (const message of messages) {
+        let event = 'message';
+        let data = '';
+        for (const line of message.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (data) {
+          onEvent(event, JSON.parse(data));
+        }
+      }
+    }
+  },
 };
 
 export { ApiError };
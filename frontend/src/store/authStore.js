@@ -12,6 +12,8 @@ export const useAuthStore = create(
       isLoading: false,
       error: null,
       mailboxes: [],
+      accounts: [], // [{ id, email, name, color, position, isLogin }], the one signed in with first
+      activeAccountId: null, // Linked account switched to; null for the one signed in with
 
       // Actions
       setUser: (user) => set({ 
@@ -41,6 +43,8 @@ export const useAuthStore = create(
             user: result.user,
             token: result.token,
             mailboxes: result.mailboxes || [],
+            accounts: [],
+            activeAccountId: null,
             isAuthenticated: true, 
             isLoading: false,
             error: null,
@@ -68,6 +72,8 @@ export const useAuthStore = create(
           user: null,
           token: null,
           mailboxes: [],
+          accounts: [],
+          activeAccountId: null,
           isAuthenticated: false,
           error: null,
         });
@@ -97,6 +103,57 @@ export const useAuthStore = create(
         return false;
       },
 
+      fetchAccounts: async () => {
+        try {
+          const { accounts } = await authApi.getAccounts();
+          // Forget an account that was unlinked elsewhere
+          const { activeAccountId } = get();
+          set({
+            accounts,
+            activeAccountId: accounts.some(a => a.id === activeAccountId && !a.isLogin) ? activeAccountId : null,
+          });
+          return accounts;
+        } catch (error) {
+          console.error('Failed to fetch accounts:', error);
+        }
+      },
+
+      // The account mail requests act as
+      getActiveAccount: () => {
+        const { accounts, activeAccountId } = get();
+        return accounts.find(a => a.id === activeAccountId) || accounts[0] || null;
+      },
+
+      // Mail requests name a linked account in a header; see services/api.js
+      setActiveAccount: (accountId) => {
+        const account = get().accounts.find(a => a.id === accountId);
+        set({ activeAccountId: account && !account.isLogin ? account.id : null });
+      },
+
+      linkAccount: async (credentials) => {
+        const { account } = await authApi.linkAccount(credentials);
+        await get().fetchAccounts();
+        return account;
+      },
+
+      updateAccount: async (accountId, updates) => {
+        const { account } = await authApi.updateAccount(accountId, updates);
+        set((state) => ({
+          accounts: state.accounts
+            .map(a => (a.id === accountId ? account : a))
+            .sort((a, b) => a.position - b.position),
+        }));
+        return account;
+      },
+
+      unlinkAccount: async (accountId) => {
+        await authApi.unlinkAccount(accountId);
+        set((state) => ({
+          accounts: state.accounts.filter(a => a.id !== accountId),
+          activeAccountId: state.activeAccountId === accountId ? null : state.activeAccountId,
+        }));
+      },
+
       // Clear any errors
       clearError: () => set({ error: null }),
     }),
@@ -107,6 +164,8 @@ export const useAuthStore = create(
         token: state.token,
         isAuthenticated: state.isAuthenticated,
         mailboxes: state.mailboxes,
+        accounts: state.accounts,
+        activeAccountId: state.activeAccountId,
       }),
     }
   )
@@ -1,6 +1,11 @@
 import { create } from 'zustand';
 import Fuse from 'fuse.js';
-import { emailsApi, foldersApi, settingsApi } from '../services/api';
+import { emailsApi, foldersApi, settingsApi, eventsApi } from '../services/api';
+import { useSettingsStore } from './settingsStore';
+import { useAuthStore } from './authStore';
+
+// Colours offered for new labels, in order
+export const LABEL_COLORS = ['#1a73e8', '#34a853', '#ea4335', '#9334e9', '#ff6d01', '#00897b', '#f9ab00', '#e91e63'];
 
 // Default labels with colors
 const defaultLabels = [
@@ -230,6 +235,98 @@ const fuseOptions = {
   minMatchCharLength: 2,
 };
 
+/**
+ * Whether a list entry is a conversation row standing for several messages
+ */
+// Folder ids of saved searches (smart folders) are "search:<id>"
+export const SAVED_SEARCH_PREFIX = 'search:';
+const savedSearchId = (folder) =>
+  folder?.startsWith(SAVED_SEARCH_PREFIX) ? folder.slice(SAVED_SEARCH_PREFIX.length) : null;
+
+// Folder id of the outbox; its messages live on the backend, not the mail server
+export const OUTBOX_FOLDER = 'outbox';
+
+// Folder ids of the views merging every account of the login are "unified:<view>"
+// (inbox, unread or starred); their email ids are prefixed with the account id
+export const UNIFIED_PREFIX = 'unified:';
+const unifiedView = (folder) =>
+  folder?.startsWith(UNIFIED_PREFIX) ? folder.slice(UNIFIED_PREFIX.length) : null;
+
+/**
+ * The message a reply or forward is written from, flagged \Answered or
+ * $Forwarded by the server once it has been sent (undefined for mock emails)
+ */
+export const replySource = (email, type) => (email?.uid
+  ? { folder: email.folder, uid: email.uid, messageId: email.messageId || undefined, type }
+  : undefined);
+
+/**
+ * Reply recipients for an email the server has not worked them out for (the
+ * local mock emails); the user's own addresses are left out
+ */
+const localReplyRecipients = (email, ownAddresses) => {
+  const own = ownAddresses.filter(Boolean).map(address => address.toLowerCase());
+  const others = (recipients) => (recipients || []).filter(r => !own.includes(r.email?.toLowerCase()));
+  return {
+    sender: { to: [email.from], cc: [] },
+    all: { to: [email.from, ...others(email.to)], cc: others(email.cc) },
+    list: null,
+  };
+};
+
+// Saved search unread counts are refreshed at most this often after mailbox events
+const SAVED_SEARCH_REFRESH_DELAY = 2000;
+let savedSearchRefreshTimer = null;
+
+const isConversation = (email) => !!email?.threadId && email.messageCount > 1;
+
+/**
+ * Split the selected list entries into conversations and single messages
+ */
+const splitSelected = (emails, selectedIds) => {
+  const selected = emails.filter(e => selectedIds.includes(e.id) && e.uid);
+  return {
+    conversations: selected.filter(isConversation),
+    messages: selected.filter(e => !isConversation(e)),
+  };
+};
+
+/**
+ * Apply an action to whole conversations (see POST /emails/conversations/:action)
+ */
+const runConversationAction = (conversations, action, folder, label) =>
+  Promise.allSettled(conversations.map(c =>
+    emailsApi.conversationAction(c.threadId, action, { folder, label })
+  ));
+
+/**
+ * Comparator matching the server-side list sort options
+ * Keeps pushed and optimistic updates in the same order as fetched lists
+ */
+const compareEmails = (sortBy, sortOrder) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const byDate = (a, b) => (new Date(a.date) - new Date(b.date)) * direction;
+  const byText = (getText) => (a, b) =>
+    getText(a).localeCompare(getText(b), undefined, { sensitivity: 'base' }) * direction || byDate(a, b);
+
+  switch (sortBy) {
+    case 'arrival':
+      return (a, b) => ((a.uid || 0) - (b.uid || 0)) * direction || byDate(a, b);
+    case 'from':
+      return byText(email => email.from?.name || email.from?.email || '');
+    case 'subject':
+      return byText(email => email.subject || '');
+    case 'size':
+      return (a, b) => ((a.size || 0) - (b.size || 0)) * direction || byDate(a, b);
+    case 'unread':
+      return (a, b) => Number(a.read) - Number(b.read) || byDate(a, b);
+    case 'starred':
+      return (a, b) => Number(b.starred) - Number(a.starred) || byDate(a, b);
+    default:
+      return byDate;
+  }
+};
+
 export const useEmailStore = create((set, get) => ({
   // State
   emails: [],
@@ -246,9 +343,20 @@ export const useEmailStore = create((set, get) => ({
   searchResults: null,
   error: null,
   isApiEnabled: true, // Set to false to use mock data
-  syncStatus: null, // { folder, uidNext, lastSync }
+  syncStatus: null, // { folder, state, uidNext, lastSync }
   unreadCounts: {}, // { folderPath: { unseen, total } }
   pollingInterval: null, // For auto-refresh
+  sortBy: 'date', // date, arrival, from, subject, size, unread, starred
+  sortOrder: 'desc',
+  eventStream: null, // { controller, retryTimer, attempts } for the push stream
+  isRealtime: false, // True while the server is pushing IMAP IDLE events
+  thread: null, // { thread, tree, count, subject, folders } of the open email
+  listView: 'messages', // 'messages' or 'conversations', as returned by the last list fetch
+  listSort: null, // Sort the server applied to the last list fetch, when it is not sortBy
+  savedSearches: [], // [{ id, name, query, color, position, unreadCount }]
+  notice: null, // Last pushed event to tell the user about: { event, data } (snooze:wake, outbox:*)
+  outbox: [], // Outgoing messages not sent yet: [{ id, status, sendAt, subject, to, attempts, lastError, ... }]
+  identities: [], // Addresses to send from: [{ id, email, name, replyTo, signature, bcc, isDefault }]
 
   // Reset store (called on logout)
   reset: () => {
@@ -256,6 +364,7 @@ export const useEmailStore = create((set, get) => ({
     if (pollingInterval) {
       clearInterval(pollingInterval);
     }
+    get().stopRealtime();
     set({
       emails: [],
       selectedEmail: null,
@@ -264,11 +373,17 @@ export const useEmailStore = create((set, get) => ({
       searchQuery: '',
       searchResults: null,
       error: null,
+      listSort: null,
       syncStatus: null,
       unreadCounts: {},
       pollingInterval: null,
       isLoading: false,
       isLoadingEmail: false,
+      thread: null,
+      savedSearches: [],
+      notice: null,
+      outbox: [],
+      identities: [],
     });
   },
 
@@ -292,24 +407,225 @@ export const useEmailStore = create((set, get) => ({
     }
   },
 
+  // Real-time push (Server-Sent Events backed by IMAP IDLE)
+  // Falls back to polling while the stream is unavailable
+  startRealtime: (fallbackIntervalMs = 120000) => {
+    const { isApiEnabled, eventStream } = get();
+    if (!isApiEnabled || eventStream) return;
+
+    const stream = { controller: null, retryTimer: null, attempts: 0 };
+    set({ eventStream: stream });
+
+    const connect = async () => {
+      stream.controller = new AbortController();
+      try {
+        await eventsApi.stream((event, data) => {
+          stream.attempts = 0;
+          get().applyMailEvent(event, data);
+        }, stream.controller.signal);
+      } catch (error) {
+        if (stream.controller.signal.aborted) return;
+        console.error('Event stream failed:', error);
+      }
+
+      // Stream ended or failed - poll until it comes back
+      if (get().eventStream !== stream) return;
+      set({ isRealtime: false });
+      get().startPolling(fallbackIntervalMs);
+
+      const delay = Math.min(5000 * 2 ** stream.attempts, 300000);
+      stream.attempts++;
+      stream.retryTimer = setTimeout(connect, delay);
+    };
+
+    connect();
+  },
+
+  stopRealtime: () => {
+    const { eventStream } = get();
+    if (eventStream) {
+      clearTimeout(eventStream.retryTimer);
+      eventStream.controller?.abort();
+    }
+    get().stopPolling();
+    set({ eventStream: null, isRealtime: false });
+  },
+
+  // Apply a pushed mailbox event to the loaded list
+  applyMailEvent: (event, data) => {
+    const folderKey = data.folder?.toLowerCase();
+
+    if (event !== 'status') {
+      get().scheduleSavedSearchRefresh();
+    }
+
+    switch (event) {
+      case 'status':
+        if (data.connected) {
+          // The watcher is live; polling is no longer needed
+          get().stopPolling();
+          set({ isRealtime: true });
+          // Catch up on anything that arrived while we were not listening
+          get().syncEmails();
+        } else {
+          set({ isRealtime: false });
+          get().startPolling(120000);
+        }
+        break;
+
+      case 'message:new': {
+        // New mail can join an existing conversation, so conversation lists are reloaded;
+        // smart folders re-run their search and unified views merge their lists again
+        const reloadList = (get().listView === 'conversations'
+          && get().selectedFolder?.toLowerCase() === folderKey)
+          || !!savedSearchId(get().selectedFolder)
+          || !!unifiedView(get().selectedFolder);
+
+        set((state) => {
+          const known = new Set(state.emails.map(e => e.id));
+          const incoming = data.emails.filter(e => !known.has(e.id));
+          const isOpenFolder = state.selectedFolder?.toLowerCase() === folderKey;
+          const counts = state.unreadCounts[data.folder];
+
+          return {
+            emails: isOpenFolder && !reloadList ? [...incoming, ...state.emails] : state.emails,
+            syncStatus: state.syncStatus?.folder?.toLowerCase() === folderKey
+              ? {
+                ...state.syncStatus,
+                uidNext: Math.max(state.syncStatus.uidNext || 0, ...incoming.map(e => e.uid + 1)),
+                lastSync: new Date(),
+              }
+              : state.syncStatus,
+            unreadCounts: counts
+              ? {
+                ...state.unreadCounts,
+                [data.folder]: {
+                  ...counts,
+                  unseen: counts.unseen + incoming.filter(e => !e.read).length,
+                  total: counts.total + incoming.length,
+                },
+              }
+              : state.unreadCounts,
+          };
+        });
+
+        if (reloadList) {
+          get().refreshEmails();
+        }
+        break;
+      }
+
+      case 'message:flags': {
+        const changes = {
+          read: data.read,
+          starred: data.starred,
+          important: data.important,
+          answered: data.answered,
+        };
+        // A conversation row aggregates flags of all its messages, so reload instead
+        if (get().emails.some(e => isConversation(e) && e.messages?.some(m => m.id === data.id))) {
+          get().refreshEmails();
+          break;
+        }
+        set((state) => ({
+          emails: state.emails.map(e => e.id === data.id ? { ...e, ...changes } : e),
+          selectedEmail: state.selectedEmail?.id === data.id
+            ? { ...state.selectedEmail, ...changes }
+            : state.selectedEmail,
+        }));
+        break;
+      }
+
+      case 'snooze:wake':
+        // The message itself arrives in INBOX as new mail; it has left the Snoozed folder
+        set({ notice: { event, data } });
+        if (get().selectedFolder?.toLowerCase() === 'snoozed') {
+          get().refreshEmails();
+        }
+        get().fetchUnreadCounts();
+        break;
+
+      case 'outbox:sent':
+      case 'outbox:failed':
+        set({ notice: { event, data } });
+        get().fetchOutbox();
+        if (event === 'outbox:sent' && get().selectedFolder?.toLowerCase() === 'sent') {
+          get().refreshEmails();
+        }
+        break;
+
+      case 'message:expunge':
+        set((state) => ({
+          emails: state.emails.filter(e => e.id !== data.id),
+          selectedEmails: state.selectedEmails.filter(id => id !== data.id),
+          selectedEmail: state.selectedEmail?.id === data.id ? null : state.selectedEmail,
+        }));
+        break;
+
+      default:
+        break;
+    }
+  },
+
   syncEmails: async () => {
     const { isApiEnabled, selectedFolder, syncStatus } = get();
     if (!isApiEnabled) return;
     
+    if (selectedFolder === OUTBOX_FOLDER) {
+      return get().fetchOutbox();
+    }
+    
+    // Smart folders and unified views have no sync state of their own; reload them
+    if (unifiedView(selectedFolder)) {
+      return get().fetchEmails(selectedFolder);
+    }
+    if (savedSearchId(selectedFolder)) {
+      get().fetchSavedSearches();
+      return get().fetchEmails(selectedFolder);
+    }
+    
     try {
-      const uidNext = syncStatus?.folder === selectedFolder ? syncStatus.uidNext : null;
-      const result = await emailsApi.sync(selectedFolder, uidNext);
+      const syncState = syncStatus?.folder === selectedFolder ? syncStatus.state : null;
+      const result = await emailsApi.sync(selectedFolder, syncState);
       
-      if (result.hasNew && result.newEmails?.length > 0) {
-        // Prepend new emails to the list
-        set((state) => ({
-          emails: [...result.newEmails, ...state.emails],
-        }));
+      // The user switched folders while the request was in flight
+      if (get().selectedFolder !== selectedFolder) return result;
+      
+      const hasChanges = result.newEmails?.length || result.changed?.length || result.vanished?.length;
+      
+      if (result.fullResync || (hasChanges && get().listView === 'conversations')) {
+        // UIDVALIDITY changed, expunges could not be enumerated, or conversation
+        // rows need regrouping - reload the folder
+        await get().fetchEmails(selectedFolder);
+      } else if (result.newEmails?.length || result.changed?.length || result.vanished?.length) {
+        const changedById = new Map((result.changed || []).map(c => [c.id, c]));
+        const vanishedIds = new Set((result.vanished || []).map(uid => `${result.folder}-${uid}`));
+        const applyChanges = (email) => {
+          const change = changedById.get(email.id);
+          return change
+            ? { ...email, read: change.read, starred: change.starred, important: change.important, answered: change.answered }
+            : email;
+        };
+        
+        set((state) => {
+          const known = new Set(state.emails.map(e => e.id));
+          const newEmails = (result.newEmails || []).filter(e => !known.has(e.id));
+          return {
+            emails: [...newEmails, ...state.emails]
+              .filter(e => !vanishedIds.has(e.id))
+              .map(applyChanges),
+            selectedEmails: state.selectedEmails.filter(id => !vanishedIds.has(id)),
+            selectedEmail: state.selectedEmail && vanishedIds.has(state.selectedEmail.id)
+              ? null
+              : state.selectedEmail && applyChanges(state.selectedEmail),
+          };
+        });
       }
       
       set({
         syncStatus: {
           folder: selectedFolder,
+          state: result.state,
           uidNext: result.uidNext,
           lastSync: new Date(),
           unseen: result.unseen,
@@ -341,16 +657,139 @@ export const useEmailStore = create((set, get) => ({
     }
   },
 
+  fetchLabels: async () => {
+    const { isApiEnabled } = get();
+    if (!isApiEnabled) return;
+    
+    try {
+      const result = await settingsApi.getLabels();
+      set({ labels: result.labels });
+      return result.labels;
+    } catch (error) {
+      console.error('Failed to fetch labels:', error);
+    }
+  },
+
+  fetchIdentities: async () => {
+    if (!get().isApiEnabled) return;
+    
+    try {
+      const { identities } = await settingsApi.getIdentities();
+      set({ identities });
+      return identities;
+    } catch (error) {
+      console.error('Failed to fetch identities:', error);
+    }
+  },
+
+  fetchSavedSearches: async () => {
+    const { isApiEnabled } = get();
+    if (!isApiEnabled) return;
+    
+    try {
+      const result = await settingsApi.getSavedSearches();
+      set({ savedSearches: result.searches });
+      return result.searches;
+    } catch (error) {
+      console.error('Failed to fetch saved searches:', error);
+    }
+  },
+
+  // Coalesce count refreshes when many mailbox events arrive at once
+  scheduleSavedSearchRefresh: () => {
+    if (savedSearchRefreshTimer || get().savedSearches.length === 0) return;
+    savedSearchRefreshTimer = setTimeout(() => {
+      savedSearchRefreshTimer = null;
+      get().fetchSavedSearches();
+    }, SAVED_SEARCH_REFRESH_DELAY);
+  },
+
+  saveSearch: async (name, query) => {
+    const result = await settingsApi.createSavedSearch({ name, query });
+    await get().fetchSavedSearches();
+    return result.search;
+  },
+
+  updateSavedSearch: async (id, updates) => {
+    const result = await settingsApi.updateSavedSearch(id, updates);
+    await get().fetchSavedSearches();
+    if (get().selectedFolder === `${SAVED_SEARCH_PREFIX}${id}`) {
+      get().refreshEmails();
+    }
+    return result.search;
+  },
+
+  deleteSavedSearch: async (id) => {
+    await settingsApi.deleteSavedSearch(id);
+    set((state) => ({ savedSearches: state.savedSearches.filter(s => s.id !== id) }));
+    if (get().selectedFolder === `${SAVED_SEARCH_PREFIX}${id}`) {
+      get().setSelectedFolder('inbox');
+    }
+  },
+
+  // Smart folders list the saved query's results, newest first
+  fetchSavedSearchEmails: async (id) => {
+    let search = get().savedSearches.find(s => s.id === id);
+    if (!search) {
+      search = (await get().fetchSavedSearches())?.find(s => s.id === id);
+    }
+    if (!search) {
+      throw new Error('Saved search not found');
+    }
+    
+    const result = await emailsApi.search(search.query, null, 100, { sort: 'date' });
+    return { ...result, view: 'messages' };
+  },
+
   // API Actions - Fetch emails from server
   fetchEmails: async (folder = 'inbox', options = {}) => {
     const { isApiEnabled } = get();
     if (!isApiEnabled) return;
     
+    if (folder === OUTBOX_FOLDER) {
+      set({ emails: [] });
+      return get().fetchOutbox();
+    }
+    
+    if (unifiedView(folder)) {
+      set({ isLoading: true, error: null });
+      try {
+        const result = await emailsApi.unified(unifiedView(folder), { limit: 100 });
+        // The user opened another folder meanwhile
+        if (get().selectedFolder !== folder) return result;
+        set({ emails: result.emails, listView: 'messages', listSort: null, isLoading: false });
+        return result;
+      } catch (error) {
+        console.error('Failed to fetch unified view:', error);
+        set({ emails: [], error: error.message, isLoading: false });
+        throw error;
+      }
+    }
+    
+    if (savedSearchId(folder)) {
+      set({ isLoading: true, error: null });
+      try {
+        const result = await get().fetchSavedSearchEmails(savedSearchId(folder));
+        // The user opened another folder meanwhile
+        if (get().selectedFolder !== folder) return result;
+        set({ emails: result.emails, listView: 'messages', listSort: null, isLoading: false });
+        return result;
+      } catch (error) {
+        console.error('Failed to fetch saved search:', error);
+        set({ emails: [], error: error.message, isLoading: false });
+        throw error;
+      }
+    }
+    
+    const { sortBy, sortOrder } = get();
+    const view = useSettingsStore.getState().conversationView ? 'conversations' : 'messages';
     set({ isLoading: true, error: null });
     try {
-      const result = await emailsApi.list(folder, options);
+      const result = await emailsApi.list(folder, { sort: sortBy, order: sortOrder, view, ...options });
       set({ 
         emails: result.emails,
+        listView: result.view || 'messages',
+        listSort: result.sort && result.sort !== sortBy ? result.sort : null,
         isLoading: false,
       });
       return result;
@@ -361,13 +800,15 @@ export const useEmailStore = create((set, get) => ({
     }
   },
 
-  fetchEmail: async (folder, uid) => {
+  // accountId is given for emails of a unified view, whose list ids name the account
+  fetchEmail: async (folder, uid, accountId = null) => {
     const { isApiEnabled } = get();
     if (!isApiEnabled) return null;
     
     set({ isLoadingEmail: true });
     try {
-      const email = await emailsApi.get(folder, uid);
+      const fetched = await emailsApi.get(folder, uid);
+      const email = accountId ? { ...fetched, id: `${accountId}:${fetched.id}`, accountId } : fetched;
       // Update both selectedEmail and the email in the list
       set((state) => ({
         selectedEmail: email,
@@ -395,9 +836,55 @@ export const useEmailStore = create((set, get) => ({
     }
   },
 
+  // Act as another account of the login: its folders, settings and addresses
+  // are loaded and its event stream replaces the current one. Unified views
+  // stay open; any other folder belongs to the previous account, so the inbox opens.
+  switchAccount: async (accountId) => {
+    const auth = useAuthStore.getState();
+    if (auth.getActiveAccount()?.id === accountId) return;
+    auth.setActiveAccount(accountId);
+    
+    const folder = unifiedView(get().selectedFolder) ? get().selectedFolder : 'inbox';
+    get().stopRealtime();
+    set((state) => ({
+      selectedFolder: folder,
+      selectedEmail: null,
+      selectedEmails: [],
+      emails: unifiedView(folder) ? state.emails : [],
+      searchResults: null,
+      thread: null,
+      syncStatus: null,
+      unreadCounts: {},
+      folders: [],
+      savedSearches: [],
+      outbox: [],
+      identities: [],
+    }));
+    
+    try {
+      await useSettingsStore.getState().loadSettings();
+      await Promise.all([
+        get().fetchFolders(),
+        !unifiedView(folder) && get().fetchEmails(folder),
+        get().fetchUnreadCounts(),
+        get().fetchSavedSearches(),
+        get().fetchLabels(),
+        get().fetchIdentities(),
+        get().fetchOutbox(),
+      ]);
+    } finally {
+      get().startRealtime(120000);
+    }
+  },
+
   // Actions
   setSelectedEmail: (email) => set({ selectedEmail: email }),
   
+  setSort: (sortBy, sortOrder = get().sortOrder) => {
+    set({ sortBy, sortOrder });
+    get().fetchEmails(get().selectedFolder);
+  },
+  
   setSelectedFolder: (folder) => {
     set({ 
       selectedFolder: folder, 
@@ -411,12 +898,15 @@ export const useEmailStore = create((set, get) => ({
   setSearchQuery: async (query) => {
     set({ searchQuery: query });
     if (query.trim()) {
-      const { isApiEnabled, emails, selectedFolder } = get();
+      const { isApiEnabled, emails } = get();
       
       if (isApiEnabled) {
         try {
-          const result = await emailsApi.search(query, selectedFolder);
-          set({ searchResults: result.emails });
+          const result = await emailsApi.search(query);
+          // Ignore responses for a query the user has since changed
+          if (get().searchQuery === query) {
+            set({ searchResults: result.emails });
+          }
         } catch (error) {
           // Fallback to local search
           const fuse = new Fuse(emails, fuseOptions);
@@ -443,6 +933,50 @@ export const useEmailStore = create((set, get) => ({
     composeData: null 
   }),
 
+  // Open compose with a reply. The server sends the recipients of each mode
+  // ('sender', 'all', 'list') and the draft with the original quoted along
+  // with the email; the compose window can switch between the modes. The
+  // reply only names its source, the server adds In-Reply-To and References.
+  replyTo: (email, { mode = 'sender' } = {}) => {
+    const { user, getActiveAccount } = useAuthStore.getState();
+    const modes = email.replyRecipients || localReplyRecipients(email, [
+      getActiveAccount()?.email || user?.email,
+      ...get().identities.map(identity => identity.email),
+    ]);
+    const { to, cc } = modes[mode] || modes.sender;
+    const draft = email.replyDraft || { subject: `Re: ${email.subject}`, body: '', position: 'top' };
+    
+    get().openCompose({
+      to,
+      cc,
+      subject: draft.subject,
+      body: draft.body,
+      replyPosition: draft.position,
+      replyMode: modes[mode] ? mode : 'sender',
+      replyRecipients: modes,
+      // The address the original was sent to
+      identityId: email.replyIdentityId,
+      source: replySource(email, 'reply'),
+    });
+  },
+
+  // Open compose with whole emails attached as .eml files (message/rfc822)
+  forwardAsAttachment: (emails) => {
+    const forwarded = emails.filter(email => email.uid);
+    if (forwarded.length === 0) return;
+    
+    get().openCompose({
+      subject: forwarded.length === 1 ? `Fwd: ${forwarded[0].subject}` : `Fwd: ${forwarded.length} emails`,
+      attachments: forwarded.map(email => ({
+        filename: `${(email.subject || 'message').replace(/[\\/:*?"<>|]+/g, '_').slice(0, 100)}.eml`,
+        contentType: 'message/rfc822',
+        size: email.size,
+        original: { folder: email.folder, uid: email.uid },
+      })),
+      source: forwarded.length === 1 ? replySource(forwarded[0], 'forward') : undefined,
+    });
+  },
+
   toggleEmailSelection: (emailId) => set((state) => ({
     selectedEmails: state.selectedEmails.includes(emailId)
       ? state.selectedEmails.filter(id => id !== emailId)
@@ -476,7 +1010,11 @@ export const useEmailStore = create((set, get) => ({
     // API call
     if (isApiEnabled && email.uid) {
       try {
-        await emailsApi.toggleStar(email.folder || selectedFolder, email.uid, newStarred);
+        if (isConversation(email)) {
+          await emailsApi.conversationAction(email.threadId, newStarred ? 'star' : 'unstar', { folder: selectedFolder });
+        } else {
+          await emailsApi.toggleStar(email.folder || selectedFolder, email.uid, newStarred, email.accountId);
+        }
       } catch (error) {
         console.error('Failed to toggle star:', error);
         // Revert on error
@@ -509,7 +1047,7 @@ export const useEmailStore = create((set, get) => ({
     // API call
     if (isApiEnabled && email.uid) {
       try {
-        await emailsApi.markAsImportant(email.folder || selectedFolder, email.uid, newImportant);
+        await emailsApi.markAsImportant(email.folder || selectedFolder, email.uid, newImportant, email.accountId);
       } catch (error) {
         console.error('Failed to toggle important:', error);
         // Revert on error
@@ -529,14 +1067,18 @@ export const useEmailStore = create((set, get) => ({
     // Optimistic update
     set((state) => ({
       emails: state.emails.map((e) =>
-        e.id === emailId ? { ...e, read: true } : e
+        e.id === emailId ? { ...e, read: true, unreadCount: 0 } : e
       ),
     }));
     
     // API call
     if (isApiEnabled && email?.uid) {
       try {
-        await emailsApi.markAsRead(email.folder || selectedFolder, email.uid, true);
+        if (isConversation(email)) {
+          await emailsApi.conversationAction(email.threadId, 'read', { folder: selectedFolder });
+        } else {
+          await emailsApi.markAsRead(email.folder || selectedFolder, email.uid, true, email.accountId);
+        }
       } catch (error) {
         console.error('Failed to mark as read:', error);
       }
@@ -557,7 +1099,11 @@ export const useEmailStore = create((set, get) => ({
     // API call
     if (isApiEnabled && email?.uid) {
       try {
-        await emailsApi.markAsRead(email.folder || selectedFolder, email.uid, false);
+        if (isConversation(email)) {
+          await emailsApi.conversationAction(email.threadId, 'unread', { folder: selectedFolder });
+        } else {
+          await emailsApi.markAsRead(email.folder || selectedFolder, email.uid, false, email.accountId);
+        }
       } catch (error) {
         console.error('Failed to mark as unread:', error);
       }
@@ -577,8 +1123,9 @@ export const useEmailStore = create((set, get) => ({
     
     // API batch call
     if (isApiEnabled) {
-      const emailsToUpdate = emails
-        .filter(e => selectedEmails.includes(e.id) && e.uid)
+      const { conversations, messages } = splitSelected(emails, selectedEmails);
+      await runConversationAction(conversations, 'read', selectedFolder);
+      const emailsToUpdate = messages
         .map(e => ({ folder: e.folder || selectedFolder, uid: e.uid }));
       
       if (emailsToUpdate.length > 0) {
@@ -604,8 +1151,9 @@ export const useEmailStore = create((set, get) => ({
     
     // API batch call
     if (isApiEnabled) {
-      const emailsToUpdate = emails
-        .filter(e => selectedEmails.includes(e.id) && e.uid)
+      const { conversations, messages } = splitSelected(emails, selectedEmails);
+      await runConversationAction(conversations, 'unread', selectedFolder);
+      const emailsToUpdate = messages
         .map(e => ({ folder: e.folder || selectedFolder, uid: e.uid }));
       
       if (emailsToUpdate.length > 0) {
@@ -635,7 +1183,11 @@ export const useEmailStore = create((set, get) => ({
     // API call
     if (isApiEnabled && email?.uid) {
       try {
-        await emailsApi.delete(email.folder || selectedFolder, email.uid);
+        if (isConversation(email)) {
+          await emailsApi.conversationAction(email.threadId, 'delete', { folder: selectedFolder });
+        } else {
+          await emailsApi.delete(email.folder || selectedFolder, email.uid);
+        }
       } catch (error) {
         console.error('Failed to delete email:', error);
       }
@@ -658,8 +1210,9 @@ export const useEmailStore = create((set, get) => ({
     
     // API batch call
     if (isApiEnabled) {
-      const emailsToDelete = emails
-        .filter(e => selectedEmails.includes(e.id) && e.uid)
+      const { conversations, messages } = splitSelected(emails, selectedEmails);
+      await runConversationAction(conversations, 'delete', selectedFolder);
+      const emailsToDelete = messages
         .map(e => ({ folder: e.folder || selectedFolder, uid: e.uid }));
       
       if (emailsToDelete.length > 0) {
@@ -689,7 +1242,11 @@ export const useEmailStore = create((set, get) => ({
     // API call
     if (isApiEnabled && email?.uid) {
       try {
-        await emailsApi.archive(email.folder || selectedFolder, email.uid);
+        if (isConversation(email)) {
+          await emailsApi.conversationAction(email.threadId, 'archive', { folder: selectedFolder });
+        } else {
+          await emailsApi.archive(email.folder || selectedFolder, email.uid);
+        }
       } catch (error) {
         console.error('Failed to archive email:', error);
       }
@@ -711,8 +1268,9 @@ export const useEmailStore = create((set, get) => ({
     
     // API batch call
     if (isApiEnabled) {
-      const emailsToArchive = emails
-        .filter(e => selectedEmails.includes(e.id) && e.uid)
+      const { conversations, messages } = splitSelected(emails, selectedEmails);
+      await runConversationAction(conversations, 'archive', selectedFolder);
+      const emailsToArchive = messages
         .map(e => ({ folder: e.folder || selectedFolder, uid: e.uid }));
       
       if (emailsToArchive.length > 0) {
@@ -738,42 +1296,85 @@ export const useEmailStore = create((set, get) => ({
     ),
   })),
 
-  addLabel: (emailId, labelId) => set((state) => ({
-    emails: state.emails.map((email) =>
-      email.id === emailId && !email.labels.includes(labelId)
-        ? { ...email, labels: [...email.labels, labelId] }
-        : email
-    ),
-  })),
+  addLabel: (emailId, labelId) => {
+    const { emails, isApiEnabled, selectedFolder } = get();
+    const email = emails.find(e => e.id === emailId);
 
-  removeLabel: (emailId, labelId) => set((state) => ({
-    emails: state.emails.map((email) =>
-      email.id === emailId
-        ? { ...email, labels: email.labels.filter(l => l !== labelId) }
-        : email
-    ),
-  })),
+    set((state) => ({
+      emails: state.emails.map((e) =>
+        e.id === emailId && !e.labels.includes(labelId)
+          ? { ...e, labels: [...e.labels, labelId] }
+          : e
+      ),
+    }));
 
-  createLabel: (name, color) => set((state) => ({
-    labels: [
-      ...state.labels,
-      { id: name.toLowerCase().replace(/\s+/g, '-'), name, color },
-    ],
-  })),
+    if (!isApiEnabled || !email) return;
+    if (isConversation(email)) {
+      runConversationAction([email], 'label', selectedFolder, labelId);
+    } else {
+      emailsApi.addLabel(email.folder, email.uid, labelId).catch((error) => {
+        console.error('Failed to update label:', error);
+      });
+    }
+  },
 
-  updateLabel: (labelId, name, color) => set((state) => ({
-    labels: state.labels.map(l => 
-      l.id === labelId ? { ...l, name, color } : l
-    ),
-  })),
+  removeLabel: (emailId, labelId) => {
+    const { emails, isApiEnabled, selectedFolder } = get();
+    const email = emails.find(e => e.id === emailId);
 
-  deleteLabel: (labelId) => set((state) => ({
-    labels: state.labels.filter(l => l.id !== labelId),
-    emails: state.emails.map(email => ({
-      ...email,
-      labels: email.labels.filter(l => l !== labelId),
-    })),
-  })),
+    set((state) => ({
+      emails: state.emails.map((e) =>
+        e.id === emailId
+          ? { ...e, labels: e.labels.filter(l => l !== labelId) }
+          : e
+      ),
+    }));
+
+    if (!isApiEnabled || !email) return;
+    if (isConversation(email)) {
+      runConversationAction([email], 'unlabel', selectedFolder, labelId);
+    } else {
+      emailsApi.removeLabel(email.folder, email.uid, labelId).catch((error) => {
+        console.error('Failed to update label:', error);
+      });
+    }
+  },
+
+  createLabel: async (name, color) => {
+    if (!get().isApiEnabled) {
+      const label = { id: name.toLowerCase().replace(/\s+/g, '-'), name, color };
+      set((state) => ({ labels: [...state.labels, label] }));
+      return label;
+    }
+
+    const result = await settingsApi.createLabel(name, color);
+    set((state) => ({ labels: [...state.labels, result.label] }));
+    return result.label;
+  },
+
+  updateLabel: async (labelId, name, color) => {
+    let label = { ...get().labels.find(l => l.id === labelId), name, color };
+    if (get().isApiEnabled) {
+      label = (await settingsApi.updateLabel(labelId, name, color)).label;
+    }
+    set((state) => ({
+      labels: state.labels.map(l => l.id === labelId ? label : l),
+    }));
+    return label;
+  },
+
+  deleteLabel: async (labelId) => {
+    if (get().isApiEnabled) {
+      await settingsApi.deleteLabel(labelId);
+    }
+    set((state) => ({
+      labels: state.labels.filter(l => l.id !== labelId),
+      emails: state.emails.map(email => ({
+        ...email,
+        labels: email.labels.filter(l => l !== labelId),
+      })),
+    }));
+  },
 
   moveToFolder: (emailId, folder) => set((state) => ({
     emails: state.emails.map((email) => {
@@ -787,13 +1388,40 @@ export const useEmailStore = create((set, get) => ({
     selectedEmail: state.selectedEmail?.id === emailId ? null : state.selectedEmail,
   })),
 
-  snoozeEmail: (emailId, until) => set((state) => ({
-    emails: state.emails.map((email) =>
-      email.id === emailId
-        ? { ...email, snoozedUntil: until, labels: email.labels.filter(l => l !== 'inbox') }
-        : email
-    ),
-  })),
+  // Snoozed mail moves to the server's Snoozed folder and comes back unread at `until`
+  snoozeEmail: async (emailId, until) => {
+    const { emails, isApiEnabled, selectedFolder } = get();
+    const email = emails.find(e => e.id === emailId);
+
+    if (!isApiEnabled) {
+      set((state) => ({
+        emails: state.emails.map((e) =>
+          e.id === emailId
+            ? { ...e, snoozedUntil: until, labels: e.labels.filter(l => l !== 'inbox') }
+            : e
+        ),
+        selectedEmail: state.selectedEmail?.id === emailId ? null : state.selectedEmail,
+      }));
+      return;
+    }
+    if (!email?.uid) return;
+
+    const { snooze } = await emailsApi.snooze(email.folder || selectedFolder, email.uid, until);
+    set((state) => ({
+      emails: state.emails.filter(e => e.id !== emailId),
+      selectedEmails: state.selectedEmails.filter(id => id !== emailId),
+      selectedEmail: state.selectedEmail?.id === emailId ? null : state.selectedEmail,
+    }));
+    get().fetchUnreadCounts();
+    return snooze;
+  },
+
+  // Bring a snoozed email back to the inbox now
+  cancelSnooze: async (snoozeId) => {
+    await emailsApi.cancelSnooze(snoozeId);
+    get().refreshEmails();
+    get().fetchUnreadCounts();
+  },
 
   sendEmail: async (emailData) => {
     const { isApiEnabled } = get();
@@ -809,13 +1437,28 @@ export const useEmailStore = create((set, get) => ({
           bcc: emailData.bcc || [],
           subject: emailData.subject,
           body: emailData.body,
-          attachments: (emailData.attachments || []).map(att => ({
-            filename: att.name || att.filename,
-            content: att.content || '',
-            contentType: att.type || att.contentType,
-          })),
+          // Attachments of an email on the server are fetched from there when sending
+          attachments: (emailData.attachments || []).map(att => (att.original
+            ? { filename: att.name || att.filename, original: att.original }
+            : {
+              filename: att.name || att.filename,
+              content: att.content || '',
+              contentType: att.type || att.contentType,
+            })),
+          ...(emailData.scheduledAt && { scheduledAt: new Date(emailData.scheduledAt).toISOString() }),
+          ...(emailData.source && { source: emailData.source }),
+          ...(emailData.identityId && { identityId: emailData.identityId }),
         });
-        return { success: true, messageId: result.messageId };
+        get().fetchOutbox();
+        return {
+          success: true,
+          messageId: result.messageId,
+          scheduled: !!result.scheduled,
+          // Queued in the outbox; undoSend(outbox.id) until undoUntil (null when the delay is off)
+          queued: !!result.queued,
+          outbox: result.outbox,
+          undoUntil: result.undoUntil,
+        };
       } catch (error) {
         console.error('Failed to send email:', error);
         throw error;
@@ -849,6 +1492,50 @@ export const useEmailStore = create((set, get) => ({
     }
   },
 
+  // Outgoing messages waiting to be sent, retried or failed
+  fetchOutbox: async () => {
+    if (!get().isApiEnabled) return;
+    try {
+      const { messages } = await emailsApi.getOutbox();
+      set({ outbox: messages });
+      return messages;
+    } catch (error) {
+      console.error('Failed to fetch outbox:', error);
+    }
+  },
+
+  // Send a failed or retrying message now
+  retryOutboxMessage: async (outboxId) => {
+    const { message } = await emailsApi.retryOutboxMessage(outboxId);
+    set((state) => ({
+      outbox: state.outbox.map(m => (m.id === outboxId ? message : m)),
+    }));
+    return message;
+  },
+
+  // Drop a message from the outbox without sending it
+  discardOutboxMessage: async (outboxId) => {
+    await emailsApi.cancelOutboxMessage(outboxId);
+    set((state) => ({ outbox: state.outbox.filter(m => m.id !== outboxId) }));
+  },
+
+  // Take a message back out of the outbox and reopen it in compose
+  undoSend: async (outboxId) => {
+    const { message } = await emailsApi.cancelOutboxMessage(outboxId);
+    set((state) => ({ outbox: state.outbox.filter(m => m.id !== outboxId) }));
+    get().openCompose({
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      body: message.body,
+      attachments: message.attachments,
+      source: message.source,
+      identityId: message.identityId,
+    });
+    return message;
+  },
+
   scheduleSend: (emailData, sendAt) => {
     const { sendEmail } = get();
     sendEmail({ ...emailData, scheduledAt: sendAt });
@@ -994,8 +1681,9 @@ export const useEmailStore = create((set, get) => ({
     
     // API batch call
     if (isApiEnabled) {
-      const emailsToStar = emails
-        .filter(e => selectedEmails.includes(e.id) && e.uid)
+      const { conversations, messages } = splitSelected(emails, selectedEmails);
+      await runConversationAction(conversations, starred ? 'star' : 'unstar', selectedFolder);
+      const emailsToStar = messages
         .map(e => ({ folder: e.folder || selectedFolder, uid: e.uid }));
       
       if (emailsToStar.length > 0) {
@@ -1032,6 +1720,7 @@ export const useEmailStore = create((set, get) => ({
     
     try {
       const result = await emailsApi.getThread(folder, uid);
+      set({ thread: result });
       return result;
     } catch (error) {
       console.error('Failed to fetch thread:', error);
@@ -1039,6 +1728,22 @@ export const useEmailStore = create((set, get) => ({
     }
   },
 
+  // Thread members arrive without bodies; load one when it is expanded
+  fetchThreadMessage: async (id) => {
+    const { thread } = get();
+    const member = thread?.thread.find(e => e.id === id);
+    if (!member || member.body !== undefined) return member;
+
+    const email = await emailsApi.get(member.folder, member.uid);
+    set((state) => ({
+      thread: state.thread && {
+        ...state.thread,
+        thread: state.thread.thread.map(e => e.id === id ? { ...e, ...email } : e),
+      },
+    }));
+    return email;
+  },
+
   updateDraft: async (folder, uid, draftData) => {
     const { isApiEnabled } = get();
     
@@ -1139,39 +1844,53 @@ export const useEmailStore = create((set, get) => ({
   },
 
   getFilteredEmails: () => {
-    const { emails, selectedFolder, searchResults, searchQuery } = get();
+    const { emails, selectedFolder, searchResults, searchQuery, sortBy, sortOrder, listSort } = get();
+    const compare = compareEmails(listSort || sortBy, sortOrder);
     
     if (searchQuery && searchResults) {
       return searchResults;
     }
 
+    if (savedSearchId(selectedFolder) || unifiedView(selectedFolder)) {
+      return [...emails].sort(compare);
+    }
+
     if (selectedFolder === 'starred') {
       return emails
         .filter((email) => email.starred && !email.labels.includes('trash'))
-        .sort((a, b) => new Date(b.date) - new Date(a.date));
+        .sort(compare);
     }
 
     if (selectedFolder === 'important') {
       return emails
         .filter((email) => email.important && !email.labels.includes('trash'))
-        .sort((a, b) => new Date(b.date) - new Date(a.date));
+        .sort(compare);
     }
 
     if (selectedFolder === 'all') {
       return emails
         .filter((email) => !email.labels.includes('trash') && !email.labels.includes('spam'))
-        .sort((a, b) => new Date(b.date) - new Date(a.date));
+        .sort(compare);
     }
 
     const folderLower = selectedFolder.toLowerCase();
     const filtered = emails.filter((email) => 
       email.labels.some(l => l.toLowerCase() === folderLower)
     );
-    return filtered.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return filtered.sort(compare);
   },
 
   getUnreadCount: (folder) => {
-    const { emails } = get();
+    const { emails, savedSearches, outbox } = get();
+    
+    // Messages that need attention: not sent on the first try
+    if (folder === OUTBOX_FOLDER) {
+      return outbox.filter(m => m.status === 'retrying' || m.status === 'failed').length;
+    }
+    
+    if (savedSearchId(folder)) {
+      return savedSearches.find(s => s.id === savedSearchId(folder))?.unreadCount || 0;
+    }
     
     if (folder === 'starred') {
       return emails.filter(e => e.starred && !e.read && !e.labels.includes('trash')).length;
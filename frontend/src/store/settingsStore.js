@@ -1,13 +1,45 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { settingsApi } from '../services/api';
+
+export const DEFAULT_ATTRIBUTION = 'On {date}, {sender} wrote:';
 
 export const useSettingsStore = create(
   persist(
     (set) => ({
       // Reading pane options: 'right' | 'below' | 'none'
       readingPane: 'right',
+      // One list row per conversation instead of per message
+      conversationView: true,
+      // Replies: 'top' writes above the quoted original, 'bottom' below it
+      replyPosition: 'top',
+      replyAttribution: DEFAULT_ATTRIBUTION,
       
       setReadingPane: (pane) => set({ readingPane: pane }),
+
+      setConversationView: (enabled) => {
+        set({ conversationView: enabled });
+        settingsApi.update({ conversationView: enabled }).catch((error) => {
+          console.error('Failed to save conversation view setting:', error);
+        });
+      },
+
+      // Reply quoting is saved on the Sending settings page
+      setReplyQuoting: ({ replyPosition, replyAttribution }) => set({ replyPosition, replyAttribution }),
+
+      // Pick up server-side settings (shared across browsers)
+      loadSettings: async () => {
+        try {
+          const { settings } = await settingsApi.get();
+          set({
+            conversationView: Boolean(settings.conversationView ?? true),
+            replyPosition: settings.replyPosition || 'top',
+            replyAttribution: settings.replyAttribution || DEFAULT_ATTRIBUTION,
+          });
+        } catch (error) {
+          console.error('Failed to load settings:', error);
+        }
+      },
     }),
     {
       name: 'novamail-settings',